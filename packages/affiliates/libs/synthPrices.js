@@ -26,7 +26,8 @@ module.exports = ({ web3, cryptowatchApiKey, tradermadeApiKey, decimals = 18 } =
 
     assert(priceFeed, "Create Reference price feed for emp returned an undefined value");
     await priceFeed.update();
-    return priceFeed.getHistoricalPricePeriods();
+    // Prices are BNs, which would be serialized as hex, so they are converted to decimal strings.
+    return priceFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]);
   }
   return { getHistoricSynthPrices };
 };
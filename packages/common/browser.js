@@ -2,6 +2,7 @@
 module.exports = {
   ...require("./src/AbiUtils"),
   ...require("./src/AdminUtils"),
+  ...require("./src/AncillaryDataParser"),
   ...require("./src/Constants"),
   ...require("./src/ContractUtils"),
   ...require("./src/Crypto"),
@@ -0,0 +1,65 @@
+const web3 = require("web3");
+
+// Ancillary data that parameterizes a price request is encoded as comma-separated `key:value` pairs, e.g.
+// `twapLength:3600,pair:"ETH/USD",q:"Will it rain?"`. Values can be double-quoted to contain commas or colons, and
+// JSON objects and arrays are kept whole.
+
+// Splits `text` on each `separator` that is outside of quotes, braces and brackets.
+function _splitOutsideNesting(text, separator, limit = Infinity) {
+  const parts = [];
+  let depth = 0;
+  let inQuotes = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' && text[i - 1] !== "\\") inQuotes = !inQuotes;
+    else if (inQuotes) continue;
+    else if (char === "{" || char === "[") depth++;
+    else if (char === "}" || char === "]") depth--;
+    else if (char === separator && depth === 0 && parts.length < limit - 1) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+function _parseValue(value) {
+  const isQuoted = value.length >= 2 && value.startsWith('"') && value.endsWith('"');
+  if (isQuoted || value.startsWith("{") || value.startsWith("[")) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return isQuoted ? value.slice(1, -1) : value;
+    }
+  }
+  // Numbers are only converted if no precision is lost, e.g. wei amounts are left as strings.
+  if (/^-?\d+(\.\d+)?$/.test(value) && String(Number(value)) === value) return Number(value);
+  return value;
+}
+
+/**
+ * @notice Decodes ancillary data into an object with a property for each `key:value` pair.
+ * @param {String} ancillaryData Hex encoded ancillary data, as stored by the Optimistic Oracle, or the decoded UTF-8.
+ * @return {Object} Decoded fields. Empty if there is no ancillary data. Throws if a pair has no key.
+ */
+function parseAncillaryData(ancillaryData) {
+  if (!ancillaryData || ancillaryData === "0x") return {};
+  const text = web3.utils.isHexStrict(ancillaryData) ? web3.utils.hexToUtf8(ancillaryData) : ancillaryData;
+
+  const fields = {};
+  for (const pair of _splitOutsideNesting(text, ",")) {
+    if (!pair.trim()) continue;
+    const [key, value] = _splitOutsideNesting(pair, ":", 2).map(part => part.trim());
+    if (!key || value === undefined) {
+      throw new Error(`parseAncillaryData: expected a key:value pair but got "${pair}"`);
+    }
+    fields[key] = _parseValue(value);
+  }
+  return fields;
+}
+
+module.exports = {
+  parseAncillaryData
+};
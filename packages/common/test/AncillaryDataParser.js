@@ -0,0 +1,37 @@
+// Script to test
+const { parseAncillaryData } = require("../src/AncillaryDataParser");
+const { utf8ToHex } = web3.utils;
+
+contract("AncillaryDataParser.js", function() {
+  describe("parseAncillaryData", function() {
+    it("decodes hex encoded key:value pairs", function() {
+      const ancillaryData = utf8ToHex("twapLength:3600,pair:ETH/USD,lookback:7200");
+      assert.deepEqual(parseAncillaryData(ancillaryData), { twapLength: 3600, pair: "ETH/USD", lookback: 7200 });
+    });
+
+    it("keeps quoted values and JSON whole", function() {
+      const ancillaryData = utf8ToHex(
+        'q:"Will it rain, or not?",time:"12:00",feeds:[{"type":"cryptowatch","exchange":"kraken"}]'
+      );
+      assert.deepEqual(parseAncillaryData(ancillaryData), {
+        q: "Will it rain, or not?",
+        time: "12:00",
+        feeds: [{ type: "cryptowatch", exchange: "kraken" }]
+      });
+    });
+
+    it("only converts numbers that fit without losing precision", function() {
+      assert.deepEqual(parseAncillaryData("amount:1000000000000000000000,price:1.5,id:007"), {
+        amount: "1000000000000000000000",
+        price: 1.5,
+        id: "007"
+      });
+    });
+
+    it("handles empty ancillary data and rejects pairs without a key", function() {
+      assert.deepEqual(parseAncillaryData("0x"), {});
+      assert.deepEqual(parseAncillaryData(undefined), {});
+      assert.throws(() => parseAncillaryData(utf8ToHex("twapLength:3600,ETH/USD")));
+    });
+  });
+});
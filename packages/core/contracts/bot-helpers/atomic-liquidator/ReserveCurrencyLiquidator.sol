@@ -2,6 +2,7 @@ pragma solidity ^0.6.0;
 pragma experimental ABIEncoderV2;
 
 import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 
 import "@uniswap/lib/contracts/libraries/TransferHelper.sol";
 import "@uniswap/v2-periphery/contracts/interfaces/IUniswapV2Router01.sol";
@@ -86,6 +87,34 @@ contract ReserveCurrencyLiquidator {
             deadline
         );
     }
+
+    /**
+     * @notice Redeems synthetics against the DSProxy's position and sends all of the DSProxy's collateral, e.g. from
+     * withdrawn liquidations, to `recipient`. Used to unwind the positions minted by `swapMintLiquidate`.
+     * @dev Synthetics to redeem must be sent to the DSProxy first. Redemptions are only possible before the financial
+     * contract expires and must leave the position above the minimum sponsor size or close it.
+     * @param financialContract address of the financial contract the DSProxy holds a position in.
+     * @param numTokens number of synthetics to redeem. Zero only withdraws the DSProxy's collateral.
+     * @param recipient address that receives the DSProxy's collateral.
+     **/
+    function redeemAndWithdraw(
+        address financialContract,
+        FixedPoint.Unsigned calldata numTokens,
+        address recipient
+    ) public {
+        FinancialContractInterface fc = FinancialContractInterface(financialContract);
+
+        // 1. Redeem synthetics, which returns a proportional share of the position's collateral.
+        if (numTokens.isGreaterThan(0)) {
+            TransferHelper.safeApprove(fc.tokenCurrency(), address(fc), numTokens.rawValue);
+            fc.redeem(numTokens);
+        }
+
+        // 2. Send the collateral held by the DSProxy to the recipient.
+        IERC20 collateralCurrency = IERC20(fc.collateralCurrency());
+        uint256 collateralBalance = collateralCurrency.balanceOf(address(this));
+        TransferHelper.safeTransfer(address(collateralCurrency), recipient, collateralBalance);
+    }
 }
 
 // Define some simple interfaces for dealing with UMA contracts.
@@ -112,6 +141,8 @@ interface FinancialContractInterface {
 
     function create(FixedPoint.Unsigned memory collateralAmount, FixedPoint.Unsigned memory numTokens) external;
 
+    function redeem(FixedPoint.Unsigned memory numTokens) external returns (FixedPoint.Unsigned memory amountWithdrawn);
+
     function createLiquidation(
         address sponsor,
         FixedPoint.Unsigned calldata minCollateralPerToken,
@@ -0,0 +1,41 @@
+pragma solidity ^0.6.0;
+
+import "@uniswap/lib/contracts/libraries/TransferHelper.sol";
+import "@uniswap/v2-periphery/contracts/interfaces/IUniswapV2Router01.sol";
+
+/**
+ * @title ReserveCurrencySwapper
+ * @notice Helper contract to enable a bot to hold one reserve currency and buy exact amounts of other tokens with it,
+ * e.g. the collateral needed to post dispute bonds. Is assumed to be called by a DSProxy which holds reserve currency.
+ */
+
+contract ReserveCurrencySwapper {
+    /**
+     * @notice Swaps reserve currency for an exact amount of another token and sends it to the recipient.
+     * @param uniswapRouter address of the uniswap router used to facilate trades.
+     * @param reserveCurrency address of the token to swap. This is the common currency held by the DSProxy.
+     * @param tokenOut address of the token to buy.
+     * @param amountOut exact number of `tokenOut` to buy.
+     * @param maxReserveTokenSpent maximum number of reserve tokens to spend in the trade. Bounds slippage.
+     * @param recipient address that receives the bought tokens.
+     * @param deadline abort the trade if the transaction is mined after this timestamp.
+     **/
+    function swapForExactTokens(
+        address uniswapRouter,
+        address reserveCurrency,
+        address tokenOut,
+        uint256 amountOut,
+        uint256 maxReserveTokenSpent,
+        address recipient,
+        uint256 deadline
+    ) public {
+        IUniswapV2Router01 router = IUniswapV2Router01(uniswapRouter);
+
+        address[] memory path = new address[](2);
+        path[0] = reserveCurrency;
+        path[1] = tokenOut;
+
+        TransferHelper.safeApprove(reserveCurrency, address(router), maxReserveTokenSpent);
+        router.swapTokensForExactTokens(amountOut, maxReserveTokenSpent, path, recipient, deadline);
+    }
+}
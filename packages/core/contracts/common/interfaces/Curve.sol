@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+pragma solidity ^0.6.0;
+
+/**
+ * @title Interface for Curve pools, including metapools.
+ * @dev This only contains the methods/events that we use in our contracts or offchain infrastructure.
+ */
+abstract contract Curve {
+    // Returns the address of the coin at index `i` in the pool.
+    function coins(uint256 i) external view virtual returns (address);
+
+    // Returns the amount of coin `j` received for swapping `dx` of coin `i`, after fees.
+    function get_dy(
+        int128 i,
+        int128 j,
+        uint256 dx
+    ) external view virtual returns (uint256);
+
+    // Same as `get_dy`, but the indices refer to the underlying coins (e.g. the base pool's coins for a metapool).
+    function get_dy_underlying(
+        int128 i,
+        int128 j,
+        uint256 dx
+    ) external view virtual returns (uint256);
+
+    // Returns the value of one LP token in terms of the pool's underlying assets, scaled by 1e18.
+    function get_virtual_price() external view virtual returns (uint256);
+}
@@ -12,4 +12,15 @@ abstract contract Uniswap {
     address public token0;
     // Quote currency.
     address public token1;
+
+    // Returns the current reserves of the pair and the time of the last block they were updated in.
+    function getReserves()
+        external
+        view
+        virtual
+        returns (
+            uint112 reserve0,
+            uint112 reserve1,
+            uint32 blockTimestampLast
+        );
 }
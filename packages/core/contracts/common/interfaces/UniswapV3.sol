@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+pragma solidity ^0.6.0;
+
+/**
+ * @title Interface for Uniswap v3 pools.
+ * @dev This only contains the methods/events that we use in our contracts or offchain infrastructure.
+ */
+abstract contract UniswapV3 {
+    // Base currency.
+    address public token0;
+    // Quote currency.
+    address public token1;
+
+    /**
+     * @notice Returns the tick cumulatives as of each `secondsAgos` from the current block timestamp.
+     * @dev The average tick over a window is the difference between two tick cumulatives divided by the window length.
+     * Reverts with "OLD" if any of the requested times are older than the oldest stored observation.
+     */
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        virtual
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s);
+}
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+pragma solidity ^0.6.0;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title Mock for Chainlink's AggregatorV3 price feeds for use in tests.
+ */
+contract AggregatorV3Mock is AggregatorV3Interface {
+    struct Round {
+        int256 answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+    }
+
+    uint8 public override decimals;
+    uint80 public latestRoundId;
+    mapping(uint80 => Round) private rounds;
+
+    constructor(uint8 _decimals) public {
+        decimals = _decimals;
+    }
+
+    function getRoundData(uint80 _roundId)
+        public
+        view
+        override
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        Round storage round = rounds[_roundId];
+        // Matches the behavior of Chainlink aggregators, which revert for rounds that do not exist.
+        require(round.updatedAt > 0, "No data present");
+        return (_roundId, round.answer, round.startedAt, round.updatedAt, _roundId);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        return getRoundData(latestRoundId);
+    }
+
+    // This is not an aggregator call, but is used in tests to publish a new round at the current block time.
+    function pushAnswer(int256 answer) external {
+        latestRoundId++;
+        rounds[latestRoundId] = Round(answer, block.timestamp, block.timestamp);
+    }
+
+    // This is not an aggregator call, but is used in tests to publish a new round with a custom update time.
+    function pushAnswerAt(int256 answer, uint256 updatedAt) external {
+        latestRoundId++;
+        rounds[latestRoundId] = Round(answer, updatedAt, updatedAt);
+    }
+}
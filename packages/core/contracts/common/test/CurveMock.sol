@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+pragma solidity ^0.6.0;
+
+import "../interfaces/Curve.sol";
+
+/**
+ * @title Curve pool Mock that allows manual exchange rate injection.
+ * @dev Exchange rates are the amount of raw output units received per raw input unit, scaled by 1e18.
+ */
+contract CurveMock is Curve {
+    address[] public override coins;
+    mapping(int128 => mapping(int128 => uint256)) public exchangeRates;
+    mapping(int128 => mapping(int128 => uint256)) public underlyingExchangeRates;
+    uint256 public virtualPrice;
+
+    function setCoins(address[] calldata _coins) external {
+        coins = _coins;
+    }
+
+    function setExchangeRate(
+        int128 i,
+        int128 j,
+        uint256 rate
+    ) external {
+        exchangeRates[i][j] = rate;
+    }
+
+    function setUnderlyingExchangeRate(
+        int128 i,
+        int128 j,
+        uint256 rate
+    ) external {
+        underlyingExchangeRates[i][j] = rate;
+    }
+
+    function setVirtualPrice(uint256 _virtualPrice) external {
+        virtualPrice = _virtualPrice;
+    }
+
+    function get_dy(
+        int128 i,
+        int128 j,
+        uint256 dx
+    ) external view override returns (uint256) {
+        return (dx * exchangeRates[i][j]) / 1e18;
+    }
+
+    function get_dy_underlying(
+        int128 i,
+        int128 j,
+        uint256 dx
+    ) external view override returns (uint256) {
+        return (dx * underlyingExchangeRates[i][j]) / 1e18;
+    }
+
+    function get_virtual_price() external view override returns (uint256) {
+        return virtualPrice;
+    }
+}
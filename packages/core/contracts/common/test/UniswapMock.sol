@@ -7,12 +7,32 @@ import "../interfaces/Uniswap.sol";
  * @title Uniswap v2 Mock that allows manual price injection.
  */
 contract UniswapMock is Uniswap {
+    uint112 private reserve0;
+    uint112 private reserve1;
+    uint32 private blockTimestampLast;
+
     function setTokens(address _token0, address _token1) external {
         token0 = _token0;
         token1 = _token1;
     }
 
-    function setPrice(uint112 reserve0, uint112 reserve1) external {
-        emit Sync(reserve0, reserve1);
+    function setPrice(uint112 _reserve0, uint112 _reserve1) external {
+        reserve0 = _reserve0;
+        reserve1 = _reserve1;
+        blockTimestampLast = uint32(block.timestamp);
+        emit Sync(_reserve0, _reserve1);
+    }
+
+    function getReserves()
+        external
+        view
+        override
+        returns (
+            uint112,
+            uint112,
+            uint32
+        )
+    {
+        return (reserve0, reserve1, blockTimestampLast);
     }
 }
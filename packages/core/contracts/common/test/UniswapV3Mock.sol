@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+pragma solidity ^0.6.0;
+
+import "../interfaces/UniswapV3.sol";
+
+/**
+ * @title Uniswap v3 pool Mock that allows manual tick injection.
+ */
+contract UniswapV3Mock is UniswapV3 {
+    struct Observation {
+        uint256 timestamp;
+        int24 tick;
+    }
+
+    // Ticks that the pool moved to, sorted by the time that they were set.
+    Observation[] public observations;
+
+    function setTokens(address _token0, address _token1) external {
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    // Sets the pool's tick from `timestamp` onwards. Timestamps must be increasing, but can be in the past so that tests
+    // can build up a history without advancing the block time.
+    function setTickAt(int24 tick, uint256 timestamp) external {
+        require(
+            observations.length == 0 || observations[observations.length - 1].timestamp < timestamp,
+            "Timestamps must increase"
+        );
+        observations.push(Observation(timestamp, tick));
+    }
+
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        override
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)
+    {
+        tickCumulatives = new int56[](secondsAgos.length);
+        secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            uint256 target = block.timestamp - secondsAgos[i];
+            require(observations.length > 0 && observations[0].timestamp <= target, "OLD");
+            tickCumulatives[i] = _getTickCumulative(target);
+        }
+    }
+
+    // Sums tick * seconds from the first observation up to `target`.
+    function _getTickCumulative(uint256 target) private view returns (int56 tickCumulative) {
+        for (uint256 i = 0; i < observations.length && observations[i].timestamp < target; i++) {
+            uint256 end = target;
+            if (i + 1 < observations.length && observations[i + 1].timestamp < target) {
+                end = observations[i + 1].timestamp;
+            }
+            tickCumulative += int56(observations[i].tick) * int56(end - observations[i].timestamp);
+        }
+    }
+}
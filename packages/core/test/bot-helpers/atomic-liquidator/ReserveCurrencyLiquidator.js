@@ -197,4 +197,46 @@ contract("ReserveTokenLiquidator", function(accounts) {
     // The price in the uniswap pool should be greater than what it started at as we traded reserve for collateral.
     assert.equal(Number((await getPoolSpotPrice()) > Number(startingUniswapPrice)), 1);
   });
+
+  it("Can redeem the DSProxy's position and withdraw its collateral", async function() {
+    const execute = dsProxy.contract.methods["execute(address,bytes)"];
+    await reserveToken.transfer(dsProxy.address, toWei("10000"), { from: liquidator });
+    const liquidateCallData = reserveCurrencyLiquidator.contract.methods
+      .swapMintLiquidate(
+        router.address,
+        financialContract.address,
+        reserveToken.address,
+        sponsor1,
+        { rawValue: MAX_UINT_VAL },
+        { rawValue: 0 },
+        { rawValue: MAX_SAFE_ALLOWANCE },
+        { rawValue: toWei("1000") },
+        unreachableDeadline
+      )
+      .encodeABI();
+    await execute(reserveCurrencyLiquidator.address, liquidateCallData).send({ from: liquidator });
+
+    // The DSProxy minted 1000 tokens at the GCR of 2.5 to liquidate, so its position holds 2.5 WETH.
+    assert.equal((await financialContract.positions(dsProxy.address)).tokensOutstanding.rawValue, toWei("1000"));
+    const redeemAndWithdraw = numTokens =>
+      execute(
+        reserveCurrencyLiquidator.address,
+        reserveCurrencyLiquidator.contract.methods
+          .redeemAndWithdraw(financialContract.address, { rawValue: numTokens }, deployer)
+          .encodeABI()
+      ).send({ from: liquidator });
+
+    // Without synthetics the DSProxy can't redeem and has no collateral to withdraw.
+    const deployerCollateralBefore = await collateralToken.balanceOf(deployer);
+    await redeemAndWithdraw("0");
+    assert.equal((await collateralToken.balanceOf(deployer)).toString(), deployerCollateralBefore.toString());
+
+    // Once the DSProxy holds synthetics, the position is closed and its collateral is sent to the recipient.
+    await syntheticToken.transfer(dsProxy.address, toWei("1000"), { from: sponsor2 });
+    await redeemAndWithdraw(toWei("1000"));
+    assert.equal((await financialContract.positions(dsProxy.address)).tokensOutstanding.rawValue, "0");
+    assert.equal((await syntheticToken.balanceOf(dsProxy.address)).toString(), "0");
+    assert.equal((await collateralToken.balanceOf(dsProxy.address)).toString(), "0");
+    assert.equal((await collateralToken.balanceOf(deployer)).sub(deployerCollateralBefore).toString(), toWei("2.5"));
+  });
 });
@@ -0,0 +1,126 @@
+const { MAX_UINT_VAL } = require("@uma/common");
+const { toWei, toBN } = web3.utils;
+const { getTruffleContract } = require("@uma/core");
+const truffleContract = require("@truffle/contract");
+const { assert } = require("chai");
+
+// Tested Contract
+const ReserveCurrencySwapper = getTruffleContract("ReserveCurrencySwapper", web3);
+
+// Uniswap related contracts
+const UniswapV2Factory = require("@uniswap/v2-core/build/UniswapV2Factory.json");
+const IUniswapV2Pair = require("@uniswap/v2-core/build/IUniswapV2Pair.json");
+const UniswapV2Router02 = require("@uniswap/v2-periphery/build/UniswapV2Router02.json");
+
+// Helpers and other contracts
+const Token = getTruffleContract("ExpandedERC20", web3);
+const DSProxyFactory = getTruffleContract("DSProxyFactory", web3, "latest");
+const DSProxy = getTruffleContract("DSProxy", web3, "latest");
+
+// Tested contract
+let reserveCurrencySwapper;
+
+let reserveToken;
+let collateralToken;
+let factory;
+let router;
+let pair;
+let pairAddress;
+let dsProxy;
+let dsProxyFactory;
+
+const unreachableDeadline = 4772084478; // 100 years in the future
+
+// Takes in a json object from a compiled contract and returns a truffle contract instance that can be deployed.
+const createContractObjectFromJson = contractJsonObject => {
+  let truffleContractCreator = truffleContract(contractJsonObject);
+  truffleContractCreator.setProvider(web3.currentProvider);
+  return truffleContractCreator;
+};
+
+contract("ReserveCurrencySwapper", function(accounts) {
+  const deployer = accounts[0];
+  const bot = accounts[1];
+  const recipient = accounts[2];
+
+  before(async () => {
+    dsProxyFactory = await DSProxyFactory.new();
+  });
+  beforeEach(async () => {
+    reserveCurrencySwapper = await ReserveCurrencySwapper.new();
+
+    // deploy tokens
+    reserveToken = await Token.new("reserveToken", "DAI", 18);
+    collateralToken = await Token.new("collateralToken", "WETH", 18);
+    await reserveToken.addMember(1, deployer, { from: deployer });
+    await collateralToken.addMember(1, deployer, { from: deployer });
+
+    // deploy Uniswap V2 Factory & router.
+    factory = await createContractObjectFromJson(UniswapV2Factory).new(deployer, { from: deployer });
+    router = await createContractObjectFromJson(UniswapV2Router02).new(factory.address, collateralToken.address, {
+      from: deployer
+    });
+
+    // initialize the pair at a price of 1000 reserveToken/collateralToken.
+    await factory.createPair(reserveToken.address, collateralToken.address, { from: deployer });
+    pairAddress = await factory.getPair(reserveToken.address, collateralToken.address);
+    pair = await createContractObjectFromJson(IUniswapV2Pair).at(pairAddress);
+    await reserveToken.mint(pairAddress, toBN(toWei("1000")).muln(10000000));
+    await collateralToken.mint(pairAddress, toBN(toWei("1")).muln(10000000));
+    await pair.sync({ from: deployer });
+
+    // Create a DSProxy for the bot, holding the reserve currency.
+    await dsProxyFactory.build({ from: bot });
+    dsProxy = await DSProxy.at((await dsProxyFactory.getPastEvents("Created"))[0].returnValues.proxy);
+    await reserveToken.mint(dsProxy.address, toWei("10000"));
+  });
+
+  it("Buys an exact amount of tokens for the recipient", async function() {
+    const callData = reserveCurrencySwapper.contract.methods
+      .swapForExactTokens(
+        router.address, // uniswapRouter
+        reserveToken.address, // reserveCurrency
+        collateralToken.address, // tokenOut
+        toWei("2"), // amountOut
+        MAX_UINT_VAL, // maxReserveTokenSpent
+        recipient, // recipient
+        unreachableDeadline
+      )
+      .encodeABI();
+
+    await dsProxy.contract.methods["execute(address,bytes)"](reserveCurrencySwapper.address, callData).send({
+      from: bot
+    });
+
+    // The recipient receives exactly the requested amount and the DSProxy paid for it with a bit over 2000 reserve.
+    assert.equal((await collateralToken.balanceOf(recipient)).toString(), toWei("2"));
+    const reserveSpent = toBN(toWei("10000")).sub(await reserveToken.balanceOf(dsProxy.address));
+    assert.isTrue(reserveSpent.gt(toBN(toWei("2000"))));
+    assert.isTrue(reserveSpent.lt(toBN(toWei("2010"))));
+  });
+
+  it("Reverts if the trade costs more than the max reserve spend", async function() {
+    const callData = reserveCurrencySwapper.contract.methods
+      .swapForExactTokens(
+        router.address,
+        reserveToken.address,
+        collateralToken.address,
+        toWei("2"),
+        toWei("1000"), // Half of what the trade costs.
+        recipient,
+        unreachableDeadline
+      )
+      .encodeABI();
+
+    let didRevert = false;
+    try {
+      await dsProxy.contract.methods["execute(address,bytes)"](reserveCurrencySwapper.address, callData).send({
+        from: bot
+      });
+    } catch (error) {
+      didRevert = true;
+    }
+    assert.isTrue(didRevert);
+    assert.equal((await collateralToken.balanceOf(recipient)).toString(), "0");
+  });
+});
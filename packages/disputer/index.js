@@ -17,22 +17,203 @@ const {
   delay,
   waitForLogger,
   createReferencePriceFeedForFinancialContract,
-  setAllowance
+  createPriceFeed,
+  setAllowance,
+  TransactionManager,
+  TokenBalanceClient,
+  DSProxyManager,
+  createFinancialContractFactoryClients,
+  discoverFinancialContracts
 } = require("@uma/financial-templates-lib");
 
 // Truffle contracts.
-const { getAbi } = require("@uma/core");
+const { getAbi, getAddress } = require("@uma/core");
 const { getWeb3, PublicNetworks } = require("@uma/common");
 
+/**
+ * @notice Sets up a Disputer for one Financial Contract and approves the contract to spend the bot's collateral.
+ * @param {Object} logger Module responsible for sending logs.
+ * @param {Object} web3 web3.js instance with unlocked wallets used for all on-chain connections.
+ * @param {String} financialContractAddress Contract address of the Financial Contract.
+ * @param {String} account Ethereum account from which to send txns.
+ * @param {String} networkName Name of the public network, used to look up its multicall contract. Null otherwise.
+ * @param {Object} gasEstimator Module used to estimate gas prices. Can be shared across contracts.
+ * @param {Object} priceFeedConfig Configuration to construct the price feed object.
+ * @param {Object} disputerConfig Configuration to construct the disputer. Not modified.
+ * @param {Object} [transactionManager] Module used to send txns from `account`. Shared by all Disputers.
+ * @param {Object} [dsProxyManager] Module used to swap the DSProxy's reserve currency for collateral.
+ * @return {Object} Disputer or throws an Error.
+ */
+async function createDisputer({
+  logger,
+  web3,
+  financialContractAddress,
+  account,
+  networkName,
+  gasEstimator,
+  priceFeedConfig,
+  disputerConfig,
+  transactionManager,
+  dsProxyManager
+}) {
+  const getTime = () => Math.round(new Date().getTime() / 1000);
+
+  // Append the contract version and type to the disputerConfig, if the disputerConfig does not already contain one.
+  const detectedContract = await findContractVersion(financialContractAddress, web3);
+  disputerConfig = { ...disputerConfig };
+  if (!disputerConfig.contractVersion) disputerConfig.contractVersion = detectedContract.contractVersion;
+  if (!disputerConfig.contractType) disputerConfig.contractType = detectedContract.contractType;
+
+  // Check that the version and type is supported. Note if either is null this check will also catch it.
+  if (
+    SUPPORTED_CONTRACT_VERSIONS.filter(
+      vo => vo.contractType == disputerConfig.contractType && vo.contractVersion == disputerConfig.contractVersion
+    ).length == 0
+  )
+    throw new Error(
+      `Contract version specified or inferred is not supported by this bot. Disputer config:${JSON.stringify(
+        disputerConfig
+      )} & detectedContractVersion:${JSON.stringify(detectedContract)} are not part of ${JSON.stringify(
+        SUPPORTED_CONTRACT_VERSIONS
+      )}`
+    );
+
+  // Setup contract instances.
+  const financialContract = new web3.eth.Contract(
+    getAbi(disputerConfig.contractType, disputerConfig.contractVersion),
+    financialContractAddress
+  );
+
+  // Generate Financial Contract properties to inform bot of important on-chain state values that we only want to query once.
+  const [collateralTokenAddress, syntheticTokenAddress] = await Promise.all([
+    financialContract.methods.collateralCurrency().call(),
+    financialContract.methods.tokenCurrency().call()
+  ]);
+
+  const collateralToken = new web3.eth.Contract(getAbi("ExpandedERC20"), collateralTokenAddress);
+  const syntheticToken = new web3.eth.Contract(getAbi("ExpandedERC20"), syntheticTokenAddress);
+  const [priceIdentifier, collateralDecimals, syntheticDecimals] = await Promise.all([
+    financialContract.methods.priceIdentifier().call(),
+    collateralToken.methods.decimals().call(),
+    syntheticToken.methods.decimals().call()
+  ]);
+
+  const priceFeed = await createReferencePriceFeedForFinancialContract(
+    logger,
+    web3,
+    new Networker(logger),
+    getTime,
+    financialContractAddress,
+    priceFeedConfig
+  );
+
+  if (!priceFeed) {
+    throw new Error("Price feed config is invalid");
+  }
+
+  // Prices gas in collateral for `minProfit`, unless a static `ethPriceInCollateral` is configured instead.
+  let ethPriceFeed;
+  if (disputerConfig.ethPriceFeedConfig) {
+    ethPriceFeed = await createPriceFeed(
+      logger,
+      web3,
+      new Networker(logger),
+      getTime,
+      disputerConfig.ethPriceFeedConfig
+    );
+    if (!ethPriceFeed) throw new Error("ETH price feed config is invalid");
+  }
+
+  // Generate Financial Contract properties to inform bot of important on-chain state values that we only want to query once.
+  const financialContractProps = {
+    priceIdentifier: priceIdentifier
+  };
+
+  // Client and dispute bot.
+  const financialContractClient = new FinancialContractClient(
+    logger,
+    getAbi(disputerConfig.contractType, disputerConfig.contractVersion),
+    web3,
+    financialContractAddress,
+    networkName ? multicallAddressMap[networkName].multicall : null,
+    collateralDecimals,
+    syntheticDecimals,
+    priceFeed.getPriceFeedDecimals(),
+    disputerConfig.contractType
+  );
+
+  await gasEstimator.update();
+
+  const disputer = new Disputer({
+    logger,
+    financialContractClient,
+    gasEstimator,
+    priceFeed,
+    account,
+    financialContractProps,
+    disputerConfig,
+    transactionManager,
+    // Tracks the account's collateral to check that it can pay for disputes.
+    tokenBalanceClient: new TokenBalanceClient(
+      logger,
+      getAbi("ExpandedERC20"),
+      web3,
+      collateralTokenAddress,
+      syntheticTokenAddress
+    ),
+    dsProxyManager,
+    ethPriceFeed
+  });
+
+  logger.debug({
+    at: "Disputer#index",
+    message: "Disputer initialized",
+    financialContractAddress,
+    collateralDecimals: Number(collateralDecimals),
+    syntheticDecimals: Number(syntheticDecimals),
+    priceFeedDecimals: Number(priceFeed.getPriceFeedDecimals()),
+    priceFeedConfig,
+    disputerConfig
+  });
+
+  if (disputer.transactionManager.dryRun) return disputer;
+
+  // The Financial Contract requires approval to transfer the disputer's collateral tokens in order to dispute a liquidation.
+  // We'll set this once to the max value and top up whenever the bot's allowance drops below MAX_INT / 2.
+  const collateralApproval = await setAllowance(
+    web3,
+    disputer.transactionManager,
+    financialContractAddress,
+    collateralTokenAddress
+  );
+  if (collateralApproval) {
+    logger.info({
+      at: "Disputer#index",
+      message: "Approved Financial Contract to transfer unlimited collateral tokens 💰",
+      financialContractAddress,
+      collateralApprovalTx: collateralApproval.tx.transactionHash
+    });
+  }
+
+  return disputer;
+}
+
 /**
  * @notice Continuously attempts to dispute liquidations in the Financial Contract contract.
  * @param {Object} logger Module responsible for sending logs.
- * @param {String} address Contract address of the Financial Contract.
+ * @param {String} address Contract address of the Financial Contract. Ignored if `multiContractConfig` is set.
  * @param {Number} pollingDelay The amount of seconds to wait between iterations. If set to 0 then running in serverless
  *     mode which will exit after the loop.
- * @param {Object} priceFeedConfig Configuration to construct the price feed object.
+ * @param {Object} priceFeedConfig Configuration to construct the price feed object. In multi-contract mode it is
+ *     combined with each contract's default price feed config.
  * @param {Object} [disputerConfig] Configuration to construct the disputer.
  * @param {String} [disputerOverridePrice] Optional String representing a Wei number to override the disputer price feed.
+ * @param {Object} [multiContractConfig] If set, disputes on every contract created by the ExpiringMultiPartyCreator and
+ *     PerpetualCreator instead of `financialContractAddress`. Can contain an `allowList` and `denyList` of addresses and
+ *     `creators` to query instead of the latest deployed ones. See `createFinancialContractFactoryClients`.
+ * @param {Object} [gasEstimatorConfig] Configuration to construct the GasEstimator, e.g. a `strategy` of "node" to
+ *     estimate gas prices from the connected node only. See `GasEstimator`.
+ * @param {Boolean} [dryRun] If true, transactions are simulated and logged but never sent, and no approvals are set.
  * @return None or throws an Error.
  */
 async function run({
@@ -44,11 +225,12 @@ async function run({
   errorRetriesTimeout,
   priceFeedConfig,
   disputerConfig,
-  disputerOverridePrice
+  disputerOverridePrice,
+  multiContractConfig,
+  gasEstimatorConfig,
+  dryRun = false
 }) {
   try {
-    const getTime = () => Math.round(new Date().getTime() / 1000);
-
     // If pollingDelay === 0 then the bot is running in serverless mode and should send a `debug` level log.
     // Else, if running in loop mode (pollingDelay != 0), then it should send a `info` level log.
     logger[pollingDelay === 0 ? "debug" : "info"]({
@@ -60,129 +242,82 @@ async function run({
       errorRetriesTimeout,
       priceFeedConfig,
       disputerConfig,
-      disputerOverridePrice
+      disputerOverridePrice,
+      multiContractConfig,
+      gasEstimatorConfig,
+      dryRun
     });
 
     // Load unlocked web3 accounts and get the networkId.
-    const [detectedContract, accounts, networkId] = await Promise.all([
-      findContractVersion(financialContractAddress, web3),
-      web3.eth.getAccounts(),
-      web3.eth.net.getId()
-    ]);
+    const [accounts, networkId] = await Promise.all([web3.eth.getAccounts(), web3.eth.net.getId()]);
     const networkName = PublicNetworks[Number(networkId)] ? PublicNetworks[Number(networkId)].name : null;
 
-    // Append the contract version and type to the disputerConfig, if the disputerConfig does not already contain one.
-    if (!disputerConfig) disputerConfig = {};
-    if (!disputerConfig.contractVersion) disputerConfig.contractVersion = detectedContract.contractVersion;
-    if (!disputerConfig.contractType) disputerConfig.contractType = detectedContract.contractType;
-
-    // Check that the version and type is supported. Note if either is null this check will also catch it.
-    if (
-      SUPPORTED_CONTRACT_VERSIONS.filter(
-        vo => vo.contractType == disputerConfig.contractType && vo.contractVersion == disputerConfig.contractVersion
-      ).length == 0
-    )
-      throw new Error(
-        `Contract version specified or inferred is not supported by this bot. Disputer config:${JSON.stringify(
-          disputerConfig
-        )} & detectedContractVersion:${JSON.stringify(detectedContract)} are not part of ${JSON.stringify(
-          SUPPORTED_CONTRACT_VERSIONS
-        )}`
-      );
-
-    // Setup contract instances.
-    const financialContract = new web3.eth.Contract(
-      getAbi(disputerConfig.contractType, disputerConfig.contractVersion),
-      financialContractAddress
-    );
-
-    // Generate Financial Contract properties to inform bot of important on-chain state values that we only want to query once.
-    const [collateralTokenAddress, syntheticTokenAddress] = await Promise.all([
-      financialContract.methods.collateralCurrency().call(),
-      financialContract.methods.tokenCurrency().call()
-    ]);
-
-    const collateralToken = new web3.eth.Contract(getAbi("ExpandedERC20"), collateralTokenAddress);
-    const syntheticToken = new web3.eth.Contract(getAbi("ExpandedERC20"), syntheticTokenAddress);
-    const [priceIdentifier, collateralDecimals, syntheticDecimals] = await Promise.all([
-      financialContract.methods.priceIdentifier().call(),
-      collateralToken.methods.decimals().call(),
-      syntheticToken.methods.decimals().call()
-    ]);
-
-    const priceFeed = await createReferencePriceFeedForFinancialContract(
+    // The GasEstimator gets the latest gas prices. It is shared by the disputers of all contracts.
+    const gasEstimator = new GasEstimator(logger, /* updateThreshold */ 60, /* defaultFastPriceGwei */ 50, web3, {
+      networkId,
+      ...gasEstimatorConfig
+    });
+    // All disputers send through one TransactionManager as they all send from the same account.
+    const transactionManager = new TransactionManager({
       logger,
       web3,
-      new Networker(logger),
-      getTime,
-      financialContractAddress,
-      priceFeedConfig
-    );
+      gasEstimator,
+      account: accounts[0],
+      transactionManagerConfig: { dryRun }
+    });
 
-    if (!priceFeed) {
-      throw new Error("Price feed config is invalid");
+    // Collateral can be bought with the reserve currency held by the account's DSProxy.
+    let dsProxyManager;
+    if (disputerConfig && disputerConfig.collateralTopUpSource === "uniswap") {
+      await gasEstimator.update();
+      dsProxyManager = new DSProxyManager({
+        logger,
+        web3,
+        gasEstimator,
+        account: accounts[0],
+        dsProxyFactoryAddress: disputerConfig.dsProxyFactoryAddress || getAddress("DSProxyFactory", networkId),
+        dsProxyFactoryAbi: getAbi("DSProxyFactory"),
+        dsProxyAbi: getAbi("DSProxy"),
+        transactionManager
+      });
+      await dsProxyManager.initializeDSProxy(disputerConfig.dsProxyAddress, !dryRun);
+      if (!dsProxyManager.getDSProxyAddress()) {
+        throw new Error("Dry runs cannot deploy a DSProxy. Set `dsProxyAddress` or deploy one before the dry run");
+      }
     }
 
-    // Generate Financial Contract properties to inform bot of important on-chain state values that we only want to query once.
-    const financialContractProps = {
-      priceIdentifier: priceIdentifier
-    };
-
-    // Client and dispute bot.
-    const financialContractClient = new FinancialContractClient(
+    const botParams = {
       logger,
-      getAbi(disputerConfig.contractType, disputerConfig.contractVersion),
       web3,
-      financialContractAddress,
-      networkName ? multicallAddressMap[networkName].multicall : null,
-      collateralDecimals,
-      syntheticDecimals,
-      priceFeed.getPriceFeedDecimals(),
-      disputerConfig.contractType
-    );
-
-    const gasEstimator = new GasEstimator(logger);
-    await gasEstimator.update();
-
-    const disputer = new Disputer({
-      logger,
-      financialContractClient,
-      gasEstimator,
-      priceFeed,
       account: accounts[0],
-      financialContractProps,
-      disputerConfig
-    });
-
-    logger.debug({
-      at: "Disputer#index",
-      message: "Disputer initialized",
-      collateralDecimals: Number(collateralDecimals),
-      syntheticDecimals: Number(syntheticDecimals),
-      priceFeedDecimals: Number(priceFeed.getPriceFeedDecimals()),
+      networkName,
+      gasEstimator,
       priceFeedConfig,
-      disputerConfig
-    });
+      disputerConfig,
+      transactionManager,
+      dsProxyManager
+    };
 
-    // The Financial Contract requires approval to transfer the disputer's collateral tokens in order to dispute a liquidation.
-    // We'll set this once to the max value and top up whenever the bot's allowance drops below MAX_INT / 2.
-    const collateralApproval = await setAllowance(
-      web3,
-      gasEstimator,
-      accounts[0],
-      financialContractAddress,
-      collateralTokenAddress
-    );
-    if (collateralApproval) {
-      logger.info({
-        at: "Disputer#index",
-        message: "Approved Financial Contract to transfer unlimited collateral tokens 💰",
-        collateralApprovalTx: collateralApproval.tx.transactionHash
-      });
+    // Disputers by contract address. In multi-contract mode, contracts are added as the factories create them.
+    const disputers = {};
+    let factoryClients;
+    if (multiContractConfig) {
+      factoryClients = createFinancialContractFactoryClients(
+        logger,
+        web3,
+        networkId,
+        multiContractConfig.creators,
+        multiContractConfig.startingBlock
+      );
+    } else {
+      disputers[financialContractAddress] = await createDisputer({ ...botParams, financialContractAddress });
     }
+    // Contracts that could not be set up, e.g. because there is no default price feed for their identifier or an RPC
+    // call failed. Setup is retried on every discovery pass, but only the first failure is logged as a warning.
+    const failedContracts = new Set();
 
-    // Create a execution loop that will run indefinitely (or yield early if in serverless mode)
-    for (;;) {
+    // Runs one iteration of the bot against a single contract.
+    const runDisputer = async disputer => {
       await retry(
         async () => {
           await disputer.update();
@@ -197,11 +332,60 @@ async function run({
             logger.debug({
               at: "Disputer#index",
               message: "An error was thrown in the execution loop - retrying",
+              financialContractAddress: disputer.financialContract.options.address,
               error: typeof error === "string" ? new Error(error) : error
             });
           }
         }
       );
+    };
+
+    // Create a execution loop that will run indefinitely (or yield early if in serverless mode)
+    for (;;) {
+      if (multiContractConfig) {
+        const contracts = await discoverFinancialContracts(
+          factoryClients,
+          multiContractConfig.allowList,
+          multiContractConfig.denyList
+        );
+        for (const { contractAddress, contractType } of contracts) {
+          if (disputers[contractAddress]) continue;
+          try {
+            disputers[contractAddress] = await createDisputer({
+              ...botParams,
+              financialContractAddress: contractAddress,
+              disputerConfig: { ...disputerConfig, contractType }
+            });
+          } catch (error) {
+            logger[failedContracts.has(contractAddress) ? "debug" : "warn"]({
+              at: "Disputer#index",
+              message: "Skipping Financial Contract that the disputer could not be set up for",
+              financialContractAddress: contractAddress,
+              error: typeof error === "string" ? new Error(error) : error
+            });
+            failedContracts.add(contractAddress);
+          }
+        }
+      }
+
+      for (const [contractAddress, disputer] of Object.entries(disputers)) {
+        // A single contract failing should not stop the disputers of the other contracts.
+        if (multiContractConfig) {
+          try {
+            await runDisputer(disputer);
+          } catch (error) {
+            logger.error({
+              at: "Disputer#index",
+              message: "Disputer execution error for Financial Contract🚨",
+              financialContractAddress: contractAddress,
+              error: typeof error === "string" ? new Error(error) : error
+            });
+          }
+        } else {
+          await runDisputer(disputer);
+        }
+      }
+
       // If the polling delay is set to 0 then the script will terminate the bot after one full run.
       if (pollingDelay === 0) {
         logger.debug({
@@ -227,9 +411,9 @@ async function run({
 
 async function Poll(callback) {
   try {
-    if (!process.env.EMP_ADDRESS && !process.env.FINANCIAL_CONTRACT_ADDRESS) {
+    if (!process.env.EMP_ADDRESS && !process.env.FINANCIAL_CONTRACT_ADDRESS && !process.env.MULTI_CONTRACT_CONFIG) {
       throw new Error(
-        "Bad environment variables! Specify an EMP_ADDRESS or FINANCIAL_CONTRACT_ADDRESS for the location of the financial contract the bot is expected to interact with."
+        "Bad environment variables! Specify an EMP_ADDRESS or FINANCIAL_CONTRACT_ADDRESS for the location of the financial contract the bot is expected to interact with, or a MULTI_CONTRACT_CONFIG to interact with every financial contract."
       );
     }
 
@@ -252,13 +436,47 @@ async function Poll(callback) {
       // If there is a disputer config, add it. Else, set to null. This config contains disputeDelay and txnGasLimit. EG:
       // {"disputeDelay":60, -> delay in seconds from detecting a disputable position to actually sending the dispute.
       // "txnGasLimit":9000000 -> gas limit for sent transactions.
+      // "minProfit":"10", -> skip disputes expected to earn less than this much collateral, net of gas.
+      // "ethPriceFeedConfig":{"type":"medianizer",..}, -> price feed for collateral per ETH, used to price gas.
+      // "ethPriceInCollateral":"1", -> static collateral per ETH, used to price gas if there is no ethPriceFeedConfig.
+      //                                one of the two is required with minProfit.
+      // "skipUnprofitable":true, -> if false, unprofitable disputes are logged but still sent.
+      // "collateralTopUpSource":"treasury", -> get missing dispute collateral by wrapping ETH ("weth"), swapping the
+      //                                        DSProxy's reserve currency ("uniswap") or from a treasury ("treasury").
+      // "treasuryAddress":"0x..", -> account that has approved the bot to pull its collateral.
+      // "reserveCurrencyAddress":"0x..", -> token held by the DSProxy that is swapped for collateral.
+      // "maxReserveTokenSpent":"1000000000000000000000", -> maximum reserve currency to spend on a single swap.
+      // "swapperReserveCurrencyAddress":"0x..", -> deployed ReserveCurrencySwapper. Deployed per tx if unset.
+      // "dsProxyFactoryAddress":"0x..", -> DSProxyFactory used to find or deploy the account's DSProxy.
+      // "dsProxyAddress":"0x..", -> use this DSProxy instead of looking one up through the factory.
       // "contractType":"ExpiringMultiParty", -> override the kind of contract the disputer is pointing at.
       // "contractVersion":"ExpiringMultiParty"} -> override the contract version the disputer is pointing at.
       // }
       disputerConfig: process.env.DISPUTER_CONFIG ? JSON.parse(process.env.DISPUTER_CONFIG) : null,
       // If there is a DISPUTER_OVERRIDE_PRICE environment variable then the disputer will disregard the price from the
       // price feed and preform disputes at this override price. Use with caution as wrong input could cause invalid disputes.
-      disputerOverridePrice: process.env.DISPUTER_OVERRIDE_PRICE
+      disputerOverridePrice: process.env.DISPUTER_OVERRIDE_PRICE,
+      // If there is a multi contract config, dispute on every ExpiringMultiParty and Perpetual created by UMA's
+      // factories instead of the single financial contract. Each contract's price feed is inferred from its identifier
+      // and combined with PRICE_FEED_CONFIG, if set. Example config:
+      // { "allowList":["0x.."], -> Only dispute on these contracts. Defaults to all contracts.
+      //   "denyList":["0x.."], -> Never dispute on these contracts.
+      //   "creators":[{"contractType":"ExpiringMultiPartyCreator","address":"0x.."}], -> Factories to query instead
+      //                                                                                  of the latest deployed ones.
+      //   "startingBlock":0} -> Block to search for created contracts from.
+      multiContractConfig: process.env.MULTI_CONTRACT_CONFIG ? JSON.parse(process.env.MULTI_CONTRACT_CONFIG) : null,
+      // If there is a gas estimator config, add it. Else, gas prices are estimated with the network's default strategy.
+      // Example config:
+      // { "strategy":"node", -> "legacy" for gas price APIs only, "london" to also send EIP-1559 transactions with fees
+      //                         from the node's fee history, or "node" for EIP-1559 fees without any external API.
+      //   "feeHistoryBlocks":10, -> Number of recent blocks whose priority fees are sampled.
+      //   "priorityFeePercentile":50, -> Percentile of each block's priority fees that is sampled.
+      //   "baseFeeMultiplier":2, -> maxFeePerGas is the next block's base fee times this plus the priority fee.
+      //   "gasSources":[{"type":"blockSample","blocks":10,"percentile":60},{"type":"node"}]} -> Gas price sources, tried
+      //                  in order. Types are "etherchain", "etherscan", "blockSample" and "node".
+      gasEstimatorConfig: process.env.GAS_ESTIMATOR_CONFIG ? JSON.parse(process.env.GAS_ESTIMATOR_CONFIG) : {},
+      // If DRY_RUN is "true", the bot runs its full logic but only simulates and logs the transactions it would send.
+      dryRun: process.env.DRY_RUN === "true"
     };
 
     await run({ logger: Logger, web3: getWeb3(), ...executionParameters });
@@ -1,8 +1,16 @@
 const {
   PostWithdrawLiquidationRewardsStatusTranslations,
   revertWrapper,
-  createObjectFromDefaultProps
+  createObjectFromDefaultProps,
+  ConvertDecimals
 } = require("@uma/common");
+const { getAbi, getTruffleContract } = require("@uma/core");
+const {
+  createProfitabilityModel,
+  createPriceQualityConfig,
+  checkPriceQuality,
+  TransactionManager
+} = require("@uma/financial-templates-lib");
 
 class Disputer {
   /**
@@ -15,6 +23,14 @@ class Disputer {
    * @param {Object} financialContractProps Contains Financial Contract contract state data. Expected:
    *      { priceIdentifier: hex("ETH/BTC") }
    * @param {Object} [disputerConfig] Contains fields with which constructor will attempt to override defaults.
+   * @param {Object} [transactionManager] Module used to send txns from `account`. Should be shared with other bots in
+   *      the process that send from `account`. A new one is created if not provided.
+   * @param {Object} [tokenBalanceClient] Module used to query the account's collateral balance. Required if
+   *      `collateralTopUpSource` is set in the `disputerConfig`.
+   * @param {Object} [dsProxyManager] Module used to swap the DSProxy's reserve currency for collateral. Required if
+   *      `collateralTopUpSource` is "uniswap". Its DSProxy must already be initialized.
+   * @param {Object} [ethPriceFeed] Module used to query the price of ETH in collateral currency, used to convert gas
+   *      costs into collateral for `minProfit`. Takes precedence over `ethPriceInCollateral`.
    */
   constructor({
     logger,
@@ -23,7 +39,11 @@ class Disputer {
     priceFeed,
     account,
     financialContractProps,
-    disputerConfig
+    disputerConfig,
+    transactionManager,
+    tokenBalanceClient,
+    dsProxyManager,
+    ethPriceFeed
   }) {
     this.logger = logger;
     this.account = account;
@@ -35,8 +55,13 @@ class Disputer {
     // Gas Estimator to calculate the current Fast gas rate
     this.gasEstimator = gasEstimator;
 
+    // Sends transactions and bumps their gas price while they are pending.
+    this.transactionManager =
+      transactionManager || new TransactionManager({ logger, web3: this.web3, gasEstimator, account });
+
     // Price feed to compute the token price.
     this.priceFeed = priceFeed;
+    this.ethPriceFeed = ethPriceFeed;
 
     // Instance of the expiring multiparty to perform on-chain disputes
     this.financialContract = this.financialContractClient.financialContract;
@@ -44,13 +69,12 @@ class Disputer {
     this.financialContractIdentifier = financialContractProps.priceIdentifier;
 
     // Helper functions from web3.
+    this.BN = this.web3.utils.BN;
     this.fromWei = this.web3.utils.fromWei;
     this.toBN = this.web3.utils.toBN;
+    this.toWei = this.web3.utils.toWei;
     this.utf8ToHex = this.web3.utils.utf8ToHex;
 
-    // Multiplier applied to Truffle's estimated gas limit for a transaction to send.
-    this.GAS_LIMIT_BUFFER = 1.25;
-
     // Default config settings. Disputer deployer can override these settings by passing in new
     // values via the `disputerConfig` input object. The `isValid` property is a function that should be called
     // before resetting any config settings. `isValid` must return a Boolean.
@@ -63,6 +87,80 @@ class Disputer {
           return x >= 0;
         }
       },
+      // `maxPriceDispersion` and `maxPriceAge`: Skips disputes while the price feed's sources disagree too much or
+      // its price is stale. See `createPriceQualityConfig` in financial-templates-lib.
+      ...createPriceQualityConfig(),
+      minProfit: {
+        // `minProfit`: Skips disputes whose expected reward, net of gas and in whole units of collateral, is below this
+        // value. Requires an `ethPriceFeed` or `ethPriceInCollateral`. Undefined disables the check.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || !isNaN(parseFloat(x));
+        }
+      },
+      ethPriceInCollateral: {
+        // `ethPriceInCollateral`: Collateral per ETH, in whole units, used to convert gas costs into collateral for
+        // `minProfit` if there is no `ethPriceFeed`. E.g. "1" for WETH collateral.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || parseFloat(x) > 0;
+        }
+      },
+      skipUnprofitable: {
+        // `skipUnprofitable`: If false, disputes below `minProfit` are still sent, but logged.
+        value: true,
+        isValid: x => {
+          return typeof x === "boolean";
+        }
+      },
+      collateralTopUpSource: {
+        // `collateralTopUpSource`: Where to get collateral from when the account holds less than the bonds and final
+        // fees of all pending disputes. "weth" wraps the account's ETH and only works for WETH collateral, "uniswap"
+        // swaps the DSProxy's reserve currency for collateral and "treasury" pulls collateral from `treasuryAddress`,
+        // which must have approved the account. Undefined disables top ups.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || x === "weth" || x === "uniswap" || x === "treasury";
+        }
+      },
+      treasuryAddress: {
+        // `treasuryAddress`: Account that collateral is pulled from if `collateralTopUpSource` is "treasury".
+        value: undefined,
+        isValid: x => {
+          return x === undefined || this.web3.utils.isAddress(x);
+        }
+      },
+      uniswapRouterAddress: {
+        // `uniswapRouterAddress`: Uniswap v2 router used to buy collateral if `collateralTopUpSource` is "uniswap".
+        value: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D", // Mainnet Uniswap v2 router.
+        isValid: x => {
+          return this.web3.utils.isAddress(x);
+        }
+      },
+      reserveCurrencyAddress: {
+        // `reserveCurrencyAddress`: Token held by the DSProxy that is swapped for collateral. Must differ from the
+        // collateral currency.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || this.web3.utils.isAddress(x);
+        }
+      },
+      swapperReserveCurrencyAddress: {
+        // `swapperReserveCurrencyAddress`: Deployed ReserveCurrencySwapper library. If undefined, the library is
+        // deployed within each swap transaction, which costs more gas.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || this.web3.utils.isAddress(x);
+        }
+      },
+      maxReserveTokenSpent: {
+        // `maxReserveTokenSpent`: Maximum amount of reserve currency, in wei, to spend on a single swap. Bounds the
+        // slippage of the Uniswap trade. If undefined, the DSProxy can spend its whole reserve balance.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || this.toBN(x).gt(this.toBN("0"));
+        }
+      },
       txnGasLimit: {
         // `txnGasLimit`: Gas limit to set for sending on-chain transactions.
         value: 9000000, // Can see recent averages here: https://etherscan.io/chart/gaslimit
@@ -91,11 +189,41 @@ class Disputer {
     this.isLegacyEmpVersion = Boolean(
       this.contractVersion === "1.2.0" || this.contractVersion === "1.2.1" || this.contractVersion === "1.2.2"
     );
+
+    if (this.collateralTopUpSource) {
+      if (!tokenBalanceClient) throw new Error("A tokenBalanceClient is required to top up collateral");
+      if (this.collateralTopUpSource === "treasury" && !this.treasuryAddress) {
+        throw new Error("A treasuryAddress is required to top up collateral from a treasury");
+      }
+      if (this.collateralTopUpSource === "uniswap" && (!dsProxyManager || !this.reserveCurrencyAddress)) {
+        throw new Error("A dsProxyManager and reserveCurrencyAddress are required to top up collateral on Uniswap");
+      }
+    }
+    // Tracks the account's collateral so that disputes are only attempted if they can be paid for.
+    this.tokenBalanceClient = tokenBalanceClient;
+    this.dsProxyManager = dsProxyManager;
+
+    if (this.minProfit !== undefined) {
+      if (!this.ethPriceFeed && this.ethPriceInCollateral === undefined) {
+        throw new Error("`minProfit` requires an `ethPriceFeed` or `ethPriceInCollateral`");
+      }
+      this.profitabilityModel = createProfitabilityModel(
+        { minProfit: this.minProfit, ethPriceInCollateral: this.ethPriceInCollateral },
+        this.web3.utils
+      );
+    }
   }
 
   // Update the client and gasEstimator clients.
   async update() {
-    await Promise.all([this.financialContractClient.update(), this.gasEstimator.update(), this.priceFeed.update()]);
+    if (this.tokenBalanceClient) this.tokenBalanceClient.batchRegisterAddresses([this.account]);
+    await Promise.all([
+      this.financialContractClient.update(),
+      this.gasEstimator.update(),
+      this.priceFeed.update(),
+      this.ethPriceFeed && this.ethPriceFeed.update(),
+      this.tokenBalanceClient && this.tokenBalanceClient.update()
+    ]);
   }
 
   // Queries disputable liquidations and disputes any that were incorrectly liquidated. If `disputerOverridePrice` is
@@ -106,6 +234,17 @@ class Disputer {
       message: "Checking for any disputable liquidations"
     });
 
+    // Historical prices are read per liquidation, but if the price feed is stale or its sources currently disagree too
+    // much then its data is not trustworthy enough to dispute with.
+    const priceQualityError =
+      !disputerOverridePrice &&
+      checkPriceQuality(this.priceFeed, this.financialContractClient.getLastUpdateTime(), this);
+    if (priceQualityError) {
+      const { reason, ...details } = priceQualityError;
+      this.logger.warn({ at: "Disputer", message: `Cannot dispute: ${reason}✋`, ...details });
+      return;
+    }
+
     // Get the latest disputable liquidations from the client.
     const undisputedLiquidations = this.financialContractClient.getUndisputedLiquidations();
     const disputableLiquidationsWithPrices = (
@@ -171,11 +310,40 @@ class Disputer {
       return;
     }
 
-    for (const disputeableLiquidation of disputableLiquidationsWithPrices) {
+    // Dispute the liquidations with the largest expected reward first, so that they are funded if collateral runs short.
+    const disputeParameters = await this._getDisputeParameters();
+    const disputableLiquidations = disputableLiquidationsWithPrices
+      .map(liquidation => ({ ...liquidation, ...this._getDisputeRequirements(liquidation, disputeParameters) }))
+      .sort((a, b) => this.toBN(b.expectedReward).cmp(this.toBN(a.expectedReward)));
+
+    // Top up the account if it can't pay for every dispute.
+    let availableCollateral;
+    if (this.tokenBalanceClient) {
+      const requiredCollateral = disputableLiquidations.reduce(
+        (total, liquidation) => total.add(this.toBN(liquidation.requiredCollateral)),
+        this.toBN("0")
+      );
+      availableCollateral = await this._topUpCollateral(requiredCollateral);
+    }
+
+    for (const disputeableLiquidation of disputableLiquidations) {
+      if (availableCollateral && availableCollateral.lt(this.toBN(disputeableLiquidation.requiredCollateral))) {
+        this.logger.error({
+          at: "Disputer",
+          message: "Cannot dispute liquidation: not enough collateral to pay the dispute bond and final fee✋",
+          disputer: this.account,
+          sponsor: disputeableLiquidation.sponsor,
+          liquidation: disputeableLiquidation,
+          availableCollateral: availableCollateral.toString()
+        });
+        continue;
+      }
+
       // Create the transaction.
       const dispute = this.financialContract.methods.dispute(disputeableLiquidation.id, disputeableLiquidation.sponsor);
 
-      // Simple version of inventory management: simulate the transaction and assume that if it fails, the caller didn't have enough collateral.
+      // Simulate the transaction. Without a tokenBalanceClient, assume that if it fails, the caller didn't have enough
+      // collateral.
       let totalPaid, gasEstimation;
       try {
         [totalPaid, gasEstimation] = await Promise.all([
@@ -194,24 +362,26 @@ class Disputer {
         });
         continue;
       }
+      if (!(await this._isDisputeWorthSending(disputeableLiquidation, gasEstimation))) continue;
 
-      const txnConfig = {
-        from: this.account,
-        gas: Math.min(Math.floor(gasEstimation * this.GAS_LIMIT_BUFFER), this.txnGasLimit),
-        gasPrice: this.gasEstimator.getCurrentFastPrice()
-      };
-
+      let fees = this.gasEstimator.getCurrentFees();
       this.logger.debug({
         at: "Disputer",
         message: "Disputing liquidation",
         liquidation: disputeableLiquidation,
-        txnConfig
+        gasEstimation,
+        fees
       });
 
       // Send the transaction or report failure.
-      let receipt;
+      let receipt, dryRun;
       try {
-        receipt = await dispute.send(txnConfig);
+        ({ receipt, dryRun, fees } = await this.transactionManager.sendTransaction({
+          transaction: dispute,
+          gasEstimate: gasEstimation,
+          maxGas: this.txnGasLimit,
+          fees
+        }));
       } catch (error) {
         this.logger.error({
           at: "Disputer",
@@ -220,6 +390,10 @@ class Disputer {
         });
         continue;
       }
+      if (availableCollateral) {
+        availableCollateral = availableCollateral.sub(this.toBN(disputeableLiquidation.requiredCollateral));
+      }
+      if (dryRun) continue;
 
       const logResult = {
         tx: receipt.transactionHash,
@@ -232,11 +406,211 @@ class Disputer {
         at: "Disputer",
         message: "Position has been disputed!👮‍♂️",
         liquidation: disputeableLiquidation,
+        fees,
         disputeResult: logResult
       });
     }
   }
 
+  // Estimates the dispute's P&L if `minProfit` is set. Returns false if the dispute is expected to earn less than
+  // `minProfit` and should be skipped.
+  async _isDisputeWorthSending(liquidation, gasEstimation) {
+    if (!this.profitabilityModel) return true;
+
+    const ethPrice = this._getEthPriceInCollateral();
+    if (ethPrice === null) {
+      this.logger.warn({
+        at: "Disputer",
+        message: this.skipUnprofitable
+          ? "Skipping dispute: ETH price feed has no price to estimate its profit✋"
+          : "Disputing liquidation without estimating its profit: ETH price feed has no price⚠️",
+        sponsor: liquidation.sponsor,
+        liquidation
+      });
+      return !this.skipUnprofitable;
+    }
+
+    const {
+      normalizeCollateralDecimals,
+      normalizeSyntheticDecimals,
+      normalizePriceFeedDecimals
+    } = this.financialContractClient;
+    const { disputeBondPercentage, disputerDisputeRewardPercentage, finalFee } = await this._getDisputeParameters();
+    const estimate = this.profitabilityModel.calculateDisputeProfit({
+      liquidatedTokens: normalizeSyntheticDecimals(liquidation.numTokens),
+      lockedCollateral: normalizeCollateralDecimals(liquidation.lockedCollateral),
+      price: normalizePriceFeedDecimals(liquidation.price),
+      disputeBondPercentage,
+      disputerDisputeRewardPercentage,
+      finalFee: normalizeCollateralDecimals(finalFee),
+      gasEstimate: gasEstimation,
+      gasPrice: this.gasEstimator.getCurrentFastPrice(),
+      ethPrice
+    });
+    if (estimate.isProfitable) return true;
+
+    this.logger.warn({
+      at: "Disputer",
+      message: this.skipUnprofitable
+        ? "Skipping unprofitable dispute✋"
+        : "Disputing liquidation below the minimum profit⚠️",
+      sponsor: liquidation.sponsor,
+      liquidation,
+      minProfit: this.minProfit,
+      expectedProfit: this.fromWei(estimate.profit),
+      disputeReward: this.fromWei(estimate.disputeReward),
+      gasCost: this.fromWei(estimate.gasCost),
+      capitalRequired: this.fromWei(estimate.capitalRequired)
+    });
+    return !this.skipUnprofitable;
+  }
+
+  // Returns the collateral per ETH, scaled to 18 decimals, from the ETH price feed. Returns undefined if there is no ETH
+  // price feed, so that `ethPriceInCollateral` is used, or null if the feed has no price.
+  _getEthPriceInCollateral() {
+    if (!this.ethPriceFeed) return undefined;
+    const ethPrice = this.ethPriceFeed.getCurrentPrice();
+    if (!ethPrice) return null;
+    return ConvertDecimals(this.ethPriceFeed.getPriceFeedDecimals(), 18, this.web3)(ethPrice);
+  }
+
+  // Returns the collateral that disputing `liquidation` locks up and the reward that it is expected to earn, if it is
+  // upheld, for ordering disputes. The bond is based on the collateral locked at liquidation time, so it overestimates
+  // the bond if fees have accrued since.
+  _getDisputeRequirements(liquidation, { disputeBondPercentage, disputerDisputeRewardPercentage, finalFee }) {
+    const { normalizeSyntheticDecimals, normalizePriceFeedDecimals } = this.financialContractClient;
+    const fixedPointAdjustment = this.toBN(this.toWei("1"));
+    const disputeBond = this.toBN(liquidation.lockedCollateral)
+      .mul(this.toBN(disputeBondPercentage))
+      .div(fixedPointAdjustment);
+    const expectedReward = normalizeSyntheticDecimals(liquidation.numTokens)
+      .mul(normalizePriceFeedDecimals(liquidation.price))
+      .mul(this.toBN(disputerDisputeRewardPercentage))
+      .div(fixedPointAdjustment.mul(fixedPointAdjustment));
+    return {
+      requiredCollateral: disputeBond.add(this.toBN(finalFee)).toString(),
+      expectedReward: expectedReward.toString()
+    };
+  }
+
+  // Tops up the account's collateral from the `collateralTopUpSource` if it holds less than `requiredCollateral`.
+  // Returns the account's collateral balance, which is still short if there is no source or the top up failed.
+  async _topUpCollateral(requiredCollateral) {
+    const balance = this.toBN(this.tokenBalanceClient.getCollateralBalance(this.account) || "0");
+    if (balance.gte(requiredCollateral) || !this.collateralTopUpSource) return balance;
+
+    const shortfall = requiredCollateral.sub(balance);
+    const collateralAddress = await this.financialContract.methods.collateralCurrency().call();
+    this.logger.debug({
+      at: "Disputer",
+      message: "Topping up collateral for disputes",
+      collateralTopUpSource: this.collateralTopUpSource,
+      balance: balance.toString(),
+      requiredCollateral: requiredCollateral.toString(),
+      shortfall: shortfall.toString()
+    });
+
+    let transaction, value;
+    if (this.collateralTopUpSource === "weth") {
+      transaction = new this.web3.eth.Contract(getAbi("WETH9"), collateralAddress).methods.deposit();
+      value = shortfall.toString();
+    } else if (this.collateralTopUpSource === "treasury") {
+      transaction = new this.web3.eth.Contract(getAbi("ExpandedERC20"), collateralAddress).methods.transferFrom(
+        this.treasuryAddress,
+        this.account,
+        shortfall.toString()
+      );
+    } else {
+      transaction = await this._getSwapTransaction(collateralAddress, shortfall);
+    }
+
+    let dryRun;
+    try {
+      ({ dryRun } = await this.transactionManager.sendTransaction({ transaction, maxGas: this.txnGasLimit, value }));
+    } catch (error) {
+      this.logger.error({
+        at: "Disputer",
+        message: "Failed to top up collateral for disputes🚨",
+        collateralTopUpSource: this.collateralTopUpSource,
+        shortfall: shortfall.toString(),
+        error
+      });
+      return balance;
+    }
+    // Dry runs pretend that the top up succeeded, so that the disputes are simulated too.
+    if (dryRun) return requiredCollateral;
+
+    await this.tokenBalanceClient.update();
+    const newBalance = this.toBN(this.tokenBalanceClient.getCollateralBalance(this.account));
+    this.logger.info({
+      at: "Disputer",
+      message: "Topped up collateral for disputes💰",
+      collateralTopUpSource: this.collateralTopUpSource,
+      shortfall: shortfall.toString(),
+      balance: newBalance.toString()
+    });
+    return newBalance;
+  }
+
+  // Returns a DSProxy transaction that swaps its reserve currency for `amount` collateral and sends it to the account.
+  async _getSwapTransaction(collateralAddress, amount) {
+    const dsProxyAddress = this.dsProxyManager.getDSProxyAddress();
+    const reserveToken = new this.web3.eth.Contract(getAbi("ExpandedERC20"), this.reserveCurrencyAddress);
+    const reserveBalance = this.toBN(await reserveToken.methods.balanceOf(dsProxyAddress).call());
+    const maxReserveTokenSpent = this.maxReserveTokenSpent
+      ? this.BN.min(this.toBN(this.maxReserveTokenSpent), reserveBalance)
+      : reserveBalance;
+
+    const reserveCurrencySwapper = new this.web3.eth.Contract(getAbi("ReserveCurrencySwapper"));
+    const callData = reserveCurrencySwapper.methods
+      .swapForExactTokens(
+        this.uniswapRouterAddress,
+        this.reserveCurrencyAddress,
+        collateralAddress,
+        amount.toString(),
+        maxReserveTokenSpent.toString(),
+        this.account,
+        Number(this.financialContractClient.getLastUpdateTime()) + 300 // Abort if not mined within 5 minutes.
+      )
+      .encodeABI();
+
+    const { methods } = this.dsProxyManager.dsProxy;
+    if (this.swapperReserveCurrencyAddress) {
+      return methods["execute(address,bytes)"](this.swapperReserveCurrencyAddress, callData);
+    }
+    return methods["execute(bytes,bytes)"](getTruffleContract("ReserveCurrencySwapper", this.web3).bytecode, callData);
+  }
+
+  // Contract parameters used to size and estimate disputes. These don't change, so they are only looked up once.
+  async _getDisputeParameters() {
+    if (this.disputeParameters) return this.disputeParameters;
+
+    // Contract version 1.2.2 and below abbreviate "Percentage" to "Pct".
+    const { methods } = this.financialContract;
+    const [
+      disputeBondPercentage,
+      disputerDisputeRewardPercentage,
+      collateralCurrency,
+      finderAddress
+    ] = await Promise.all([
+      (this.isLegacyEmpVersion ? methods.disputeBondPct() : methods.disputeBondPercentage()).call(),
+      (this.isLegacyEmpVersion ? methods.disputerDisputeRewardPct() : methods.disputerDisputeRewardPercentage()).call(),
+      methods.collateralCurrency().call(),
+      methods.finder().call()
+    ]);
+    const finder = new this.web3.eth.Contract(getAbi("Finder"), finderAddress);
+    const storeAddress = await finder.methods.getImplementationAddress(this.utf8ToHex("Store")).call();
+    const store = new this.web3.eth.Contract(getAbi("Store"), storeAddress);
+    const finalFee = await store.methods.computeFinalFee(collateralCurrency).call();
+
+    this.disputeParameters = {
+      disputeBondPercentage: disputeBondPercentage.toString(),
+      disputerDisputeRewardPercentage: disputerDisputeRewardPercentage.toString(),
+      finalFee: finalFee.rawValue
+    };
+    return this.disputeParameters;
+  }
+
   // Queries ongoing disputes and attempts to withdraw any pending rewards from them.
   async withdrawRewards() {
     this.logger.debug({
@@ -296,23 +670,25 @@ class Disputer {
         continue;
       }
 
-      const txnConfig = {
-        from: this.account,
-        gas: Math.min(Math.floor(gasEstimation * this.GAS_LIMIT_BUFFER), this.txnGasLimit),
-        gasPrice: this.gasEstimator.getCurrentFastPrice()
-      };
+      let fees = this.gasEstimator.getCurrentFees();
       this.logger.debug({
         at: "Liquidator",
         message: "Withdrawing dispute",
         liquidation: liquidation,
         paidToDisputer,
-        txnConfig
+        gasEstimation,
+        fees
       });
 
       // Send the transaction or report failure.
-      let receipt;
+      let receipt, dryRun;
       try {
-        receipt = await withdraw.send(txnConfig);
+        ({ receipt, dryRun, fees } = await this.transactionManager.sendTransaction({
+          transaction: withdraw,
+          gasEstimate: gasEstimation,
+          maxGas: this.txnGasLimit,
+          fees
+        }));
       } catch (error) {
         this.logger.error({
           at: "Disputer",
@@ -321,6 +697,7 @@ class Disputer {
         });
         continue;
       }
+      if (dryRun) continue;
 
       let logResult = {
         tx: receipt.transactionHash,
@@ -346,6 +723,7 @@ class Disputer {
         at: "Disputer",
         message: "Dispute withdrawn🤑",
         liquidation: liquidation,
+        fees,
         liquidationResult: logResult
       });
     }
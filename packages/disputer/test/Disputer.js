@@ -18,7 +18,16 @@ const { getTruffleContract } = require("@uma/core");
 const { Disputer } = require("../src/disputer.js");
 
 // Helper clients and custom winston transport module to monitor winston log outputs
-const { FinancialContractClient, GasEstimator, PriceFeedMock, SpyTransport } = require("@uma/financial-templates-lib");
+const {
+  FinancialContractClient,
+  GasEstimator,
+  PriceFeedMock,
+  SpyTransport,
+  TransactionManager,
+  TokenBalanceClient,
+  lastSpyLogLevel,
+  lastSpyLogIncludes
+} = require("@uma/financial-templates-lib");
 
 // Run the tests against 3 different kinds of token/synth decimal combinations:
 // 1) matching 18 & 18 for collateral for most token types with normal tokens.
@@ -662,6 +671,75 @@ contract("Disputer.js", function(accounts) {
           );
         });
 
+        versionedIt([{ contractType: "any", contractVersion: "any" }])(
+          "Tops up collateral from a treasury before disputing",
+          async function() {
+            await financialContract.create(
+              { rawValue: convertCollateral("150") },
+              { rawValue: convertSynthetic("100") },
+              { from: sponsor1 }
+            );
+            await financialContract.create(
+              { rawValue: convertCollateral("1.75") },
+              { rawValue: convertSynthetic("1") },
+              { from: sponsor2 }
+            );
+            await financialContract.create(
+              { rawValue: convertCollateral("1000") },
+              { rawValue: convertSynthetic("500") },
+              { from: liquidator }
+            );
+            for (const sponsor of [sponsor1, sponsor2]) {
+              await financialContract.createLiquidation(
+                sponsor,
+                { rawValue: "0" },
+                { rawValue: convertPrice("1.75") },
+                { rawValue: convertSynthetic("100") },
+                unreachableDeadline,
+                { from: liquidator }
+              );
+            }
+
+            // Move all but 1 unit of the bot's collateral to a treasury that lets the bot pull it back.
+            const treasury = rando;
+            const transferAmount = (await collateralToken.balanceOf(disputeBot)).sub(toBN(convertCollateral("1")));
+            await collateralToken.transfer(treasury, transferAmount, { from: disputeBot });
+            await collateralToken.approve(disputeBot, transferAmount, { from: treasury });
+
+            disputer = new Disputer({
+              logger: spyLogger,
+              financialContractClient,
+              gasEstimator,
+              priceFeed: priceFeedMock,
+              account: disputeBot,
+              financialContractProps,
+              disputerConfig: { ...disputerConfig, collateralTopUpSource: "treasury", treasuryAddress: treasury },
+              tokenBalanceClient: new TokenBalanceClient(
+                spyLogger,
+                Token.abi,
+                web3,
+                collateralToken.address,
+                syntheticToken.address
+              )
+            });
+
+            // Both liquidations are disputable, and the bot pulls enough collateral from the treasury for both.
+            priceFeedMock.setHistoricalPrice(convertPrice("1.1"));
+            await disputer.update();
+            await disputer.dispute();
+            assert.equal(spy.callCount, 3); // One info event for the top up and two for the disputes.
+            assert.include(spy.getCall(0).lastArg.message, "Topped up collateral");
+
+            for (const sponsor of [sponsor1, sponsor2]) {
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor))[0].state,
+                LiquidationStatesEnum.PENDING_DISPUTE
+              );
+            }
+            assert.isTrue((await collateralToken.balanceOf(treasury)).lt(transferAmount));
+          }
+        );
+
         describe("Overrides the default disputer configuration settings", function() {
           versionedIt([{ contractType: "any", contractVersion: "any" }])(
             "Cannot set `disputeDelay` < 0",
@@ -756,6 +834,269 @@ contract("Disputer.js", function(accounts) {
             }
           );
 
+          versionedIt([{ contractType: "any", contractVersion: "any" }])(
+            "Sets `maxPriceDispersion` to 5%",
+            async function() {
+              disputerConfig = { ...disputerConfig, maxPriceDispersion: 0.05 };
+              disputer = new Disputer({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                disputerConfig
+              });
+
+              // sponsor1 creates a position with 150 units of collateral, creating 100 synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("150") },
+                { rawValue: convertSynthetic("100") },
+                { from: sponsor1 }
+              );
+
+              // The liquidator creates a position to have synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("1000") },
+                { rawValue: convertSynthetic("500") },
+                { from: liquidator }
+              );
+
+              await financialContract.createLiquidation(
+                sponsor1,
+                { rawValue: "0" },
+                { rawValue: convertPrice("1.75") },
+                { rawValue: convertSynthetic("100") },
+                unreachableDeadline,
+                { from: liquidator }
+              );
+
+              // With a price of 1.1 the liquidation is disputable, but the price feed's sources disagree by 10%.
+              priceFeedMock.setHistoricalPrice(convertPrice("1.1"));
+              const getPriceWithMetadata = sinon.stub(priceFeedMock, "getPriceWithMetadata").returns({
+                price: convertPrice("1.1"),
+                lastUpdateTime: priceFeedMock.getLastUpdateTime(),
+                isStale: false,
+                dispersion: 0.1,
+                sources: []
+              });
+              await disputer.update();
+              await disputer.dispute();
+              assert.equal(spy.callCount, 1);
+              assert.equal(lastSpyLogLevel(spy), "warn");
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor1))[0].state,
+                LiquidationStatesEnum.PRE_DISPUTE
+              );
+
+              // Once the sources agree again the liquidation is disputed.
+              getPriceWithMetadata.restore();
+              await disputer.dispute();
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor1))[0].state,
+                LiquidationStatesEnum.PENDING_DISPUTE
+              );
+            }
+          );
+
+          versionedIt([{ contractType: "any", contractVersion: "any" }])(
+            "Sets `maxPriceAge` to 10 minutes",
+            async function() {
+              disputerConfig = { ...disputerConfig, maxPriceAge: 600 };
+              disputer = new Disputer({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                disputerConfig
+              });
+
+              // sponsor1 creates a position with 150 units of collateral, creating 100 synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("150") },
+                { rawValue: convertSynthetic("100") },
+                { from: sponsor1 }
+              );
+
+              // The liquidator creates a position to have synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("1000") },
+                { rawValue: convertSynthetic("500") },
+                { from: liquidator }
+              );
+
+              await financialContract.createLiquidation(
+                sponsor1,
+                { rawValue: "0" },
+                { rawValue: convertPrice("1.75") },
+                { rawValue: convertSynthetic("100") },
+                unreachableDeadline,
+                { from: liquidator }
+              );
+
+              // With a price of 1.1 the liquidation is disputable, but the price feed last updated more than 10 minutes
+              // before the contract's time.
+              priceFeedMock.setCurrentPrice(convertPrice("1.1"));
+              priceFeedMock.setHistoricalPrice(convertPrice("1.1"));
+              await disputer.update();
+              const contractTime = Number(financialContractClient.getLastUpdateTime());
+              priceFeedMock.setLastUpdateTime(contractTime - 601);
+              await disputer.dispute();
+              assert.equal(lastSpyLogLevel(spy), "warn");
+              assert.isTrue(lastSpyLogIncludes(spy, "price feed has not updated recently enough"));
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor1))[0].state,
+                LiquidationStatesEnum.PRE_DISPUTE
+              );
+
+              // Once the price feed updates the liquidation is disputed.
+              priceFeedMock.setLastUpdateTime(contractTime);
+              await disputer.dispute();
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor1))[0].state,
+                LiquidationStatesEnum.PENDING_DISPUTE
+              );
+            }
+          );
+
+          versionedIt([{ contractType: "any", contractVersion: "any" }])(
+            "Sets `minProfit` to skip unprofitable disputes",
+            async function() {
+              disputerConfig = { ...disputerConfig, minProfit: "20", ethPriceInCollateral: "1" };
+              disputer = new Disputer({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                disputerConfig
+              });
+
+              // sponsor1 creates a position with 150 units of collateral, creating 100 synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("150") },
+                { rawValue: convertSynthetic("100") },
+                { from: sponsor1 }
+              );
+
+              // The liquidator creates a position to have synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("1000") },
+                { rawValue: convertSynthetic("500") },
+                { from: liquidator }
+              );
+
+              await financialContract.createLiquidation(
+                sponsor1,
+                { rawValue: "0" },
+                { rawValue: convertPrice("1.75") },
+                { rawValue: convertSynthetic("100") },
+                unreachableDeadline,
+                { from: liquidator }
+              );
+
+              // With a price of 1.1 the liquidation is disputable, but the dispute reward of 10% of 100 * 1.1 = 11
+              // collateral is below the minimum profit.
+              priceFeedMock.setHistoricalPrice(convertPrice("1.1"));
+              await disputer.update();
+              await disputer.dispute();
+              assert.equal(spy.callCount, 1);
+              assert.equal(lastSpyLogLevel(spy), "warn");
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor1))[0].state,
+                LiquidationStatesEnum.PRE_DISPUTE
+              );
+
+              // With a lower minimum profit the liquidation is disputed once the ETH price feed, which prices gas, has a
+              // price.
+              const ethPriceFeed = new PriceFeedMock(undefined, undefined, undefined, 8);
+              disputer = new Disputer({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                disputerConfig: { ...disputerConfig, minProfit: "5", ethPriceInCollateral: undefined },
+                ethPriceFeed
+              });
+              await disputer.dispute();
+              assert.isTrue(lastSpyLogIncludes(spy, "ETH price feed has no price"));
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor1))[0].state,
+                LiquidationStatesEnum.PRE_DISPUTE
+              );
+
+              ethPriceFeed.setCurrentPrice("100000000");
+              await disputer.dispute();
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor1))[0].state,
+                LiquidationStatesEnum.PENDING_DISPUTE
+              );
+            }
+          );
+
+          versionedIt([{ contractType: "any", contractVersion: "any" }])(
+            "Only simulates disputes in dry run mode",
+            async function() {
+              disputer = new Disputer({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                disputerConfig,
+                transactionManager: new TransactionManager({
+                  logger: spyLogger,
+                  web3,
+                  gasEstimator,
+                  account: accounts[0],
+                  transactionManagerConfig: { dryRun: true }
+                })
+              });
+
+              // sponsor1 creates a position with 125 units of collateral, creating 100 synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("125") },
+                { rawValue: convertSynthetic("100") },
+                { from: sponsor1 }
+              );
+
+              // The liquidator creates a position to have synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("1000") },
+                { rawValue: convertSynthetic("500") },
+                { from: liquidator }
+              );
+
+              await financialContract.createLiquidation(
+                sponsor1,
+                { rawValue: "0" },
+                { rawValue: convertPrice("1.75") },
+                { rawValue: convertSynthetic("100") },
+                unreachableDeadline,
+                { from: liquidator }
+              );
+
+              // With a price of 1.1 the liquidation is disputable. The dispute is simulated and logged, but not sent.
+              priceFeedMock.setHistoricalPrice(convertPrice("1.1"));
+              await disputer.update();
+              await disputer.dispute();
+              assert.equal(spy.callCount, 1);
+              assert.equal(lastSpyLogLevel(spy), "info");
+              assert.include(spy.getCall(-1).lastArg.message, "Dry run");
+              assert.equal(spy.getCall(-1).lastArg.method, "dispute");
+              assert.equal(
+                (await financialContract.getLiquidations(sponsor1))[0].state,
+                LiquidationStatesEnum.PRE_DISPUTE
+              );
+            }
+          );
+
           versionedIt([{ contractType: "any", contractVersion: "any" }])(
             "Can provide an override price to disputer",
             async function() {
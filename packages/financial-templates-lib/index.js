@@ -9,12 +9,23 @@ module.exports = {
   ...require("./src/helpers/multicall"),
   ...require("./src/helpers/allowances"),
   ...require("./src/helpers/math"),
+  ...require("./src/helpers/profitability"),
   ...require("./src/helpers/GasEstimator"),
+  ...require("./src/helpers/GasSources"),
+  ...require("./src/helpers/NonceManager"),
+  ...require("./src/helpers/TransactionManager"),
+  ...require("./src/helpers/financialContractDiscovery"),
   ...require("./src/logger/Logger"),
   ...require("./src/logger/SpyTransport"),
   ...require("./src/price-feed/UniswapPriceFeed"),
+  ...require("./src/price-feed/UniswapV3PriceFeed"),
+  ...require("./src/price-feed/ChainlinkPriceFeed"),
   ...require("./src/price-feed/CreatePriceFeed"),
+  ...require("./src/price-feed/PriceFeedRegistry"),
+  ...require("./src/price-feed/PriceHistoryCache"),
+  ...require("./src/price-feed/priceQuality"),
   ...require("./src/price-feed/Networker"),
+  ...require("./src/price-feed/RecordingNetworker"),
   ...require("./src/price-feed/PriceFeedMock"),
   ...require("./src/price-feed/PriceFeedMockScaled"),
   ...require("./src/price-feed/InvalidPriceFeedMock"),
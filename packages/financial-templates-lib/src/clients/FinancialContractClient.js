@@ -152,26 +152,37 @@ class FinancialContractClient {
     this.cumulativeFeeMultiplier = this.toBN(cumulativeFeeMultiplier.toString());
   }
 
-  async update() {
+  // Updates the client to the contract state at `blockNumber`, or at the latest block if it is not set. Historical
+  // updates, e.g. for backtesting, require an archive node.
+  async update(blockNumber) {
     // If it is the first run then get contract contestants. This only needs to be called once.
     if (!this.collateralRequirement || !this.liquidationLiveness || !this.cumulativeFeeMultiplier) {
       await this.initialSetup();
     }
     // Fetch contract state variables in parallel.
     const fromBlock = await getFromBlock(this.web3);
+    const eventFilter = blockNumber ? { fromBlock, toBlock: blockNumber } : { fromBlock };
     const [newSponsorEvents, endedSponsorEvents, liquidationCreatedEvents, currentTime] = await Promise.all([
-      this.financialContract.getPastEvents("NewSponsor", { fromBlock }),
-      this.financialContract.getPastEvents("EndedSponsorPosition", { fromBlock }),
-      this.financialContract.getPastEvents("LiquidationCreated", { fromBlock }),
-      this.financialContract.methods.getCurrentTime().call()
+      this.financialContract.getPastEvents("NewSponsor", eventFilter),
+      this.financialContract.getPastEvents("EndedSponsorPosition", eventFilter),
+      this.financialContract.getPastEvents("LiquidationCreated", eventFilter),
+      this._call(this.financialContract.methods.getCurrentTime(), blockNumber)
     ]);
 
+    // Fees accrue over time, so historical updates read the multiplier at their block.
+    if (blockNumber) {
+      this.cumulativeFeeMultiplier = this.toBN(
+        (await this._call(this.financialContract.methods.cumulativeFeeMultiplier(), blockNumber)).toString()
+      );
+    }
+
     if (this.contractType === "Perpetual") {
-      if (!this.multicallContractAddress) {
-        // If no multicontract address set, then read the contract's on-chain CFRM. Note that this will not take
-        // into account any pending funding rates that will be published on the next contract interaction.
+      if (!this.multicallContractAddress || blockNumber) {
+        // If no multicontract address set, or when reading a historical block, then read the contract's on-chain CFRM.
+        // Note that this will not take into account any pending funding rates that will be published on the next
+        // contract interaction.
         this.latestCumulativeFundingRateMultiplier = this.toBN(
-          (await this.financialContract.methods.fundingRate().call()).cumulativeMultiplier.rawValue
+          (await this._call(this.financialContract.methods.fundingRate(), blockNumber)).cumulativeMultiplier.rawValue
         );
       } else {
         // Simulate calling `applyFundingRate()` on the perpetual before reading `fundingRate()`, in order to
@@ -226,12 +237,20 @@ class FinancialContractClient {
     // node.
     const WEB3_CALLS_BATCH_SIZE = 150;
     const [activePositions, allLiquidations] = await Promise.all([
-      Promise.map(this.activeSponsors, address => this.financialContract.methods.positions(address).call(), {
-        concurrency: WEB3_CALLS_BATCH_SIZE
-      }),
-      Promise.map(liquidatedSponsors, address => this.financialContract.methods.getLiquidations(address).call(), {
-        concurrency: WEB3_CALLS_BATCH_SIZE
-      })
+      Promise.map(
+        this.activeSponsors,
+        address => this._call(this.financialContract.methods.positions(address), blockNumber),
+        {
+          concurrency: WEB3_CALLS_BATCH_SIZE
+        }
+      ),
+      Promise.map(
+        liquidatedSponsors,
+        address => this._call(this.financialContract.methods.getLiquidations(address), blockNumber),
+        {
+          concurrency: WEB3_CALLS_BATCH_SIZE
+        }
+      )
     ]);
 
     const undisputedLiquidations = [];
@@ -327,6 +346,11 @@ class FinancialContractClient {
       .gt(normalizedAmountCollateral.mul(this.fixedPointAdjustment).mul(this.fixedPointAdjustment));
   }
 
+  // Calls a contract method at `blockNumber`, or at the latest block if it is not set.
+  _call(method, blockNumber) {
+    return blockNumber ? method.call(undefined, blockNumber) : method.call();
+  }
+
   _isExpired(liquidation, currentTime) {
     return Number(liquidation.liquidationTime) + this.liquidationLiveness <= currentTime;
   }
@@ -1,6 +1,7 @@
 // A thick client for getting information about an OptimisticOracle. Used to get price requests and
 // proposals, which can be disputed and settled.
 const { averageBlockTimeSeconds, revertWrapper, OptimisticOracleRequestStatesEnum } = require("@uma/common");
+const { aggregateTransactionsAndCall } = require("../helpers/multicall");
 const Promise = require("bluebird");
 
 class OptimisticOracleClient {
@@ -14,6 +15,10 @@ class OptimisticOracleClient {
    * @param {String} votingAddress Ethereum address of the Voting contract deployed on the current network.
    * @param {Number} lookback Any requests, proposals, or disputes that occurred prior to this timestamp will be ignored.
    * Used to limit the web3 requests made by this client.
+   * @param {String} [multicallAddress] Address of deployed Multicall contract used to batch `getState` calls. If not
+   * provided, each state is queried separately.
+   * @param {Number} [reorgSafetyBlocks] Number of already processed blocks whose events are re-queried on each update,
+   * in case they were re-organised. Reorgs of the last processed block, at any depth, rebuild the client's state.
    * @return None or throws an Error.
    */
   constructor(
@@ -23,7 +28,9 @@ class OptimisticOracleClient {
     web3,
     oracleAddress,
     votingAddress,
-    lookback = 604800 // 1 Week
+    lookback = 604800, // 1 Week
+    multicallAddress = null,
+    reorgSafetyBlocks = 12
   ) {
     this.logger = logger;
     this.web3 = web3;
@@ -34,16 +41,31 @@ class OptimisticOracleClient {
     // Voting contract we'll use to determine whether OO disputes can be settled:
     this.voting = new web3.eth.Contract(votingAbi, votingAddress);
 
+    // We use this Multicall contract to batch the state queries made on each update.
+    this.multicallAddress = multicallAddress;
+
     // Oracle Data structures & values to enable synchronous returns of the state seen by the client.
     this.unproposedPriceRequests = [];
     this.undisputedProposals = [];
     this.expiredProposals = [];
     this.settleableDisputes = [];
+    this.unsettledDisputes = [];
 
     // Store the last on-chain time the clients were updated to inform price request information.
     this.lastUpdateTimestamp = 0;
     this.lookback = lookback;
 
+    // Events of unsettled requests seen so far, indexed by `_getPriceRequestKey`, and the keys of requests found to be
+    // settled, mapped to the block at which they were found to be settled. Each update only queries blocks after
+    // `lastProcessedBlock`, less the `reorgSafetyBlocks`, unless the hash of `lastProcessedBlock` changed.
+    this.requestEvents = {};
+    this.proposalEvents = {};
+    this.disputeEvents = {};
+    this.settledRequests = {};
+    this.lastProcessedBlock = null;
+    this.lastProcessedBlockHash = null;
+    this.reorgSafetyBlocks = reorgSafetyBlocks;
+
     // Helper functions from web3.
     this.hexToUtf8 = this.web3.utils.hexToUtf8;
   }
@@ -73,6 +95,14 @@ class OptimisticOracleClient {
     });
   }
 
+  // Returns disputed proposals that are not settled yet, whether or not their price is resolved, and that involved the
+  // caller as the proposer.
+  getUnsettledDisputes(caller) {
+    return this.unsettledDisputes.filter(event => {
+      return event.proposer === caller;
+    });
+  }
+
   // Returns the last update timestamp.
   getLastUpdateTime() {
     return this.lastUpdateTimestamp;
@@ -91,20 +121,51 @@ class OptimisticOracleClient {
     const lookbackBlocks = Math.ceil(this.lookback / averageBlockTime);
     const earliestBlockToQuery = Math.max(currentBlock.number - lookbackBlocks, 0);
 
+    // Only query blocks that have not been processed yet, and the last `reorgSafetyBlocks` in case they were
+    // re-organised. If the last processed block is no longer part of the chain, the reorg may be deeper than that, so
+    // the state is rebuilt from scratch.
+    let fromBlock = earliestBlockToQuery;
+    if (this.lastProcessedBlock !== null) {
+      const lastProcessedBlock = await this.web3.eth.getBlock(this.lastProcessedBlock);
+      if (lastProcessedBlock && lastProcessedBlock.hash === this.lastProcessedBlockHash) {
+        fromBlock = Math.max(this.lastProcessedBlock - this.reorgSafetyBlocks + 1, earliestBlockToQuery);
+      } else {
+        this.logger.debug({
+          at: "OptimisticOracleClient",
+          message: "Last processed block was re-organised, rebuilding state",
+          lastProcessedBlock: this.lastProcessedBlock,
+          lastProcessedBlockHash: this.lastProcessedBlockHash
+        });
+        this.settledRequests = {};
+      }
+    }
+    this._removeEvents(earliestBlockToQuery, fromBlock);
+
     // Fetch contract state variables in parallel.
+    const eventFilter = { fromBlock, toBlock: currentBlock.number };
     const [requestEvents, proposalEvents, disputeEvents, currentTime] = await Promise.all([
-      this.oracle.getPastEvents("RequestPrice", { fromBlock: earliestBlockToQuery }),
-      this.oracle.getPastEvents("ProposePrice", { fromBlock: earliestBlockToQuery }),
-      this.oracle.getPastEvents("DisputePrice", { fromBlock: earliestBlockToQuery }),
+      this.oracle.getPastEvents("RequestPrice", eventFilter),
+      this.oracle.getPastEvents("ProposePrice", eventFilter),
+      this.oracle.getPastEvents("DisputePrice", eventFilter),
       this.oracle.methods.getCurrentTime().call()
     ]);
+    // Events of requests that are known to be settled are not needed anymore.
+    const storeEvents = (events, eventsByKey) => {
+      for (const event of events) {
+        const key = this._getPriceRequestKey(event);
+        if (this.settledRequests[key] === undefined) eventsByKey[key] = event;
+      }
+    };
+    storeEvents(requestEvents, this.requestEvents);
+    storeEvents(proposalEvents, this.proposalEvents);
+    storeEvents(disputeEvents, this.disputeEvents);
+    this.lastProcessedBlock = currentBlock.number;
+    this.lastProcessedBlockHash = currentBlock.hash;
 
     // Store price requests that have NOT been proposed to yet:
-    const unproposedPriceRequests = requestEvents.filter(event => {
-      const key = this._getPriceRequestKey(event);
-      const hasProposal = proposalEvents.find(proposalEvent => this._getPriceRequestKey(proposalEvent) === key);
-      return hasProposal === undefined;
-    });
+    const unproposedPriceRequests = Object.entries(this.requestEvents)
+      .filter(([key]) => !this.proposalEvents[key])
+      .map(([, event]) => event);
     this.unproposedPriceRequests = unproposedPriceRequests.map(event => {
       return {
         requester: event.returnValues.requester,
@@ -118,37 +179,21 @@ class OptimisticOracleClient {
     });
 
     // Store proposals that have NOT been disputed and have NOT been settled, and reformat data.
-    const undisputedProposals = proposalEvents.filter(event => {
-      const key = this._getPriceRequestKey(event);
-      const hasDispute = disputeEvents.find(disputeEvent => this._getPriceRequestKey(disputeEvent) === key);
-      return hasDispute === undefined;
+    const undisputedProposals = Object.entries(this.proposalEvents)
+      .filter(([key]) => !this.disputeEvents[key] && this.settledRequests[key] === undefined)
+      .map(([, event]) => event);
+    const unsettledProposals = (await this._filterUnsettled(undisputedProposals, currentBlock.number)).map(event => {
+      return {
+        requester: event.returnValues.requester,
+        proposer: event.returnValues.proposer,
+        identifier: this.hexToUtf8(event.returnValues.identifier),
+        ancillaryData: event.returnValues.ancillaryData ? event.returnValues.ancillaryData : "0x",
+        timestamp: event.returnValues.timestamp,
+        proposedPrice: event.returnValues.proposedPrice,
+        expirationTimestamp: event.returnValues.expirationTimestamp,
+        currency: event.returnValues.currency
+      };
     });
-    const unsettledProposals = await Promise.all(
-      undisputedProposals.map(async event => {
-        const state = await this.oracle.methods
-          .getState(
-            event.returnValues.requester,
-            event.returnValues.identifier,
-            event.returnValues.timestamp,
-            event.returnValues.ancillaryData ? event.returnValues.ancillaryData : "0x"
-          )
-          .call();
-
-        // For unsettled proposals, reformat the data:
-        if (state !== OptimisticOracleRequestStatesEnum.SETTLED) {
-          return {
-            requester: event.returnValues.requester,
-            proposer: event.returnValues.proposer,
-            identifier: this.hexToUtf8(event.returnValues.identifier),
-            ancillaryData: event.returnValues.ancillaryData ? event.returnValues.ancillaryData : "0x",
-            timestamp: event.returnValues.timestamp,
-            proposedPrice: event.returnValues.proposedPrice,
-            expirationTimestamp: event.returnValues.expirationTimestamp,
-            currency: event.returnValues.currency
-          };
-        }
-      })
-    ).filter(event => event !== undefined);
 
     // Filter proposals based on their expiration timestamp:
     const isExpired = proposal => {
@@ -158,8 +203,11 @@ class OptimisticOracleClient {
     this.undisputedProposals = unsettledProposals.filter(proposal => !isExpired(proposal));
 
     // Store disputes that were resolved and can be settled:
+    const unsettledDisputeEvents = Object.entries(this.disputeEvents)
+      .filter(([key]) => this.settledRequests[key] === undefined)
+      .map(([, event]) => event);
     let resolvedDisputeEvents = await Promise.all(
-      disputeEvents.map(async disputeEvent => {
+      unsettledDisputeEvents.map(async disputeEvent => {
         try {
           // When someone disputes an OO proposal, the OO requests a price to the DVM with a re-formatted
           // ancillary data packet that includes the original requester's information:
@@ -190,38 +238,91 @@ class OptimisticOracleClient {
     ).filter(event => event !== undefined);
 
     // Filter out disputes that were already settled and reformat data.
-    let unsettledResolvedDisputeEvents = await Promise.all(
-      resolvedDisputeEvents.map(async event => {
-        const state = await this.oracle.methods
-          .getState(
-            event.returnValues.requester,
-            event.returnValues.identifier,
-            event.returnValues.timestamp,
-            event.returnValues.ancillaryData ? event.returnValues.ancillaryData : "0x"
-          )
-          .call();
-
-        // For unsettled disputes, reformat the data:
-        if (state !== OptimisticOracleRequestStatesEnum.SETTLED) {
-          return {
-            requester: event.returnValues.requester,
-            proposer: event.returnValues.proposer,
-            disputer: event.returnValues.disputer,
-            identifier: this.hexToUtf8(event.returnValues.identifier),
-            ancillaryData: event.returnValues.ancillaryData ? event.returnValues.ancillaryData : "0x",
-            timestamp: event.returnValues.timestamp
-          };
-        }
-      })
-    ).filter(event => event !== undefined);
-    this.settleableDisputes = unsettledResolvedDisputeEvents;
+    this.settleableDisputes = (await this._filterUnsettled(resolvedDisputeEvents, currentBlock.number)).map(event => {
+      return {
+        requester: event.returnValues.requester,
+        proposer: event.returnValues.proposer,
+        disputer: event.returnValues.disputer,
+        identifier: this.hexToUtf8(event.returnValues.identifier),
+        ancillaryData: event.returnValues.ancillaryData ? event.returnValues.ancillaryData : "0x",
+        timestamp: event.returnValues.timestamp
+      };
+    });
+
+    // Store all disputes that are not settled, including the unresolved ones. Dispute events do not include the
+    // currency, so it is read from the proposal.
+    this.unsettledDisputes = unsettledDisputeEvents
+      .filter(event => this.settledRequests[this._getPriceRequestKey(event)] === undefined)
+      .map(event => {
+        const proposalEvent = this.proposalEvents[this._getPriceRequestKey(event)];
+        return {
+          requester: event.returnValues.requester,
+          proposer: event.returnValues.proposer,
+          disputer: event.returnValues.disputer,
+          identifier: this.hexToUtf8(event.returnValues.identifier),
+          ancillaryData: event.returnValues.ancillaryData ? event.returnValues.ancillaryData : "0x",
+          timestamp: event.returnValues.timestamp,
+          currency: proposalEvent ? proposalEvent.returnValues.currency : null
+        };
+      });
 
     // Update timestamp and end update.
     this.lastUpdateTimestamp = currentTime;
     this.logger.debug({
       at: "OptimisticOracleClient",
       message: "Optimistic Oracle state updated",
-      lastUpdateTimestamp: this.lastUpdateTimestamp
+      lastUpdateTimestamp: this.lastUpdateTimestamp,
+      fromBlock,
+      lastProcessedBlock: this.lastProcessedBlock
+    });
+  }
+
+  // Forgets events from blocks before `earliestBlock`, which have left the lookback window, and from `fromBlock`
+  // onwards, which are about to be re-queried. Settlements found before `fromBlock` are forgotten too, since their
+  // events can no longer be re-queried.
+  _removeEvents(earliestBlock, fromBlock) {
+    for (const events of [this.requestEvents, this.proposalEvents, this.disputeEvents]) {
+      for (const [key, event] of Object.entries(events)) {
+        if (event.blockNumber < earliestBlock || event.blockNumber >= fromBlock) delete events[key];
+      }
+    }
+    for (const [key, settledBlock] of Object.entries(this.settledRequests)) {
+      if (settledBlock < fromBlock) delete this.settledRequests[key];
+    }
+  }
+
+  // Returns the `events` whose price requests are not settled, and remembers the ones that are so that their state is
+  // not queried again and their events are dropped.
+  async _filterUnsettled(events, blockNumber) {
+    if (events.length === 0) return [];
+    const stateCalls = events.map(event =>
+      this.oracle.methods.getState(
+        event.returnValues.requester,
+        event.returnValues.identifier,
+        event.returnValues.timestamp,
+        event.returnValues.ancillaryData ? event.returnValues.ancillaryData : "0x"
+      )
+    );
+    let states;
+    if (this.multicallAddress) {
+      const transactions = stateCalls.map(call => ({
+        target: this.oracle.options.address,
+        callData: call.encodeABI()
+      }));
+      const outputs = await aggregateTransactionsAndCall(this.multicallAddress, this.web3, transactions);
+      states = outputs.map(output => output[0]);
+    } else {
+      states = await Promise.all(stateCalls.map(call => call.call()));
+    }
+
+    return events.filter((event, i) => {
+      if (states[i].toString() !== OptimisticOracleRequestStatesEnum.SETTLED) return true;
+      const key = this._getPriceRequestKey(event);
+      this.settledRequests[key] = blockNumber;
+      delete this.requestEvents[key];
+      delete this.proposalEvents[key];
+      delete this.disputeEvents[key];
+      return false;
     });
   }
 }
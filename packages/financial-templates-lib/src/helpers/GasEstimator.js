@@ -1,26 +1,23 @@
-// This script gets the current recommended `fast` gas price from etherchain
-// to inform the Liquidator and dispute bot of a reasonable gas price to use.
-
-const fetch = require("node-fetch");
-// Etherchain expected response structure:
-// {
-//   "safeLow": "25.0",
-//   "standard": "30.0",
-//   "fast": "35.0",
-//   "fastest": "39.6"
-// }
-const url = "https://www.etherchain.org/api/gasPriceOracle";
-// Etherscan API limits 1 request every 3 seconds without passing in an API key. Expected response structure:
-// {
-//   "status": "1",
-//   "message": "OK-Missing/Invalid API Key, rate limit of 1/3sec applied",
-//   "result": {
-//       "LastBlock": "10330323",
-//       "SafeGasPrice": "30",
-//       "ProposeGasPrice": "41"
-//   }
-// }
-const backupUrl = "https://api.etherscan.io/api?module=gastracker&action=gasoracle";
+// This script gets the current recommended `fast` gas price from an ordered list of gas sources, such as etherchain
+// or the connected node, to inform the Liquidator and dispute bot of a reasonable gas price to use.
+// On London-enabled networks it also computes EIP-1559 fees from the connected node's `eth_feeHistory`, so that
+// transactions can be sent as type-2 transactions.
+
+const { createObjectFromDefaultProps } = require("@uma/common");
+const { createGasSource, gasSourceTypes } = require("./GasSources");
+
+// How gas prices are estimated on each network:
+// - "legacy": only the `fast` gas price from the gas sources. Transactions are sent with a `gasPrice`.
+// - "london": the `fast` gas price from the gas sources and EIP-1559 fees from the node's fee history. Transactions
+//   are sent with a `maxFeePerGas` and `maxPriorityFeePerGas`.
+// - "node": EIP-1559 fees from the node's fee history, without any external API. The `fast` gas price is the
+//   `maxFeePerGas`, or comes from the node's gas sources if it does not support `eth_feeHistory`.
+// Networks that are not listed use "legacy". Web3 only sends type-2 transactions from 1.5.0 on. Older versions also
+// fill in a `gasPrice` and do not hex-encode the EIP-1559 fee fields, so nodes reject the transaction. With them, every
+// network uses "legacy" and a configured "london" or "node" strategy is ignored.
+const networkStrategies = { 1: "london", 3: "london", 4: "london", 5: "london", 42: "london" };
+const strategies = ["legacy", "london", "node"];
+const minTypedTransactionWeb3Version = [1, 5];
 
 class GasEstimator {
   /**
@@ -28,17 +25,90 @@ class GasEstimator {
    * @param {Object} logger Winston module used to send logs.
    * @param {Integer} updateThreshold How long, in seconds, the estimator should wait between updates.
    * @param {Integer} defaultFastPriceGwei Default gas price used if the GasEstimator returns an error.
+   * @param {Object} [web3] Web3 object to query the node's fee history. Without it, only the "legacy" strategy is used.
+   * @param {Object} [gasEstimatorConfig] Contains fields with which constructor will attempt to override defaults.
    * @return None or throws an Error.
    */
-  constructor(logger, updateThreshold = 60, defaultFastPriceGwei = 50) {
+  constructor(logger, updateThreshold = 60, defaultFastPriceGwei = 50, web3 = null, gasEstimatorConfig) {
     this.logger = logger;
     this.updateThreshold = updateThreshold;
+    this.web3 = web3;
     this.lastUpdateTimestamp;
     this.lastFastPriceGwei;
 
     // If the script fails or the API response fails default to this value.
     this.defaultFastPriceGwei = defaultFastPriceGwei;
     this.lastFastPriceGwei = this.defaultFastPriceGwei;
+
+    // EIP-1559 fees in wei. Null until they are read from the node, or if the network does not support them.
+    this.lastMaxFeePerGas = null;
+    this.lastMaxPriorityFeePerGas = null;
+
+    const defaultConfig = {
+      networkId: {
+        // `networkId`: Network whose strategy is used. Read from web3 if not set.
+        value: null,
+        isValid: x => {
+          return x === null || Number.isInteger(Number(x));
+        }
+      },
+      gasSources: {
+        // `gasSources`: Ordered list of gas sources to get the `fast` gas price from. Each one is tried until one
+        // returns a price, and `defaultFastPriceGwei` is used if all of them fail. Example:
+        // [{ "type": "etherchain" }, { "type": "blockSample", "blocks": 10, "percentile": 60 }, { "type": "node" }]
+        // Defaults to etherchain and etherscan, followed by the node's sources if web3 is set. The "node" strategy only
+        // uses the node's sources by default. See `createGasSource`.
+        value: null,
+        isValid: x => {
+          return x === null || (Array.isArray(x) && x.every(source => gasSourceTypes.includes(source.type)));
+        }
+      },
+      strategy: {
+        // `strategy`: Overrides the network's strategy. One of "legacy", "london" or "node".
+        value: null,
+        isValid: x => {
+          return x === null || strategies.includes(x);
+        }
+      },
+      feeHistoryBlocks: {
+        // `feeHistoryBlocks`: Number of recent blocks whose priority fees are sampled.
+        value: 10,
+        isValid: x => {
+          return Number.isInteger(x) && x > 0;
+        }
+      },
+      priorityFeePercentile: {
+        // `priorityFeePercentile`: Percentile of each block's priority fees, weighted by gas used, that is sampled. The
+        // median of the samples is used as the `maxPriorityFeePerGas`.
+        value: 50,
+        isValid: x => {
+          return x >= 0 && x <= 100;
+        }
+      },
+      baseFeeMultiplier: {
+        // `baseFeeMultiplier`: The `maxFeePerGas` is the next block's base fee times this multiplier plus the priority
+        // fee. The base fee can rise by 12.5% per block, so 2 keeps a transaction valid for about 6 full blocks.
+        value: 2,
+        isValid: x => {
+          return x >= 1;
+        }
+      },
+      defaultPriorityFeeGwei: {
+        // `defaultPriorityFeeGwei`: Priority fee used if the sampled blocks contain no transactions.
+        value: 2,
+        isValid: x => {
+          return x >= 0;
+        }
+      }
+    };
+
+    // Validate and set config settings to class state.
+    Object.assign(this, createObjectFromDefaultProps(gasEstimatorConfig, defaultConfig));
+
+    // Gas sources are created here so that an invalid source, e.g. a "node" source without web3, throws like any other
+    // invalid config. The strategy is only known on the first update, once the network is.
+    this.orderedGasSources = this._createGasSources();
+    this.currentStrategy = null;
   }
 
   // Calls update unless it was recently called, as determined by this.updateThreshold.
@@ -61,7 +131,9 @@ class GasEstimator {
         at: "GasEstimator",
         message: "Gas estimator updated",
         lastUpdateTimestamp: this.lastUpdateTimestamp,
-        currentFastPriceGwei: this.lastFastPriceGwei
+        currentFastPriceGwei: this.lastFastPriceGwei,
+        currentMaxFeePerGas: this.lastMaxFeePerGas,
+        currentMaxPriorityFeePerGas: this.lastMaxPriorityFeePerGas
       });
     }
   }
@@ -74,48 +146,130 @@ class GasEstimator {
     return Math.ceil(this.lastFastPriceGwei * 1e9);
   }
 
+  // Returns the fee fields to send a transaction with, in wei: { maxFeePerGas, maxPriorityFeePerGas } if EIP-1559 fees
+  // are available, and { gasPrice } otherwise. The result can be spread into a web3 transaction config.
+  getCurrentFees() {
+    if (this.lastMaxFeePerGas !== null) {
+      return { maxFeePerGas: this.lastMaxFeePerGas, maxPriorityFeePerGas: this.lastMaxPriorityFeePerGas };
+    }
+    return { gasPrice: this.getCurrentFastPrice() };
+  }
+
   async _update() {
-    this.lastFastPriceGwei = await this._getPrice(url);
+    // The strategy is set up on the first update.
+    if (!this.currentStrategy) this.currentStrategy = await this._getStrategy();
+    const strategy = this.currentStrategy;
+    const [fastPriceGwei, fees] = await Promise.all([
+      strategy !== "node" ? this._getPrice() : null,
+      strategy !== "legacy" ? this._getFeeHistoryFees() : null
+    ]);
+    this.lastMaxFeePerGas = fees ? fees.maxFeePerGas : null;
+    this.lastMaxPriorityFeePerGas = fees ? fees.maxPriorityFeePerGas : null;
+    if (strategy !== "node") this.lastFastPriceGwei = fastPriceGwei;
+    else this.lastFastPriceGwei = fees ? fees.maxFeePerGas / 1e9 : await this._getPrice();
   }
 
-  async _getPrice(url) {
+  // Creates the configured gas sources, or the defaults. A configured "node" strategy only uses the node's sources. Network
+  // strategies are never "node", so the defaults do not depend on the network.
+  _createGasSources() {
+    const nodeSources = this.web3 ? [{ type: "blockSample" }, { type: "node" }] : [];
+    let gasSources = this.gasSources;
+    if (!gasSources && this.strategy === "node") gasSources = nodeSources;
+    if (!gasSources) gasSources = [{ type: "etherchain" }, { type: "etherscan" }, ...nodeSources];
+    return gasSources.map(config => ({ config, gasSource: createGasSource(config, this.web3) }));
+  }
+
+  async _getStrategy() {
+    if (!this.web3) return "legacy";
+    if (!this.strategy && this.networkId === null) this.networkId = await this.web3.eth.net.getId();
+    const strategy = this.strategy || networkStrategies[Number(this.networkId)] || "legacy";
+    if (strategy === "legacy" || this._canSendTypedTransactions()) return strategy;
+
+    this.logger[this.strategy ? "warn" : "debug"]({
+      at: "GasEstimator",
+      message: "Web3 cannot send type-2 transactions, using legacy gas prices⚠️",
+      strategy,
+      web3Version: this.web3.version
+    });
+    return "legacy";
+  }
+
+  // Whether the web3 version sends the `maxFeePerGas` and `maxPriorityFeePerGas` fields of type-2 transactions.
+  _canSendTypedTransactions() {
+    const [major, minor] = String(this.web3.version)
+      .split(".")
+      .map(Number);
+    const [minMajor, minMinor] = minTypedTransactionWeb3Version;
+    return major > minMajor || (major === minMajor && minor >= minMinor);
+  }
+
+  // Computes EIP-1559 fees from the node's fee history. Returns null if the node does not support `eth_feeHistory`,
+  // e.g. because the network is not London-enabled, so that transactions are sent with a legacy gas price instead.
+  async _getFeeHistoryFees() {
     try {
-      const response = await fetch(url);
-      const json = await response.json();
-      if (json.fast) {
-        let price = json.fast;
-        return price;
-      } else {
-        throw new Error("Etherchain API: bad json response");
-      }
+      const feeHistory = await this._sendRpc("eth_feeHistory", [
+        this.web3.utils.toHex(this.feeHistoryBlocks),
+        "latest",
+        [this.priorityFeePercentile]
+      ]);
+      // The last base fee is the base fee of the next block.
+      const nextBaseFee = Number(feeHistory.baseFeePerGas[feeHistory.baseFeePerGas.length - 1]);
+      // Empty blocks report a reward of 0, which would underestimate the priority fee.
+      const rewards = (feeHistory.reward || [])
+        .map(blockRewards => Number(blockRewards[0]))
+        .filter(reward => reward > 0)
+        .sort((a, b) => a - b);
+      const maxPriorityFeePerGas =
+        rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : Math.ceil(this.defaultPriorityFeeGwei * 1e9);
+      return {
+        maxFeePerGas: Math.ceil(nextBaseFee * this.baseFeeMultiplier) + maxPriorityFeePerGas,
+        maxPriorityFeePerGas
+      };
     } catch (error) {
       this.logger.debug({
         at: "GasEstimator",
-        message: "client polling error, trying backup API🚨",
+        message: "Could not read fee history, using legacy gas price🚨",
         error: typeof error === "string" ? new Error(error) : error
       });
+      return null;
+    }
+  }
+
+  // Sends a JSON-RPC request directly to the provider, for methods that web3 does not wrap.
+  _sendRpc(method, params) {
+    return new Promise((resolve, reject) => {
+      this.web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method, params }, (error, response) => {
+        if (error) reject(error);
+        else if (response.error) reject(new Error(response.error.message));
+        else resolve(response.result);
+      });
+    });
+  }
 
-      // Try backup API.
+  // Returns the price of the first gas source that provides one, in Gwei, or the default fast gas price.
+  async _getPrice() {
+    for (const { config, gasSource } of this.orderedGasSources) {
       try {
-        const responseBackup = await fetch(backupUrl);
-        const jsonBackup = await responseBackup.json();
-        if (jsonBackup.result && jsonBackup.result.SafeGasPrice) {
-          return jsonBackup.result.SafeGasPrice;
-        } else {
-          throw new Error("Etherscan API: bad json response");
-        }
-      } catch (errorBackup) {
+        const price = await gasSource.getFastPriceGwei();
+        if (!(price > 0)) throw new Error(`Invalid gas price ${price}`);
+        return price;
+      } catch (error) {
         this.logger.debug({
           at: "GasEstimator",
-          message: "backup API failed, falling back to default fast gas price🚨",
-          defaultFastPriceGwei: this.defaultFastPriceGwei,
-          error: typeof errorBackup === "string" ? new Error(errorBackup) : errorBackup
+          message: "Gas source failed, trying next source🚨",
+          gasSource: config,
+          error: typeof error === "string" ? new Error(error) : error
         });
       }
-
-      // In the failure mode return the fast default price.
-      return this.defaultFastPriceGwei;
     }
+
+    // In the failure mode return the fast default price.
+    this.logger.debug({
+      at: "GasEstimator",
+      message: "All gas sources failed, falling back to default fast gas price🚨",
+      defaultFastPriceGwei: this.defaultFastPriceGwei
+    });
+    return this.defaultFastPriceGwei;
   }
 }
 
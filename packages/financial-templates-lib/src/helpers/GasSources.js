@@ -0,0 +1,133 @@
+// Sources of the current fast gas price for the GasEstimator. Each source implements `getFastPriceGwei()`, which
+// returns the price in Gwei or throws if the source cannot provide one, so that the GasEstimator can fall back to the
+// next source in its ordered list.
+
+const fetch = require("node-fetch");
+
+// Etherchain expected response structure:
+// {
+//   "safeLow": "25.0",
+//   "standard": "30.0",
+//   "fast": "35.0",
+//   "fastest": "39.6"
+// }
+const etherchainUrl = "https://www.etherchain.org/api/gasPriceOracle";
+// Etherscan API limits 1 request every 3 seconds without passing in an API key. Expected response structure:
+// {
+//   "status": "1",
+//   "message": "OK-Missing/Invalid API Key, rate limit of 1/3sec applied",
+//   "result": {
+//       "LastBlock": "10330323",
+//       "SafeGasPrice": "30",
+//       "ProposeGasPrice": "41"
+//   }
+// }
+const etherscanUrl = "https://api.etherscan.io/api?module=gastracker&action=gasoracle";
+
+class EtherchainGasSource {
+  async getFastPriceGwei() {
+    const response = await fetch(etherchainUrl);
+    const json = await response.json();
+    if (!json.fast) throw new Error("Etherchain API: bad json response");
+    return Number(json.fast);
+  }
+}
+
+class EtherscanGasSource {
+  /**
+   * @notice Constructs new EtherscanGasSource.
+   * @param {String} [apiKey] Etherscan API key, which lifts the rate limit.
+   */
+  constructor(apiKey) {
+    this.apiKey = apiKey;
+  }
+
+  async getFastPriceGwei() {
+    const response = await fetch(this.apiKey ? `${etherscanUrl}&apikey=${this.apiKey}` : etherscanUrl);
+    const json = await response.json();
+    if (!json.result || !json.result.SafeGasPrice) throw new Error("Etherscan API: bad json response");
+    return Number(json.result.SafeGasPrice);
+  }
+}
+
+// Returns the connected node's `eth_gasPrice`.
+class NodeGasSource {
+  /**
+   * @notice Constructs new NodeGasSource.
+   * @param {Object} web3 Web3 object connected to the node.
+   */
+  constructor(web3) {
+    this.web3 = web3;
+  }
+
+  async getFastPriceGwei() {
+    return Number(await this.web3.eth.getGasPrice()) / 1e9;
+  }
+}
+
+// Returns a percentile of the gas prices paid by the transactions in the latest blocks. Unlike `eth_gasPrice`, whose
+// estimate differs between node implementations, this follows what transactions are actually being mined with.
+class BlockSampleGasSource {
+  /**
+   * @notice Constructs new BlockSampleGasSource.
+   * @param {Object} web3 Web3 object connected to the node.
+   * @param {Number} blocks Number of latest blocks to sample.
+   * @param {Number} percentile Percentile of the sampled gas prices to return, between 0 and 100.
+   */
+  constructor(web3, blocks = 10, percentile = 60) {
+    this.web3 = web3;
+    this.blocks = blocks;
+    this.percentile = percentile;
+  }
+
+  async getFastPriceGwei() {
+    const latestBlockNumber = await this.web3.eth.getBlockNumber();
+    const blockNumbers = [];
+    for (let i = 0; i < this.blocks && latestBlockNumber - i >= 0; i++) blockNumbers.push(latestBlockNumber - i);
+    const blocks = await Promise.all(blockNumbers.map(blockNumber => this.web3.eth.getBlock(blockNumber, true)));
+
+    const gasPrices = blocks
+      .filter(block => block)
+      .flatMap(block => block.transactions.map(transaction => Number(transaction.gasPrice)))
+      .sort((a, b) => a - b);
+    if (gasPrices.length === 0) throw new Error(`No transactions in the latest ${this.blocks} blocks`);
+
+    const index = Math.min(gasPrices.length - 1, Math.floor((gasPrices.length * this.percentile) / 100));
+    return gasPrices[index] / 1e9;
+  }
+}
+
+const gasSourceTypes = ["etherchain", "etherscan", "node", "blockSample"];
+
+/**
+ * Creates a gas source from its config.
+ * @param {Object} config Source config with a `type` of "etherchain", "etherscan", "node" or "blockSample". Example:
+ *     { type: "blockSample", blocks: 10, percentile: 60 }. "etherscan" also accepts an `apiKey`.
+ * @param {Object} [web3] Web3 object connected to the node. Required by the "node" and "blockSample" sources.
+ * @return {Object} Gas source, or throws an Error if the config is invalid.
+ */
+function createGasSource(config, web3) {
+  switch (config.type) {
+    case "etherchain":
+      return new EtherchainGasSource();
+    case "etherscan":
+      return new EtherscanGasSource(config.apiKey);
+    case "node":
+      if (!web3) throw new Error("Gas source node requires web3");
+      return new NodeGasSource(web3);
+    case "blockSample":
+      if (!web3) throw new Error("Gas source blockSample requires web3");
+      return new BlockSampleGasSource(web3, config.blocks, config.percentile);
+    default:
+      throw new Error(`Invalid gas source type ${config.type}`);
+  }
+}
+
+module.exports = {
+  EtherchainGasSource,
+  EtherscanGasSource,
+  NodeGasSource,
+  BlockSampleGasSource,
+  createGasSource,
+  gasSourceTypes
+};
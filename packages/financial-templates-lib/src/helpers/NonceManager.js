@@ -0,0 +1,52 @@
+// Hands out nonces for an account that sends transactions from several bots in the same process. Without it, two bots
+// that read the account's transaction count before either transaction is mined would send with the same nonce.
+class NonceManager {
+  /**
+   * @notice Constructs new NonceManager.
+   * @param {Object} logger Winston module used to send logs.
+   * @param {Object} web3 Provider from truffle instance to query the account's transaction count.
+   * @param {String} account Ethereum account whose nonces are managed.
+   * @return None or throws an Error.
+   */
+  constructor(logger, web3, account) {
+    this.logger = logger;
+    this.web3 = web3;
+    this.account = account;
+
+    // Next nonce to hand out. Null until the account's transaction count has been read.
+    this.nextNonce = null;
+
+    // Nonce requests are chained so that concurrent callers never read the same transaction count.
+    this.pendingRequest = Promise.resolve();
+  }
+
+  // Returns the next unused nonce. Uses the pending transaction count so that transactions sent by other processes are
+  // accounted for.
+  async getNextNonce() {
+    const request = this.pendingRequest.then(async () => {
+      const transactionCount = await this.web3.eth.getTransactionCount(this.account, "pending");
+      const nonce = Math.max(Number(transactionCount), this.nextNonce === null ? 0 : this.nextNonce);
+      this.nextNonce = nonce + 1;
+      return nonce;
+    });
+    // A failed lookup should not block later requests.
+    this.pendingRequest = request.catch(() => {});
+    return request;
+  }
+
+  // Forgets handed out nonces so that the next nonce is read from the chain. Should be called when a transaction that
+  // was assigned a nonce fails to send, or its nonce would be skipped and later transactions would get stuck.
+  reset() {
+    this.logger.debug({
+      at: "NonceManager",
+      message: "Resetting nonce",
+      account: this.account,
+      nextNonce: this.nextNonce
+    });
+    this.nextNonce = null;
+  }
+}
+
+module.exports = {
+  NonceManager
+};
@@ -0,0 +1,362 @@
+const { createObjectFromDefaultProps } = require("@uma/common");
+const { NonceManager } = require("./NonceManager");
+const { delay } = require("./delay");
+
+// Sends transactions for one account. Nonces are assigned locally, so several bots can send from the account at the
+// same time. Transactions that are not mined within `replacementDelay` are replaced with the same nonce and a higher
+// gas price, and transactions that are dropped or reorged out are detected.
+//
+// Transactions are sent with the GasEstimator's `getCurrentFees()`, i.e. as type-2 transactions with a `maxFeePerGas`
+// and `maxPriorityFeePerGas` where EIP-1559 fees are available and with a `gasPrice` otherwise. Replacements raise
+// every fee field.
+//
+// In dry run mode, transactions are only simulated and logged, so that bots can run their full logic against live
+// state without sending anything. `sendTransaction` then resolves to { dryRun: true, receipt: null, returnValue, ... }.
+// Bots do not set allowances in dry runs, so simulated transactions that need an approval fail unless the allowance
+// is already set.
+//
+// `sendTransaction` resolves to { receipt, returnValue, transactionHash, nonce, fees } and throws errors with a `type`
+// of:
+// - "call": the transaction failed simulation and was not sent, e.g. for lack of collateral or approval.
+// - "send": the transaction could not be broadcast or reverted on-chain. `error.receipt` is set if it was mined.
+// - "dropped": the nonce was used by a transaction that this manager did not send, e.g. from another process.
+class TransactionManager {
+  /**
+   * @notice Constructs new TransactionManager.
+   * @param {Object} logger Module used to send logs.
+   * @param {Object} web3 Web3 object to submit transactions and process on-chain info.
+   * @param {Object} gasEstimator Module used to estimate optimal gas price with which to send txns.
+   * @param {String} account Ethereum account from which to send txns.
+   * @param {Object} [transactionManagerConfig] Contains fields with which constructor will attempt to override defaults.
+   */
+  constructor({ logger, web3, gasEstimator, account, transactionManagerConfig }) {
+    this.logger = logger;
+    this.web3 = web3;
+    this.gasEstimator = gasEstimator;
+    this.account = account;
+    this.nonceManager = new NonceManager(logger, web3, account);
+
+    // Broadcasts are chained so that transactions are sent in nonce order.
+    this.pendingBroadcast = Promise.resolve();
+
+    const defaultConfig = {
+      gasLimitBuffer: {
+        // `gasLimitBuffer`: Multiplier applied to the estimated gas to get the transaction's gas limit.
+        value: 1.25,
+        isValid: x => {
+          return x >= 1;
+        }
+      },
+      replacementDelay: {
+        // `replacementDelay`: Seconds to wait for a transaction to be mined before replacing it with a higher gas price.
+        value: 60,
+        isValid: x => {
+          return x > 0;
+        }
+      },
+      gasPriceMultiplier: {
+        // `gasPriceMultiplier`: Gas price multiplier for each replacement. Nodes reject replacements that do not raise
+        // the gas price, or both EIP-1559 fees, by at least 10%.
+        value: 2,
+        isValid: x => {
+          return x >= 1.1;
+        }
+      },
+      maxGasPriceMultiplier: {
+        // `maxGasPriceMultiplier`: Replacements stop once the gas price reaches this multiple of the original gas price.
+        // The last transaction is still waited for.
+        value: 6,
+        isValid: x => {
+          return x >= 1;
+        }
+      },
+      pollingInterval: {
+        // `pollingInterval`: Seconds between checks for dropped transactions and confirmations.
+        value: 5,
+        isValid: x => {
+          return x > 0;
+        }
+      },
+      confirmations: {
+        // `confirmations`: Blocks to wait after a transaction is mined before its receipt is returned. If the
+        // transaction is reorged out in the meantime, it is waited for again. 0 returns as soon as it is mined.
+        value: 0,
+        isValid: x => {
+          return Number.isInteger(x) && x >= 0;
+        }
+      },
+      dryRun: {
+        // `dryRun`: If true, transactions are simulated and logged but never sent.
+        value: false,
+        isValid: x => {
+          return typeof x === "boolean";
+        }
+      }
+    };
+
+    // Validate and set config settings to class state.
+    Object.assign(this, createObjectFromDefaultProps(transactionManagerConfig, defaultConfig));
+  }
+
+  // Simulates `transaction`, sends it and waits for it to be mined. `gasEstimate` skips the gas estimation, `maxGas`
+  // caps the gas limit and `fees` overrides the GasEstimator's current fees. It is either { gasPrice } or
+  // { maxFeePerGas, maxPriorityFeePerGas }, in wei.
+  async sendTransaction({ transaction, gasEstimate, maxGas, fees, value }) {
+    // Simulating the transaction also gets the return value, which is not in the receipt of a state-modifying call.
+    let returnValue;
+    try {
+      [returnValue, gasEstimate] = await Promise.all([
+        transaction.call({ from: this.account, value }),
+        gasEstimate || transaction.estimateGas({ from: this.account, value })
+      ]);
+    } catch (error) {
+      error.type = "call";
+      throw error;
+    }
+
+    let gas = Math.floor(gasEstimate * this.gasLimitBuffer);
+    if (maxGas) gas = Math.min(gas, maxGas);
+    const initialFees = fees || this.gasEstimator.getCurrentFees();
+    const txnConfig = { from: this.account, gas, value };
+
+    if (this.dryRun) {
+      this.logger.info({
+        at: "TransactionManager",
+        message: "Dry run: transaction simulated but not sent📝",
+        ...this._describeTransaction(transaction),
+        txnConfig: { ...txnConfig, ...initialFees },
+        gasEstimate,
+        returnValue
+      });
+      return { dryRun: true, receipt: null, transactionHash: null, returnValue, nonce: null, fees: initialFees };
+    }
+
+    // Get a nonce and broadcast the first transaction before the next call to `sendTransaction` does.
+    const firstBroadcast = this.pendingBroadcast.then(async () => {
+      const nonce = await this.nonceManager.getNextNonce();
+      const attempt = this._broadcast(transaction, { ...txnConfig, nonce }, initialFees);
+      await attempt.sent;
+      return { nonce, attempt };
+    });
+    this.pendingBroadcast = firstBroadcast.catch(() => {});
+
+    let nonce, attempt;
+    try {
+      ({ nonce, attempt } = await firstBroadcast);
+    } catch (error) {
+      // The nonce was not used, so it has to be handed out again.
+      this.nonceManager.reset();
+      error.type = "send";
+      throw error;
+    }
+
+    const attempts = [attempt];
+    let result;
+    try {
+      result = await this._waitForTransaction({
+        transaction,
+        txnConfig: { ...txnConfig, nonce },
+        initialFees,
+        attempts
+      });
+    } finally {
+      // Stops polling for the receipts of attempts that will never be mined.
+      attempts.forEach(attempt => (attempt.abandoned = true));
+    }
+    this.logger.debug({
+      at: "TransactionManager",
+      message: "Transaction mined",
+      tx: result.receipt.transactionHash,
+      nonce,
+      fees: result.fees
+    });
+    return { ...result, returnValue, nonce };
+  }
+
+  // Reads the target, method and calldata off a web3 contract method, for logging.
+  _describeTransaction(transaction) {
+    return {
+      to: transaction._parent && transaction._parent.options.address,
+      method: transaction._method && transaction._method.name,
+      args: transaction.arguments,
+      data: transaction.encodeABI && transaction.encodeABI()
+    };
+  }
+
+  // Sends the transaction without waiting for it to be mined. `sent` resolves once the node accepted it and `mined`
+  // settles once it is mined. Failed attempts are recorded on the attempt, so that callers can wait for any of them.
+  _broadcast(transaction, txnConfig, fees) {
+    const attempt = { transaction, fees, transactionHash: null, receipt: null, error: null };
+    const promiEvent = transaction.send({ ...txnConfig, ...fees });
+    attempt.sent = new Promise((resolve, reject) => {
+      promiEvent.on("transactionHash", transactionHash => {
+        attempt.transactionHash = transactionHash;
+        resolve();
+      });
+      promiEvent.on("error", reject);
+    });
+    // Prevents unhandled rejections. Errors are read off the attempt.
+    attempt.sent.catch(() => {});
+    attempt.mined = Promise.resolve(promiEvent).then(
+      receipt => {
+        attempt.receipt = receipt;
+      },
+      error => {
+        // Web3 stops waiting for a transaction after its `transactionPollingTimeout` or `transactionBlockTimeout`,
+        // but the transaction is still pending and its nonce is still used, so its receipt is polled for instead.
+        if (attempt.transactionHash && !error.receipt && /not mined within/.test(error.message)) {
+          return this._waitForReceipt(attempt);
+        }
+        attempt.error = error;
+      }
+    );
+    return attempt;
+  }
+
+  // Waits until one of the attempts is mined and confirmed, replacing them with higher gas prices while none is.
+  async _waitForTransaction({ transaction, txnConfig, initialFees, attempts }) {
+    const maxFees = this._multiplyFees(initialFees, this.maxGasPriceMultiplier);
+    let lastBroadcastTime = Date.now();
+
+    for (;;) {
+      const minedAttempt = attempts.find(attempt => attempt.receipt);
+      if (minedAttempt) {
+        if (await this._isConfirmed(minedAttempt)) {
+          return {
+            receipt: minedAttempt.receipt,
+            transactionHash: minedAttempt.receipt.transactionHash,
+            fees: minedAttempt.fees
+          };
+        }
+        // The transaction was reorged out. It should be back in the mempool, so the attempts are waited for again.
+        this.logger.warn({
+          at: "TransactionManager",
+          message: "Transaction was reorged out, waiting for it to be mined again⚠️",
+          tx: minedAttempt.receipt.transactionHash,
+          nonce: txnConfig.nonce
+        });
+        for (const attempt of attempts.filter(attempt => attempt.transactionHash && !attempt.error)) {
+          attempt.receipt = null;
+          attempt.mined = this._waitForReceipt(attempt);
+        }
+        continue;
+      }
+
+      // A reverted transaction also uses the nonce, so there is nothing left to replace.
+      const revertedAttempt = attempts.find(attempt => attempt.error && attempt.error.receipt);
+      if (revertedAttempt) {
+        revertedAttempt.error.type = "send";
+        throw revertedAttempt.error;
+      }
+      if (attempts.every(attempt => attempt.error)) {
+        const error = attempts[attempts.length - 1].error;
+        this.nonceManager.reset();
+        error.type = "send";
+        throw error;
+      }
+
+      const pendingAttempts = attempts.filter(attempt => !attempt.receipt && !attempt.error);
+      await Promise.race([...pendingAttempts.map(attempt => attempt.mined), delay(this.pollingInterval)]);
+      if (attempts.some(attempt => attempt.receipt || (attempt.error && attempt.error.receipt))) continue;
+
+      if (await this._isDropped(txnConfig.nonce, attempts)) {
+        const error = new Error(`Transaction with nonce ${txnConfig.nonce} was dropped or replaced by another sender`);
+        error.type = "dropped";
+        this.nonceManager.reset();
+        throw error;
+      }
+
+      // Replace the transaction if it has been pending for too long and the gas price can still go up.
+      const fees = this._multiplyFees(attempts[attempts.length - 1].fees, this.gasPriceMultiplier);
+      const canRaiseFees = Object.keys(fees).every(field => fees[field] <= maxFees[field]);
+      if (Date.now() - lastBroadcastTime >= this.replacementDelay * 1000 && canRaiseFees) {
+        this.logger.debug({
+          at: "TransactionManager",
+          message: "Replacing pending transaction with a higher gas price",
+          nonce: txnConfig.nonce,
+          pendingTransactions: attempts.map(attempt => attempt.transactionHash),
+          fees
+        });
+        const attempt = this._broadcast(transaction, txnConfig, fees);
+        attempts.push(attempt);
+        lastBroadcastTime = Date.now();
+        // A replacement that the node rejects, e.g. because the original was just mined, is not an error as long as
+        // one of the earlier attempts succeeds.
+        await attempt.sent.catch(() => {});
+      }
+    }
+  }
+
+  // Multiplies every fee field, i.e. the `gasPrice` or both EIP-1559 fees.
+  _multiplyFees(fees, multiplier) {
+    const multipliedFees = {};
+    for (const field of Object.keys(fees)) multipliedFees[field] = Math.floor(Number(fees[field]) * multiplier);
+    return multipliedFees;
+  }
+
+  // Polls for an attempt's receipt after a reorg or a web3 timeout, since its original PromiEvent has already settled.
+  async _waitForReceipt(attempt) {
+    while (!attempt.abandoned) {
+      const receipt = await this.web3.eth.getTransactionReceipt(attempt.transactionHash);
+      if (receipt && !receipt.status) {
+        attempt.error = new Error(`Transaction ${attempt.transactionHash} has been reverted by the EVM`);
+        attempt.error.receipt = receipt;
+        return;
+      }
+      if (receipt) {
+        attempt.receipt = this._decodeReceipt(attempt.transaction, receipt);
+        return;
+      }
+      await delay(this.pollingInterval);
+    }
+  }
+
+  // Decodes the logs of a receipt read from the node into `events`, like web3 does for the receipt returned when
+  // sending, so that callers get the same receipt whichever way the transaction was waited for.
+  _decodeReceipt(transaction, receipt) {
+    const { logs, ...decodedReceipt } = receipt;
+    decodedReceipt.events = {};
+    let anonymousEventCount = 0;
+    for (const log of logs || []) {
+      const event = transaction._parent._decodeEventABI.call(
+        { name: "ALLEVENTS", jsonInterface: transaction._parent.options.jsonInterface },
+        log
+      );
+      if (!event.event) {
+        decodedReceipt.events[anonymousEventCount++] = event;
+      } else if (!decodedReceipt.events[event.event]) {
+        decodedReceipt.events[event.event] = event;
+      } else {
+        // Like web3, repeated events are grouped in an array.
+        decodedReceipt.events[event.event] = [].concat(decodedReceipt.events[event.event], event);
+      }
+    }
+    return decodedReceipt;
+  }
+
+  // Waits for `confirmations` blocks on top of the attempt's block and checks that it is still part of the chain.
+  async _isConfirmed(attempt) {
+    if (this.confirmations === 0) return true;
+    while ((await this.web3.eth.getBlockNumber()) < attempt.receipt.blockNumber + this.confirmations) {
+      await delay(this.pollingInterval);
+    }
+    const receipt = await this.web3.eth.getTransactionReceipt(attempt.receipt.transactionHash);
+    return Boolean(receipt && receipt.blockHash === attempt.receipt.blockHash);
+  }
+
+  // A nonce that was used on-chain without any of the attempts being mined was taken by another transaction.
+  async _isDropped(nonce, attempts) {
+    const transactionCount = await this.web3.eth.getTransactionCount(this.account, "latest");
+    if (Number(transactionCount) <= nonce) return false;
+    const receipts = await Promise.all(
+      attempts
+        .filter(attempt => attempt.transactionHash)
+        .map(attempt => this.web3.eth.getTransactionReceipt(attempt.transactionHash))
+    );
+    return receipts.every(receipt => !receipt);
+  }
+}
+
+module.exports = {
+  TransactionManager
+};
@@ -1,24 +1,22 @@
 const { MAX_SAFE_ALLOWANCE, MAX_UINT_VAL } = require("@uma/common");
 const { getAbi } = require("@uma/core");
 
-// Sets `owner` allowance for `spender` to MAX_UINT_VAL, unless `spender` already has
-// an allowance > MAX_SAFE_ALLOWANCE. Return successful approval transaction data, or undefined
-// for skipped approvals.
-const setAllowance = async (web3, gasEstimator, ownerAddress, spenderAddress, currencyAddress) => {
+// Sets the allowance of `transactionManager`'s account for `spender` to MAX_UINT_VAL, unless `spender` already has
+// an allowance > MAX_SAFE_ALLOWANCE. The approval is sent through `transactionManager` so that its nonce does not
+// collide with the account's other transactions. Return successful approval transaction data, or undefined
+// for skipped approvals and dry runs.
+const setAllowance = async (web3, transactionManager, spenderAddress, currencyAddress) => {
   const { toBN } = web3.utils;
+  const ownerAddress = transactionManager.account;
 
   // Increase `perpetualAddress` allowance to MAX for the collateral @ `currencyAddress`
   const collateralToken = new web3.eth.Contract(getAbi("ExpandedERC20"), currencyAddress);
   const currentCollateralAllowance = await collateralToken.methods.allowance(ownerAddress, spenderAddress).call();
   if (toBN(currentCollateralAllowance).lt(toBN(MAX_SAFE_ALLOWANCE))) {
-    return {
-      tx: await collateralToken.methods.approve(spenderAddress, MAX_UINT_VAL).send({
-        from: ownerAddress,
-        gasPrice: gasEstimator.getCurrentFastPrice()
-      }),
-      spenderAddress,
-      currencyAddress
-    };
+    const { receipt } = await transactionManager.sendTransaction({
+      transaction: collateralToken.methods.approve(spenderAddress, MAX_UINT_VAL)
+    });
+    if (receipt) return { tx: receipt, spenderAddress, currencyAddress };
   }
 };
 
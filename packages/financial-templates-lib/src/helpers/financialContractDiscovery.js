@@ -0,0 +1,69 @@
+// Helpers for bots that run against every financial contract created by UMA's factories instead of a single address.
+const { getAbi, getAddress } = require("@uma/core");
+const { FinancialContractFactoryClient } = require("../clients/FinancialContractFactoryClient");
+
+const createdContractTypes = { ExpiringMultiPartyCreator: "ExpiringMultiParty", PerpetualCreator: "Perpetual" };
+
+/**
+ * Creates a FinancialContractFactoryClient for each creator. By default, these are the ExpiringMultiPartyCreator and
+ * PerpetualCreator deployed on the network. Creators without a deployment on the network are skipped.
+ * @param {Object} logger Winston module used to send logs.
+ * @param {Object} web3 Web3 provider from truffle instance.
+ * @param {Number} networkId Network to look up the creators' addresses on.
+ * @param {Array} [creators] Creators to query instead of the defaults, e.g. older versions. Example:
+ *     [{ contractType: "ExpiringMultiPartyCreator", address: "0x..." }]
+ * @param {Number} [startingBlock] Earliest block to search for created contracts.
+ * @return {Array} FinancialContractFactoryClients.
+ */
+function createFinancialContractFactoryClients(logger, web3, networkId, creators, startingBlock = 0) {
+  const creatorList = creators || [
+    { contractType: "ExpiringMultiPartyCreator", address: getAddress("ExpiringMultiPartyCreator", networkId) },
+    { contractType: "PerpetualCreator", address: getAddress("PerpetualCreator", networkId) }
+  ];
+
+  return creatorList
+    .filter(creator => creator.address)
+    .map(
+      ({ contractType, address }) =>
+        new FinancialContractFactoryClient(
+          logger,
+          getAbi(contractType),
+          web3,
+          address,
+          startingBlock,
+          null, // Search up to the latest block, so that new contracts are picked up.
+          contractType
+        )
+    );
+}
+
+/**
+ * Updates the factory clients and returns every contract that they created and that passes the allow and deny lists.
+ * @param {Array} factoryClients FinancialContractFactoryClients, e.g. from `createFinancialContractFactoryClients`.
+ * @param {Array} [allowList] If set, only these contract addresses are returned.
+ * @param {Array} [denyList] Contract addresses that are never returned.
+ * @return {Array} Objects of the form { contractAddress, contractType }, where `contractType` is "ExpiringMultiParty" or
+ *     "Perpetual".
+ */
+async function discoverFinancialContracts(factoryClients, allowList, denyList) {
+  const normalize = addresses => (addresses || []).map(address => address.toLowerCase());
+  const allowed = allowList ? normalize(allowList) : null;
+  const denied = normalize(denyList);
+
+  await Promise.all(factoryClients.map(factoryClient => factoryClient.update()));
+
+  const contracts = [];
+  for (const factoryClient of factoryClients) {
+    for (const contractAddress of factoryClient.getAllCreatedContractAddresses()) {
+      const address = contractAddress.toLowerCase();
+      if ((allowed && !allowed.includes(address)) || denied.includes(address)) continue;
+      contracts.push({ contractAddress, contractType: createdContractTypes[factoryClient.getContractType()] });
+    }
+  }
+  return contracts;
+}
+
+module.exports = {
+  createFinancialContractFactoryClients,
+  discoverFinancialContracts
+};
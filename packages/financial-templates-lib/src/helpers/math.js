@@ -1,4 +1,5 @@
 const assert = require("assert");
+const { toBN, toWei } = require("web3").utils;
 
 // Takes in two big numbers and returns the error between them. using: δ = (observed - expected) / expected
 // For example an observed price of 1.2 with an expected price of 1.0 will return (1.2 - 1.0) / 1.0 = 0.20
@@ -31,7 +32,18 @@ const isDeviationOutsideErrorMargin = (observedValueBN, expectedValueBN, scaling
   return deviationBN.abs().gt(errorMarginBN);
 };
 
+// Returns the collateralization ratio of a position, scaled by 1e18: cr = collateral / (tokens * price). All inputs are
+// big numbers normalized to 18 decimals. Returns 0 if there is no collateral and null if there is no debt, since the
+// ratio is then undefined.
+const calculatePositionCR = (collateralBN, tokensBN, priceBN) => {
+  if (collateralBN.isZero()) return toBN("0");
+  if (tokensBN.isZero()) return null;
+  const fixedPointAdjustment = toBN(toWei("1"));
+  return collateralBN.mul(fixedPointAdjustment.mul(fixedPointAdjustment)).div(tokensBN.mul(priceBN));
+};
+
 module.exports = {
   calculateDeviationError,
-  isDeviationOutsideErrorMargin
+  isDeviationOutsideErrorMargin,
+  calculatePositionCR
 };
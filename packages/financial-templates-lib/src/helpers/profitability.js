@@ -0,0 +1,127 @@
+const assert = require("assert");
+
+/**
+ * Expected-value model for liquidations and disputes. Estimates the net P&L of an action assuming that it succeeds,
+ * i.e. that a liquidation expires undisputed and that a dispute is upheld by the DVM. Bonds and final fees are refunded
+ * in both of those cases, so they are reported as capital that the action locks up rather than as costs.
+ * All amounts are BNs scaled to 18 decimals. Callers should normalize collateral, synthetic and price values that use
+ * other precisions, e.g. with FinancialContractClient's `normalize*Decimals` functions.
+ * @param {object} config - Model configuration.
+ * @property {string} [config.ethPriceInCollateral] - Collateral per ETH, in whole units, used to convert gas costs into
+ * collateral. E.g. "1" for WETH collateral or "2000" for USDC collateral when ETH trades at 2000 USD. Can be omitted if
+ * each estimate is passed an `ethPrice`, e.g. from a price feed.
+ * @property {string} [config.minProfit] - Minimum P&L, in whole units of collateral, for an action to be profitable.
+ * Can be negative to tolerate small losses. Defaults to 0.
+ * Example:
+ * {
+ *   ethPriceInCollateral: "2000",
+ *   minProfit: "10"
+ * }
+ * @param {object} deps - Library dependencies
+ * @property {object} deps.toBN - toBN function
+ * @property {object} deps.toWei - toWei function
+ * Example:
+ * {
+ *   toBN: Web3.utils.toBN,
+ *   toWei: Web3.utils.toWei,
+ * }
+ */
+const createProfitabilityModel = ({ ethPriceInCollateral, minProfit = "0" } = {}, { toBN, toWei } = {}) => {
+  assert(toBN, "requires toBN");
+  assert(toWei, "requires toWei");
+
+  const fixedPointAdjustment = toBN(toWei("1"));
+  const defaultEthPrice = ethPriceInCollateral !== undefined ? toBN(toWei(ethPriceInCollateral.toString())) : null;
+  const minProfitWei = toBN(toWei(minProfit.toString()));
+
+  // Returns the cost of a transaction in collateral. `gasPrice` is in wei. `ethPrice` is the collateral per ETH, scaled
+  // to 18 decimals, and defaults to `ethPriceInCollateral`.
+  function calculateGasCost({ gasEstimate, gasPrice, ethPrice = defaultEthPrice }) {
+    assert(ethPrice, "requires ethPrice or ethPriceInCollateral");
+    return toBN(gasEstimate.toString())
+      .mul(toBN(gasPrice.toString()))
+      .mul(toBN(ethPrice))
+      .div(fixedPointAdjustment);
+  }
+
+  // P&L of liquidating `tokensToLiquidate` of a position. The liquidator pays for the liquidated tokens at `price` and
+  // receives their pro-rata share of the position's collateral. `positionCollateral` should exclude any pending
+  // withdrawal, since that collateral is not liquidated. If `collateralToMint` is set, the liquidator mints the tokens
+  // with that much collateral instead of buying them, so they cost nothing but lock the collateral in a position.
+  function calculateLiquidationProfit({
+    tokensToLiquidate,
+    positionTokens,
+    positionCollateral,
+    price,
+    finalFee,
+    gasEstimate,
+    gasPrice,
+    ethPrice,
+    collateralToMint
+  }) {
+    assert(toBN(positionTokens).gt(toBN(0)), "requires positionTokens");
+
+    const collateralReceived = toBN(positionCollateral)
+      .mul(toBN(tokensToLiquidate))
+      .div(toBN(positionTokens));
+    const isMinting = collateralToMint !== undefined;
+    const tokenValue = toBN(tokensToLiquidate)
+      .mul(toBN(price))
+      .div(fixedPointAdjustment);
+    const syntheticCost = isMinting ? toBN(0) : tokenValue;
+    const gasCost = calculateGasCost({ gasEstimate, gasPrice, ethPrice });
+    const profit = collateralReceived.sub(syntheticCost).sub(gasCost);
+
+    return {
+      profit,
+      isProfitable: profit.gte(minProfitWei),
+      collateralReceived,
+      syntheticCost,
+      gasCost,
+      // The final fee bond is returned once the liquidation expires.
+      capitalRequired: (isMinting ? toBN(collateralToMint) : syntheticCost).add(toBN(finalFee))
+    };
+  }
+
+  // P&L of disputing a liquidation of `liquidatedTokens` that the DVM would settle at `price`. A successful disputer
+  // receives `disputerDisputeRewardPercentage` of the liquidated tokens' value on top of their refunded bond.
+  function calculateDisputeProfit({
+    liquidatedTokens,
+    lockedCollateral,
+    price,
+    disputeBondPercentage,
+    disputerDisputeRewardPercentage,
+    finalFee,
+    gasEstimate,
+    gasPrice,
+    ethPrice
+  }) {
+    const tokenRedemptionValue = toBN(liquidatedTokens)
+      .mul(toBN(price))
+      .div(fixedPointAdjustment);
+    const disputeReward = tokenRedemptionValue.mul(toBN(disputerDisputeRewardPercentage)).div(fixedPointAdjustment);
+    const disputeBond = toBN(lockedCollateral)
+      .mul(toBN(disputeBondPercentage))
+      .div(fixedPointAdjustment);
+    const gasCost = calculateGasCost({ gasEstimate, gasPrice, ethPrice });
+    const profit = disputeReward.sub(gasCost);
+
+    return {
+      profit,
+      isProfitable: profit.gte(minProfitWei),
+      disputeReward,
+      gasCost,
+      capitalRequired: disputeBond.add(toBN(finalFee))
+    };
+  }
+
+  return {
+    calculateGasCost,
+    calculateLiquidationProfit,
+    calculateDisputeProfit
+  };
+};
+
+module.exports = {
+  createProfitabilityModel
+};
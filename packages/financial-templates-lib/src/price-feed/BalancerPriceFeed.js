@@ -91,6 +91,14 @@ class BalancerPriceFeed extends PriceFeedInterface {
     }
   }
 
+  // Like the UniswapPriceFeed, this returns the raw price at each block in the lookback window rather than a TWAP.
+  getHistoricalPricePeriods() {
+    return this.priceHistory
+      .list()
+      .map(([timestamp, price]) => [Number(timestamp), this.convertPoolDecimalsToPriceFeedDecimals(price)])
+      .sort((a, b) => a[0] - b[0]);
+  }
+
   getLastUpdateTime() {
     return this.lastUpdateTime;
   }
@@ -1,4 +1,5 @@
 const { PriceFeedInterface } = require("./PriceFeedInterface");
+const { combineConstituentMetadata } = require("./utils");
 const { parseFixed } = require("@ethersproject/bignumber");
 const assert = require("assert");
 
@@ -110,6 +111,16 @@ class BasketSpreadPriceFeed extends PriceFeedInterface {
     }
   }
 
+  // The baskets contain different assets, so the result reports the largest dispersion of any constituent rather than
+  // comparing the constituents against each other.
+  getPriceWithMetadata(currentTime, maxPriceAge) {
+    return combineConstituentMetadata(
+      this.getCurrentPrice(),
+      this.getLastUpdateTime(),
+      this.allPriceFeeds.map(priceFeed => priceFeed.getPriceWithMetadata(currentTime, maxPriceAge))
+    );
+  }
+
   async getHistoricalPrice(time) {
     // If failure to fetch any constituent historical prices, then throw
     // array of errors.
@@ -0,0 +1,206 @@
+const { PriceFeedInterface } = require("./PriceFeedInterface");
+const { BlockFinder } = require("./utils");
+const { ConvertDecimals } = require("@uma/common");
+const assert = require("assert");
+
+class ChainlinkPriceFeed extends PriceFeedInterface {
+  /**
+   * @notice Constructs new price feed object that reads the answers published by a Chainlink AggregatorV3 contract.
+   * @dev Historical prices within `lookback` are served from the rounds fetched during `update()`. Older prices are
+   *      found by looking up the block at that time and reading the latest round as of that block, which requires an
+   *      archive node.
+   * @param {Object} logger Winston module used to send logs.
+   * @param {Object} web3 Provider from Truffle instance to connect to Ethereum network.
+   * @param {Object} aggregatorAbi AggregatorV3Interface abi object to create a contract instance.
+   * @param {String} aggregatorAddress Ethereum address of the Chainlink aggregator (or its proxy) to read from.
+   * @param {Function} getTime Returns the current time.
+   * @param {Integer} lookback How far in the past the rounds are cached by `update()`.
+   * @param {Function} [blockFinder] Optionally pass in a shared blockFinder instance (to share the cache).
+   * @param {Integer} [minTimeBetweenUpdates] Minimum amount of time that must pass before update will actually run
+   *                                        again.
+   * @param {Integer} [priceFeedDecimals] Precision that the caller wants precision to be reported in.
+   * @param {Bool} [invertPrice] Indicates if prices should be inverted before returned.
+   * @param {Integer} [maxRoundsToWalkBack] Maximum number of rounds that a historical lookup older than the cached
+   *                                        rounds walks back from the latest round at that time's block.
+   * @return None or throws an Error.
+   */
+  constructor({
+    logger,
+    web3,
+    aggregatorAbi,
+    aggregatorAddress,
+    getTime,
+    lookback,
+    blockFinder,
+    minTimeBetweenUpdates = 60,
+    priceFeedDecimals = 18,
+    invertPrice = false,
+    maxRoundsToWalkBack = 100
+  }) {
+    super();
+
+    // Assert required arguments.
+    assert(logger, "logger required");
+    assert(web3, "web3 required");
+    assert(aggregatorAbi, "aggregatorAbi required");
+    assert(aggregatorAddress, "aggregatorAddress required");
+    assert(getTime, "getTime required");
+    assert(lookback >= 0, "lookback must be >= 0");
+
+    this.logger = logger;
+    this.web3 = web3;
+    this.toBN = web3.utils.toBN;
+
+    this.aggregator = new web3.eth.Contract(aggregatorAbi, aggregatorAddress);
+    this.uuid = `Chainlink-${aggregatorAddress}`;
+    this.getTime = getTime;
+    this.lookback = lookback;
+    this.priceFeedDecimals = priceFeedDecimals;
+    this.minTimeBetweenUpdates = minTimeBetweenUpdates;
+    this.invertPrice = invertPrice;
+    this.maxRoundsToWalkBack = maxRoundsToWalkBack;
+    this.blockFinder = blockFinder || BlockFinder(web3.eth.getBlock);
+
+    this.rounds = []; // array of { roundId: string, price: BN, updatedAt: number }, sorted from oldest to newest.
+  }
+
+  getCurrentPrice() {
+    if (this.rounds.length === 0) return null;
+    return this._applyInversion(this.rounds[this.rounds.length - 1].price);
+  }
+
+  // Returns the answer of the latest round that was updated at or before `time`.
+  async getHistoricalPrice(time) {
+    if (this.lastUpdateTime === undefined) {
+      throw new Error(`${this.uuid}: undefined lastUpdateTime`);
+    }
+
+    let round;
+    if (this.rounds.length > 0 && this.rounds[0].updatedAt <= time) {
+      // The cached rounds are contiguous, so the last one updated before `time` was the answer at that time.
+      round = this.rounds.filter(cachedRound => cachedRound.updatedAt <= time).pop();
+    } else {
+      round = await this._getRoundAtTime(time);
+    }
+
+    if (!round || !round.price) {
+      throw new Error(`${this.uuid}: no round found for time ${time}`);
+    }
+    return this._applyInversion(round.price);
+  }
+
+  getHistoricalPricePeriods() {
+    return this.rounds.filter(round => round.price).map(round => [round.updatedAt, this._applyInversion(round.price)]);
+  }
+
+  getLastUpdateTime() {
+    return this.lastUpdateTime;
+  }
+
+  getLookback() {
+    return this.lookback;
+  }
+
+  getPriceFeedDecimals() {
+    return this.priceFeedDecimals;
+  }
+
+  async update() {
+    const currentTime = await this.getTime();
+
+    // Return early if the last call was too recent.
+    if (this.lastUpdateTime !== undefined && this.lastUpdateTime + this.minTimeBetweenUpdates > currentTime) {
+      this.logger.debug({
+        at: "ChainlinkPriceFeed",
+        message: "Update skipped because the last one was too recent",
+        currentTime: currentTime,
+        lastUpdateTimestamp: this.lastUpdateTime,
+        timeRemainingUntilUpdate: this.lastUpdateTime + this.minTimeBetweenUpdates - currentTime
+      });
+      return;
+    }
+
+    this.logger.debug({
+      at: "ChainlinkPriceFeed",
+      message: "Updating ChainlinkPriceFeed",
+      currentTime: currentTime,
+      lastUpdateTimestamp: this.lastUpdateTime
+    });
+
+    const latestRound = await this._parseRound(await this.aggregator.methods.latestRoundData().call());
+
+    // Walk back from the latest round until reaching a round that is already cached or one that was updated before
+    // the lookback window. That last round is kept because its answer was still the current one at the start of the
+    // window.
+    const earliestTime = currentTime - this.lookback;
+    const lastCachedRoundId = this.rounds.length > 0 ? this.rounds[this.rounds.length - 1].roundId : null;
+    const newRounds = [];
+    let round = latestRound;
+    while (round && round.roundId !== lastCachedRoundId) {
+      newRounds.unshift(round);
+      if (round.updatedAt <= earliestTime) break;
+      round = await this._getPreviousRound(round.roundId);
+    }
+
+    // Keep only the rounds needed to cover the lookback window.
+    const rounds = [...this.rounds, ...newRounds];
+    const firstRoundIndex = rounds.map(cachedRound => cachedRound.updatedAt <= earliestTime).lastIndexOf(true);
+    this.rounds = rounds.slice(Math.max(firstRoundIndex, 0));
+    this.lastUpdateTime = currentTime;
+  }
+
+  // Returns the round before `roundId` or null if it cannot be fetched. Note: proxies encode the aggregator phase in the
+  // upper bits of the round ID, so walking back stops at the first round of the current phase.
+  async _getPreviousRound(roundId) {
+    const previousRoundId = this.toBN(roundId).subn(1);
+    if (previousRoundId.isZero()) return null;
+    try {
+      return await this._parseRound(await this.aggregator.methods.getRoundData(previousRoundId.toString()).call());
+    } catch (error) {
+      // Aggregators revert for rounds that do not exist.
+      return null;
+    }
+  }
+
+  // Finds the round that was current at `time` by reading the latest round as of the block at that time and then
+  // walking back, at most `maxRoundsToWalkBack` rounds, if that round was updated after `time`. Returns null if no such
+  // round is found.
+  async _getRoundAtTime(time) {
+    const block = await this.blockFinder.getBlockForTimestamp(time);
+    let round = await this._parseRound(await this.aggregator.methods.latestRoundData().call(undefined, block.number));
+    for (let roundsWalkedBack = 0; round && round.updatedAt > time; roundsWalkedBack++) {
+      if (roundsWalkedBack === this.maxRoundsToWalkBack) return null;
+      round = await this._getPreviousRound(round.roundId);
+    }
+    return round;
+  }
+
+  // Converts the raw round data into a cached round. Rounds whose answer is not positive have a null price.
+  async _parseRound(roundData) {
+    const answer = this.toBN(roundData.answer.toString());
+    return {
+      roundId: roundData.roundId.toString(),
+      price: answer.gtn(0) ? await this._convertDecimals(answer) : null,
+      updatedAt: Number(roundData.updatedAt)
+    };
+  }
+
+  _applyInversion(price) {
+    if (!this.invertPrice || !price) return price;
+    const fixedPointOne = this.toBN("10").pow(this.toBN(this.priceFeedDecimals.toString()));
+    return fixedPointOne.mul(fixedPointOne).div(price);
+  }
+
+  // Converts decimals from the aggregator's decimals to the configured output decimals.
+  async _convertDecimals(value) {
+    if (!this.cachedConvertDecimalsFn) {
+      const aggregatorDecimals = await this.aggregator.methods.decimals().call();
+      this.cachedConvertDecimalsFn = ConvertDecimals(parseInt(aggregatorDecimals), this.priceFeedDecimals, this.web3);
+    }
+    return this.cachedConvertDecimalsFn(value);
+  }
+}
+
+module.exports = {
+  ChainlinkPriceFeed
+};
@@ -131,6 +131,14 @@ class CoinGeckoPriceFeed extends PriceFeedInterface {
     return this.invertPrice ? this._invertPriceSafely(matchingPrice) : matchingPrice;
   }
 
+  // Returns the price fetched by each update.
+  getHistoricalPricePeriods() {
+    return this.priceHistory.map(history => [
+      history.time,
+      this.invertPrice ? this._invertPriceSafely(history.price) : history.price
+    ]);
+  }
+
   getLastUpdateTime() {
     return this.lastUpdateTime;
   }
@@ -146,6 +146,14 @@ class CoinMarketCapPriceFeed extends PriceFeedInterface {
     return this.invertPrice ? this._invertPriceSafely(matchingPrice) : matchingPrice;
   }
 
+  // Returns the price fetched by each update.
+  getHistoricalPricePeriods() {
+    return this.priceHistory.map(history => [
+      history.time,
+      this.invertPrice ? this._invertPriceSafely(history.price) : history.price
+    ]);
+  }
+
   getLastUpdateTime() {
     return this.lastUpdateTime;
   }
@@ -7,6 +7,8 @@ const { ForexDailyPriceFeed } = require("./ForexDailyPriceFeed");
 const { QuandlPriceFeed } = require("./QuandlPriceFeed");
 const { DefiPulsePriceFeed } = require("./DefiPulsePriceFeed");
 const { UniswapPriceFeed } = require("./UniswapPriceFeed");
+const { UniswapV3PriceFeed } = require("./UniswapV3PriceFeed");
+const { CurvePriceFeed } = require("./CurvePriceFeed");
 const { BalancerPriceFeed } = require("./BalancerPriceFeed");
 const { DominationFinancePriceFeed } = require("./DominationFinancePriceFeed");
 const { BasketSpreadPriceFeed } = require("./BasketSpreadPriceFeed");
@@ -15,37 +17,64 @@ const { CoinGeckoPriceFeed } = require("./CoinGeckoPriceFeed");
 const { TraderMadePriceFeed } = require("./TraderMadePriceFeed");
 const { PriceFeedMockScaled } = require("./PriceFeedMockScaled");
 const { InvalidPriceFeedMock } = require("./InvalidPriceFeedMock");
-const { defaultConfigs } = require("./DefaultPriceFeedConfigs");
+const { defaultConfigs, getDefaultPriceFeedConfig } = require("./DefaultPriceFeedConfigs");
 const { getTruffleContract } = require("@uma/core");
 const { ExpressionPriceFeed, math, escapeSpecialCharacters } = require("./ExpressionPriceFeed");
 const { VaultPriceFeed } = require("./VaultPriceFeed");
 const { LPPriceFeed } = require("./LPPriceFeed");
+const { ChainlinkPriceFeed } = require("./ChainlinkPriceFeed");
 const { BlockFinder } = require("./utils");
-const { getPrecisionForIdentifier } = require("@uma/common");
+const { getPrecisionForIdentifier, parseAncillaryData } = require("@uma/common");
+const { priceFeedRegistry } = require("./PriceFeedRegistry");
+const { FilesystemPriceHistoryCache } = require("./PriceHistoryCache");
 
 // Global cache for block (promises) used by uniswap price feeds.
 const uniswapBlockCache = {};
 
 async function createPriceFeed(logger, web3, networker, getTime, config) {
-  const Uniswap = getTruffleContract("Uniswap", web3, "latest");
-  const ERC20 = getTruffleContract("ExpandedERC20", web3, "latest");
-  const Balancer = getTruffleContract("Balancer", web3, "latest");
-  const VaultInterface = getTruffleContract("VaultInterface", web3, "latest");
-
-  if (config.type === "cryptowatch") {
-    const requiredFields = ["exchange", "pair", "lookback", "minTimeBetweenUpdates"];
+  if (!priceFeedRegistry.has(config.type)) {
+    logger.error({
+      at: "createPriceFeed",
+      message: "Invalid price feed type specified🚨",
+      config
+    });
 
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
+    return null;
+  }
 
-    logger.debug({
+  // Validate the entire config up front so that every problem with it is reported at once.
+  const validationErrors = priceFeedRegistry.validate(config.type, config);
+  if (validationErrors.length > 0) {
+    logger.error({
       at: "createPriceFeed",
-      message: "Creating CryptoWatchPriceFeed",
+      message: "Config failed validation🚨",
+      priceFeedType: config.type,
+      validationErrors,
       config
     });
+    return null;
+  }
+
+  logger.debug({
+    at: "createPriceFeed",
+    message: "Creating price feed",
+    priceFeedType: config.type,
+    config
+  });
+
+  return await priceFeedRegistry.create(config.type, config, {
+    logger,
+    web3,
+    networker,
+    getTime,
+    createPriceFeed: nestedConfig => createPriceFeed(logger, web3, networker, getTime, nestedConfig)
+  });
+}
 
-    return new CryptoWatchPriceFeed(
+priceFeedRegistry.register("cryptowatch", {
+  schema: { required: ["exchange", "pair", "lookback", "minTimeBetweenUpdates"] },
+  create: async (config, { logger, web3, networker, getTime }) =>
+    new CryptoWatchPriceFeed(
       logger,
       web3,
       config.cryptowatchApiKey,
@@ -57,22 +86,15 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       config.minTimeBetweenUpdates,
       config.invertPrice, // Not checked in config because this parameter just defaults to false.
       config.priceFeedDecimals, // Defaults to 18 unless supplied. Informs how the feed should be scaled to match a DVM response.
-      config.ohlcPeriod // Defaults to 60 unless supplied.
-    );
-  } else if (config.type === "quandl") {
-    const requiredFields = ["datasetCode", "databaseCode", "lookback", "quandlApiKey"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating QuandlPriceFeed",
-      config
-    });
-
-    return new QuandlPriceFeed(
+      config.ohlcPeriod, // Defaults to 60 unless supplied.
+      getPriceHistoryCache(config)
+    )
+});
+
+priceFeedRegistry.register("quandl", {
+  schema: { required: ["datasetCode", "databaseCode", "lookback", "quandlApiKey"] },
+  create: async (config, { logger, web3, networker, getTime }) =>
+    new QuandlPriceFeed(
       logger,
       web3,
       config.quandlApiKey,
@@ -82,22 +104,15 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       networker,
       getTime,
       config.priceFeedDecimals, // Defaults to 18 unless supplied. Informs how the feed should be scaled to match a DVM response.
-      config.minTimeBetweenUpdates // Defaults to 43200 (12 hours) unless supplied.
-    );
-  } else if (config.type === "domfi") {
-    const requiredFields = ["pair", "lookback", "minTimeBetweenUpdates"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating DominationFinancePriceFeed",
-      config
-    });
-
-    return new DominationFinancePriceFeed(
+      config.minTimeBetweenUpdates, // Defaults to 43200 (12 hours) unless supplied.
+      getPriceHistoryCache(config)
+    )
+});
+
+priceFeedRegistry.register("domfi", {
+  schema: { required: ["pair", "lookback", "minTimeBetweenUpdates"] },
+  create: async (config, { logger, web3, networker, getTime }) =>
+    new DominationFinancePriceFeed(
       logger,
       web3,
       config.pair,
@@ -108,24 +123,16 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       config.invertPrice, // Not checked in config because this parameter just defaults to false.
       config.priceFeedDecimals, // This defaults to 18 unless supplied by user
       config.tickPeriod // Defaults to 60 unless supplied.
-    );
-  } else if (config.type === "uniswap") {
-    const requiredFields = ["uniswapAddress", "twapLength", "lookback"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating UniswapPriceFeed",
-      config
-    });
+    )
+});
 
-    return new UniswapPriceFeed(
+priceFeedRegistry.register("uniswap", {
+  schema: { required: ["uniswapAddress", "twapLength", "lookback"] },
+  create: async (config, { logger, web3, getTime }) =>
+    new UniswapPriceFeed(
       logger,
-      Uniswap.abi,
-      ERC20.abi,
+      getTruffleContract("Uniswap", web3, "latest").abi,
+      getTruffleContract("ExpandedERC20", web3, "latest").abi,
       web3,
       config.uniswapAddress,
       config.twapLength,
@@ -133,22 +140,54 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       getTime,
       config.invertPrice, // Not checked in config because this parameter just defaults to false.
       config.priceFeedDecimals, // This defaults to 18 unless supplied by user
-      uniswapBlockCache
-    );
-  } else if (config.type === "forexdaily") {
-    const requiredFields = ["base", "symbol", "lookback"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
+      uniswapBlockCache,
+      getSharedBlockFinder(web3)
+    )
+});
+
+priceFeedRegistry.register("uniswapv3", {
+  schema: {
+    required: ["uniswapAddress", "twapLength", "lookback"],
+    properties: { twapLength: { type: "number" }, lookback: { type: "number" } }
+  },
+  create: async (config, { logger, web3, getTime }) =>
+    new UniswapV3PriceFeed({
+      ...config,
+      logger,
+      web3,
+      getTime,
+      uniswapAbi: getTruffleContract("UniswapV3", web3, "latest").abi,
+      erc20Abi: getTruffleContract("ExpandedERC20", web3, "latest").abi,
+      blockFinder: getSharedBlockFinder(web3)
+    })
+});
+
+priceFeedRegistry.register("curve", {
+  schema: {
+    required: ["curveAddress"],
+    properties: {
+      inputIndex: { type: "integer" },
+      outputIndex: { type: "integer" },
+      underlying: { type: "boolean" },
+      useVirtualPrice: { type: "boolean" }
     }
+  },
+  create: async (config, { logger, web3, getTime }) =>
+    new CurvePriceFeed({
+      ...config,
+      logger,
+      web3,
+      getTime,
+      curveAbi: getTruffleContract("Curve", web3, "latest").abi,
+      erc20Abi: getTruffleContract("ExpandedERC20", web3, "latest").abi,
+      blockFinder: getSharedBlockFinder(web3)
+    })
+});
 
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating ForexDailyPriceFeed",
-      config
-    });
-
-    return new ForexDailyPriceFeed(
+priceFeedRegistry.register("forexdaily", {
+  schema: { required: ["base", "symbol", "lookback"] },
+  create: async (config, { logger, web3, networker, getTime }) =>
+    new ForexDailyPriceFeed(
       logger,
       web3,
       config.base,
@@ -158,21 +197,13 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       getTime,
       config.priceFeedDecimals, // Defaults to 18 unless supplied. Informs how the feed should be scaled to match a DVM response.
       config.minTimeBetweenUpdates // Defaults to 43200 (12 hours) unless supplied.
-    );
-  } else if (config.type === "defipulse") {
-    const requiredFields = ["lookback", "minTimeBetweenUpdates", "defipulseApiKey", "project"];
+    )
+});
 
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating DefiPulsePriceFeed",
-      config
-    });
-
-    return new DefiPulsePriceFeed(
+priceFeedRegistry.register("defipulse", {
+  schema: { required: ["lookback", "minTimeBetweenUpdates", "defipulseApiKey", "project"] },
+  create: async (config, { logger, web3, networker, getTime }) =>
+    new DefiPulsePriceFeed(
       logger,
       web3,
       config.defipulseApiKey,
@@ -182,70 +213,35 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       config.minTimeBetweenUpdates,
       config.priceFeedDecimals,
       config.project
-    );
-  } else if (config.type === "medianizer") {
-    const requiredFields = ["medianizedFeeds"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    if (config.medianizedFeeds.length === 0) {
-      logger.error({
-        at: "createPriceFeed",
-        message: "MedianizerPriceFeed configured with 0 feeds to medianize🚨"
-      });
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating MedianizerPriceFeed",
-      config
-    });
-
-    // Loop over all the price feeds to medianize.
-    return await _createMedianizerPriceFeed(config);
-  } else if (config.type === "fallback") {
-    const requiredFields = ["orderedFeeds"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    if (config.orderedFeeds.length === 0) {
-      logger.error({
-        at: "createPriceFeed",
-        message: "FallBackPriceFeed configured with 0 feeds🚨"
-      });
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating FallBackPriceFeed",
-      config
-    });
-
-    return await _createFallBackPriceFeed(config);
-  } else if (config.type === "balancer") {
-    const requiredFields = ["balancerAddress", "balancerTokenIn", "balancerTokenOut", "lookback", "twapLength"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "balancerPriceFeed",
-      message: "Creating balancerPriceFeed",
-      config
-    });
+    )
+});
+
+priceFeedRegistry.register("medianizer", {
+  schema: {
+    required: ["medianizedFeeds"],
+    properties: { medianizedFeeds: { type: "array", minItems: 1 }, minSources: { type: "integer" } }
+  },
+  validate: config => _validateMedianizerConfig(config, "minSources"),
+  create: async (config, context) => await _createMedianizerPriceFeed(config, config, context)
+});
+
+priceFeedRegistry.register("fallback", {
+  schema: { required: ["orderedFeeds"], properties: { orderedFeeds: { type: "array", minItems: 1 } } },
+  create: async (config, context) => {
+    const orderedPriceFeeds = await _createConstituentPriceFeeds(config, config.orderedFeeds, context);
+    if (!orderedPriceFeeds) return null;
+    return new FallBackPriceFeed(orderedPriceFeeds);
+  }
+});
 
-    return new BalancerPriceFeed(
+priceFeedRegistry.register("balancer", {
+  schema: { required: ["balancerAddress", "balancerTokenIn", "balancerTokenOut", "lookback", "twapLength"] },
+  create: async (config, { logger, web3, getTime }) =>
+    new BalancerPriceFeed(
       logger,
       web3,
       getTime,
-      Balancer.abi,
+      getTruffleContract("Balancer", web3, "latest").abi,
       config.balancerAddress,
       config.balancerTokenIn,
       config.balancerTokenOut,
@@ -253,44 +249,49 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       config.twapLength,
       config.poolDecimals,
       config.priceFeedDecimals // This defaults to 18 unless supplied by user
-    );
-  } else if (config.type === "basketspread") {
-    const requiredFields = ["baselinePriceFeeds", "experimentalPriceFeeds"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating Baskets of MedianizedPriceFeeds",
-      config
-    });
-
+    )
+});
+
+priceFeedRegistry.register("basketspread", {
+  schema: {
+    required: ["baselinePriceFeeds", "experimentalPriceFeeds"],
+    properties: { baselinePriceFeeds: { type: "array" }, experimentalPriceFeeds: { type: "array" } }
+  },
+  // The baskets and denominator are built as medianizers directly, without going through `createPriceFeed`.
+  validate: config =>
+    [
+      ...config.baselinePriceFeeds.map((medianizerConfig, i) => [medianizerConfig, `baselinePriceFeeds[${i}]`]),
+      ...config.experimentalPriceFeeds.map((medianizerConfig, i) => [medianizerConfig, `experimentalPriceFeeds[${i}]`]),
+      ...(config.denominatorPriceFeed ? [[config.denominatorPriceFeed, "denominatorPriceFeed"]] : [])
+    ].flatMap(([medianizerConfig, field]) => _validateMedianizerConfig(medianizerConfig, `${field}.minSources`)),
+  create: async (config, context) => {
     // Currently, this file assumes that the baskets are lists of medianizer price feeds, and that the
     // denominator is a medianizer pricefeed.
     // Future work would relax these constraint and allow for the baskets and denominator to be
     // any type of price feed.
-    const experimentalPriceFeeds = await _createBasketOfMedianizerPriceFeeds(config.experimentalPriceFeeds);
-    const baselinePriceFeeds = await _createBasketOfMedianizerPriceFeeds(config.baselinePriceFeeds);
+    const experimentalPriceFeeds = await _createBasketOfMedianizerPriceFeeds(
+      config,
+      config.experimentalPriceFeeds,
+      context
+    );
+    const baselinePriceFeeds = await _createBasketOfMedianizerPriceFeeds(config, config.baselinePriceFeeds, context);
     const denominatorPriceFeed =
-      config.denominatorPriceFeed && (await _createMedianizerPriceFeed(config.denominatorPriceFeed));
-
-    return new BasketSpreadPriceFeed(web3, logger, baselinePriceFeeds, experimentalPriceFeeds, denominatorPriceFeed);
-  } else if (config.type === "coinmarketcap") {
-    const requiredFields = ["cmcApiKey", "symbol", "quoteCurrency", "lookback", "minTimeBetweenUpdates"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating CoingMarketCapPriceFeed",
-      config
-    });
+      config.denominatorPriceFeed && (await _createMedianizerPriceFeed(config, config.denominatorPriceFeed, context));
+
+    return new BasketSpreadPriceFeed(
+      context.web3,
+      context.logger,
+      baselinePriceFeeds,
+      experimentalPriceFeeds,
+      denominatorPriceFeed
+    );
+  }
+});
 
-    return new CoinMarketCapPriceFeed(
+priceFeedRegistry.register("coinmarketcap", {
+  schema: { required: ["cmcApiKey", "symbol", "quoteCurrency", "lookback", "minTimeBetweenUpdates"] },
+  create: async (config, { logger, web3, networker, getTime }) =>
+    new CoinMarketCapPriceFeed(
       logger,
       web3,
       config.cmcApiKey,
@@ -302,21 +303,13 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       config.minTimeBetweenUpdates,
       config.invertPrice, // Not checked in config because this parameter just defaults to false.
       config.priceFeedDecimals // Defaults to 18 unless supplied. Informs how the feed should be scaled to match a DVM response.
-    );
-  } else if (config.type === "coingecko") {
-    const requiredFields = ["contractAddress", "quoteCurrency", "lookback", "minTimeBetweenUpdates"];
-
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
+    )
+});
 
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating CoinGeckoPriceFeed",
-      config
-    });
-
-    return new CoinGeckoPriceFeed(
+priceFeedRegistry.register("coingecko", {
+  schema: { required: ["contractAddress", "quoteCurrency", "lookback", "minTimeBetweenUpdates"] },
+  create: async (config, { logger, web3, networker, getTime }) =>
+    new CoinGeckoPriceFeed(
       logger,
       web3,
       config.contractAddress,
@@ -327,21 +320,13 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       config.minTimeBetweenUpdates,
       config.invertPrice, // Not checked in config because this parameter just defaults to false.
       config.priceFeedDecimals // Defaults to 18 unless supplied. Informs how the feed should be scaled to match a DVM response.
-    );
-  } else if (config.type === "tradermade") {
-    const requiredFields = ["pair", "tradermadeApiKey", "minTimeBetweenUpdates"];
+    )
+});
 
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating TraderMadePriceFeed",
-      config
-    });
-
-    return new TraderMadePriceFeed(
+priceFeedRegistry.register("tradermade", {
+  schema: { required: ["pair", "tradermadeApiKey", "minTimeBetweenUpdates"] },
+  create: async (config, { logger, web3, networker, getTime }) =>
+    new TraderMadePriceFeed(
       logger,
       web3,
       config.tradermadeApiKey,
@@ -352,202 +337,186 @@ async function createPriceFeed(logger, web3, networker, getTime, config) {
       getTime,
       config.minTimeBetweenUpdates,
       config.priceFeedDecimals, // Defaults to 18 unless supplied. Informs how the feed should be scaled to match a DVM response.
-      config.ohlcPeriod
-    );
-  } else if (config.type === "test") {
-    const requiredFields = ["currentPrice", "historicalPrice"];
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating PriceFeedMockScaled",
-      config
-    });
-
-    return new PriceFeedMockScaled(
+      config.ohlcPeriod,
+      getPriceHistoryCache(config)
+    )
+});
+
+priceFeedRegistry.register("test", {
+  schema: { required: ["currentPrice", "historicalPrice"] },
+  create: async config =>
+    new PriceFeedMockScaled(
       config.currentPrice,
       config.historicalPrice,
       config.lastUpdateTime,
       config.priceFeedDecimals, // Defaults to 18 unless supplied. Informs how the feed should be scaled to match a DVM response.
       config.lookback
-    );
-  } else if (config.type === "invalid") {
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating InvalidPriceFeed",
-      config
-    });
-
-    return new InvalidPriceFeedMock();
-  } else if (config.type === "expression") {
-    const requiredFields = ["expression"];
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating ExpressionPriceFeed",
-      config
-    });
-
-    return await _createExpressionPriceFeed(config);
-  } else if (config.type === "vault") {
-    const requiredFields = ["address"];
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating VaultPriceFeed",
-      config
-    });
-
-    return new VaultPriceFeed({
+    )
+});
+
+priceFeedRegistry.register("invalid", {
+  create: async () => new InvalidPriceFeedMock()
+});
+
+priceFeedRegistry.register("expression", {
+  schema: { required: ["expression"], properties: { expression: { type: "string" } } },
+  create: async (config, context) => await _createExpressionPriceFeed(config, context)
+});
+
+priceFeedRegistry.register("vault", {
+  schema: { required: ["address"] },
+  create: async (config, { logger, web3, getTime }) =>
+    new VaultPriceFeed({
       ...config,
       logger,
       web3,
       getTime,
-      vaultAbi: VaultInterface.abi,
-      erc20Abi: ERC20.abi,
+      vaultAbi: getTruffleContract("VaultInterface", web3, "latest").abi,
+      erc20Abi: getTruffleContract("ExpandedERC20", web3, "latest").abi,
       vaultAddress: config.address,
       blockFinder: getSharedBlockFinder(web3)
-    });
-  } else if (config.type === "lp") {
-    const requiredFields = ["poolAddress", "tokenAddress"];
-    if (isMissingField(config, requiredFields, logger)) {
-      return null;
-    }
-
-    logger.debug({
-      at: "createPriceFeed",
-      message: "Creating LPPriceFeed",
-      config
-    });
+    })
+});
 
-    return new LPPriceFeed({
+priceFeedRegistry.register("lp", {
+  schema: { required: ["poolAddress", "tokenAddress"] },
+  create: async (config, { logger, web3, getTime }) =>
+    new LPPriceFeed({
       ...config,
       logger,
       web3,
       getTime,
-      erc20Abi: ERC20.abi,
+      erc20Abi: getTruffleContract("ExpandedERC20", web3, "latest").abi,
       blockFinder: getSharedBlockFinder(web3)
-    });
-  }
-
-  logger.error({
-    at: "createPriceFeed",
-    message: "Invalid price feed type specified🚨",
-    config
-  });
-
-  return null;
+    })
+});
 
-  // Internal helper methods:
+priceFeedRegistry.register("chainlink", {
+  schema: { required: ["aggregatorAddress", "lookback"], properties: { lookback: { type: "number" } } },
+  create: async (config, { logger, web3, getTime }) =>
+    new ChainlinkPriceFeed({
+      ...config,
+      logger,
+      web3,
+      getTime,
+      aggregatorAbi: getTruffleContract("AggregatorV3Interface", web3, "latest").abi,
+      blockFinder: getSharedBlockFinder(web3)
+    })
+});
+
+// Internal helper methods used by the composite price feed types:
+
+// Returns an ExpressionPriceFeed.
+async function _createExpressionPriceFeed(expressionConfig, { logger, createPriceFeed }) {
+  // Build list of configs that could be used in the expression including default price feed configs and customFeeds
+  // that the user has provided inside the ExpressionPriceFeed config. Note: default configs are overriden by
+  // customFeeds with the same name. Tranform keys by escaping any special characters in the identifier names..
+  const allConfigs = Object.fromEntries(
+    Object.entries({ ...defaultConfigs, ...expressionConfig.customFeeds }).map(([key, value]) => {
+      return [escapeSpecialCharacters(key), value];
+    })
+  );
 
-  // Returns an ExpressionPriceFeed.
-  async function _createExpressionPriceFeed(expressionConfig) {
-    // Build list of configs that could be used in the expression including default price feed configs and customFeeds
-    // that the user has provided inside the ExpressionPriceFeed config. Note: default configs are overriden by
-    // customFeeds with the same name. Tranform keys by escaping any special characters in the identifier names..
-    const allConfigs = Object.fromEntries(
-      Object.entries({ ...defaultConfigs, ...expressionConfig.customFeeds }).map(([key, value]) => {
-        return [escapeSpecialCharacters(key), value];
-      })
-    );
+  // This call chain:
+  // 1. Parses the expression into an expression tree of nodes.
+  // 2. Filters for "symbol" nodes, which would be price feed identifiers in this case.
+  // 3. Extract the name property for each of these symbol nodes
+  // 4. Puts it all in a set and converts back to an array to dedupe any repeated values.
+  const symbols = Array.from(
+    new Set(
+      math
+        .parse(expressionConfig.expression)
+        .filter(node => node.isSymbolNode)
+        .map(node => node.name)
+    )
+  );
 
-    // This call chain:
-    // 1. Parses the expression into an expression tree of nodes.
-    // 2. Filters for "symbol" nodes, which would be price feed identifiers in this case.
-    // 3. Extract the name property for each of these symbol nodes
-    // 4. Puts it all in a set and converts back to an array to dedupe any repeated values.
-    const symbols = Array.from(
-      new Set(
-        math
-          .parse(expressionConfig.expression)
-          .filter(node => node.isSymbolNode)
-          .map(node => node.name)
+  // This is a complicated looking map that maps each symbol into an entry in an object with its value the price
+  // feed created from the mapped config in allConfigs.
+  const priceFeedMap = Object.fromEntries(
+    (
+      await Promise.all(
+        symbols.map(async symbol => {
+          const config = allConfigs[symbol];
+
+          // If there is no config for this symbol, return just null, which will be filtered out.
+          // Allow this through becuase
+          if (!config) {
+            logger.debug({
+              at: "_createExpressionPriceFeed",
+              message: `No price feed config found for symbol: ${symbol} 🚨`,
+              expressionConfig
+            });
+            return null;
+          }
+
+          // These configs will inherit the expression config values (except type), but prefer the individual config's
+          // value when present.
+          const combinedConfig = { ...expressionConfig, type: undefined, ...config };
+
+          // If this returns null, just return upstream since the error has already been logged and the null will be
+          // detected upstream.
+          const priceFeed = await createPriceFeed(combinedConfig);
+          return [symbol, priceFeed];
+        })
       )
-    );
+    ).filter(el => el !== null)
+  );
 
-    // This is a complicated looking map that maps each symbol into an entry in an object with its value the price
-    // feed created from the mapped config in allConfigs.
-    const priceFeedMap = Object.fromEntries(
-      (
-        await Promise.all(
-          symbols.map(async symbol => {
-            const config = allConfigs[symbol];
-
-            // If there is no config for this symbol, return just null, which will be filtered out.
-            // Allow this through becuase
-            if (!config) {
-              logger.debug({
-                at: "_createExpressionPriceFeed",
-                message: `No price feed config found for symbol: ${symbol} 🚨`,
-                expressionConfig
-              });
-              return null;
-            }
-
-            // These configs will inherit the expression config values (except type), but prefer the individual config's
-            // value when present.
-            const combinedConfig = { ...expressionConfig, type: undefined, ...config };
-
-            // If this returns null, just return upstream since the error has already been logged and the null will be
-            // detected upstream.
-            const priceFeed = await createPriceFeed(logger, web3, networker, getTime, combinedConfig);
-            return [symbol, priceFeed];
-          })
-        )
-      ).filter(el => el !== null)
-    );
+  // Return null if any of the price feeds in the map are null (meaning there was an error).
+  if (Object.values(priceFeedMap).some(priceFeed => priceFeed === null)) return null;
 
-    // Return null if any of the price feeds in the map are null (meaning there was an error).
-    if (Object.values(priceFeedMap).some(priceFeed => priceFeed === null)) return null;
+  return new ExpressionPriceFeed(priceFeedMap, expressionConfig.expression, expressionConfig.priceFeedDecimals);
+}
 
-    return new ExpressionPriceFeed(priceFeedMap, expressionConfig.expression, expressionConfig.priceFeedDecimals);
+// A medianizer's `minSources` must be an integer no greater than its number of feeds. The constructor would otherwise
+// throw.
+function _validateMedianizerConfig(medianizerConfig, field) {
+  const { medianizedFeeds, minSources } = medianizerConfig;
+  if (minSources === undefined) return [];
+  if (!Number.isInteger(minSources) || minSources < 1) return [{ field, message: "must be a positive integer" }];
+  if (Array.isArray(medianizedFeeds) && minSources > medianizedFeeds.length) {
+    return [{ field, message: `must not be greater than the number of medianizedFeeds (${medianizedFeeds.length})` }];
   }
+  return [];
+}
 
-  async function _createMedianizerPriceFeed(medianizerConfig) {
-    const priceFeedsToMedianize = await _createConstituentPriceFeeds(medianizerConfig.medianizedFeeds);
-    if (!priceFeedsToMedianize) return null;
-    return new MedianizerPriceFeed(priceFeedsToMedianize, medianizerConfig.computeMean);
-  }
+// Note: `parentConfig` is the config of the top-level feed being created, which the constituent feeds inherit from.
+async function _createMedianizerPriceFeed(parentConfig, medianizerConfig, context) {
+  const priceFeedsToMedianize = await _createConstituentPriceFeeds(
+    parentConfig,
+    medianizerConfig.medianizedFeeds,
+    context
+  );
+  if (!priceFeedsToMedianize) return null;
+  return new MedianizerPriceFeed(priceFeedsToMedianize, medianizerConfig.computeMean, medianizerConfig.minSources);
+}
 
-  async function _createFallBackPriceFeed(fallbackConfig) {
-    const orderedPriceFeeds = await _createConstituentPriceFeeds(fallbackConfig.orderedFeeds);
-    if (!orderedPriceFeeds) return null;
-    return new FallBackPriceFeed(orderedPriceFeeds);
-  }
+async function _createConstituentPriceFeeds(parentConfig, priceFeedConfigs, { createPriceFeed }) {
+  const priceFeeds = [];
+  for (const _priceFeedConfig of priceFeedConfigs) {
+    // The constituent feeds should inherit config options from the parent config if it doesn't define those values
+    // itself.
+    // Note: ensure that type isn't inherited because this could create infinite recursion if the type isn't defined
+    // on the nested config. `minSources` isn't inherited either because it depends on each medianizer's own feeds.
+    const combinedConfig = { ...parentConfig, type: undefined, minSources: undefined, ..._priceFeedConfig };
 
-  async function _createConstituentPriceFeeds(priceFeedConfigs) {
-    const priceFeeds = [];
-    for (const _priceFeedConfig of priceFeedConfigs) {
-      // The constituent feeds should inherit config options from the parent config if it doesn't define those values
-      // itself.
-      // Note: ensure that type isn't inherited because this could create infinite recursion if the type isn't defined
-      // on the nested config.
-      const combinedConfig = { ...config, type: undefined, ..._priceFeedConfig };
-
-      const priceFeed = await createPriceFeed(logger, web3, networker, getTime, combinedConfig);
-
-      if (priceFeed === null) {
-        // If one of the nested feeds errored and returned null, just return null up the stack.
-        // Note: no need to log an error since the nested feed construction should have thrown it.
-        return null;
-      }
+    const priceFeed = await createPriceFeed(combinedConfig);
 
-      priceFeeds.push(priceFeed);
+    if (priceFeed === null) {
+      // If one of the nested feeds errored and returned null, just return null up the stack.
+      // Note: no need to log an error since the nested feed construction should have thrown it.
+      return null;
     }
-    return priceFeeds;
-  }
 
-  // Returns an array or "basket" of MedianizerPriceFeeds
-  async function _createBasketOfMedianizerPriceFeeds(medianizerConfigs) {
-    return await Promise.all(medianizerConfigs.map(config => _createMedianizerPriceFeed(config)));
+    priceFeeds.push(priceFeed);
   }
+  return priceFeeds;
+}
+
+// Returns an array or "basket" of MedianizerPriceFeeds
+async function _createBasketOfMedianizerPriceFeeds(parentConfig, medianizerConfigs, context) {
+  return await Promise.all(medianizerConfigs.map(config => _createMedianizerPriceFeed(parentConfig, config, context)));
 }
 
 // Simple function to grab a singleton instance of the blockFinder to share the cache.
@@ -559,29 +528,52 @@ function getSharedBlockFinder(web3) {
   return getSharedBlockFinder.blockFinder;
 }
 
-function isMissingField(config, requiredFields, logger) {
-  const missingField = requiredFields.find(field => config[field] === undefined);
-  if (missingField !== undefined) {
-    logger.error({
-      at: "createPriceFeed",
-      message: "Config is missing field🚨",
-      priceFeedType: config.type,
-      requiredFields,
-      missingField,
-      config
-    });
-    return true;
+// Returns a cache that persists historical prices to `config.priceHistoryCacheDirectory` or null if the config does not
+// set a directory. Caches are shared between all feeds that use the same directory.
+function getPriceHistoryCache(config) {
+  if (!config.priceHistoryCacheDirectory) return null;
+  if (!getPriceHistoryCache.caches) getPriceHistoryCache.caches = {};
+  if (!getPriceHistoryCache.caches[config.priceHistoryCacheDirectory]) {
+    getPriceHistoryCache.caches[config.priceHistoryCacheDirectory] = new FilesystemPriceHistoryCache(
+      config.priceHistoryCacheDirectory
+    );
   }
-
-  return false;
+  return getPriceHistoryCache.caches[config.priceHistoryCacheDirectory];
 }
 
-async function getUniswapPairDetails(web3, syntheticTokenAddress, collateralCurrencyAddress) {
+/**
+ * Finds the Uniswap v2 pair for the synthetic and collateral tokens and whether its price needs to be inverted.
+ * @param {Object} web3 instance.
+ * @param {String} syntheticTokenAddress address of the synthetic token.
+ * @param {String} collateralCurrencyAddress address of the collateral currency.
+ * @param {Object=} fork (optional) `factoryAddress` and `initCodeHash` of a Uniswap v2 fork, such as Sushiswap. If both
+ *     are set, the pair address is computed for that fork instead of the official Uniswap v2 deployment.
+ * @return {Object} `pairAddress` and `inverted`, or an empty object if the pair address cannot be determined.
+ */
+async function getUniswapPairDetails(web3, syntheticTokenAddress, collateralCurrencyAddress, fork = {}) {
   const networkId = await web3.eth.net.getId();
 
   if (process.env.UNISWAP_ADDRESS) {
     // Used for mock uniswap pair contracts.
     return { address: process.env.UNISWAP_ADDRESS, inverted: false };
+  } else if (fork.factoryAddress && fork.initCodeHash) {
+    // Forks deploy pairs with CREATE2 the same way as Uniswap v2, but from their own factory and pair bytecode. Tokens
+    // are sorted by address to determine token0 and token1.
+    const { soliditySha3, toChecksumAddress } = web3.utils;
+    const [token0, token1] = [syntheticTokenAddress, collateralCurrencyAddress].sort((a, b) =>
+      a.toLowerCase() < b.toLowerCase() ? -1 : 1
+    );
+    const salt = soliditySha3({ t: "address", v: token0 }, { t: "address", v: token1 });
+    const create2Hash = soliditySha3(
+      { t: "bytes1", v: "0xff" },
+      { t: "address", v: fork.factoryAddress },
+      { t: "bytes32", v: salt },
+      { t: "bytes32", v: fork.initCodeHash }
+    );
+
+    // If the synthetic token is token1 (numerator), the price needs to be inverted.
+    const inverted = token1 === syntheticTokenAddress;
+    return { pairAddress: toChecksumAddress(`0x${create2Hash.slice(-40)}`), inverted };
   } else if (networkId in Object.keys(ChainId)) {
     // If Uniswap V2 supports this network, compute the address using the SDK.
     const syntheticToken = new Token(networkId, syntheticTokenAddress, 18, "", "");
@@ -635,8 +627,17 @@ async function createUniswapPriceFeedForFinancialContract(
   const collateralCurrencyAddress = await financialContract.methods.collateralCurrency().call();
   const syntheticTokenAddress = await financialContract.methods.tokenCurrency().call();
 
-  // Note: order doesn't matter.
-  const { pairAddress, inverted } = await getUniswapPairDetails(web3, syntheticTokenAddress, collateralCurrencyAddress);
+  // Note: order doesn't matter. Forks of Uniswap v2 can be used by setting their factory and init code hash.
+  const userConfig = config || {};
+  const { pairAddress, inverted } = await getUniswapPairDetails(
+    web3,
+    syntheticTokenAddress,
+    collateralCurrencyAddress,
+    {
+      factoryAddress: userConfig.uniswapFactoryAddress,
+      initCodeHash: userConfig.uniswapInitCodeHash
+    }
+  );
 
   if (!pairAddress && !config) {
     throw new Error(
@@ -658,8 +659,6 @@ async function createUniswapPriceFeedForFinancialContract(
     defaultConfig = {};
   }
 
-  const userConfig = config || {};
-
   // Check if there is an override for the getTime method in the price feed config. Specifically, we can replace the
   // get time method with the current block time.
   if (userConfig.getTimeOverride?.useBlockTime) {
@@ -677,6 +676,118 @@ async function createUniswapPriceFeedForFinancialContract(
   return await createPriceFeed(logger, web3, networker, getTime, { ...defaultConfig, ...userConfig });
 }
 
+// Creates a Uniswap v3 price feed for the synthetic token of the Financial Contract. Unlike v2 pairs, v3 pool addresses
+// also depend on the fee tier, so the pool address must be passed in the config as `uniswapAddress`.
+async function createUniswapV3PriceFeedForFinancialContract(
+  logger,
+  web3,
+  networker,
+  getTime,
+  financialContractAddress,
+  config = {}
+) {
+  assert(
+    financialContractAddress,
+    "createUniswapV3PriceFeedForFinancialContract: Must pass in an `financialContractAddress`"
+  );
+  assert(config.uniswapAddress, "createUniswapV3PriceFeedForFinancialContract: Must pass in a `uniswapAddress`");
+
+  const financialContract = getFinancialContractIdentifierAtAddress(web3, financialContractAddress);
+  const syntheticTokenAddress = await financialContract.methods.tokenCurrency().call();
+
+  // The pool quotes token0 in token1, so the price needs to be inverted if the synthetic token is token1.
+  const pool = new web3.eth.Contract(getTruffleContract("UniswapV3", web3, "latest").abi, config.uniswapAddress);
+  const [token0Address, token1Address] = await Promise.all([
+    pool.methods.token0().call(),
+    pool.methods.token1().call()
+  ]);
+  const inverted = token1Address.toLowerCase() === syntheticTokenAddress.toLowerCase();
+  if (!inverted && token0Address.toLowerCase() !== syntheticTokenAddress.toLowerCase()) {
+    throw new Error(
+      `Uniswap v3 pool ${config.uniswapAddress} does not contain synthetic token ${syntheticTokenAddress}`
+    );
+  }
+
+  const defaultConfig = {
+    twapLength: 2, // Essentially turns the TWAP off since block times are >> 2 seconds.
+    lookback: 7200,
+    invertPrice: inverted
+  };
+
+  // Check if there is an override for the getTime method in the price feed config. Specifically, we can replace the
+  // get time method with the current block time.
+  if (config.getTimeOverride?.useBlockTime) {
+    getTime = async () => (await web3.eth.getBlock("latest")).timestamp;
+  }
+
+  logger.debug({
+    at: "createUniswapV3PriceFeedForFinancialContract",
+    message: "Inferred default config from Financial Contract address",
+    financialContractAddress,
+    defaultConfig,
+    userConfig: config
+  });
+
+  return await createPriceFeed(logger, web3, networker, getTime, { ...defaultConfig, ...config });
+}
+
+// Creates a Curve price feed that prices the synthetic token of the Financial Contract in its collateral. If the config
+// does not set the coin indices, they are found by looking up both tokens in the pool's coins.
+async function createCurvePriceFeedForFinancialContract(
+  logger,
+  web3,
+  networker,
+  getTime,
+  financialContractAddress,
+  config = {}
+) {
+  assert(
+    financialContractAddress,
+    "createCurvePriceFeedForFinancialContract: Must pass in an `financialContractAddress`"
+  );
+  assert(config.curveAddress, "createCurvePriceFeedForFinancialContract: Must pass in a `curveAddress`");
+
+  let defaultConfig = {};
+  if (!config.useVirtualPrice && (config.inputIndex === undefined || config.outputIndex === undefined)) {
+    const financialContract = getFinancialContractIdentifierAtAddress(web3, financialContractAddress);
+    const [syntheticTokenAddress, collateralCurrencyAddress] = await Promise.all([
+      financialContract.methods.tokenCurrency().call(),
+      financialContract.methods.collateralCurrency().call()
+    ]);
+
+    // Curve pools do not expose their number of coins, so read coins until the call reverts. Pools hold at most 8.
+    const pool = new web3.eth.Contract(getTruffleContract("Curve", web3, "latest").abi, config.curveAddress);
+    const coins = [];
+    for (let i = 0; i < 8; i++) {
+      try {
+        coins.push((await pool.methods.coins(i).call()).toLowerCase());
+      } catch (error) {
+        break;
+      }
+    }
+
+    defaultConfig = {
+      inputIndex: coins.indexOf(syntheticTokenAddress.toLowerCase()),
+      outputIndex: coins.indexOf(collateralCurrencyAddress.toLowerCase())
+    };
+    if (defaultConfig.inputIndex === -1 || defaultConfig.outputIndex === -1) {
+      throw new Error(
+        `Curve pool ${config.curveAddress} does not contain both the synthetic and collateral tokens. Set \`inputIndex\` and \`outputIndex\` in the config.`
+      );
+    }
+  }
+
+  logger.debug({
+    at: "createCurvePriceFeedForFinancialContract",
+    message: "Inferred default config from Financial Contract address",
+    financialContractAddress,
+    defaultConfig,
+    userConfig: config
+  });
+
+  return await createPriceFeed(logger, web3, networker, getTime, { ...defaultConfig, ...config });
+}
+
 function createTokenPriceFeedForFinancialContract(
   logger,
   web3,
@@ -703,6 +814,17 @@ function createTokenPriceFeedForFinancialContract(
       financialContractAddress,
       config
     );
+  } else if (config.type == "curve") {
+    return createCurvePriceFeedForFinancialContract(logger, web3, networker, getTime, financialContractAddress, config);
+  } else if (config.type == "uniswapv3") {
+    return createUniswapV3PriceFeedForFinancialContract(
+      logger,
+      web3,
+      networker,
+      getTime,
+      financialContractAddress,
+      config
+    );
   } else {
     return createUniswapPriceFeedForFinancialContract(
       logger,
@@ -724,6 +846,8 @@ function createTokenPriceFeedForFinancialContract(
  * @param {String} string representing the address of the Financial Contract contract.
  * @param {Object=} config (optional) to override the defaults for this reference feed.
  * @param {String=} identifier (optional) allows caller to choose which default price feed config to use. Required only if the caller does not pass in an `financialContractAddress`
+ * @param {String=} ancillaryData (optional) ancillary data of the price request to resolve. Fields named in the config's
+ *     `ancillaryDataMapping` override the config, e.g. { twapLength: "twapLength" } sets `twapLength` from the request.
  * @return {Object} an instance of PriceFeedInterface that can be used to get the reference price.
  */
 async function createReferencePriceFeedForFinancialContract(
@@ -733,7 +857,8 @@ async function createReferencePriceFeedForFinancialContract(
   getTime,
   financialContractAddress,
   config,
-  identifier
+  identifier,
+  ancillaryData
 ) {
   // Automatically detect identifier from passed in Financial Contract address or use `identifier`.
   let _identifier;
@@ -758,7 +883,7 @@ async function createReferencePriceFeedForFinancialContract(
   } else if (_identifier.startsWith("INVALID")) {
     defaultConfig = { type: "invalid", priceFeedDecimals: getPrecisionForIdentifier(_identifier) };
   } else {
-    defaultConfig = defaultConfigs[_identifier];
+    defaultConfig = getDefaultPriceFeedConfig(_identifier, await web3.eth.net.getId());
   }
 
   logger.debug({
@@ -801,9 +926,31 @@ async function createReferencePriceFeedForFinancialContract(
       getTime = async () => (await web3.eth.getBlock("latest")).timestamp;
     }
   }
+
+  if (combinedConfig.ancillaryDataMapping) {
+    combinedConfig = applyAncillaryDataToConfig(combinedConfig, ancillaryData);
+    logger.debug({
+      at: "createReferencePriceFeedForFinancialContract",
+      message: "Applied ancillary data to price feed config",
+      ancillaryData,
+      combinedConfig
+    });
+  }
   return await createPriceFeed(logger, web3, networker, getTime, combinedConfig);
 }
 
+// Returns a copy of `config` in which each property named in its `ancillaryDataMapping` of
+// { ancillaryDataKey: configProperty } is set to that field of the decoded `ancillaryData`. Properties whose field is
+// missing from the ancillary data keep their configured value.
+function applyAncillaryDataToConfig(config, ancillaryData) {
+  const fields = parseAncillaryData(ancillaryData);
+  const overrides = {};
+  for (const [key, configProperty] of Object.entries(config.ancillaryDataMapping)) {
+    if (key in fields) overrides[configProperty] = fields[key];
+  }
+  return { ...config, ...overrides };
+}
+
 function getFinancialContractIdentifierAtAddress(web3, financialContractAddress) {
   try {
     const ExpiringMultiParty = getTruffleContract("ExpiringMultiParty", web3, "1.2.0");
@@ -816,8 +963,11 @@ function getFinancialContractIdentifierAtAddress(web3, financialContractAddress)
 module.exports = {
   createPriceFeed,
   createUniswapPriceFeedForFinancialContract,
+  createUniswapV3PriceFeedForFinancialContract,
+  createCurvePriceFeedForFinancialContract,
   createBalancerPriceFeedForFinancialContractI,
   createReferencePriceFeedForFinancialContract,
   createTokenPriceFeedForFinancialContract,
-  getUniswapPairDetails
+  getUniswapPairDetails,
+  applyAncillaryDataToConfig
 };
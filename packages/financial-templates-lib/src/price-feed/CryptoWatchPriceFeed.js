@@ -1,5 +1,6 @@
 const { PriceFeedInterface } = require("./PriceFeedInterface");
 const { parseFixed } = require("@uma/common");
+const { mergePricePeriods, readPriceHistory, writePriceHistory } = require("./PriceHistoryCache");
 
 // An implementation of PriceFeedInterface that uses CryptoWatch to retrieve prices.
 class CryptoWatchPriceFeed extends PriceFeedInterface {
@@ -20,6 +21,8 @@ class CryptoWatchPriceFeed extends PriceFeedInterface {
    * @param {Bool} invertPrice Indicates if prices should be inverted before returned.
    * @param {Number} priceFeedDecimals Number of priceFeedDecimals to use to convert price to wei.
    * @param {Number} ohlcPeriod Number of seconds interval between ohlc prices requested from cryptowatch.
+   * @param {Object} priceHistoryCache Optional PriceHistoryCache used to persist ohlc prices across restarts. When set,
+   *      only the prices after the last cached period are requested.
    */
   constructor(
     logger,
@@ -33,7 +36,8 @@ class CryptoWatchPriceFeed extends PriceFeedInterface {
     minTimeBetweenUpdates,
     invertPrice,
     priceFeedDecimals = 18,
-    ohlcPeriod = 60 // One minute is CryptoWatch's most granular option.
+    ohlcPeriod = 60, // One minute is CryptoWatch's most granular option.
+    priceHistoryCache = null
   ) {
     super();
     this.logger = logger;
@@ -53,6 +57,9 @@ class CryptoWatchPriceFeed extends PriceFeedInterface {
     this.toBN = this.web3.utils.toBN;
 
     this.ohlcPeriod = ohlcPeriod;
+    this.priceHistoryCache = priceHistoryCache;
+    // Cached prices are scaled to `priceFeedDecimals`, so feeds with different decimals must not share them.
+    this.priceHistoryCacheKey = `${this.uuid}-${ohlcPeriod}-${priceFeedDecimals}`;
 
     this.convertPriceFeedDecimals = number => {
       // Converts price result to wei
@@ -183,6 +190,15 @@ class CryptoWatchPriceFeed extends PriceFeedInterface {
     // timestamp (because the close of that OHLC may be relevant).
     const earliestHistoricalTimestamp = Math.floor((currentTime - this.lookback) / this.ohlcPeriod) * this.ohlcPeriod;
 
+    // Only request the periods that were not already cached. The last cached period is requested again because it
+    // might not have closed yet when it was cached.
+    const cachedPricePeriods = await readPriceHistory(this.priceHistoryCache, this.priceHistoryCacheKey, this.logger);
+    const lastCachedPricePeriod = cachedPricePeriods[cachedPricePeriods.length - 1];
+    const ohlcAfter =
+      lastCachedPricePeriod && lastCachedPricePeriod.closeTime > earliestHistoricalTimestamp
+        ? lastCachedPricePeriod.closeTime
+        : earliestHistoricalTimestamp;
+
     // 1. Construct URLs.
     // See https://docs.cryptowat.ch/rest-api/markets/price for how this url is constructed.
     const priceUrl =
@@ -193,7 +209,7 @@ class CryptoWatchPriceFeed extends PriceFeedInterface {
     const ohlcUrl = [
       `https://api.cryptowat.ch/markets/${this.exchange}/${this.pair}/ohlc`,
       `?before=${currentTime}`,
-      `&after=${earliestHistoricalTimestamp}`,
+      `&after=${ohlcAfter}`,
       `&periods=${this.ohlcPeriod}`,
       this.apiKey ? `&apikey=${this.apiKey}` : ""
     ].join("");
@@ -240,7 +256,7 @@ class CryptoWatchPriceFeed extends PriceFeedInterface {
     //   }
     // }
     // For more info, see: https://docs.cryptowat.ch/rest-api/markets/ohlc
-    const newHistoricalPricePeriods = ohlcResponse.result[this.ohlcPeriod.toString()]
+    let newHistoricalPricePeriods = ohlcResponse.result[this.ohlcPeriod.toString()]
       .map(ohlc => ({
         // Output data should be a list of objects with only the open and close times and prices.
         openTime: ohlc[0] - this.ohlcPeriod,
@@ -253,6 +269,20 @@ class CryptoWatchPriceFeed extends PriceFeedInterface {
         return a.openTime - b.openTime;
       });
 
+    if (this.priceHistoryCache) {
+      newHistoricalPricePeriods = mergePricePeriods(
+        cachedPricePeriods,
+        newHistoricalPricePeriods,
+        earliestHistoricalTimestamp
+      );
+      await writePriceHistory(
+        this.priceHistoryCache,
+        this.priceHistoryCacheKey,
+        newHistoricalPricePeriods,
+        this.logger
+      );
+    }
+
     // 5. Store results.
     this.currentPrice = newPrice;
     this.historicalPricePeriods = newHistoricalPricePeriods;
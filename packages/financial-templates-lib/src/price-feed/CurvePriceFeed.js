@@ -0,0 +1,160 @@
+const { PriceFeedInterface } = require("./PriceFeedInterface");
+const { BlockFinder } = require("./utils");
+const { ConvertDecimals, parseFixed } = require("@uma/common");
+const assert = require("assert");
+
+class CurvePriceFeed extends PriceFeedInterface {
+  /**
+   * @notice Constructs new price feed object that reads prices from a Curve pool.
+   * @dev By default, the price is the amount of the output coin received for swapping one whole input coin, as quoted
+   *      by `get_dy` (so it includes the pool's fee). If `useVirtualPrice` is set, the price is the pool's virtual
+   *      price instead, which is the value of one LP token in terms of the pool's underlying assets.
+   * @param {Object} logger Winston module used to send logs.
+   * @param {Object} web3 Provider from Truffle instance to connect to Ethereum network.
+   * @param {Object} curveAbi Curve pool abi object to create a contract instance.
+   * @param {Object} erc20Abi ERC20 abi object to create a contract instance to query decimals.
+   * @param {String} curveAddress Ethereum address of the Curve pool to monitor.
+   * @param {Function} getTime Returns the current time.
+   * @param {Integer} [inputIndex] Index of the coin being priced. Required unless `useVirtualPrice` is set.
+   * @param {Integer} [outputIndex] Index of the coin that the price is quoted in. Required unless `useVirtualPrice` is
+   *                                set.
+   * @param {Bool} [underlying] Indicates if the indices refer to underlying coins, e.g. the base pool's coins in a
+   *                            metapool. If so, `get_dy_underlying` is used.
+   * @param {Bool} [useVirtualPrice] Indicates if the pool's virtual price should be returned instead of a swap quote.
+   * @param {Integer} [inputDecimals] Decimals of the input coin. Read from `coins(inputIndex)` if not provided, unless
+   *                                  `underlying` is set, in which case it defaults to 18.
+   * @param {Integer} [outputDecimals] Decimals of the output coin. Read and defaulted the same way as `inputDecimals`.
+   * @param {Function} [blockFinder] Optionally pass in a shared blockFinder instance (to share the cache).
+   * @param {Integer} [minTimeBetweenUpdates] Minimum amount of time that must pass before update will actually run
+   *                                        again.
+   * @param {Integer} [priceFeedDecimals] Precision that the caller wants precision to be reported in.
+   * @param {Integer} [lookback] How long, in seconds, the price fetched by each update is kept for
+   *                             `getHistoricalPricePeriods`. Older prices can still be queried with `getHistoricalPrice`.
+   * @return None or throws an Error.
+   */
+  constructor({
+    logger,
+    web3,
+    curveAbi,
+    erc20Abi,
+    curveAddress,
+    getTime,
+    inputIndex,
+    outputIndex,
+    underlying = false,
+    useVirtualPrice = false,
+    inputDecimals,
+    outputDecimals,
+    blockFinder,
+    minTimeBetweenUpdates = 60,
+    priceFeedDecimals = 18,
+    lookback = 7200
+  }) {
+    super();
+
+    // Assert required inputs.
+    assert(logger, "logger required");
+    assert(web3, "web3 required");
+    assert(curveAbi, "curveAbi required");
+    assert(erc20Abi, "erc20Abi required");
+    assert(curveAddress, "curveAddress required");
+    assert(getTime, "getTime required");
+    if (!useVirtualPrice) {
+      assert(Number.isInteger(inputIndex), "inputIndex required");
+      assert(Number.isInteger(outputIndex), "outputIndex required");
+      assert(inputIndex !== outputIndex, "inputIndex and outputIndex must differ");
+    }
+
+    this.logger = logger;
+    this.web3 = web3;
+
+    this.curve = new web3.eth.Contract(curveAbi, curveAddress);
+    this.erc20Abi = erc20Abi;
+    const quote = useVirtualPrice ? "virtualPrice" : `${inputIndex}-${outputIndex}`;
+    this.uuid = `Curve-${curveAddress}-${quote}`;
+    this.getTime = getTime;
+    this.inputIndex = inputIndex;
+    this.outputIndex = outputIndex;
+    this.underlying = underlying;
+    this.useVirtualPrice = useVirtualPrice;
+    this.inputDecimals = inputDecimals;
+    this.outputDecimals = outputDecimals;
+    this.priceFeedDecimals = priceFeedDecimals;
+    this.minTimeBetweenUpdates = minTimeBetweenUpdates;
+    this.blockFinder = blockFinder || BlockFinder(web3.eth.getBlock);
+    this.lookback = lookback;
+    this.historicalPricePeriods = []; // array of [time: number, price: BN]
+  }
+
+  getCurrentPrice() {
+    return this.price;
+  }
+
+  async getHistoricalPrice(time) {
+    const block = await this.blockFinder.getBlockForTimestamp(time);
+    return this._getPrice(block.number);
+  }
+
+  // Returns the price fetched by each update. Older prices can still be queried with `getHistoricalPrice`.
+  getHistoricalPricePeriods() {
+    return this.historicalPricePeriods;
+  }
+
+  getLastUpdateTime() {
+    return this.lastUpdateTime;
+  }
+
+  getLookback() {
+    // Return infinity since this price feed can technically look back as far as needed.
+    return Infinity;
+  }
+
+  getPriceFeedDecimals() {
+    return this.priceFeedDecimals;
+  }
+
+  async update() {
+    const currentTime = await this.getTime();
+    if (this.lastUpdateTime === undefined || currentTime >= this.lastUpdateTime + this.minTimeBetweenUpdates) {
+      this.price = await this._getPrice();
+      this.lastUpdateTime = currentTime;
+      this.historicalPricePeriods.push([currentTime, this.price]);
+      this.historicalPricePeriods = this.historicalPricePeriods.filter(([time]) => time >= currentTime - this.lookback);
+    }
+  }
+
+  async _getPrice(blockNumber = "latest") {
+    if (this.useVirtualPrice) {
+      // The virtual price is always scaled by 1e18.
+      const virtualPrice = await this.curve.methods.get_virtual_price().call(undefined, blockNumber);
+      return ConvertDecimals(18, this.priceFeedDecimals, this.web3)(virtualPrice);
+    }
+
+    await this._fetchDecimals();
+
+    // Quote a swap of one whole input coin.
+    const dx = parseFixed("1", this.inputDecimals).toString();
+    const method = this.underlying ? "get_dy_underlying" : "get_dy";
+    const dy = await this.curve.methods[method](this.inputIndex, this.outputIndex, dx).call(undefined, blockNumber);
+    return this.cachedConvertDecimalsFn(dy);
+  }
+
+  // Fills in any coin decimals that were not provided to the constructor.
+  async _fetchDecimals() {
+    if (this.cachedConvertDecimalsFn) return;
+
+    const getDecimals = async index => {
+      if (this.underlying) return 18;
+      const coinAddress = await this.curve.methods.coins(index).call();
+      return parseInt(await new this.web3.eth.Contract(this.erc20Abi, coinAddress).methods.decimals().call());
+    };
+    if (this.inputDecimals === undefined) this.inputDecimals = await getDecimals(this.inputIndex);
+    if (this.outputDecimals === undefined) this.outputDecimals = await getDecimals(this.outputIndex);
+
+    this.cachedConvertDecimalsFn = ConvertDecimals(this.outputDecimals, this.priceFeedDecimals, this.web3);
+  }
+}
+
+module.exports = {
+  CurvePriceFeed
+};
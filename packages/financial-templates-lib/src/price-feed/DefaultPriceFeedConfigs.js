@@ -820,4 +820,41 @@ Object.keys(defaultConfigs).forEach(identifierName => {
   defaultConfigs[identifierName].priceFeedDecimals = getPrecisionForIdentifier(identifierName);
 });
 
-module.exports = { defaultConfigs };
+// Chainlink aggregator proxies, by network ID, that are used as fallback sources when the CEX medianizers fail.
+const chainlinkAggregators = {
+  ETHUSD: { 1: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419" },
+  BTCUSD: { 1: "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c" }
+};
+const chainlinkFallbacks = {
+  USDETH: chainlinkAggregators.ETHUSD,
+  USDBTC: chainlinkAggregators.BTCUSD,
+  USDBTC_18DEC: chainlinkAggregators.BTCUSD
+};
+
+/**
+ * @notice Returns the default config for an identifier on a network. Medianizers that have a Chainlink aggregator on
+ *      the network are wrapped in a fallback feed that only uses the aggregator if the medianizer fails.
+ * @param {String} identifier price identifier, e.g. "USDETH".
+ * @param {Number} networkId ID of the network that the price feed will read from.
+ * @return {Object} copy of the default config, or undefined if the identifier has none.
+ */
+function getDefaultPriceFeedConfig(identifier, networkId) {
+  const defaultConfig = defaultConfigs[identifier];
+  if (!defaultConfig) return undefined;
+
+  const aggregatorAddress = chainlinkFallbacks[identifier] && chainlinkFallbacks[identifier][networkId];
+  if (!aggregatorAddress) return { ...defaultConfig };
+
+  // The constituents inherit everything but the medianized feeds from the fallback config.
+  const { medianizedFeeds, ...sharedConfig } = defaultConfig;
+  return {
+    ...sharedConfig,
+    type: "fallback",
+    orderedFeeds: [
+      { type: "medianizer", medianizedFeeds },
+      { type: "chainlink", aggregatorAddress }
+    ]
+  };
+}
+
+module.exports = { defaultConfigs, getDefaultPriceFeedConfig };
@@ -77,6 +77,12 @@ class DefiPulsePriceFeed extends PriceFeedInterface {
     }
   }
 
+  getHistoricalPricePeriods() {
+    return this.historicalPrices
+      .map(historicalPrice => [Number(historicalPrice.timestamp), this.scaleResult(historicalPrice.tvlUSD)])
+      .sort((a, b) => a[0] - b[0]);
+  }
+
   getLastUpdateTime() {
     return this.lastUpdateTime;
   }
@@ -1,5 +1,6 @@
 const assert = require("assert");
 const { PriceFeedInterface } = require("./PriceFeedInterface");
+const { combineConstituentMetadata, getPriceAtOrBefore } = require("./utils");
 const Web3 = require("web3");
 const { create, all } = require("mathjs");
 
@@ -75,6 +76,37 @@ class ExpressionPriceFeed extends PriceFeedInterface {
     return this._convertToFixed(this.expressionCode.evaluate(historicalPrices), this.getPriceFeedDecimals());
   }
 
+  // Evaluates the expression at each timestamp of the constituent with the fewest price periods, using the latest price
+  // at or before that timestamp from every other constituent. Timestamps where a constituent has no price yet are
+  // skipped.
+  getHistoricalPricePeriods() {
+    const constituents = Object.entries(this.priceFeedMap).map(([name, pf]) => ({
+      name,
+      decimals: pf.getPriceFeedDecimals(),
+      pricePeriods: pf.getHistoricalPricePeriods()
+    }));
+    const referencePricePeriods = constituents
+      .map(({ pricePeriods }) => pricePeriods)
+      .reduce((shortest, pricePeriods) => (pricePeriods.length < shortest.length ? pricePeriods : shortest));
+
+    const historicalPricePeriods = [];
+    for (const [time] of referencePricePeriods) {
+      const prices = {};
+      for (const { name, decimals, pricePeriods } of constituents) {
+        const price = getPriceAtOrBefore(pricePeriods, time);
+        if (!price) break;
+        prices[name] = this._convertToDecimal(price, decimals);
+      }
+      if (Object.keys(prices).length < constituents.length) continue;
+
+      historicalPricePeriods.push([
+        time,
+        this._convertToFixed(this.expressionCode.evaluate(prices), this.getPriceFeedDecimals())
+      ]);
+    }
+    return historicalPricePeriods;
+  }
+
   getLastUpdateTime() {
     const lastUpdateTimes = Object.values(this.priceFeedMap).map(pf => pf.getLastUpdateTime());
 
@@ -117,6 +149,16 @@ class ExpressionPriceFeed extends PriceFeedInterface {
     return this._convertToFixed(this.expressionCode.evaluate(prices), this.getPriceFeedDecimals());
   }
 
+  // The symbols in the expression are different assets, so the result reports the largest dispersion of any
+  // constituent rather than comparing the constituents against each other.
+  getPriceWithMetadata(currentTime, maxPriceAge) {
+    return combineConstituentMetadata(
+      this.getCurrentPrice(),
+      this.getLastUpdateTime(),
+      Object.values(this.priceFeedMap).map(priceFeed => priceFeed.getPriceWithMetadata(currentTime, maxPriceAge))
+    );
+  }
+
   getPriceFeedDecimals() {
     return this.decimals;
   }
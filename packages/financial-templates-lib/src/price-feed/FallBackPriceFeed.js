@@ -1,4 +1,5 @@
 const { PriceFeedInterface } = require("./PriceFeedInterface");
+const { computeDispersion } = require("./utils");
 
 // An implementation of PriceFeedInterface that provides an order pricefeeds to fall back to
 // if the higher-priority ones fail for any reason.
@@ -47,10 +48,38 @@ class FallBackPriceFeed extends PriceFeedInterface {
     throw errors;
   }
 
-  // Note: This method will fail if one of the pricefeeds has not implemented `getHistoricalPricePeriods`, which
-  // is basically every price feed except for the CryptoWatchPriceFeed.
+  // Returns the price history of the first price feed that has one.
   getHistoricalPricePeriods() {
-    throw new Error("getHistoricalPricePeriods Unimplemented for FallBackPriceFeed");
+    for (let _priceFeed of this.priceFeeds) {
+      try {
+        const pricePeriods = _priceFeed.getHistoricalPricePeriods();
+        if (pricePeriods && pricePeriods.length > 0) return pricePeriods;
+      } catch (err) {
+        continue;
+      }
+    }
+
+    return [];
+  }
+
+  // Reports the price of the first feed that has one, along with the metadata of every constituent. Staleness is taken
+  // from the feed whose price is used, while the dispersion is measured across all constituents that have a price.
+  getPriceWithMetadata(currentTime, maxPriceAge) {
+    const constituentMetadata = this.priceFeeds.map(priceFeed =>
+      priceFeed.getPriceWithMetadata(currentTime, maxPriceAge)
+    );
+    const selectedMetadata = constituentMetadata.find(metadata => metadata.price);
+    const price = selectedMetadata ? selectedMetadata.price : null;
+    return {
+      price,
+      lastUpdateTime: this.getLastUpdateTime(),
+      isStale: !selectedMetadata || selectedMetadata.isStale,
+      dispersion: computeDispersion(
+        constituentMetadata.filter(metadata => metadata.price).map(metadata => metadata.price),
+        price
+      ),
+      sources: constituentMetadata.flatMap(metadata => metadata.sources)
+    };
   }
 
   // Gets the *most recent* update time for all constituent price feeds.
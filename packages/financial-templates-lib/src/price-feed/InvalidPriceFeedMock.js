@@ -16,6 +16,9 @@ class InvalidPriceFeedMock extends PriceFeedInterface {
   async getHistoricalPrice() {
     throw new Error("InvalidPriceFeedMock: expected missing historical price");
   }
+  getHistoricalPricePeriods() {
+    return [];
+  }
   getLastUpdateTime() {
     return this.lastUpdateTime;
   }
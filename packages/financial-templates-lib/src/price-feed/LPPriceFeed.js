@@ -17,6 +17,8 @@ class LPPriceFeed extends PriceFeedInterface {
    * @param {Integer} [minTimeBetweenUpdates] Minimum amount of time that must pass before update will actually run
    *                                        again.
    * @param {Integer} [priceFeedDecimals] Precision that the caller wants precision to be reported in.
+   * @param {Integer} [lookback] How long, in seconds, the price fetched by each update is kept for
+   *                             `getHistoricalPricePeriods`. Older prices can still be queried with `getHistoricalPrice`.
    * @return None or throws an Error.
    */
   constructor({
@@ -28,7 +30,8 @@ class LPPriceFeed extends PriceFeedInterface {
     getTime,
     blockFinder,
     minTimeBetweenUpdates = 60,
-    priceFeedDecimals = 18
+    priceFeedDecimals = 18,
+    lookback = 7200
   }) {
     super();
 
@@ -51,6 +54,8 @@ class LPPriceFeed extends PriceFeedInterface {
     this.priceFeedDecimals = priceFeedDecimals;
     this.minTimeBetweenUpdates = minTimeBetweenUpdates;
     this.blockFinder = blockFinder || BlockFinder(web3.eth.getBlock);
+    this.lookback = lookback;
+    this.historicalPricePeriods = []; // array of [time: number, price: BN]
   }
 
   getCurrentPrice() {
@@ -62,6 +67,11 @@ class LPPriceFeed extends PriceFeedInterface {
     return this._getPrice(block.number);
   }
 
+  // Returns the price fetched by each update. Older prices can still be queried with `getHistoricalPrice`.
+  getHistoricalPricePeriods() {
+    return this.historicalPricePeriods;
+  }
+
   getLastUpdateTime() {
     return this.lastUpdateTime;
   }
@@ -80,6 +90,8 @@ class LPPriceFeed extends PriceFeedInterface {
     if (this.lastUpdateTime === undefined || currentTime >= this.lastUpdateTime + this.minTimeBetweenUpdates) {
       this.price = await this._getPrice();
       this.lastUpdateTime = currentTime;
+      this.historicalPricePeriods.push([currentTime, this.price]);
+      this.historicalPricePeriods = this.historicalPricePeriods.filter(([time]) => time >= currentTime - this.lookback);
     }
   }
 
@@ -1,4 +1,5 @@
 const { PriceFeedInterface } = require("./PriceFeedInterface");
+const { computeDispersion, getPriceAtOrBefore } = require("./utils");
 
 // An implementation of PriceFeedInterface that medianizes other price feeds.
 class MedianizerPriceFeed extends PriceFeedInterface {
@@ -8,87 +9,121 @@ class MedianizerPriceFeed extends PriceFeedInterface {
    *      Must be an array of at least one element.
    * @param {Boolean=false} computeMean Set this to true to return the mean over price feeds instead of the median.
    *      Default behavior is to return median.
+   * @param {Number=priceFeeds.length} minSources minimum number of constituent price feeds that must return a price.
+   *      The median is then computed over the feeds that did return a price. Defaults to requiring every feed.
    */
-  constructor(priceFeeds, computeMean = false) {
+  constructor(priceFeeds, computeMean = false, minSources = priceFeeds.length) {
     super();
 
     if (priceFeeds.length === 0) {
       throw new Error("MedianizerPriceFeed cannot be constructed with no constituent price feeds.");
     }
+    if (!Number.isInteger(minSources) || minSources < 1 || minSources > priceFeeds.length) {
+      throw new Error(`MedianizerPriceFeed minSources must be an integer between 1 and ${priceFeeds.length}.`);
+    }
 
     this.toBN = priceFeeds[0].toBN;
     this.priceFeeds = priceFeeds;
     this.computeMean = computeMean;
+    this.minSources = minSources;
   }
 
-  // Takes the median of all of the constituent price feeds' currentPrices.
+  // Takes the median of the constituent price feeds' currentPrices. Returns null if fewer than `minSources` feeds
+  // returned a price.
   getCurrentPrice() {
-    const currentPrices = this.priceFeeds.map(priceFeed => priceFeed.getCurrentPrice());
-    if (currentPrices.some(element => element === undefined || element === null)) {
+    const currentPrices = this.priceFeeds
+      .map(priceFeed => priceFeed.getCurrentPrice())
+      .filter(element => element !== undefined && element !== null);
+    if (currentPrices.length < this.minSources) {
       return null;
     }
 
-    if (this.computeMean) {
-      return this._computeMean(currentPrices);
-    } else {
-      return this._computeMedian(currentPrices);
-    }
+    return this._computeAggregate(currentPrices);
   }
 
-  // Takes the median of all of the constituent price feeds' historical prices.
+  // Takes the median of the constituent price feeds' historical prices.
   async getHistoricalPrice(time, verbose = false) {
-    // If failure to fetch any constituent historical prices, then throw
-    // array of errors.
-    let errors = [];
-    let historicalPrices = await Promise.all(
+    return (await this.getHistoricalPriceWithMetadata(time, verbose)).price;
+  }
+
+  // Same as `getHistoricalPrice`, but also reports which constituent price feeds failed to return a price. If fewer
+  // than `minSources` feeds returned a price, the array of errors from the failed feeds is thrown.
+  async getHistoricalPriceWithMetadata(time, verbose = false) {
+    const errors = [];
+    const failedSources = [];
+    const historicalPrices = await Promise.all(
       this.priceFeeds.map(priceFeed => {
-        return priceFeed.getHistoricalPrice(time, verbose).catch(err => errors.push(err));
+        return priceFeed.getHistoricalPrice(time, verbose).catch(err => {
+          errors.push(err);
+          failedSources.push({ uuid: priceFeed.uuid, error: err });
+          return null;
+        });
       })
     );
 
-    if (errors.length > 0) {
+    const validPrices = historicalPrices.filter(element => element !== undefined && element !== null);
+    if (validPrices.length < this.minSources) {
+      // Feeds that resolve without a price have no error of their own, so make sure that something is thrown.
+      if (errors.length === 0) errors.push(new Error("MedianizerPriceFeed: too few constituent historical prices"));
       throw errors;
-    } else {
-      if (this.computeMean) {
-        return this._computeMean(historicalPrices);
-      } else {
-        return this._computeMedian(historicalPrices);
-      }
     }
+
+    return { price: this._computeAggregate(validPrices), failedSources };
   }
 
-  // Note: This method will fail if one of the pricefeeds has not implemented `getHistoricalPricePeriods`, which
-  // is basically every price feed except for the CryptoWatchPriceFeed.
+  // Medianizes the constituent price histories at each timestamp at which any constituent has a price. Each feed
+  // contributes its latest price at or before that timestamp. Timestamps where fewer than `minSources` feeds have a
+  // price are skipped.
   getHistoricalPricePeriods() {
     // Fetch all historical price data for all price feeds within the medianizer set.
     const historicalPricePeriods = this.priceFeeds.map(priceFeed => priceFeed.getHistoricalPricePeriods());
-
-    let processedMedianHistoricalPricePeriods = [];
-
-    // For each discrete point in time within the set of price feeds iterate over and compute the median.
-    for (let pricePointIndex = 0; pricePointIndex < historicalPricePeriods[0].length; pricePointIndex++) {
-      // Create an array of prices at the pricePointIndex for each price feed. The median is taken over this set.
-      const periodPrices = historicalPricePeriods.map(historicalPrice => {
-        // this is meant to process historicalPrices in the form of [timestamp,price]. Some older price feeds may
-        // not conform to this, as this api has changed recently, though the medianizer has always conformed to this.
-        // TODO: updated any non conforming price feeds to return getHistoricalPricePeriods as an array of [time,price].
-        return historicalPrice[pricePointIndex]
-          ? this.toBN(historicalPrice[pricePointIndex][1])
-          : this.priceFeeds[0].toBN("0");
-      });
-      processedMedianHistoricalPricePeriods[pricePointIndex] = [
-        historicalPricePeriods[0][pricePointIndex][0],
-        this.computeMean ? this._computeMean(periodPrices).toString() : this._computeMedian(periodPrices).toString()
-      ];
+    const timestamps = [
+      ...new Set(historicalPricePeriods.flatMap(pricePeriods => pricePeriods.map(([time]) => time)))
+    ].sort((a, b) => a - b);
+
+    const processedMedianHistoricalPricePeriods = [];
+    for (const time of timestamps) {
+      // The median is taken over the prices of each price feed at this point in time.
+      const periodPrices = historicalPricePeriods
+        .map(pricePeriods => getPriceAtOrBefore(pricePeriods, time))
+        .filter(price => price);
+      if (periodPrices.length < this.minSources) continue;
+
+      processedMedianHistoricalPricePeriods.push([time, this._computeAggregate(periodPrices)]);
     }
     return processedMedianHistoricalPricePeriods;
   }
 
-  // Gets the *most recent* update time for all constituent price feeds.
+  // Reports the median along with the metadata of every constituent. The median is stale if any constituent that
+  // returned a price is stale and the dispersion is measured across those constituents' prices. Constituents that
+  // did not return a price are listed in `failedSources` by uuid.
+  getPriceWithMetadata(currentTime, maxPriceAge) {
+    const constituentMetadata = this.priceFeeds.map(priceFeed =>
+      priceFeed.getPriceWithMetadata(currentTime, maxPriceAge)
+    );
+    const respondingMetadata = constituentMetadata.filter(metadata => metadata.price);
+    const price = this.getCurrentPrice();
+    return {
+      price,
+      lastUpdateTime: this.getLastUpdateTime(),
+      isStale: !price || respondingMetadata.some(metadata => metadata.isStale),
+      dispersion: computeDispersion(
+        respondingMetadata.map(metadata => metadata.price),
+        price
+      ),
+      sources: constituentMetadata.flatMap(metadata => metadata.sources),
+      failedSources: this.priceFeeds.filter((priceFeed, i) => !constituentMetadata[i].price).map(({ uuid }) => uuid)
+    };
+  }
+
+  // Gets the *most recent* update time for the constituent price feeds. Returns null if fewer than `minSources` feeds
+  // have been updated.
   getLastUpdateTime() {
-    const lastUpdateTimes = this.priceFeeds.map(priceFeed => priceFeed.getLastUpdateTime());
+    const lastUpdateTimes = this.priceFeeds
+      .map(priceFeed => priceFeed.getLastUpdateTime())
+      .filter(element => element !== undefined && element !== null);
 
-    if (lastUpdateTimes.some(element => element === undefined || element === null)) {
+    if (lastUpdateTimes.length < this.minSources) {
       return null;
     }
 
@@ -116,9 +151,22 @@ class MedianizerPriceFeed extends PriceFeedInterface {
     return Math.min(...lookbacks);
   }
 
-  // Updates all constituent price feeds.
+  // Updates all constituent price feeds. If every feed is required, the first update error is thrown. Otherwise, the
+  // array of update errors is only thrown if fewer than `minSources` feeds updated successfully.
   async update() {
-    await Promise.all(this.priceFeeds.map(priceFeed => priceFeed.update()));
+    if (this.minSources === this.priceFeeds.length) {
+      await Promise.all(this.priceFeeds.map(priceFeed => priceFeed.update()));
+      return;
+    }
+
+    const results = await Promise.allSettled(this.priceFeeds.map(priceFeed => priceFeed.update()));
+    const errors = results.filter(result => result.status === "rejected").map(result => result.reason);
+    if (this.priceFeeds.length - errors.length < this.minSources) throw errors;
+  }
+
+  // Returns the mean or median of the inputs depending on how the feed was configured.
+  _computeAggregate(inputs) {
+    return this.computeMean ? this._computeMean(inputs) : this._computeMedian(inputs);
   }
 
   // Inputs are expected to be BNs.
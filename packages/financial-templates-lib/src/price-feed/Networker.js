@@ -1,25 +1,161 @@
 // This class makes networking calls on behalf of the caller. Note: this is separated out to allow this functionality
 // to be mocked out in tests so no real network calls have to be made.
 
-const fetch = require("node-fetch");
+const nodeFetch = require("node-fetch");
+const { delay } = require("../helpers/delay");
+
+// Status codes that indicate a transient failure that is worth retrying.
+const isRetriableStatus = status => status === 429 || status >= 500;
+
+// Removes the query string from every URL in `text`. Fetch errors quote the full request URL in their message, and
+// query strings often contain API keys.
+const stripQueryStrings = text => text.replace(/(https?:\/\/[^\s?#]+)[?#][^\s]*/g, "$1");
 
 class Networker {
   /**
    * @notice Constructs new Networker.
    * @param {Object} logger Winston module used to send logs.
+   * @param {Object} [config] Optional settings. All times are in seconds:
+   *     - rateLimits: map from host (e.g. "api.cryptowat.ch") to `{ requestsPerSecond, burst }`. Requests to a host are
+   *       delayed so that they never exceed its token bucket. `burst` defaults to 1.
+   *     - defaultRateLimit: `{ requestsPerSecond, burst }` applied to hosts that are not in `rateLimits`. By default,
+   *       these hosts are not rate limited.
+   *     - maxRetries: number of times a request is retried after a 429 or 5xx response, a timeout or a network error.
+   *     - retryDelay: delay before the first retry. It doubles for each subsequent retry unless the response sets a
+   *       longer `Retry-After`.
+   *     - requestTimeout: time after which a request is aborted.
+   *     - cacheTtl: time that successful responses are cached for, keyed by URL. Caching is disabled by default.
+   *     - fetch: fetch implementation to use. Defaults to node-fetch.
    */
-  constructor(logger) {
+  constructor(logger, config = {}) {
     this.logger = logger;
+
+    const {
+      rateLimits = {},
+      defaultRateLimit = null,
+      maxRetries = 3,
+      retryDelay = 1,
+      requestTimeout = 30,
+      cacheTtl = 0,
+      fetch = nodeFetch
+    } = config;
+    this.rateLimits = rateLimits;
+    this.defaultRateLimit = defaultRateLimit;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.requestTimeout = requestTimeout;
+    this.cacheTtl = cacheTtl;
+    this.fetch = fetch;
+
+    this.buckets = {}; // Token bucket state per host: { tokens, lastRefill }.
+    this.cache = {}; // Cached responses per URL: { json, expiry }.
+    this.metrics = {}; // Counters per host: { requests, errors, retries, totalLatency }.
   }
 
   async getJson(url, options) {
-    const response = await fetch(url, options);
-    const json = await response.json();
-    if (!json) {
-      // Throw if no error. Will result in a retry upstream.
-      throw new Error(`Networker failed to get json response. Response: ${response}`);
+    const cachedResponse = this.cache[url];
+    if (cachedResponse && cachedResponse.expiry > Date.now()) return cachedResponse.json;
+
+    // Only the host and path are logged since query strings often contain API keys.
+    const { host, pathname } = new URL(url);
+    const metrics = this._getMetrics(host);
+
+    for (let attempt = 0; ; attempt++) {
+      await this._waitForRateLimit(host);
+
+      const startTime = Date.now();
+      let response, error;
+      try {
+        response = await this.fetch(url, { timeout: this.requestTimeout * 1000, ...options });
+      } catch (fetchError) {
+        // Timeouts and network errors. The message is redacted before it can be logged, here or by the caller.
+        error = fetchError;
+        if (typeof error.message === "string") error.message = stripQueryStrings(error.message);
+      }
+      const latency = Date.now() - startTime;
+      metrics.requests++;
+      metrics.totalLatency += latency;
+
+      const shouldRetry = error || isRetriableStatus(response.status);
+      if (shouldRetry) metrics.errors++;
+      this._log("debug", {
+        at: "Networker",
+        message: "Request completed",
+        host,
+        path: pathname,
+        status: response && response.status,
+        error: error && error.message,
+        latencyMs: latency,
+        attempt,
+        errorCount: metrics.errors
+      });
+
+      if (shouldRetry && attempt < this.maxRetries) {
+        metrics.retries++;
+        await delay(this._getRetryDelay(attempt, response));
+        continue;
+      }
+
+      if (error) throw error;
+      if (shouldRetry) {
+        throw new Error(
+          `Networker request to ${host}${pathname} failed after ${attempt + 1} attempts: ${response.status}`
+        );
+      }
+
+      const json = await response.json();
+      if (!json) {
+        // Throw if no error. Will result in a retry upstream.
+        throw new Error(`Networker failed to get json response. Response: ${response}`);
+      }
+
+      if (this.cacheTtl > 0) this.cache[url] = { json, expiry: Date.now() + this.cacheTtl * 1000 };
+      return json;
     }
-    return json;
+  }
+
+  // Returns the request counters for every host that has been queried. Average latency is in milliseconds.
+  getMetrics() {
+    return Object.fromEntries(
+      Object.entries(this.metrics).map(([host, metrics]) => [
+        host,
+        { ...metrics, averageLatency: metrics.requests > 0 ? metrics.totalLatency / metrics.requests : 0 }
+      ])
+    );
+  }
+
+  _getMetrics(host) {
+    if (!this.metrics[host]) this.metrics[host] = { requests: 0, errors: 0, retries: 0, totalLatency: 0 };
+    return this.metrics[host];
+  }
+
+  // Takes a token from the host's bucket, waiting until one is available. Tokens are taken before waiting, so
+  // concurrent requests queue up behind each other rather than all waking up at the same time.
+  async _waitForRateLimit(host) {
+    const rateLimit = this.rateLimits[host] || this.defaultRateLimit;
+    if (!rateLimit) return;
+
+    const { requestsPerSecond, burst = 1 } = rateLimit;
+    const now = Date.now();
+    if (!this.buckets[host]) this.buckets[host] = { tokens: burst, lastRefill: now };
+    const bucket = this.buckets[host];
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.lastRefill) / 1000) * requestsPerSecond);
+    bucket.lastRefill = now;
+    bucket.tokens -= 1;
+
+    if (bucket.tokens < 0) await delay(-bucket.tokens / requestsPerSecond);
+  }
+
+  // Exponential backoff, unless the server asks for a longer wait.
+  _getRetryDelay(attempt, response) {
+    const backoff = this.retryDelay * 2 ** attempt;
+    const retryAfter = response && Number(response.headers && response.headers.get("retry-after"));
+    return retryAfter > backoff ? retryAfter : backoff;
+  }
+
+  _log(level, payload) {
+    if (this.logger) this.logger[level](payload);
   }
 }
 
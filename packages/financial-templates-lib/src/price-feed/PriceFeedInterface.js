@@ -1,4 +1,7 @@
-// Price feed interface -- all price feed implementations should override all functions (except for _abstractFunctionCalled).
+const { isPriceStale } = require("./utils");
+
+// Price feed interface -- all price feed implementations should override all functions (except for _abstractFunctionCalled
+// and getPriceWithMetadata).
 class PriceFeedInterface {
   // Updates the internal state of the price feed. Should pull in any async data so the get*Price methods can be called.
   // Note: derived classes *must* override this method.
@@ -25,6 +28,14 @@ class PriceFeedInterface {
     this._abstractFunctionCalled();
   }
 
+  // Returns the price history held in memory as a list of `[timestamp, price]` pairs, where the price is a BN with
+  // `getPriceFeedDecimals()` decimals. Pairs are sorted from oldest to newest. Like `getCurrentPrice()`, this is
+  // synchronous and only as recent as the last `update()`. If there is no history, this should return an empty list.
+  // Note: derived classes *must* override this method.
+  getHistoricalPricePeriods() {
+    this._abstractFunctionCalled();
+  }
+
   // This returns the last time that the `update()` method was called. If it hasn't been called, this method should
   // return `null` or `undefined`.
   // Note: derived classes *must* override this method.
@@ -43,6 +54,31 @@ class PriceFeedInterface {
   getLookback() {
     this._abstractFunctionCalled();
   }
+
+  // Returns the current price along with metadata that describes how much it can be trusted:
+  // {
+  //   price: BN or null,
+  //   lastUpdateTime: Number or null,
+  //   isStale: true if the price is missing or was last updated more than `maxPriceAge` seconds before `currentTime`,
+  //   dispersion: spread between the highest and lowest source prices as a fraction of the price (see
+  //     `computeDispersion` in utils.js), or null if there is no price,
+  //   sources: [{ uuid, price, lastUpdateTime, isStale }] with one entry for each underlying price source.
+  // }
+  // The default implementation treats this feed as a single source. Feeds that combine other feeds should override it
+  // to report on their constituents.
+  getPriceWithMetadata(currentTime, maxPriceAge) {
+    const price = this.getCurrentPrice() || null;
+    const lastUpdateTime = this.getLastUpdateTime();
+    const isStale = isPriceStale(price, lastUpdateTime, currentTime, maxPriceAge);
+    return {
+      price,
+      lastUpdateTime,
+      isStale,
+      dispersion: price ? 0 : null,
+      sources: [{ uuid: this.uuid, price, lastUpdateTime, isStale }]
+    };
+  }
+
   // Common function to throw an error if an interface method is called.
   _abstractFunctionCalled() {
     throw new Error("Abstract function called -- derived class should implement this function");
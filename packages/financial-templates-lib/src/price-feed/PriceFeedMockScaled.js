@@ -73,6 +73,14 @@ class PriceFeedMockScaled extends PriceFeedInterface {
     }
   }
 
+  // Returns the prices set via `setHistoricalPrices`.
+  getHistoricalPricePeriods() {
+    return Object.keys(this.historicalPrices)
+      .filter(timestamp => this.historicalPrices[timestamp])
+      .map(timestamp => [Number(timestamp), this.historicalPrices[timestamp]])
+      .sort((a, b) => a[0] - b[0]);
+  }
+
   getLastUpdateTime() {
     return this.lastUpdateTime;
   }
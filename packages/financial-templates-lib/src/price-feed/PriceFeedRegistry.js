@@ -0,0 +1,119 @@
+const assert = require("assert");
+
+// Predicates for the JSON schema `type` keywords that price feed schemas are allowed to use.
+const typeCheckers = {
+  string: value => typeof value === "string",
+  number: value => typeof value === "number" && !isNaN(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === "boolean",
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === "object" && !Array.isArray(value)
+};
+
+/**
+ * @notice Validates a config against a (subset of) JSON schema. Supported keywords are `required` at the top level and
+ *      `type`, `enum` and `minItems` for each entry in `properties`.
+ * @param {Object} schema JSON schema describing the config.
+ * @param {Object} config config object to validate.
+ * @return {Array} list of `{ field, message }` objects. An empty list means that the config is valid.
+ */
+function validateConfig(schema, config) {
+  const errors = [];
+
+  for (const field of schema.required || []) {
+    if (config[field] === undefined) errors.push({ field, message: "is required" });
+  }
+
+  for (const [field, property] of Object.entries(schema.properties || {})) {
+    const value = config[field];
+    // Missing values have already been flagged above if they are required.
+    if (value === undefined) continue;
+
+    if (property.type) {
+      const types = Array.isArray(property.type) ? property.type : [property.type];
+      if (!types.some(type => typeCheckers[type](value))) {
+        errors.push({ field, message: `must be of type ${types.join(" or ")}` });
+        continue;
+      }
+    }
+
+    if (property.enum && !property.enum.includes(value)) {
+      errors.push({ field, message: `must be one of ${property.enum.join(", ")}` });
+    }
+
+    if (property.minItems !== undefined && Array.isArray(value) && value.length < property.minItems) {
+      errors.push({ field, message: `must contain at least ${property.minItems} item(s)` });
+    }
+  }
+
+  return errors;
+}
+
+// Keeps track of every price feed type that `createPriceFeed` knows how to build. Each type is declared with a JSON
+// schema for its config and an async factory, which allows price feed types to be added from outside of this package.
+class PriceFeedRegistry {
+  constructor() {
+    this.priceFeedTypes = {};
+  }
+
+  /**
+   * @notice Registers a new price feed type.
+   * @param {String} type value of `config.type` that selects this price feed.
+   * @param {Object} definition contains:
+   *      schema: JSON schema that configs of this type are validated against before `create` is called.
+   *      validate: optional function `config => [{ field, message }]` for checks that the schema cannot express, e.g.
+   *          between fields. Only called if the config passes the schema.
+   *      create: async function `(config, context) => PriceFeedInterface` that builds the feed. `context` holds the
+   *          `logger`, `web3`, `networker` and `getTime` passed to `createPriceFeed` as well as a
+   *          `createPriceFeed(config)` function to build nested feeds.
+   * @param {Boolean=false} overwrite set to true to replace an existing type with the same name.
+   */
+  register(type, { schema = {}, validate, create }, overwrite = false) {
+    assert(type && typeof type === "string", "Price feed type must be a non-empty string");
+    assert(typeof create === "function", `Price feed type ${type} must provide a create function`);
+    assert(overwrite || !this.has(type), `Price feed type ${type} is already registered`);
+
+    this.priceFeedTypes[type] = { schema, validate, create };
+  }
+
+  unregister(type) {
+    delete this.priceFeedTypes[type];
+  }
+
+  has(type) {
+    return Object.prototype.hasOwnProperty.call(this.priceFeedTypes, type);
+  }
+
+  getTypes() {
+    return Object.keys(this.priceFeedTypes);
+  }
+
+  // Returns every validation error for `config` against the schema of the registered `type`.
+  validate(type, config) {
+    assert(this.has(type), `Price feed type ${type} is not registered`);
+    const { schema, validate } = this.priceFeedTypes[type];
+    const errors = validateConfig(schema, config);
+    return errors.length === 0 && validate ? validate(config) : errors;
+  }
+
+  // Builds the price feed. Note: the config is expected to have been validated beforehand.
+  async create(type, config, context) {
+    assert(this.has(type), `Price feed type ${type} is not registered`);
+    return await this.priceFeedTypes[type].create(config, context);
+  }
+}
+
+// Registry used by `createPriceFeed`. All built-in price feed types are registered on this instance.
+const priceFeedRegistry = new PriceFeedRegistry();
+
+// Convenience method to add a custom price feed type to the default registry.
+function registerPriceFeedType(type, definition, overwrite = false) {
+  priceFeedRegistry.register(type, definition, overwrite);
+}
+
+module.exports = {
+  PriceFeedRegistry,
+  priceFeedRegistry,
+  registerPriceFeedType,
+  validateConfig
+};
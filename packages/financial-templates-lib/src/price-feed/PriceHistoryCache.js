@@ -0,0 +1,141 @@
+// Caches for historical price periods that can outlive a single bot process. Price feeds that download a lookback
+// window of OHLC data on every start can store what they fetched in a cache and only request the periods that are
+// missing on their next start.
+
+const fs = require("fs");
+const path = require("path");
+const { toBN, isBN } = require("web3").utils;
+
+// Interface for price history caches -- all implementations should override `get` and `set`.
+class PriceHistoryCache {
+  // Returns the list of price periods stored under `key` or `undefined` if nothing is stored.
+  // Note: derived classes *must* override this method.
+  async get(/* key */) {
+    this._abstractFunctionCalled();
+  }
+
+  // Stores the list of price periods under `key`, replacing anything that was stored there before.
+  // Note: derived classes *must* override this method.
+  async set(/* key, pricePeriods */) {
+    this._abstractFunctionCalled();
+  }
+
+  // Common function to throw an error if an interface method is called.
+  _abstractFunctionCalled() {
+    throw new Error("Abstract function called -- derived class should implement this function");
+  }
+}
+
+// Keeps price history in memory. Useful for tests or to share history between feeds within a single process.
+class InMemoryPriceHistoryCache extends PriceHistoryCache {
+  constructor() {
+    super();
+    this.pricePeriods = {};
+  }
+
+  async get(key) {
+    return this.pricePeriods[key];
+  }
+
+  async set(key, pricePeriods) {
+    this.pricePeriods[key] = pricePeriods;
+  }
+}
+
+// Keeps price history in one JSON file per key inside of `directory`. BN values are stored as decimal strings and
+// converted back to BNs when read.
+class FilesystemPriceHistoryCache extends PriceHistoryCache {
+  /**
+   * @notice Constructs the FilesystemPriceHistoryCache.
+   * @param {String} directory Directory that the cache files are written to. It is created if it does not exist.
+   */
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  async get(key) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this._getFilePath(key), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return undefined;
+      throw error;
+    }
+
+    return JSON.parse(contents, (_key, value) => (value && value.bn !== undefined ? toBN(value.bn) : value));
+  }
+
+  async set(key, pricePeriods) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    // Note: BN defines toJSON, which would serialize it as hex, so the original value is read from `this[_key]`.
+    const contents = JSON.stringify(pricePeriods, function(_key, value) {
+      return isBN(this[_key]) ? { bn: this[_key].toString() } : value;
+    });
+
+    // Write to a temporary file and rename it so that a crash mid-write cannot leave a corrupted cache file behind.
+    const filePath = this._getFilePath(key);
+    await fs.promises.writeFile(`${filePath}.tmp`, contents);
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+  }
+
+  _getFilePath(key) {
+    // Keys are usually price feed uuids, which can contain characters that are not valid in file names.
+    return path.join(this.directory, `${key.replace(/[^a-zA-Z0-9_.-]/g, "_")}.json`);
+  }
+}
+
+/**
+ * @notice Merges freshly fetched price periods into the cached ones.
+ * @param {Array} cachedPricePeriods periods read from the cache, each with an `openTime` and `closeTime`.
+ * @param {Array} newPricePeriods periods that were just fetched. These replace cached periods with the same closeTime.
+ * @param {Number} earliestTime periods that close before this time are outside of the lookback window and are dropped.
+ * @return {Array} merged periods, sorted from oldest to newest.
+ */
+function mergePricePeriods(cachedPricePeriods, newPricePeriods, earliestTime) {
+  const pricePeriodsByCloseTime = {};
+  for (const pricePeriod of [...cachedPricePeriods, ...newPricePeriods]) {
+    pricePeriodsByCloseTime[pricePeriod.closeTime] = pricePeriod;
+  }
+
+  return Object.values(pricePeriodsByCloseTime)
+    .filter(pricePeriod => pricePeriod.closeTime >= earliestTime)
+    .sort((a, b) => a.openTime - b.openTime);
+}
+
+// Reads price periods from `cache`, returning an empty list if there is no cache, nothing is cached under `key` or the
+// read fails. A failing cache should never stop a price feed from updating, so errors are only logged.
+async function readPriceHistory(cache, key, logger) {
+  if (!cache) return [];
+  try {
+    return (await cache.get(key)) || [];
+  } catch (error) {
+    logger.warn({ at: "PriceHistoryCache", message: "Failed to read cached price history", key, error: error.message });
+    return [];
+  }
+}
+
+// Writes price periods to `cache` if there is one. Errors are logged rather than thrown for the same reason as above.
+async function writePriceHistory(cache, key, pricePeriods, logger) {
+  if (!cache) return;
+  try {
+    await cache.set(key, pricePeriods);
+  } catch (error) {
+    logger.warn({
+      at: "PriceHistoryCache",
+      message: "Failed to write cached price history",
+      key,
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  PriceHistoryCache,
+  InMemoryPriceHistoryCache,
+  FilesystemPriceHistoryCache,
+  mergePricePeriods,
+  readPriceHistory,
+  writePriceHistory
+};
@@ -1,6 +1,7 @@
 const { PriceFeedInterface } = require("./PriceFeedInterface");
 const { parseFixed } = require("@uma/common");
 const moment = require("moment");
+const { mergePricePeriods, readPriceHistory, writePriceHistory } = require("./PriceHistoryCache");
 
 // An implementation of PriceFeedInterface that uses the Quandl free API to retrieve prices.
 // API details can be found here: https://docs.quandl.com/docs
@@ -18,6 +19,8 @@ class QuandlPriceFeed extends PriceFeedInterface {
    * @param {Number} priceFeedDecimals Number of priceFeedDecimals to use to convert price to wei.
    * @param {Integer} minTimeBetweenUpdates Min number of seconds between updates. If update() is called again before
    *      this number of seconds has passed, it will be a no-op.
+   * @param {Object} priceHistoryCache Optional PriceHistoryCache used to persist daily prices across restarts. When set,
+   *      only the days after the last cached day are requested.
    */
   constructor(
     logger,
@@ -29,8 +32,9 @@ class QuandlPriceFeed extends PriceFeedInterface {
     networker,
     getTime,
     priceFeedDecimals = 18,
-    minTimeBetweenUpdates = 43200
+    minTimeBetweenUpdates = 43200,
     // 12 hours is a reasonable default since this pricefeed returns daily granularity at best.
+    priceHistoryCache = null
   ) {
     super();
     this.logger = logger;
@@ -45,6 +49,9 @@ class QuandlPriceFeed extends PriceFeedInterface {
     this.getTime = getTime;
     this.minTimeBetweenUpdates = minTimeBetweenUpdates;
     this.priceFeedDecimals = priceFeedDecimals;
+    this.priceHistoryCache = priceHistoryCache;
+    // Cached prices are scaled to `priceFeedDecimals`, so feeds with different decimals must not share them.
+    this.priceHistoryCacheKey = `${this.uuid}-${priceFeedDecimals}`;
 
     this.toBN = this.web3.utils.toBN;
 
@@ -169,7 +176,14 @@ class QuandlPriceFeed extends PriceFeedInterface {
     // Find the closest day that completed before the beginning of the lookback window, and use
     // it as the start date.
     const startLookbackWindow = currentTime - this.lookback;
-    const startDateString = this._secondToDateTime(startLookbackWindow);
+
+    // Only request the days that were not already cached. The last cached day is requested again because it might not
+    // have closed yet when it was cached.
+    const cachedPricePeriods = await readPriceHistory(this.priceHistoryCache, this.priceHistoryCacheKey, this.logger);
+    const lastCachedPricePeriod = cachedPricePeriods[cachedPricePeriods.length - 1];
+    const startDateString = this._secondToDateTime(
+      lastCachedPricePeriod ? Math.max(lastCachedPricePeriod.openTime, startLookbackWindow) : startLookbackWindow
+    );
     const endDateString = this._secondToDateTime(currentTime);
 
     // 1. Construct URL.
@@ -215,7 +229,7 @@ class QuandlPriceFeed extends PriceFeedInterface {
     //     ...other data we don't care about
     //   }
     // }
-    const newHistoricalPricePeriods = historyResponse.dataset_data.data
+    let newHistoricalPricePeriods = historyResponse.dataset_data.data
       .map(dailyData => ({
         // Output data should be a list of objects with only the open and close times and prices.
         // Note: Data is formatted as [Date, Open, High, Low, Last, Change, Settle, Volume, Previous Day Open Interest]
@@ -231,6 +245,16 @@ class QuandlPriceFeed extends PriceFeedInterface {
         return a.openTime - b.openTime;
       });
 
+    if (this.priceHistoryCache) {
+      newHistoricalPricePeriods = mergePricePeriods(cachedPricePeriods, newHistoricalPricePeriods, startLookbackWindow);
+      await writePriceHistory(
+        this.priceHistoryCache,
+        this.priceHistoryCacheKey,
+        newHistoricalPricePeriods,
+        this.logger
+      );
+    }
+
     // 5. Store results.
     this.currentPrice = newHistoricalPricePeriods[newHistoricalPricePeriods.length - 1].closePrice;
     this.historicalPricePeriods = newHistoricalPricePeriods;
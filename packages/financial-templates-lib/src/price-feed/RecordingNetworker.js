@@ -0,0 +1,92 @@
+// Networkers that record real responses to a fixture directory and replay them later. Recording a bot or price feed run
+// once lets tests and backtests run offline against realistic data without hand-crafting NetworkerMock responses.
+// Both classes implement `getJson`, so they can be passed anywhere a Networker is expected, e.g. to `createPriceFeed`.
+//
+// Note: fixtures are keyed by URL, and most price feeds build their URLs from `getTime()`. Replays only find their
+// fixtures if the replaying run uses the same times as the recording run.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Query parameters whose values are replaced before URLs are written to disk or used as fixture keys. This keeps API
+// keys out of fixtures and lets a replay match a recording that was made with a different key.
+const SENSITIVE_PARAM_REGEX = /key|token|secret|signature/i;
+
+function redactUrl(url) {
+  const parsedUrl = new URL(url);
+  for (const param of Array.from(parsedUrl.searchParams.keys())) {
+    if (SENSITIVE_PARAM_REGEX.test(param)) parsedUrl.searchParams.set(param, "REDACTED");
+  }
+  return parsedUrl.toString();
+}
+
+// Fixture file names start with the host and path so that they are easy to find, and end with a hash of the full
+// redacted URL so that requests that only differ in their query strings don't collide.
+function getFixturePath(directory, url) {
+  const redactedUrl = redactUrl(url);
+  const { host, pathname } = new URL(redactedUrl);
+  const hash = crypto
+    .createHash("sha256")
+    .update(redactedUrl)
+    .digest("hex")
+    .slice(0, 16);
+  const name = `${host}${pathname}`.replace(/[^a-zA-Z0-9_.-]/g, "_").slice(0, 100);
+  return path.join(directory, `${name}-${hash}.json`);
+}
+
+class RecordingNetworker {
+  /**
+   * @notice Constructs new RecordingNetworker.
+   * @param {Object} networker Networker that sends the real requests.
+   * @param {String} directory Directory that fixtures are written to. It is created if it does not exist.
+   */
+  constructor(networker, directory) {
+    this.networker = networker;
+    this.directory = directory;
+  }
+
+  // Sends the request through the wrapped networker and saves the response before returning it. If the same URL is
+  // requested more than once, the last response is kept.
+  async getJson(url, options) {
+    const response = await this.networker.getJson(url, options);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const filePath = getFixturePath(this.directory, url);
+    const contents = JSON.stringify({ url: redactUrl(url), response }, null, 2);
+
+    // Write to a temporary file and rename it so that a crash mid-write cannot leave a corrupted fixture behind.
+    await fs.promises.writeFile(`${filePath}.tmp`, contents);
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+
+    return response;
+  }
+}
+
+class ReplayNetworker {
+  /**
+   * @notice Constructs new ReplayNetworker.
+   * @param {String} directory Directory that a RecordingNetworker wrote fixtures to.
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  // Returns the recorded response for `url`. Throws if there is none, just like a Networker would if the request
+  // failed, so missing fixtures are never silently replaced with empty data.
+  async getJson(url) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(getFixturePath(this.directory, url), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") throw new Error(`ReplayNetworker has no recorded response for ${redactUrl(url)}`);
+      throw error;
+    }
+    return JSON.parse(contents).response;
+  }
+}
+
+module.exports = {
+  RecordingNetworker,
+  ReplayNetworker
+};
@@ -2,6 +2,7 @@ const { PriceFeedInterface } = require("./PriceFeedInterface");
 const { parseFixed } = require("@uma/common");
 const moment = require("moment");
 const assert = require("assert");
+const { mergePricePeriods, readPriceHistory, writePriceHistory } = require("./PriceHistoryCache");
 
 // Constants
 const VALID_OHLC_PERIODS = [1, 5, 10, 15, 30];
@@ -42,6 +43,8 @@ class TraderMadePriceFeed extends PriceFeedInterface {
    * @param {Number} priceFeedDecimals Number of priceFeedDecimals to use to convert price to wei.
    * @param {Number} ohlcPeriod Number of minutes interval between ohlc prices requested from TraderMade. Must be
    *                 one of {1, 5, 10, 15, 30}
+   * @param {Object} priceHistoryCache Optional PriceHistoryCache used to persist minute and hourly prices across
+   *                 restarts. When set, only the prices after the last cached period are requested.
    */
   constructor(
     logger,
@@ -54,7 +57,8 @@ class TraderMadePriceFeed extends PriceFeedInterface {
     getTime,
     minTimeBetweenUpdates,
     priceFeedDecimals = 18,
-    ohlcPeriod = 1
+    ohlcPeriod = 1,
+    priceHistoryCache = null
   ) {
     super();
     this.logger = logger;
@@ -80,6 +84,7 @@ class TraderMadePriceFeed extends PriceFeedInterface {
 
     this.priceFeedDecimals = priceFeedDecimals;
     this.ohlcPeriod = ohlcPeriod;
+    this.priceHistoryCache = priceHistoryCache;
 
     this.convertPriceFeedDecimals = number => {
       // Converts price result to wei
@@ -163,8 +168,10 @@ class TraderMadePriceFeed extends PriceFeedInterface {
     return returnPrice;
   }
 
+  // Returns the hourly prices, since they cover a longer window than the minute prices.
   getHistoricalPricePeriods() {
-    return this.historicalPricesHourly;
+    if (!this.historicalPricesHourly) return [];
+    return this.historicalPricesHourly.map(historicalPrice => [historicalPrice.closeTime, historicalPrice.closePrice]);
   }
 
   getLastUpdateTime() {
@@ -259,7 +266,14 @@ class TraderMadePriceFeed extends PriceFeedInterface {
     const earliestMinuteHistoricalTimestamp =
       Math.floor((currentTime - this.minuteLookback) / (this.ohlcPeriod * 60)) * (this.ohlcPeriod * 60);
     const endDate = this._secondToDateTime(currentTime);
-    const startMinuteDate = this._secondToDateTime(earliestMinuteHistoricalTimestamp);
+
+    // Only request the periods that were not already cached. The last cached period is requested again because it
+    // might not have closed yet when it was cached.
+    const minuteCacheKey = `${this.uuid}-minute-${this.ohlcPeriod}-${this.priceFeedDecimals}`;
+    const cachedPricesMinute = await readPriceHistory(this.priceHistoryCache, minuteCacheKey, this.logger);
+    const startMinuteDate = this._secondToDateTime(
+      this._getFirstUncachedTime(cachedPricesMinute, earliestMinuteHistoricalTimestamp)
+    );
 
     // 1. Construct URLs.
     const ohlcMinuteUrl = `https://marketdata.tradermade.com/api/v1/timeseries?currency=${this.pair}&api_key=${this.apiKey}&start_date=${startMinuteDate}&end_date=${endDate}&format=records&interval=minute&period=${this.ohlcPeriod}`;
@@ -294,7 +308,7 @@ class TraderMadePriceFeed extends PriceFeedInterface {
     //   "start_date": "2021-01-26-00:01"
     // }
     // For more info, see: https://marketdata.tradermade.com/documentation
-    const newHistoricalPricesMinute = ohlcMinuteResponse.quotes
+    let newHistoricalPricesMinute = ohlcMinuteResponse.quotes
       .map(ohlcMinute => ({
         // Output data should be a list of objects with only the open and close times and prices.
         closePrice: this.convertPriceFeedDecimals(ohlcMinute.close),
@@ -306,6 +320,15 @@ class TraderMadePriceFeed extends PriceFeedInterface {
         return a.openTime - b.openTime;
       });
 
+    if (this.priceHistoryCache) {
+      newHistoricalPricesMinute = mergePricePeriods(
+        cachedPricesMinute,
+        newHistoricalPricesMinute,
+        earliestMinuteHistoricalTimestamp
+      );
+      await writePriceHistory(this.priceHistoryCache, minuteCacheKey, newHistoricalPricesMinute, this.logger);
+    }
+
     // 5. Store results.
     this.historicalPricesMinute = newHistoricalPricesMinute;
   }
@@ -329,7 +352,12 @@ class TraderMadePriceFeed extends PriceFeedInterface {
     // timestamp (because the close of that OHLC may be relevant).
     const earliestHourlyHistoricalTimestamp = Math.floor((currentTime - this.hourlyLookback) / 3600) * 3600;
     const endDate = this._secondToDateTime(currentTime);
-    const startHourlyDate = this._secondToDateTime(earliestHourlyHistoricalTimestamp);
+
+    const hourlyCacheKey = `${this.uuid}-hourly-${this.priceFeedDecimals}`;
+    const cachedPricesHourly = await readPriceHistory(this.priceHistoryCache, hourlyCacheKey, this.logger);
+    const startHourlyDate = this._secondToDateTime(
+      this._getFirstUncachedTime(cachedPricesHourly, earliestHourlyHistoricalTimestamp)
+    );
 
     // 1. Construct URLs.
     const ohlcHourlyUrl = `https://marketdata.tradermade.com/api/v1/timeseries?currency=${this.pair}&api_key=${this.apiKey}&start_date=${startHourlyDate}&end_date=${endDate}&format=records&interval=hourly`;
@@ -365,7 +393,7 @@ class TraderMadePriceFeed extends PriceFeedInterface {
     //   "start_date": "2021-01-26-00:01"
     // }
     // For more info, see: https://marketdata.tradermade.com/documentation
-    const newHistoricalPricesHourly = ohlcHourlyResponse.quotes
+    let newHistoricalPricesHourly = ohlcHourlyResponse.quotes
       .map(ohlcHourly => ({
         // Output data should be a list of objects with only the open and close times and prices.
         closePrice: this.convertPriceFeedDecimals(ohlcHourly.close),
@@ -377,6 +405,15 @@ class TraderMadePriceFeed extends PriceFeedInterface {
         return a.closeTime - b.closeTime;
       });
 
+    if (this.priceHistoryCache) {
+      newHistoricalPricesHourly = mergePricePeriods(
+        cachedPricesHourly,
+        newHistoricalPricesHourly,
+        earliestHourlyHistoricalTimestamp
+      );
+      await writePriceHistory(this.priceHistoryCache, hourlyCacheKey, newHistoricalPricesHourly, this.logger);
+    }
+
     // 5. Store results.
     this.historicalPricesHourly = newHistoricalPricesHourly;
   }
@@ -430,6 +467,12 @@ class TraderMadePriceFeed extends PriceFeedInterface {
     }
   }
 
+  // Returns the open time of the last cached period if it is within the lookback window, otherwise `earliestTime`.
+  _getFirstUncachedTime(cachedPricePeriods, earliestTime) {
+    const lastCachedPricePeriod = cachedPricePeriods[cachedPricePeriods.length - 1];
+    return lastCachedPricePeriod ? Math.max(lastCachedPricePeriod.openTime, earliestTime) : earliestTime;
+  }
+
   _secondToDateTime(inputSecond) {
     return moment.unix(inputSecond).format("YYYY-MM-DD-HH:mm");
   }
@@ -16,6 +16,10 @@ class UniswapPriceFeed extends PriceFeedInterface {
    * @param {Function} getTime Returns the current time.
    * @param {Bool} invertPrice Indicates if the Uniswap pair is computed as reserve0/reserve1 (true) or reserve1/reserve0 (false).
    * @param {Integer} priceFeedDecimals Precision that the caller wants precision to be reported in.
+   * @param {Object} blocks Optionally pass in a shared cache of block (promises) keyed by block number.
+   * @param {Object} blockFinder Optionally pass in a blockFinder instance. If set, historical TWAPs earlier than the
+   *                 lookback are computed from the reserves and Sync events at the blocks around the requested time,
+   *                 which requires an archive node. Otherwise, requesting them throws.
    * @return None or throws an Error.
    */
   constructor(
@@ -29,7 +33,8 @@ class UniswapPriceFeed extends PriceFeedInterface {
     getTime,
     invertPrice,
     priceFeedDecimals = 18,
-    blocks = {}
+    blocks = {},
+    blockFinder = null
   ) {
     super();
     this.logger = logger;
@@ -54,6 +59,7 @@ class UniswapPriceFeed extends PriceFeedInterface {
     this.toBN = this.web3.utils.toBN;
     this.toWei = this.web3.utils.toWei;
     this.blocks = blocks;
+    this.blockFinder = blockFinder;
   }
 
   getCurrentPrice() {
@@ -63,7 +69,10 @@ class UniswapPriceFeed extends PriceFeedInterface {
   async getHistoricalPrice(time) {
     if (time < this.lastUpdateTime - this.historicalLookback) {
       // Requesting an historical TWAP earlier than the lookback.
-      throw new Error(`${this.uuid} time ${time} is earlier than TWAP window`);
+      if (!this.blockFinder) {
+        throw new Error(`${this.uuid} time ${time} is earlier than TWAP window`);
+      }
+      return await this._getHistoricalPriceFromBlocks(time);
     }
 
     const historicalPrice = this._computeTwap(this.events, time - this.twapLength, time);
@@ -100,6 +109,32 @@ class UniswapPriceFeed extends PriceFeedInterface {
     return this.priceFeedDecimals;
   }
 
+  // Not part of the price feed interface. Returns the amount of the priced token (token0, or token1 if the price is
+  // inverted) swapped after `startTime` and up to `endTime`, scaled to 18 decimals. Swaps are inferred from Sync events
+  // whose reserves move in opposite directions, so liquidity that is added or removed is not counted.
+  getHistoricalVolume(startTime, endTime) {
+    if (!this.events) return null;
+    if (startTime < this.lastUpdateTime - this.historicalLookback - this.twapLength) {
+      throw new Error(`${this.uuid} time ${startTime} is earlier than the cached Sync events`);
+    }
+
+    let volume = this.toBN("0");
+    for (let i = 1; i < this.events.length; i++) {
+      if (this.events[i].timestamp <= startTime || this.events[i].timestamp > endTime) continue;
+      const reserve0Change = this._getReserveChange(this.events[i - 1], this.events[i], "reserve0");
+      const reserve1Change = this._getReserveChange(this.events[i - 1], this.events[i], "reserve1");
+      if (reserve0Change.isZero() || reserve1Change.isZero() || reserve0Change.isNeg() === reserve1Change.isNeg()) {
+        continue;
+      }
+      volume = volume.add((this.invertPrice ? reserve1Change : reserve0Change).abs());
+    }
+    return ConvertDecimals(
+      Number(this.invertPrice ? this.token1Precision : this.token0Precision),
+      18,
+      this.web3
+    )(volume);
+  }
+
   async update() {
     // Read token0 and token1 precision from Uniswap contract if not already cached:
     if (!this.token0Precision || !this.token1Precision || !this.convertToPriceFeedDecimals) {
@@ -146,26 +181,9 @@ class UniswapPriceFeed extends PriceFeedInterface {
       // By taking larger powers of 2, this doubles the lookback each time.
       fromBlock = Math.max(0, latestBlockNumber - lookbackBlocks * 2 ** i);
 
-      const newEvents = await this._getSortedSyncEvents(fromBlock, toBlock).then(newEvents => {
-        // Grabs the timestamps for all blocks, but avoids re-querying by .then-ing any cached blocks.
-        return Promise.all(
-          newEvents.map(event => {
-            // If there is nothing in the cache for this block number, add a new promise that will resolve to the block.
-            if (!this.blocks[event.blockNumber]) {
-              this.blocks[event.blockNumber] = this.web3.eth
-                .getBlock(event.blockNumber)
-                .then(block => ({ timestamp: block.timestamp, number: block.number }));
-            }
-
-            // Add a .then to the promise that sets the timestamp (and price) for this event after the promise resolves.
-            return this.blocks[event.blockNumber].then(block => {
-              event.timestamp = block.timestamp;
-              event.price = this._getPriceFromSyncEvent(event);
-              return event;
-            });
-          })
-        );
-      });
+      const newEvents = await this._getSortedSyncEvents(fromBlock, toBlock).then(newEvents =>
+        this._addTimestampsAndPrices(newEvents)
+      );
 
       // Adds newly queried events to the array.
       events = [...newEvents, ...events];
@@ -191,6 +209,58 @@ class UniswapPriceFeed extends PriceFeedInterface {
     this.lastUpdateTime = currentTime;
   }
 
+  // Computes a historical TWAP that is outside of the cached events. The price at the start of the window is read from
+  // the pair's reserves as of the block at that time, and the Sync events after that block are queried up to `time`.
+  async _getHistoricalPriceFromBlocks(time) {
+    const [startBlock, endBlock] = await Promise.all([
+      this.blockFinder.getBlockForTimestamp(time - this.twapLength),
+      this.blockFinder.getBlockForTimestamp(time)
+    ]);
+
+    const reserves = await this.uniswap.methods.getReserves().call(undefined, startBlock.number);
+    const startEvent = {
+      timestamp: Number(startBlock.timestamp),
+      price: this._getPriceFromSyncEvent({ returnValues: reserves })
+    };
+    const windowEvents =
+      endBlock.number > startBlock.number
+        ? await this._addTimestampsAndPrices(await this._getSortedSyncEvents(startBlock.number + 1, endBlock.number))
+        : [];
+    const events = [startEvent, ...windowEvents].filter(e => e.price !== null);
+
+    // With no TWAP, the price is just the last one at or before `time`.
+    const historicalPrice =
+      this.twapLength === 0
+        ? events[events.length - 1]?.price
+        : this._computeTwap(events, time - this.twapLength, time);
+    if (historicalPrice) {
+      return this.convertToPriceFeedDecimals(historicalPrice);
+    } else {
+      throw new Error(`${this.uuid} missing historical price @ time ${time}`);
+    }
+  }
+
+  // Sets the timestamp and price of each Sync event, using the shared block cache to avoid re-querying blocks.
+  _addTimestampsAndPrices(events) {
+    return Promise.all(
+      events.map(event => {
+        // If there is nothing in the cache for this block number, add a new promise that will resolve to the block.
+        if (!this.blocks[event.blockNumber]) {
+          this.blocks[event.blockNumber] = this.web3.eth
+            .getBlock(event.blockNumber)
+            .then(block => ({ timestamp: block.timestamp, number: block.number }));
+        }
+
+        // Add a .then to the promise that sets the timestamp (and price) for this event after the promise resolves.
+        return this.blocks[event.blockNumber].then(block => {
+          event.timestamp = block.timestamp;
+          event.price = this._getPriceFromSyncEvent(event);
+          return event;
+        });
+      })
+    );
+  }
+
   async _getSortedSyncEvents(fromBlock, toBlock) {
     const events = await this.uniswap.getPastEvents("Sync", { fromBlock: fromBlock, toBlock: toBlock });
     // Primary sort on block number. Secondary sort on transactionIndex. Tertiary sort on logIndex.
@@ -209,6 +279,10 @@ class UniswapPriceFeed extends PriceFeedInterface {
     return events;
   }
 
+  _getReserveChange(previousEvent, event, reserve) {
+    return this.toBN(event.returnValues[reserve]).sub(this.toBN(previousEvent.returnValues[reserve]));
+  }
+
   _getPriceFromSyncEvent(event) {
     // Fixed point adjustment should use same precision as token0, unless price is inverted.
     const fixedPointAdjustment = this.toBN(
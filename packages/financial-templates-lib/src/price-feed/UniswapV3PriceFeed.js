@@ -0,0 +1,238 @@
+// An implementation of PriceFeedInterface that uses the observation oracle of a Uniswap v3 pool to compute TWAPs.
+
+const { PriceFeedInterface } = require("./PriceFeedInterface");
+const { BlockFinder } = require("./utils");
+const assert = require("assert");
+
+class UniswapV3PriceFeed extends PriceFeedInterface {
+  /**
+   * @notice Constructs new Uniswap v3 TWAP price feed object.
+   * @dev Unlike the v2 feed, no events are scanned: each TWAP is computed from two tick cumulatives returned by the
+   *      pool's `observe()` method. TWAPs that end within the pool's stored observations are read at the block of the
+   *      last update. Older TWAPs are read at the block at that time, which requires an archive node.
+   * @param {Object} logger Winston module used to send logs.
+   * @param {Object} web3 Provider from Truffle instance to connect to Ethereum network.
+   * @param {Object} uniswapAbi Uniswap v3 pool abi object to create a contract instance to query tick cumulatives.
+   * @param {Object} erc20Abi ERC20 Token abi object to create a contract instance to query decimals.
+   * @param {String} uniswapAddress Ethereum address of the Uniswap v3 pool the price feed is monitoring.
+   * @param {Integer} twapLength Duration of the time weighted average computation used by the price feed. Must be > 0.
+   * @param {Integer} lookback How far in the past historical price periods are computed on each update.
+   * @param {Function} getTime Returns the current time.
+   * @param {Integer} [historicalPeriodLength] Time between the price periods returned by getHistoricalPricePeriods.
+   * @param {Function} [blockFinder] Optionally pass in a shared blockFinder instance (to share the cache).
+   * @param {Integer} [minTimeBetweenUpdates] Minimum amount of time that must pass before update will actually run
+   *                                        again. Defaults to 0 so that callers like the RangeTrader can read the
+   *                                        price right after a trade.
+   * @param {Integer} [priceFeedDecimals] Precision that the caller wants precision to be reported in.
+   * @param {Bool} [invertPrice] Indicates if the price should be quoted as token0 per token1 (true) rather than token1
+   *                             per token0 (false).
+   * @return None or throws an Error.
+   */
+  constructor({
+    logger,
+    web3,
+    uniswapAbi,
+    erc20Abi,
+    uniswapAddress,
+    twapLength,
+    lookback,
+    getTime,
+    historicalPeriodLength = 3600,
+    blockFinder,
+    minTimeBetweenUpdates = 0,
+    priceFeedDecimals = 18,
+    invertPrice = false
+  }) {
+    super();
+
+    // Assert required arguments.
+    assert(logger, "logger required");
+    assert(web3, "web3 required");
+    assert(uniswapAbi, "uniswapAbi required");
+    assert(erc20Abi, "erc20Abi required");
+    assert(uniswapAddress, "uniswapAddress required");
+    assert(twapLength > 0, "twapLength must be > 0");
+    assert(lookback >= 0, "lookback must be >= 0");
+    assert(getTime, "getTime required");
+    assert(historicalPeriodLength > 0, "historicalPeriodLength must be > 0");
+
+    this.logger = logger;
+    this.web3 = web3;
+    this.toBN = web3.utils.toBN;
+
+    this.uniswap = new web3.eth.Contract(uniswapAbi, uniswapAddress);
+    this.erc20Abi = erc20Abi;
+    this.uuid = `UniswapV3-${uniswapAddress}`;
+    this.twapLength = twapLength;
+    this.lookback = lookback;
+    this.getTime = getTime;
+    this.historicalPeriodLength = historicalPeriodLength;
+    this.blockFinder = blockFinder || BlockFinder(web3.eth.getBlock);
+    this.minTimeBetweenUpdates = minTimeBetweenUpdates;
+    this.priceFeedDecimals = priceFeedDecimals;
+    this.invertPrice = invertPrice;
+
+    this.historicalPricePeriods = []; // array of [timestamp, BN price], sorted from oldest to newest.
+  }
+
+  getCurrentPrice() {
+    return this.currentTwap;
+  }
+
+  // Returns the TWAP over the `twapLength` seconds ending at `time`.
+  async getHistoricalPrice(time) {
+    if (this.lastUpdateTime === undefined) {
+      throw new Error(`${this.uuid}: undefined lastUpdateTime`);
+    }
+
+    // Pools only store a limited number of observations, so reading relative to the last update fails for times
+    // that are too old. In that case, read the TWAP as of the block at that time instead.
+    const secondsAgo = Math.max(this.lastUpdateBlock.timestamp - time, 0);
+    try {
+      const [price] = await this._getTwaps([secondsAgo], this.lastUpdateBlock.number);
+      return price;
+    } catch (error) {
+      const block = await this.blockFinder.getBlockForTimestamp(time);
+      try {
+        const [price] = await this._getTwaps([0], block.number);
+        return price;
+      } catch (historicalError) {
+        throw new Error(`${this.uuid}: missing historical price @ time ${time}: ${historicalError.message}`);
+      }
+    }
+  }
+
+  getHistoricalPricePeriods() {
+    return this.historicalPricePeriods;
+  }
+
+  getLastUpdateTime() {
+    return this.lastUpdateTime;
+  }
+
+  getLookback() {
+    return this.lookback;
+  }
+
+  getPriceFeedDecimals() {
+    return this.priceFeedDecimals;
+  }
+
+  async update() {
+    const currentTime = await this.getTime();
+
+    // Return early if the last call was too recent.
+    if (this.lastUpdateTime !== undefined && this.lastUpdateTime + this.minTimeBetweenUpdates > currentTime) {
+      this.logger.debug({
+        at: "UniswapV3PriceFeed",
+        message: "Update skipped because the last one was too recent",
+        currentTime: currentTime,
+        lastUpdateTimestamp: this.lastUpdateTime,
+        timeRemainingUntilUpdate: this.lastUpdateTime + this.minTimeBetweenUpdates - currentTime
+      });
+      return;
+    }
+
+    this.logger.debug({
+      at: "UniswapV3PriceFeed",
+      message: "Updating UniswapV3PriceFeed",
+      currentTime: currentTime,
+      lastUpdateTimestamp: this.lastUpdateTime
+    });
+
+    // Read token decimals from the pool's tokens if not already cached.
+    if (this.token0Decimals === undefined || this.token1Decimals === undefined) {
+      const [token0Address, token1Address] = await Promise.all([
+        this.uniswap.methods.token0().call(),
+        this.uniswap.methods.token1().call()
+      ]);
+      const [token0Decimals, token1Decimals] = await Promise.all([
+        new this.web3.eth.Contract(this.erc20Abi, token0Address).methods.decimals().call(),
+        new this.web3.eth.Contract(this.erc20Abi, token1Address).methods.decimals().call()
+      ]);
+      this.token0Decimals = Number(token0Decimals);
+      this.token1Decimals = Number(token1Decimals);
+    }
+
+    // Pin all reads to a single block so that the current TWAP and the historical periods are consistent.
+    const block = await this.web3.eth.getBlock("latest");
+
+    // Request a TWAP ending every `historicalPeriodLength` seconds over the lookback in a single `observe()` call.
+    let periodSecondsAgos = [];
+    for (let secondsAgo = 0; secondsAgo <= this.lookback; secondsAgo += this.historicalPeriodLength) {
+      periodSecondsAgos.unshift(secondsAgo);
+    }
+
+    let twaps;
+    try {
+      twaps = await this._getTwaps(periodSecondsAgos, block.number);
+    } catch (error) {
+      // The pool may not store enough observations to cover the lookback. The current TWAP can still be computed.
+      this.logger.debug({
+        at: "UniswapV3PriceFeed",
+        message: "Pool observations do not cover the lookback, only computing the current TWAP",
+        uniswapAddress: this.uniswap.options.address,
+        error: error.message
+      });
+      periodSecondsAgos = [0];
+      twaps = await this._getTwaps(periodSecondsAgos, block.number);
+    }
+
+    this.historicalPricePeriods = periodSecondsAgos.map((secondsAgo, i) => [block.timestamp - secondsAgo, twaps[i]]);
+    this.currentTwap = twaps[twaps.length - 1];
+    this.lastUpdateBlock = { number: block.number, timestamp: Number(block.timestamp) };
+    this.lastUpdateTime = currentTime;
+  }
+
+  // Returns the TWAPs over the `twapLength` seconds ending `secondsAgos` before the timestamp of `blockNumber`.
+  async _getTwaps(secondsAgos, blockNumber) {
+    const observeSecondsAgos = secondsAgos.flatMap(secondsAgo => [secondsAgo + this.twapLength, secondsAgo]);
+    const { tickCumulatives } = await this.uniswap.methods.observe(observeSecondsAgos).call(undefined, blockNumber);
+    return secondsAgos.map((_, i) => {
+      const tickCumulativeDelta = this.toBN(tickCumulatives[2 * i + 1].toString()).sub(
+        this.toBN(tickCumulatives[2 * i].toString())
+      );
+      return this._tickToPrice(this._getMeanTick(tickCumulativeDelta));
+    });
+  }
+
+  // Divides the tick cumulative delta by the TWAP length, rounding towards negative infinity to match Uniswap's
+  // OracleLibrary.
+  _getMeanTick(tickCumulativeDelta) {
+    const twapLength = this.toBN(this.twapLength.toString());
+    const meanTick = tickCumulativeDelta.div(twapLength);
+    if (tickCumulativeDelta.isNeg() && !tickCumulativeDelta.mod(twapLength).isZero()) {
+      return meanTick.subn(1).toNumber();
+    }
+    return meanTick.toNumber();
+  }
+
+  // Converts a tick into the price of token0 in token1 (or token1 in token0 if inverted), scaled to priceFeedDecimals.
+  // The raw price at a tick is 1.0001^tick, which is computed in Q128 fixed point by repeated squaring.
+  _tickToPrice(tick) {
+    let [priceTick, baseDecimals, quoteDecimals] = [tick, this.token0Decimals, this.token1Decimals];
+    if (this.invertPrice) [priceTick, baseDecimals, quoteDecimals] = [-tick, this.token1Decimals, this.token0Decimals];
+
+    const q128 = this.toBN("1").shln(128);
+    let base = q128.muln(10001).divn(10000);
+    let ratio = q128;
+    for (let exponent = Math.abs(priceTick); exponent > 0; exponent >>= 1) {
+      if (exponent & 1) ratio = ratio.mul(base).shrn(128);
+      base = base.mul(base).shrn(128);
+    }
+
+    // Scale by the difference in token decimals so that the price is per whole token.
+    const ten = this.toBN("10");
+    const scaling = ten.pow(this.toBN((baseDecimals + this.priceFeedDecimals).toString()));
+    const quoteScaling = ten.pow(this.toBN(quoteDecimals.toString()));
+    if (priceTick >= 0) {
+      return ratio.mul(scaling).div(q128.mul(quoteScaling));
+    } else {
+      return q128.mul(scaling).div(ratio.mul(quoteScaling));
+    }
+  }
+}
+
+module.exports = {
+  UniswapV3PriceFeed
+};
@@ -0,0 +1,54 @@
+// Helpers for bots that refuse to act on prices that are stale or whose sources disagree too much, since the aggregate
+// price could be derived from bad data.
+
+// Returns the config fields read by `checkPriceQuality`, in the format of `createObjectFromDefaultProps` defaults, so
+// that bots can merge them into their own config defaults. Undefined disables either check.
+function createPriceQualityConfig() {
+  return {
+    maxPriceDispersion: {
+      // `maxPriceDispersion`: Maximum spread between the price feed's highest and lowest source prices as a fraction of
+      // the price, e.g. 0.05 refuses prices while the sources are more than 5% apart. See `getPriceWithMetadata` in
+      // PriceFeedInterface.
+      value: undefined,
+      isValid: x => {
+        if (x === undefined) return true;
+        return parseFloat(x) >= 0;
+      }
+    },
+    maxPriceAge: {
+      // `maxPriceAge`: Maximum number of seconds between the price feed's last update and the contract's current time.
+      value: undefined,
+      isValid: x => {
+        if (x === undefined) return true;
+        return Number(x) > 0;
+      }
+    }
+  };
+}
+
+// Checks the current price of `priceFeed` against the `maxPriceDispersion` and `maxPriceAge` limits at `currentTime`.
+// Returns null if the price can be acted on. Otherwise, returns an object with the `reason` it cannot and the data to
+// log along with it.
+function checkPriceQuality(priceFeed, currentTime, { maxPriceDispersion, maxPriceAge }) {
+  if (maxPriceDispersion === undefined && maxPriceAge === undefined) return null;
+
+  const { isStale, dispersion, sources } = priceFeed.getPriceWithMetadata(currentTime, maxPriceAge);
+  const loggedSources = sources.map(source => ({ ...source, price: source.price ? source.price.toString() : null }));
+  if (maxPriceAge !== undefined && isStale) {
+    return { reason: "price feed has not updated recently enough", maxPriceAge, sources: loggedSources };
+  }
+  if (maxPriceDispersion !== undefined && (dispersion === null || dispersion > maxPriceDispersion)) {
+    return {
+      reason: "price feed sources disagree by more than the allowed dispersion",
+      dispersion,
+      maxPriceDispersion,
+      sources: loggedSources
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  createPriceQualityConfig,
+  checkPriceQuality
+};
@@ -1,5 +1,6 @@
 const lodash = require("lodash");
 const assert = require("assert");
+const { toBN } = require("web3").utils;
 const { averageBlockTimeSeconds, MAX_SAFE_JS_INT, estimateBlocksElapsed } = require("@uma/common");
 
 // Downloads blocks and caches them for certain time into the past.
@@ -301,3 +302,61 @@ exports.computeTWAP = (events, startTime, endTime, startingPriceSum) => {
 
   return priceSum.divn(timeSum);
 };
+
+// Given a list of price periods in chronological order [timestamp, price], returns the price of the latest period at or
+// before `time`, or null if every period is later than `time`. This is used to line up the price histories of feeds
+// that were sampled at different timestamps.
+exports.getPriceAtOrBefore = (pricePeriods, time) => {
+  let price = null;
+  for (const [timestamp, periodPrice] of pricePeriods) {
+    if (timestamp > time) break;
+    price = periodPrice;
+  }
+  return price;
+};
+
+// Returns how far apart a list of BN prices are: the spread between the highest and the lowest price divided by the
+// `referencePrice`, as a Number. For example, prices of 99 and 101 with a reference price of 100 give 0.02. Returns null
+// if there are no prices to compare or the reference price is missing or zero.
+exports.computeDispersion = (prices, referencePrice) => {
+  if (prices.length === 0 || !referencePrice || referencePrice.isZero()) return null;
+
+  const sortedPrices = [...prices].sort((a, b) => a.cmp(b));
+  const spread = sortedPrices[sortedPrices.length - 1].sub(sortedPrices[0]);
+
+  // Scale up before dividing so that the fractional part is not lost to BN's integer division.
+  const scalingFactor = toBN("10").pow(toBN("18"));
+  return (
+    Number(
+      spread
+        .mul(scalingFactor)
+        .div(referencePrice)
+        .toString()
+    ) / 1e18
+  );
+};
+
+// A price is stale if it is missing, if it has never been updated or if it was last updated more than `maxPriceAge`
+// seconds before `currentTime`. The age check is skipped if either `currentTime` or `maxPriceAge` is not provided.
+exports.isPriceStale = (price, lastUpdateTime, currentTime, maxPriceAge) => {
+  if (price === undefined || price === null) return true;
+  if (lastUpdateTime === undefined || lastUpdateTime === null) return true;
+  if (currentTime === undefined || currentTime === null || maxPriceAge === undefined || maxPriceAge === null) {
+    return false;
+  }
+  return Number(currentTime) - Number(lastUpdateTime) > Number(maxPriceAge);
+};
+
+// Builds the metadata for a feed that combines constituents tracking *different* assets (e.g. an expression or a basket
+// spread). Comparing the constituents' prices against each other would be meaningless, so the result reports the
+// largest dispersion of any single constituent and is stale if any constituent is stale.
+exports.combineConstituentMetadata = (price, lastUpdateTime, constituentMetadata) => {
+  const dispersions = constituentMetadata.map(metadata => metadata.dispersion);
+  return {
+    price: price || null,
+    lastUpdateTime,
+    isStale: !price || constituentMetadata.some(metadata => metadata.isStale),
+    dispersion: !price || dispersions.some(dispersion => dispersion === null) ? null : Math.max(...dispersions),
+    sources: constituentMetadata.flatMap(metadata => metadata.sources)
+  };
+};
@@ -1,6 +1,8 @@
 const assert = require("assert");
 
 const { getFromBlock } = require("@uma/common");
+const { TransactionManager } = require("../helpers/TransactionManager");
+
 class DSProxyManager {
   /**
    * @notice Constructs new Liquidator bot.
@@ -9,14 +11,26 @@ class DSProxyManager {
    * @param {Object} gasEstimator Module used to estimate optimal gas price with which to send txns.
    * @param {String} account Ethereum account from which to send txns.
    * @param {String} dsProxyFactoryAddress address of the DSProxy factory to create new DSProxies and the like.
+   * @param {Object} [transactionManager] Module used to send txns from `account`. Should be shared with the bots that
+   *     send from the same account, so that their nonces do not collide.
    */
-  constructor({ logger, web3, gasEstimator, account, dsProxyFactoryAddress, dsProxyFactoryAbi, dsProxyAbi }) {
+  constructor({
+    logger,
+    web3,
+    gasEstimator,
+    account,
+    dsProxyFactoryAddress,
+    dsProxyFactoryAbi,
+    dsProxyAbi,
+    transactionManager
+  }) {
     assert(web3.utils.isAddress(account), "Account needs to be a valid address");
     assert(web3.utils.isAddress(dsProxyFactoryAddress), "dsProxyFactoryAddress needs to be a valid contract address");
     this.logger = logger;
     this.account = account;
     this.web3 = web3;
     this.gasEstimator = gasEstimator;
+    this.transactionManager = transactionManager || new TransactionManager({ logger, web3, gasEstimator, account });
     this.dsProxyFactoryAddress = dsProxyFactoryAddress;
     this.dsProxyFactory = new web3.eth.Contract(dsProxyFactoryAbi, dsProxyFactoryAddress);
     this.dsProxyAbi = dsProxyAbi;
@@ -30,9 +44,6 @@ class DSProxyManager {
     this.fromWei = this.web3.utils.fromWei;
     this.utf8ToHex = this.web3.utils.utf8ToHex;
     this.isAddress = this.web3.utils.isAddress;
-
-    // Multiplier applied to Truffle's estimated gas limit for a transaction to send.
-    this.GAS_LIMIT_BUFFER = 1.25;
   }
 
   getDSProxyFactoryAddress() {
@@ -90,9 +101,8 @@ class DSProxyManager {
         message: "No DSProxy found for EOA. Deploying new DSProxy",
         account: this.account
       });
-      const dsProxyCreateTx = await this.dsProxyFactory.methods.build().send({
-        from: this.account,
-        gasPrice: this.gasEstimator.getCurrentFastPrice()
+      const { receipt: dsProxyCreateTx } = await this.transactionManager.sendTransaction({
+        transaction: this.dsProxyFactory.methods.build()
       });
       this.dsProxyAddress = dsProxyCreateTx.events.Created.returnValues.proxy;
       this.dsProxy = new this.web3.eth.Contract(this.dsProxyAbi, this.dsProxyAddress);
@@ -106,7 +116,8 @@ class DSProxyManager {
     }
     return this.dsProxyAddress;
   }
-  // Encode with `yourTruffleContractInstance.yourMethod(params1,param2).encodeABI()
+  // Encode with `yourTruffleContractInstance.yourMethod(params1,param2).encodeABI()`. Returns the receipt, or null in
+  // dry runs.
   async callFunctionOnExistingLibrary(libraryAddress, callData) {
     assert(this.dsProxy, "DSProxy must first be initialized to use this method");
     assert(this.isAddress(libraryAddress), "Library address must be valid address");
@@ -118,10 +129,10 @@ class DSProxyManager {
       callData
     });
 
-    const executeTransaction = await this.dsProxy.methods["execute(address,bytes)"](libraryAddress, callData).send({
-      from: this.account,
-      gasPrice: this.gasEstimator.getCurrentFastPrice()
+    const { receipt: executeTransaction } = await this.transactionManager.sendTransaction({
+      transaction: this.dsProxy.methods["execute(address,bytes)"](libraryAddress, callData)
     });
+    if (!executeTransaction) return null; // Dry run.
 
     this.logger.info({
       at: "DSProxyManager",
@@ -133,6 +144,7 @@ class DSProxyManager {
     return executeTransaction;
   }
   // Extract call code using the `.abi` syntax on a truffle object or the `getABI(contractType,contractVersion)` from common.
+  // Returns the receipt, or null in dry runs.
   async callFunctionOnNewlyDeployedLibrary(callCode, callData) {
     assert(this.dsProxy, "DSProxy must first be initialized to use this method");
     assert(typeof callCode === "string", "Call code must be a string");
@@ -144,10 +156,10 @@ class DSProxyManager {
       callCode
     });
 
-    const executeTransaction = await this.dsProxy.methods["execute(bytes,bytes)"](callCode, callData).send({
-      from: this.account,
-      gasPrice: this.gasEstimator.getCurrentFastPrice()
+    const { receipt: executeTransaction } = await this.transactionManager.sendTransaction({
+      transaction: this.dsProxy.methods["execute(bytes,bytes)"](callCode, callData)
     });
+    if (!executeTransaction) return null; // Dry run.
 
     this.logger.info({
       at: "DSProxyManager",
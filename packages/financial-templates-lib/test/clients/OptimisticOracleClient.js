@@ -1,4 +1,5 @@
 const winston = require("winston");
+const sinon = require("sinon");
 
 const { toWei, hexToUtf8, utf8ToHex } = web3.utils;
 
@@ -17,6 +18,7 @@ const AddressWhitelist = getTruffleContract("AddressWhitelist", web3, CONTRACT_V
 const Timer = getTruffleContract("Timer", web3, CONTRACT_VERSION);
 const Store = getTruffleContract("Store", web3, CONTRACT_VERSION);
 const MockOracle = getTruffleContract("MockOracleAncillary", web3, CONTRACT_VERSION);
+const MulticallMock = getTruffleContract("MulticallMock", web3, CONTRACT_VERSION);
 
 contract("OptimisticOracleClient.js", function(accounts) {
   const owner = accounts[0];
@@ -201,6 +203,11 @@ contract("OptimisticOracleClient.js", function(accounts) {
     await client.update();
     result = client.getSettleableProposals(proposer);
     assert.deepStrictEqual(result, []);
+
+    // The settled request's events are dropped, and are not added back when its blocks are re-queried.
+    await client.update();
+    assert.deepStrictEqual(Object.keys(client.requestEvents), []);
+    assert.deepStrictEqual(Object.keys(client.proposalEvents), []);
   });
 
   it("Basic dispute lifecycle: request, propose, dispute, resolve & settle", async function() {
@@ -233,6 +240,21 @@ contract("OptimisticOracleClient.js", function(accounts) {
     result = client.getSettleableDisputes(disputer);
     assert.deepStrictEqual(result, []);
 
+    // The unresolved dispute is still tracked for the proposer, whose bond is at stake.
+    await client.update();
+    assert.deepStrictEqual(client.getUnsettledDisputes(disputer), []);
+    assert.deepStrictEqual(client.getUnsettledDisputes(proposer), [
+      {
+        requester: optimisticRequester.address,
+        proposer: proposer,
+        disputer: disputer,
+        identifier: hexToUtf8(identifier),
+        ancillaryData: "0x",
+        timestamp: requestTime.toString(),
+        currency: collateral.address
+      }
+    ]);
+
     // Resolve the dispute and check that the client detects the new state:
     await pushPrice(correctPrice);
     await client.update();
@@ -256,6 +278,73 @@ contract("OptimisticOracleClient.js", function(accounts) {
     await client.update();
     result = client.getSettleableDisputes(disputer);
     assert.deepStrictEqual(result, []);
+    assert.deepStrictEqual(client.getUnsettledDisputes(proposer), []);
+  });
+
+  it("Only queries new blocks and the reorg safety margin on each update", async function() {
+    const getPastEventsSpy = sinon.spy(client.oracle, "getPastEvents");
+    await client.update();
+    const lastProcessedBlock = client.lastProcessedBlock;
+    assert.equal(lastProcessedBlock, await web3.eth.getBlockNumber());
+
+    await optimisticRequester.requestPrice(identifier, requestTime, "0x", collateral.address, 0);
+    await client.update();
+
+    // The second update starts 12 blocks, the default `reorgSafetyBlocks`, before the end of the first.
+    const [, eventFilter] = getPastEventsSpy.lastCall.args;
+    assert.equal(eventFilter.fromBlock, Math.max(lastProcessedBlock - 11, 0));
+    assert.equal(eventFilter.toBlock, await web3.eth.getBlockNumber());
+    assert.equal(client.getUnproposedPriceRequests().length, 1);
+
+    // Events re-queried within the safety margin are not duplicated.
+    await client.update();
+    assert.equal(client.getUnproposedPriceRequests().length, 1);
+  });
+
+  it("Rebuilds its state if the last processed block was re-organised", async function() {
+    await optimisticRequester.requestPrice(identifier, requestTime, "0x", collateral.address, 0);
+    await client.update();
+
+    // Simulate a reorg deeper than the safety margin, which replaced the last processed block.
+    const getPastEventsSpy = sinon.spy(client.oracle, "getPastEvents");
+    client.lastProcessedBlockHash = "0x1234";
+    await client.update();
+
+    // All blocks in the lookback window are queried again.
+    const [, eventFilter] = getPastEventsSpy.lastCall.args;
+    assert.isBelow(eventFilter.fromBlock, client.lastProcessedBlock - client.reorgSafetyBlocks);
+    assert.equal(client.lastProcessedBlockHash, (await web3.eth.getBlock(client.lastProcessedBlock)).hash);
+    assert.equal(client.getUnproposedPriceRequests().length, 1);
+  });
+
+  it("Batches state queries through Multicall", async function() {
+    const multicall = await MulticallMock.new();
+    const multicallClient = new OptimisticOracleClient(
+      dummyLogger,
+      OptimisticOracle.abi,
+      MockOracle.abi,
+      web3,
+      optimisticOracle.address,
+      mockOracle.address,
+      604800,
+      multicall.address
+    );
+
+    await optimisticRequester.requestPrice(identifier, requestTime, "0x", collateral.address, 0);
+    await collateral.approve(optimisticOracle.address, totalDefaultBond, { from: proposer });
+    const currentContractTime = await optimisticOracle.getCurrentTime();
+    await optimisticOracle.proposePrice(optimisticRequester.address, identifier, requestTime, "0x", correctPrice, {
+      from: proposer
+    });
+    await multicallClient.update();
+    assert.equal(multicallClient.getUndisputedProposals().length, 1);
+
+    // Once the proposal is settled, it is dropped.
+    await optimisticOracle.setCurrentTime((Number(currentContractTime) + liveness).toString());
+    await optimisticOracle.settle(optimisticRequester.address, identifier, requestTime, "0x");
+    await multicallClient.update();
+    assert.deepStrictEqual(multicallClient.getUndisputedProposals(), []);
+    assert.deepStrictEqual(multicallClient.getSettleableProposals(proposer), []);
   });
 
   it("Lookback window enforced", async function() {
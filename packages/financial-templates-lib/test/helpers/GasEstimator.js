@@ -62,4 +62,91 @@ contract("GasEstimator.js", function() {
       assert(lastUpdateTimestamp < gasEstimator.lastUpdateTimestamp);
     });
   });
+
+  describe("EIP-1559 fees", () => {
+    const dummyLogger = winston.createLogger({ level: "info", transports: [new winston.transports.Console()] });
+    const gwei = 1e9;
+    let feeHistoryError, requests;
+
+    // Stands in for a London-enabled node. Base fees rise to 40 Gwei and the middle block is empty.
+    const web3 = {
+      version: "1.5.0",
+      utils: { toHex: x => `0x${x.toString(16)}` },
+      eth: {
+        net: { getId: async () => 1 },
+        getGasPrice: async () => String(30 * gwei)
+      },
+      currentProvider: {
+        send: (payload, callback) => {
+          requests.push(payload);
+          if (feeHistoryError) return callback(null, { id: payload.id, error: { message: feeHistoryError } });
+          callback(null, {
+            id: payload.id,
+            result: {
+              oldestBlock: "0x1",
+              baseFeePerGas: [20, 30, 35, 40].map(fee => `0x${(fee * gwei).toString(16)}`),
+              reward: [[`0x${(1 * gwei).toString(16)}`], ["0x0"], [`0x${(3 * gwei).toString(16)}`]]
+            }
+          });
+        }
+      }
+    };
+
+    beforeEach(() => {
+      feeHistoryError = null;
+      requests = [];
+    });
+
+    it("Returns a legacy gas price without web3", () => {
+      gasEstimator = new GasEstimator(dummyLogger);
+      assert.deepEqual(gasEstimator.getCurrentFees(), { gasPrice: gasEstimator.getCurrentFastPrice() });
+    });
+    it("Computes fees from the node's fee history", async () => {
+      gasEstimator = new GasEstimator(dummyLogger, 60, 50, web3, { strategy: "node", feeHistoryBlocks: 3 });
+      await gasEstimator.update();
+
+      assert.equal(requests[0].method, "eth_feeHistory");
+      assert.deepEqual(requests[0].params, ["0x3", "latest", [50]]);
+      // The empty block is ignored, so the median priority fee is the higher of 1 and 3 Gwei.
+      assert.deepEqual(gasEstimator.getCurrentFees(), {
+        maxFeePerGas: 2 * 40 * gwei + 3 * gwei,
+        maxPriorityFeePerGas: 3 * gwei
+      });
+      assert.equal(gasEstimator.getCurrentFastPrice(), 83 * gwei);
+    });
+    it("Uses the node's gas price if it does not support fee history", async () => {
+      feeHistoryError = "the method eth_feeHistory does not exist/is not available";
+      gasEstimator = new GasEstimator(dummyLogger, 60, 50, web3, { strategy: "node" });
+      await gasEstimator.update();
+
+      assert.deepEqual(gasEstimator.getCurrentFees(), { gasPrice: 30 * gwei });
+    });
+    it("Validates gas sources on construction", () => {
+      assert.throws(() => new GasEstimator(dummyLogger, 60, 50, null, { gasSources: [{ type: "node" }] }));
+      assert.throws(() => new GasEstimator(dummyLogger, 60, 50, web3, { gasSources: [{ type: "unknown" }] }));
+      const gasEstimator = new GasEstimator(dummyLogger, 60, 50, web3, { strategy: "node" });
+      assert.deepEqual(
+        gasEstimator.orderedGasSources.map(({ config }) => config.type),
+        ["blockSample", "node"]
+      );
+    });
+    it("Uses the network's strategy", async () => {
+      gasEstimator = new GasEstimator(dummyLogger, 60, 50, web3, { networkId: 1337 });
+      assert.equal(await gasEstimator._getStrategy(), "legacy");
+      gasEstimator = new GasEstimator(dummyLogger, 60, 50, web3);
+      assert.equal(await gasEstimator._getStrategy(), "london");
+    });
+    it("Uses legacy gas prices if web3 cannot send type-2 transactions", async () => {
+      const legacyWeb3 = { ...web3, version: "1.3.4" };
+      gasEstimator = new GasEstimator(dummyLogger, 60, 50, legacyWeb3);
+      assert.equal(await gasEstimator._getStrategy(), "legacy");
+      gasEstimator = new GasEstimator(dummyLogger, 60, 50, legacyWeb3, {
+        strategy: "node",
+        gasSources: [{ type: "node" }]
+      });
+      await gasEstimator.update();
+      assert.equal(requests.length, 0);
+      assert.deepEqual(gasEstimator.getCurrentFees(), { gasPrice: 30 * gwei });
+    });
+  });
 });
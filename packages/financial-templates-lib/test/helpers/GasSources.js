@@ -0,0 +1,61 @@
+const winston = require("winston");
+
+const { BlockSampleGasSource, createGasSource } = require("../../src/helpers/GasSources");
+const { GasEstimator } = require("../../src/helpers/GasEstimator");
+
+contract("GasSources.js", function() {
+  const gwei = 1e9;
+  const dummyLogger = winston.createLogger({ level: "info", transports: [new winston.transports.Console()] });
+  let gasPrice;
+
+  // Stands in for a node whose latest 3 blocks contain transactions with gas prices of 1 to 10 Gwei.
+  const web3 = {
+    eth: {
+      net: { getId: async () => 1337 },
+      getGasPrice: async () => String(gasPrice),
+      getBlockNumber: async () => 2,
+      getBlock: async blockNumber => ({
+        number: blockNumber,
+        transactions: [
+          [1, 2, 3],
+          [4, 5, 6],
+          [7, 8, 9, 10]
+        ][blockNumber].map(price => ({ gasPrice: String(price * gwei) }))
+      })
+    }
+  };
+
+  beforeEach(() => {
+    gasPrice = 25 * gwei;
+  });
+
+  it("Samples gas prices from the latest blocks", async () => {
+    assert.equal(await new BlockSampleGasSource(web3, 3, 60).getFastPriceGwei(), 7);
+    assert.equal(await new BlockSampleGasSource(web3, 3, 100).getFastPriceGwei(), 10);
+    // Only the latest block is sampled.
+    assert.equal(await new BlockSampleGasSource(web3, 1, 0).getFastPriceGwei(), 7);
+  });
+
+  it("Rejects invalid configs", () => {
+    assert.throws(() => createGasSource({ type: "gasstation" }, web3));
+    assert.throws(() => createGasSource({ type: "node" }));
+  });
+
+  it("GasEstimator falls back through its ordered gas sources", async () => {
+    // The latest blocks only contain transactions with a gas price of 0, which is not valid, so the node's price is used.
+    const emptyBlocksWeb3 = {
+      eth: { ...web3.eth, getBlock: async blockNumber => ({ number: blockNumber, transactions: [{ gasPrice: "0" }] }) }
+    };
+    const gasEstimator = new GasEstimator(dummyLogger, 60, 50, emptyBlocksWeb3, {
+      gasSources: [{ type: "blockSample", blocks: 3 }, { type: "node" }]
+    });
+    await gasEstimator.update();
+    assert.equal(gasEstimator.getCurrentFastPrice(), 25 * gwei);
+
+    // Once every source fails, the default is used.
+    gasPrice = 0;
+    gasEstimator.lastUpdateTimestamp = 0;
+    await gasEstimator.update();
+    assert.equal(gasEstimator.getCurrentFastPrice(), 50 * gwei);
+  });
+});
@@ -0,0 +1,41 @@
+const winston = require("winston");
+
+const { NonceManager } = require("../../src/helpers/NonceManager");
+
+contract("NonceManager.js", function() {
+  const account = "0x0000000000000000000000000000000000000001";
+  let transactionCount;
+  let nonceManager;
+
+  beforeEach(async function() {
+    transactionCount = 5;
+    const web3 = { eth: { getTransactionCount: async () => transactionCount } };
+    nonceManager = new NonceManager(winston.createLogger({ silent: true }), web3, account);
+  });
+
+  it("Hands out unique nonces to concurrent callers", async function() {
+    const nonces = await Promise.all([
+      nonceManager.getNextNonce(),
+      nonceManager.getNextNonce(),
+      nonceManager.getNextNonce()
+    ]);
+    assert.deepEqual(nonces, [5, 6, 7]);
+  });
+
+  it("Follows transactions sent by other processes", async function() {
+    assert.equal(await nonceManager.getNextNonce(), 5);
+
+    // Another process sent two transactions.
+    transactionCount = 8;
+    assert.equal(await nonceManager.getNextNonce(), 8);
+  });
+
+  it("Reset reuses nonces that were not sent", async function() {
+    assert.equal(await nonceManager.getNextNonce(), 5);
+    assert.equal(await nonceManager.getNextNonce(), 6);
+
+    // Neither transaction was sent, so the chain's count is still 5.
+    nonceManager.reset();
+    assert.equal(await nonceManager.getNextNonce(), 5);
+  });
+});
@@ -0,0 +1,320 @@
+const winston = require("winston");
+const sinon = require("sinon");
+const Web3 = require("web3");
+const { ZERO_ADDRESS } = require("@uma/common");
+const { getTruffleContract } = require("@uma/core");
+
+const { SpyTransport } = require("../../src/logger/SpyTransport");
+
+const { TransactionManager } = require("../../src/helpers/TransactionManager");
+const { GasEstimator } = require("../../src/helpers/GasEstimator");
+
+const Token = getTruffleContract("ExpandedERC20", web3);
+
+contract("TransactionManager.js", function(accounts) {
+  const account = accounts[0];
+  const gasEstimator = { getCurrentFees: () => ({ gasPrice: 100 }) };
+
+  let pendingTransactionCount, minedTransactionCount, receipts;
+  let transactionManager;
+
+  // Stands in for the PromiEvent returned by web3's `send`. `mine` and `fail` settle it like a mined or failed
+  // transaction.
+  const createPromiEvent = transactionHash => {
+    let resolve, reject;
+    const promise = new Promise((_resolve, _reject) => {
+      resolve = _resolve;
+      reject = _reject;
+    });
+    const handlers = {};
+    const promiEvent = {
+      transactionHash,
+      on: (event, handler) => {
+        handlers[event] = handler;
+        return promiEvent;
+      },
+      then: (onFulfilled, onRejected) => promise.then(onFulfilled, onRejected),
+      mine: () => {
+        const receipt = { transactionHash, blockNumber: 1, blockHash: "0x1", status: true, events: {} };
+        receipts[transactionHash] = receipt;
+        resolve(receipt);
+      },
+      fail: error => {
+        if (handlers.error) handlers.error(error);
+        reject(error);
+      }
+    };
+    // Web3 emits the hash once the node accepted the transaction.
+    setImmediate(() => handlers.transactionHash && handlers.transactionHash(transactionHash));
+    return promiEvent;
+  };
+
+  // Stands in for a web3 contract method. `onSend` decides what happens to each broadcast and `parent` is the contract
+  // whose ABI the receipts are decoded with.
+  const createTransaction = ({ onSend, callError, parent } = {}) => {
+    const transaction = {
+      _parent: parent,
+      sent: [],
+      call: async () => {
+        if (callError) throw callError;
+        return "42";
+      },
+      estimateGas: async () => 100000,
+      send: txnConfig => {
+        const promiEvent = createPromiEvent(`0x${transaction.sent.length}${txnConfig.nonce}`);
+        transaction.sent.push(txnConfig);
+        setImmediate(() => onSend(promiEvent, transaction.sent.length - 1));
+        return promiEvent;
+      }
+    };
+    return transaction;
+  };
+
+  beforeEach(async function() {
+    pendingTransactionCount = 7;
+    minedTransactionCount = 7;
+    receipts = {};
+    const web3 = {
+      eth: {
+        getTransactionCount: async (address, block) =>
+          block === "pending" ? pendingTransactionCount : minedTransactionCount,
+        getTransactionReceipt: async transactionHash => receipts[transactionHash] || null,
+        getBlockNumber: async () => 1
+      }
+    };
+    transactionManager = new TransactionManager({
+      logger: winston.createLogger({ silent: true }),
+      web3,
+      gasEstimator,
+      account,
+      transactionManagerConfig: { replacementDelay: 0.05, pollingInterval: 0.01 }
+    });
+  });
+
+  it("Sends transactions", async function() {
+    const transaction = createTransaction({ onSend: promiEvent => promiEvent.mine() });
+    const result = await transactionManager.sendTransaction({ transaction, maxGas: 120000 });
+
+    assert.equal(result.returnValue, "42");
+    assert.equal(result.nonce, 7);
+    assert.equal(result.receipt.transactionHash, result.transactionHash);
+    assert.equal(transaction.sent.length, 1);
+    assert.deepInclude(transaction.sent[0], { from: account, nonce: 7, gasPrice: 100, gas: 120000 });
+  });
+
+  it("Assigns nonces to concurrent transactions", async function() {
+    const transactions = [0, 1, 2].map(() => createTransaction({ onSend: promiEvent => promiEvent.mine() }));
+    const results = await Promise.all(
+      transactions.map(transaction => transactionManager.sendTransaction({ transaction }))
+    );
+    assert.deepEqual(
+      results.map(result => result.nonce),
+      [7, 8, 9]
+    );
+  });
+
+  it("Sends fee fields that web3 and the node accept", async function() {
+    // Records the transactions that web3 sends to the node.
+    const sentTransactions = [];
+    const recordingWeb3 = new Web3({
+      send: (payload, callback) => {
+        if (payload.method === "eth_sendTransaction") sentTransactions.push(payload.params[0]);
+        web3.currentProvider.send(payload, callback);
+      }
+    });
+    const logger = winston.createLogger({ silent: true });
+    const token = await Token.new("Test Token", "TEST", 18);
+
+    // Mainnet's default strategy, with the node's gas price.
+    const nodeGasEstimator = new GasEstimator(logger, 60, 50, recordingWeb3, {
+      networkId: 1,
+      gasSources: [{ type: "node" }]
+    });
+    await nodeGasEstimator.update();
+    const nodeTransactionManager = new TransactionManager({
+      logger,
+      web3: recordingWeb3,
+      gasEstimator: nodeGasEstimator,
+      account
+    });
+    const { receipt } = await nodeTransactionManager.sendTransaction({
+      transaction: new recordingWeb3.eth.Contract(Token.abi, token.address).methods.approve(account, 1)
+    });
+    assert.isTrue(receipt.status);
+
+    // The transaction has either a legacy gas price or both EIP-1559 fees, as hex strings.
+    assert.equal(sentTransactions.length, 1);
+    const feeFields = Object.keys(nodeGasEstimator.getCurrentFees());
+    assert.sameMembers(
+      ["gasPrice", "maxFeePerGas", "maxPriorityFeePerGas"].filter(field => field in sentTransactions[0]),
+      feeFields
+    );
+    feeFields.forEach(field => assert.match(sentTransactions[0][field], /^0x/));
+  });
+
+  it("Sends type-2 transactions on London-enabled networks", async function() {
+    const sentTransactions = [];
+    const recordingWeb3 = new Web3({
+      send: (payload, callback) => {
+        if (payload.method === "eth_sendTransaction") sentTransactions.push(payload.params[0]);
+        web3.currentProvider.send(payload, callback);
+      }
+    });
+    const logger = winston.createLogger({ silent: true });
+    const token = await Token.new("Test Token", "TEST", 18);
+
+    // The "node" strategy only uses the node's fee history, which the test network supports.
+    const nodeGasEstimator = new GasEstimator(logger, 60, 50, recordingWeb3, { strategy: "node" });
+    await nodeGasEstimator.update();
+    const fees = nodeGasEstimator.getCurrentFees();
+    assert.hasAllKeys(fees, ["maxFeePerGas", "maxPriorityFeePerGas"]);
+
+    const nodeTransactionManager = new TransactionManager({
+      logger,
+      web3: recordingWeb3,
+      gasEstimator: nodeGasEstimator,
+      account
+    });
+    const { receipt } = await nodeTransactionManager.sendTransaction({
+      transaction: new recordingWeb3.eth.Contract(Token.abi, token.address).methods.approve(account, 1)
+    });
+    assert.isTrue(receipt.status);
+    assert.isDefined(receipt.events.Approval);
+
+    // Web3 sent the EIP-1559 fees without a gas price and the node mined a type-2 transaction with them.
+    assert.equal(sentTransactions.length, 1);
+    assert.notProperty(sentTransactions[0], "gasPrice");
+    assert.equal(Number(sentTransactions[0].maxFeePerGas), fees.maxFeePerGas);
+    assert.equal(Number(sentTransactions[0].maxPriorityFeePerGas), fees.maxPriorityFeePerGas);
+    const minedTransaction = await web3.eth.getTransaction(receipt.transactionHash);
+    assert.equal(Number(minedTransaction.type), 2);
+    assert.equal(minedTransaction.maxFeePerGas, String(fees.maxFeePerGas));
+  });
+
+  it("Does not send transactions that fail simulation", async function() {
+    const transaction = createTransaction({ callError: new Error("revert") });
+    const error = await transactionManager.sendTransaction({ transaction }).catch(error => error);
+
+    assert.equal(error.type, "call");
+    assert.equal(transaction.sent.length, 0);
+  });
+
+  it("Replaces stuck transactions", async function() {
+    // Only the second broadcast is mined.
+    const transaction = createTransaction({ onSend: (promiEvent, index) => index === 1 && promiEvent.mine() });
+    const result = await transactionManager.sendTransaction({ transaction });
+
+    assert.equal(transaction.sent.length, 2);
+    assert.equal(transaction.sent[1].nonce, transaction.sent[0].nonce);
+    assert.equal(transaction.sent[1].gasPrice, 200);
+    assert.deepEqual(result.fees, { gasPrice: 200 });
+  });
+
+  it("Replaces stuck type-2 transactions", async function() {
+    const transaction = createTransaction({ onSend: (promiEvent, index) => index === 1 && promiEvent.mine() });
+    const result = await transactionManager.sendTransaction({
+      transaction,
+      fees: { maxFeePerGas: 300, maxPriorityFeePerGas: 20 }
+    });
+
+    assert.equal(transaction.sent.length, 2);
+    assert.deepInclude(transaction.sent[0], { maxFeePerGas: 300, maxPriorityFeePerGas: 20 });
+    assert.notProperty(transaction.sent[0], "gasPrice");
+    assert.deepInclude(transaction.sent[1], { maxFeePerGas: 600, maxPriorityFeePerGas: 40 });
+    assert.deepEqual(result.fees, { maxFeePerGas: 600, maxPriorityFeePerGas: 40 });
+  });
+
+  it("Reports reverted transactions", async function() {
+    const revertError = new Error("Transaction has been reverted by the EVM");
+    revertError.receipt = { status: false };
+    const transaction = createTransaction({ onSend: promiEvent => promiEvent.fail(revertError) });
+    const error = await transactionManager.sendTransaction({ transaction }).catch(error => error);
+
+    assert.equal(error.type, "send");
+    assert.equal(error.receipt.status, false);
+  });
+
+  it("Keeps waiting for transactions that web3 timed out on", async function() {
+    // The receipt read from the node only has the raw Transfer log.
+    const transferLog = {
+      address: ZERO_ADDRESS,
+      topics: [
+        web3.eth.abi.encodeEventSignature("Transfer(address,address,uint256)"),
+        web3.eth.abi.encodeParameter("address", account),
+        web3.eth.abi.encodeParameter("address", accounts[1])
+      ],
+      data: web3.eth.abi.encodeParameter("uint256", "5"),
+      logIndex: 0
+    };
+
+    // Web3 gives up on the transaction, which is mined shortly after.
+    const transaction = createTransaction({
+      parent: new web3.eth.Contract(Token.abi, ZERO_ADDRESS),
+      onSend: promiEvent => {
+        promiEvent.fail(
+          new Error(
+            "Transaction was not mined within 750 seconds, please make sure your transaction was properly sent. Be aware that it might still be mined!"
+          )
+        );
+        setTimeout(() => {
+          receipts[promiEvent.transactionHash] = {
+            transactionHash: promiEvent.transactionHash,
+            status: true,
+            logs: [transferLog]
+          };
+        }, 10);
+      }
+    });
+    const result = await transactionManager.sendTransaction({ transaction });
+    assert.equal(result.nonce, 7);
+    assert.isTrue(result.receipt.status);
+
+    // The polled receipt has its logs decoded like the receipt returned when sending.
+    assert.notProperty(result.receipt, "logs");
+    assert.deepInclude(result.receipt.events.Transfer.returnValues, { from: account, to: accounts[1], value: "5" });
+
+    // The nonce was not reset, so the next transaction does not reuse it while the node still reports it as pending.
+    const nextResult = await transactionManager.sendTransaction({
+      transaction: createTransaction({ onSend: promiEvent => promiEvent.mine() })
+    });
+    assert.equal(nextResult.nonce, 8);
+  });
+
+  it("Only simulates transactions in dry run mode", async function() {
+    const spy = sinon.spy();
+    const dryRunTransactionManager = new TransactionManager({
+      logger: winston.createLogger({ level: "info", transports: [new SpyTransport({ level: "info" }, { spy })] }),
+      web3: {},
+      gasEstimator,
+      account,
+      transactionManagerConfig: { dryRun: true }
+    });
+    const transaction = createTransaction({ onSend: promiEvent => promiEvent.mine() });
+    const result = await dryRunTransactionManager.sendTransaction({ transaction });
+
+    assert.equal(transaction.sent.length, 0);
+    assert.isTrue(result.dryRun);
+    assert.isNull(result.receipt);
+    assert.equal(result.returnValue, "42");
+    assert.equal(spy.getCall(-1).lastArg.returnValue, "42");
+    assert.deepInclude(spy.getCall(-1).lastArg.txnConfig, { from: account, gas: 125000, gasPrice: 100 });
+  });
+
+  it("Detects dropped transactions", async function() {
+    // The transaction is never mined, but another transaction from the account uses its nonce.
+    const transaction = createTransaction({
+      onSend: () => {
+        minedTransactionCount = 8;
+      }
+    });
+    const error = await transactionManager.sendTransaction({ transaction }).catch(error => error);
+    assert.equal(error.type, "dropped");
+
+    // The next transaction gets a fresh nonce.
+    pendingTransactionCount = 8;
+    const result = await transactionManager.sendTransaction({
+      transaction: createTransaction({ onSend: promiEvent => promiEvent.mine() })
+    });
+    assert.equal(result.nonce, 8);
+  });
+});
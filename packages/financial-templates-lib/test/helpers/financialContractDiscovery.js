@@ -0,0 +1,53 @@
+const { discoverFinancialContracts } = require("../../src/helpers/financialContractDiscovery");
+
+contract("financialContractDiscovery.js", function() {
+  const empAddresses = ["0x000000000000000000000000000000000000000A", "0x000000000000000000000000000000000000000b"];
+  const perpetualAddresses = ["0x000000000000000000000000000000000000000C"];
+
+  // Stands in for FinancialContractFactoryClient.
+  const createFactoryClient = (contractType, addresses) => ({
+    updated: false,
+    async update() {
+      this.updated = true;
+    },
+    getContractType: () => contractType,
+    getAllCreatedContractAddresses: () => addresses
+  });
+
+  let factoryClients;
+
+  beforeEach(async function() {
+    factoryClients = [
+      createFactoryClient("ExpiringMultiPartyCreator", empAddresses),
+      createFactoryClient("PerpetualCreator", perpetualAddresses)
+    ];
+  });
+
+  it("Returns every created contract", async function() {
+    const contracts = await discoverFinancialContracts(factoryClients);
+    assert.isTrue(factoryClients.every(factoryClient => factoryClient.updated));
+    assert.deepEqual(contracts, [
+      { contractAddress: empAddresses[0], contractType: "ExpiringMultiParty" },
+      { contractAddress: empAddresses[1], contractType: "ExpiringMultiParty" },
+      { contractAddress: perpetualAddresses[0], contractType: "Perpetual" }
+    ]);
+  });
+
+  it("Applies the allow and deny lists", async function() {
+    // Addresses are compared case insensitively.
+    let contracts = await discoverFinancialContracts(factoryClients, [
+      empAddresses[0].toLowerCase(),
+      perpetualAddresses[0]
+    ]);
+    assert.deepEqual(
+      contracts.map(contract => contract.contractAddress),
+      [empAddresses[0], perpetualAddresses[0]]
+    );
+
+    contracts = await discoverFinancialContracts(factoryClients, null, [empAddresses[1].toUpperCase()]);
+    assert.deepEqual(
+      contracts.map(contract => contract.contractAddress),
+      [empAddresses[0], perpetualAddresses[0]]
+    );
+  });
+});
@@ -0,0 +1,123 @@
+const { createProfitabilityModel } = require("../../src/helpers/profitability");
+
+contract("profitability.js", function() {
+  const { toBN, toWei } = web3.utils;
+
+  // 200k gas at 50 gwei costs 0.01 ETH, which is 20 collateral at 2000 collateral per ETH.
+  const gasEstimate = 200000;
+  const gasPrice = toWei("50", "gwei");
+
+  it("Requires an ETH price", async function() {
+    const model = createProfitabilityModel({}, { toBN, toWei });
+    assert.throws(() => model.calculateGasCost({ gasEstimate, gasPrice }));
+  });
+
+  it("Gas cost", async function() {
+    const model = createProfitabilityModel({ ethPriceInCollateral: "2000" }, { toBN, toWei });
+    assert.equal(model.calculateGasCost({ gasEstimate, gasPrice }).toString(), toWei("20"));
+
+    // A price passed with the estimate, e.g. from a price feed, takes precedence.
+    assert.equal(model.calculateGasCost({ gasEstimate, gasPrice, ethPrice: toWei("1000") }).toString(), toWei("10"));
+  });
+
+  it("Liquidation profit", async function() {
+    const model = createProfitabilityModel({ ethPriceInCollateral: "2000", minProfit: "5" }, { toBN, toWei });
+
+    // Liquidating half of a position with 100 tokens and 125 collateral at a price of 1.2 costs 60 collateral worth
+    // of synthetics and returns 62.5 collateral.
+    let result = model.calculateLiquidationProfit({
+      tokensToLiquidate: toWei("50"),
+      positionTokens: toWei("100"),
+      positionCollateral: toWei("125"),
+      price: toWei("1.2"),
+      finalFee: toWei("1"),
+      gasEstimate,
+      gasPrice
+    });
+    assert.equal(result.collateralReceived.toString(), toWei("62.5"));
+    assert.equal(result.syntheticCost.toString(), toWei("60"));
+    assert.equal(result.capitalRequired.toString(), toWei("61"));
+
+    // The 20 collateral of gas make this a loss.
+    assert.equal(result.profit.toString(), toWei("-17.5"));
+    assert.isFalse(result.isProfitable);
+
+    // A deeply undercollateralized position is worth liquidating.
+    result = model.calculateLiquidationProfit({
+      tokensToLiquidate: toWei("100"),
+      positionTokens: toWei("100"),
+      positionCollateral: toWei("150"),
+      price: toWei("1.2"),
+      finalFee: toWei("1"),
+      gasEstimate,
+      gasPrice
+    });
+    assert.equal(result.profit.toString(), toWei("10"));
+    assert.isTrue(result.isProfitable);
+
+    // Minted synthetics cost nothing, but the collateral that mints them is locked up.
+    result = model.calculateLiquidationProfit({
+      tokensToLiquidate: toWei("50"),
+      positionTokens: toWei("100"),
+      positionCollateral: toWei("125"),
+      price: toWei("1.2"),
+      finalFee: toWei("1"),
+      gasEstimate,
+      gasPrice,
+      collateralToMint: toWei("75")
+    });
+    assert.equal(result.syntheticCost.toString(), "0");
+    assert.equal(result.capitalRequired.toString(), toWei("76"));
+    assert.equal(result.profit.toString(), toWei("42.5"));
+    assert.isTrue(result.isProfitable);
+  });
+
+  it("Dispute profit", async function() {
+    const model = createProfitabilityModel({ ethPriceInCollateral: "2000" }, { toBN, toWei });
+
+    // The disputer earns 10% of 100 tokens at a price of 2.5 and locks up a 10% bond on 300 collateral.
+    let result = model.calculateDisputeProfit({
+      liquidatedTokens: toWei("100"),
+      lockedCollateral: toWei("300"),
+      price: toWei("2.5"),
+      disputeBondPercentage: toWei("0.1"),
+      disputerDisputeRewardPercentage: toWei("0.1"),
+      finalFee: toWei("1"),
+      gasEstimate,
+      gasPrice
+    });
+    assert.equal(result.disputeReward.toString(), toWei("25"));
+    assert.equal(result.capitalRequired.toString(), toWei("31"));
+    assert.equal(result.profit.toString(), toWei("5"));
+    assert.isTrue(result.isProfitable);
+
+    // A small liquidation does not cover the gas.
+    result = model.calculateDisputeProfit({
+      liquidatedTokens: toWei("10"),
+      lockedCollateral: toWei("30"),
+      price: toWei("2.5"),
+      disputeBondPercentage: toWei("0.1"),
+      disputerDisputeRewardPercentage: toWei("0.1"),
+      finalFee: toWei("1"),
+      gasEstimate,
+      gasPrice
+    });
+    assert.equal(result.profit.toString(), toWei("-17.5"));
+    assert.isFalse(result.isProfitable);
+  });
+
+  it("Negative minimum profit", async function() {
+    // Small losses can be tolerated, e.g. to keep a contract healthy.
+    const model = createProfitabilityModel({ ethPriceInCollateral: "2000", minProfit: "-20" }, { toBN, toWei });
+    const result = model.calculateLiquidationProfit({
+      tokensToLiquidate: toWei("50"),
+      positionTokens: toWei("100"),
+      positionCollateral: toWei("125"),
+      price: toWei("1.2"),
+      finalFee: "0",
+      gasEstimate,
+      gasPrice
+    });
+    assert.isTrue(result.isProfitable);
+  });
+});
@@ -0,0 +1,180 @@
+const winston = require("winston");
+
+const { ChainlinkPriceFeed } = require("../../src/price-feed/ChainlinkPriceFeed");
+const { BlockFinder } = require("../../src/price-feed/utils");
+const { parseFixed } = require("@uma/common");
+const { getTruffleContract } = require("@uma/core");
+
+const CONTRACT_VERSION = "latest";
+
+const AggregatorV3Mock = getTruffleContract("AggregatorV3Mock", web3, CONTRACT_VERSION);
+const AggregatorV3Interface = getTruffleContract("AggregatorV3Interface", web3, CONTRACT_VERSION);
+
+contract("ChainlinkPriceFeed.js", function(accounts) {
+  const owner = accounts[0];
+
+  let aggregatorMock;
+  let chainlinkPriceFeed;
+  let mockTime;
+  let dummyLogger;
+  const aggregatorDecimals = 8;
+  const priceFeedDecimals = 18;
+  const lookback = 2000;
+
+  const createPriceFeed = (props = {}) =>
+    new ChainlinkPriceFeed({
+      logger: dummyLogger,
+      web3,
+      getTime: () => mockTime,
+      aggregatorAbi: AggregatorV3Interface.abi,
+      aggregatorAddress: aggregatorMock.address,
+      lookback,
+      priceFeedDecimals,
+      ...props
+    });
+
+  beforeEach(async function() {
+    aggregatorMock = await AggregatorV3Mock.new(aggregatorDecimals, { from: owner });
+
+    // Publish a round every 1000 seconds.
+    await aggregatorMock.pushAnswerAt(parseFixed("100", aggregatorDecimals), 1000);
+    await aggregatorMock.pushAnswerAt(parseFixed("200", aggregatorDecimals), 2000);
+    await aggregatorMock.pushAnswerAt(parseFixed("300", aggregatorDecimals), 3000);
+    await aggregatorMock.pushAnswerAt(parseFixed("400", aggregatorDecimals), 4000);
+    mockTime = 4500;
+
+    dummyLogger = winston.createLogger({
+      level: "info",
+      transports: [new winston.transports.Console()]
+    });
+
+    chainlinkPriceFeed = createPriceFeed();
+  });
+
+  it("Basic current price", async function() {
+    assert.equal(chainlinkPriceFeed.getCurrentPrice(), null);
+    await chainlinkPriceFeed.update();
+
+    // The answer is converted from the aggregator's decimals.
+    assert.equal(chainlinkPriceFeed.getCurrentPrice().toString(), parseFixed("400", priceFeedDecimals).toString());
+    assert.equal(chainlinkPriceFeed.getLastUpdateTime(), mockTime);
+  });
+
+  it("Historical price", async function() {
+    assert.isTrue(await chainlinkPriceFeed.getHistoricalPrice(3500).catch(() => true));
+    await chainlinkPriceFeed.update();
+
+    // The answer at a time is the answer of the latest round updated at or before that time.
+    assert.equal(
+      (await chainlinkPriceFeed.getHistoricalPrice(2600)).toString(),
+      parseFixed("200", priceFeedDecimals).toString()
+    );
+    assert.equal(
+      (await chainlinkPriceFeed.getHistoricalPrice(3000)).toString(),
+      parseFixed("300", priceFeedDecimals).toString()
+    );
+    assert.equal(
+      (await chainlinkPriceFeed.getHistoricalPrice(4400)).toString(),
+      parseFixed("400", priceFeedDecimals).toString()
+    );
+  });
+
+  it("Historical price periods only cover the lookback", async function() {
+    await chainlinkPriceFeed.update();
+
+    // The round at 2000 is kept since it was still the latest answer at the start of the lookback window (2500).
+    assert.deepEqual(
+      chainlinkPriceFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]),
+      [
+        [2000, parseFixed("200", priceFeedDecimals).toString()],
+        [3000, parseFixed("300", priceFeedDecimals).toString()],
+        [4000, parseFixed("400", priceFeedDecimals).toString()]
+      ]
+    );
+
+    // After a new round and a later update, only the new round is added and rounds before the window are dropped.
+    await aggregatorMock.pushAnswerAt(parseFixed("500", aggregatorDecimals), 5000);
+    mockTime = 5500;
+    await chainlinkPriceFeed.update();
+    assert.deepEqual(
+      chainlinkPriceFeed.getHistoricalPricePeriods().map(([time]) => time),
+      [3000, 4000, 5000]
+    );
+    assert.equal(chainlinkPriceFeed.getCurrentPrice().toString(), parseFixed("500", priceFeedDecimals).toString());
+  });
+
+  it("Inverted price", async function() {
+    chainlinkPriceFeed = createPriceFeed({ invertPrice: true });
+    await chainlinkPriceFeed.update();
+
+    assert.equal(chainlinkPriceFeed.getCurrentPrice().toString(), parseFixed("0.0025", priceFeedDecimals).toString());
+    assert.equal(
+      (await chainlinkPriceFeed.getHistoricalPrice(2600)).toString(),
+      parseFixed("0.005", priceFeedDecimals).toString()
+    );
+  });
+
+  it("Non-positive answers are ignored", async function() {
+    await aggregatorMock.pushAnswerAt("0", 4200);
+    await chainlinkPriceFeed.update();
+
+    assert.equal(chainlinkPriceFeed.getCurrentPrice(), null);
+    assert.isTrue(await chainlinkPriceFeed.getHistoricalPrice(4300).catch(() => true));
+    assert.equal(chainlinkPriceFeed.getHistoricalPricePeriods().length, 3);
+  });
+
+  it("Update Frequency", async function() {
+    await chainlinkPriceFeed.update();
+    const initialTime = mockTime;
+
+    // Increment time to just under the 1 minute default threshold and push a new price.
+    mockTime += 59;
+    await aggregatorMock.pushAnswerAt(parseFixed("450", aggregatorDecimals), mockTime);
+    await chainlinkPriceFeed.update();
+    assert.equal(chainlinkPriceFeed.getLastUpdateTime(), initialTime);
+    assert.equal(chainlinkPriceFeed.getCurrentPrice().toString(), parseFixed("400", priceFeedDecimals).toString());
+
+    // An increment of one more second + update should trigger the feed to pull in the new price.
+    mockTime += 1;
+    await chainlinkPriceFeed.update();
+    assert.equal(chainlinkPriceFeed.getLastUpdateTime(), mockTime);
+    assert.equal(chainlinkPriceFeed.getCurrentPrice().toString(), parseFixed("450", priceFeedDecimals).toString());
+  });
+
+  it("PriceFeedDecimals", async function() {
+    assert.equal(chainlinkPriceFeed.getPriceFeedDecimals(), priceFeedDecimals);
+  });
+
+  it("BlockFinder is used for prices before the cached rounds", async function() {
+    const blockFinder = BlockFinder(() => {
+      throw "err";
+    }); // BlockFinder should throw immediately.
+    chainlinkPriceFeed = createPriceFeed({ blockFinder });
+    await chainlinkPriceFeed.update();
+
+    // Prices within the cached rounds do not need the blockFinder.
+    assert.equal(
+      (await chainlinkPriceFeed.getHistoricalPrice(2600)).toString(),
+      parseFixed("200", priceFeedDecimals).toString()
+    );
+
+    // Blockfinder is used to grab an older historical price. Should throw.
+    assert.isTrue(await chainlinkPriceFeed.getHistoricalPrice(1500).catch(() => true));
+  });
+
+  it("Historical lookups walk back a limited number of rounds", async function() {
+    // Every timestamp maps to the latest block, so the lookup for time 1500 starts from the round at 4000 and needs to
+    // walk back 3 rounds to the round at 1000.
+    const blockFinder = { getBlockForTimestamp: async () => ({ number: "latest" }) };
+    chainlinkPriceFeed = createPriceFeed({ blockFinder, maxRoundsToWalkBack: 3 });
+    await chainlinkPriceFeed.update();
+    assert.equal(
+      (await chainlinkPriceFeed.getHistoricalPrice(1500)).toString(),
+      parseFixed("100", priceFeedDecimals).toString()
+    );
+
+    chainlinkPriceFeed = createPriceFeed({ blockFinder, maxRoundsToWalkBack: 2 });
+    await chainlinkPriceFeed.update();
+    assert.isTrue(await chainlinkPriceFeed.getHistoricalPrice(1500).catch(() => true));
+  });
+});
@@ -89,6 +89,28 @@ contract("CoinGeckoPriceFeed.js", function() {
     assert.equal(price3.toString(), toWei(`${mockPrice + 2}`));
   });
 
+  it("getHistoricalPricePeriods() returns the price fetched by each update", async function() {
+    assert.deepEqual(coinGeckoPriceFeed.getHistoricalPricePeriods(), []);
+
+    networker.getJsonReturns = [
+      { [contractAddress]: { [currency]: mockPrice } },
+      { [contractAddress]: { [currency]: mockPrice + 1 } }
+    ];
+
+    const originalMockTime = mockTime;
+    await coinGeckoPriceFeed.update();
+    mockTime += 300;
+    await coinGeckoPriceFeed.update();
+
+    assert.deepEqual(
+      coinGeckoPriceFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]),
+      [
+        [originalMockTime, toWei(`${mockPrice}`)],
+        [originalMockTime + 300, toWei(`${mockPrice + 1}`)]
+      ]
+    );
+  });
+
   it("getHistoricalPrice() throws error if update() is never called", async function() {
     const didThrow = await coinGeckoPriceFeed.getHistoricalPrice(mockTime).catch(() => true);
     assert.isTrue(didThrow, "getHistoricalPrice() didn't throw");
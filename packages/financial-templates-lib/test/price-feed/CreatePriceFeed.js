@@ -14,15 +14,20 @@ const Token = getTruffleContract("ExpandedERC20", web3, CONTRACT_VERSION);
 const SyntheticToken = getTruffleContract("SyntheticToken", web3, CONTRACT_VERSION);
 const Timer = getTruffleContract("Timer", web3, CONTRACT_VERSION);
 const Store = getTruffleContract("Store", web3, CONTRACT_VERSION);
+const UniswapV3Mock = getTruffleContract("UniswapV3Mock", web3, CONTRACT_VERSION);
+const CurveMock = getTruffleContract("CurveMock", web3, CONTRACT_VERSION);
 
 const {
   createPriceFeed,
   createReferencePriceFeedForFinancialContract,
   createUniswapPriceFeedForFinancialContract,
-  createTokenPriceFeedForFinancialContract
+  createTokenPriceFeedForFinancialContract,
+  getUniswapPairDetails
 } = require("../../src/price-feed/CreatePriceFeed");
 const { CryptoWatchPriceFeed } = require("../../src/price-feed/CryptoWatchPriceFeed");
 const { UniswapPriceFeed } = require("../../src/price-feed/UniswapPriceFeed");
+const { UniswapV3PriceFeed } = require("../../src/price-feed/UniswapV3PriceFeed");
+const { CurvePriceFeed } = require("../../src/price-feed/CurvePriceFeed");
 const { BalancerPriceFeed } = require("../../src/price-feed/BalancerPriceFeed");
 const { BasketSpreadPriceFeed } = require("../../src/price-feed/BasketSpreadPriceFeed");
 const { MedianizerPriceFeed } = require("../../src/price-feed/MedianizerPriceFeed");
@@ -33,7 +38,10 @@ const { NetworkerMock } = require("../../src/price-feed/NetworkerMock");
 const { DefiPulsePriceFeed } = require("../../src/price-feed/DefiPulsePriceFeed");
 const { ForexDailyPriceFeed } = require("../../src/price-feed/ForexDailyPriceFeed");
 const { QuandlPriceFeed } = require("../../src/price-feed/QuandlPriceFeed");
+const { ChainlinkPriceFeed } = require("../../src/price-feed/ChainlinkPriceFeed");
+const { defaultConfigs, getDefaultPriceFeedConfig } = require("../../src/price-feed/DefaultPriceFeedConfigs");
 const { SpyTransport } = require("../../src/logger/SpyTransport");
+const { priceFeedRegistry, registerPriceFeedType } = require("../../src/price-feed/PriceFeedRegistry");
 
 const winston = require("winston");
 const sinon = require("sinon");
@@ -98,6 +106,38 @@ contract("CreatePriceFeed.js", function(accounts) {
     assert.equal(await createPriceFeed(logger, web3, networker, getTime, config), null);
   });
 
+  it("All validation errors are logged at once", async function() {
+    assert.equal(await createPriceFeed(logger, web3, networker, getTime, { type: "cryptowatch", lookback }), null);
+
+    const { validationErrors } = spy.getCall(-1).lastArg;
+    assert.deepEqual(
+      validationErrors.map(error => error.field),
+      ["exchange", "pair", "minTimeBetweenUpdates"]
+    );
+  });
+
+  it("Custom registered price feed type", async function() {
+    registerPriceFeedType("custom-test", {
+      schema: { required: ["customField"] },
+      create: async (config, context) => {
+        // Nested feeds can be built from within the factory.
+        const nestedFeed = await context.createPriceFeed({ ...config, type: "test" });
+        return new MedianizerPriceFeed([nestedFeed]);
+      }
+    });
+
+    // Unregister even if an assertion fails so that the type doesn't leak into later tests.
+    try {
+      const config = { type: "custom-test", currentPrice: "1", historicalPrice: "2" };
+      assert.equal(await createPriceFeed(logger, web3, networker, getTime, config), null);
+
+      const priceFeed = await createPriceFeed(logger, web3, networker, getTime, { ...config, customField: true });
+      assert.isTrue(priceFeed instanceof MedianizerPriceFeed);
+    } finally {
+      priceFeedRegistry.unregister("custom-test");
+    }
+  });
+
   it("Valid BasketSpread config", async function() {
     const baselinePriceFeeds = [
       {
@@ -413,6 +453,32 @@ contract("CreatePriceFeed.js", function(accounts) {
     assert.isTrue(validInvertedUniswapFeed.invertPrice);
   });
 
+  it("Valid Uniswap v3 config", async function() {
+    const config = {
+      type: "uniswapv3",
+      uniswapAddress,
+      twapLength,
+      lookback,
+      invertPrice: true
+    };
+
+    const validUniswapV3Feed = await createPriceFeed(logger, web3, networker, getTime, config);
+
+    assert.isTrue(validUniswapV3Feed instanceof UniswapV3PriceFeed);
+    assert.equal(validUniswapV3Feed.uniswap.options.address, uniswapAddress);
+    assert.equal(validUniswapV3Feed.twapLength, twapLength);
+    assert.equal(validUniswapV3Feed.lookback, lookback);
+    assert.isTrue(validUniswapV3Feed.invertPrice);
+
+    // The pool address, TWAP length and lookback are required.
+    assert.equal(
+      await createPriceFeed(logger, web3, networker, getTime, { ...config, uniswapAddress: undefined }),
+      null
+    );
+    assert.equal(await createPriceFeed(logger, web3, networker, getTime, { ...config, twapLength: undefined }), null);
+    assert.equal(await createPriceFeed(logger, web3, networker, getTime, { ...config, lookback: undefined }), null);
+  });
+
   it("Invalid Uniswap config", async function() {
     const validConfig = {
       type: "uniswap",
@@ -486,6 +552,23 @@ contract("CreatePriceFeed.js", function(accounts) {
     web3.eth.net.getId = getIdBackup;
   });
 
+  it("Uniswap fork pair address", async function() {
+    // The WETH/USDC pair on Sushiswap.
+    const weth = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+    const usdc = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+    const fork = {
+      factoryAddress: "0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac",
+      initCodeHash: "0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c54d679cb821dca90c6303"
+    };
+
+    const { pairAddress, inverted } = await getUniswapPairDetails(web3, weth, usdc, fork);
+    assert.equal(pairAddress, "0x397FF1542f962076d0BFE58eA045FfA2d347ACa0");
+
+    // USDC has the lower address, so it is token0 and WETH (the synthetic token here) is token1.
+    assert.isTrue(inverted);
+    assert.isFalse((await getUniswapPairDetails(web3, usdc, weth, fork)).inverted);
+  });
+
   it("Uniswap address not found", async function() {
     const collateralToken = await Token.new("Wrapped Ether", "WETH", 18, { from: accounts[0] });
     const syntheticToken = await SyntheticToken.new("Test Synthetic Token", "SYNTH", 18, { from: accounts[0] });
@@ -629,6 +712,117 @@ contract("CreatePriceFeed.js", function(accounts) {
     assert.isTrue(uniswapFeed instanceof UniswapPriceFeed);
   });
 
+  it("Valid Curve config", async function() {
+    const config = {
+      type: "curve",
+      curveAddress: uniswapAddress,
+      inputIndex: 0,
+      outputIndex: 1
+    };
+
+    const validCurveFeed = await createPriceFeed(logger, web3, networker, getTime, config);
+
+    assert.isTrue(validCurveFeed instanceof CurvePriceFeed);
+    assert.equal(validCurveFeed.curve.options.address, uniswapAddress);
+    assert.equal(validCurveFeed.inputIndex, 0);
+    assert.equal(validCurveFeed.outputIndex, 1);
+
+    // The pool address is required and the indices must be integers.
+    assert.equal(await createPriceFeed(logger, web3, networker, getTime, { ...config, curveAddress: undefined }), null);
+    assert.equal(await createPriceFeed(logger, web3, networker, getTime, { ...config, inputIndex: "0" }), null);
+  });
+
+  it("Create token price feed for Curve", async function() {
+    const collateralTokenAddress = "0x0000000000000000000000000000000000000001";
+    const syntheticTokenAddress = "0x0000000000000000000000000000000000000002";
+
+    // The synthetic token is the third coin and the collateral is the first.
+    const curveMock = await CurveMock.new();
+    await curveMock.setCoins([collateralTokenAddress, toChecksumAddress(randomHex(20)), syntheticTokenAddress]);
+
+    const constructorParams = {
+      expirationTimestamp: ((await web3.eth.getBlock("latest")).timestamp + 1000).toString(),
+      withdrawalLiveness: "1000",
+      collateralAddress: collateralTokenAddress,
+      tokenAddress: syntheticTokenAddress,
+      finderAddress: finder.address,
+      priceFeedIdentifier: padRight(utf8ToHex("ETH/BTC"), 64), // Note: an identifier which is part of the default config is required for this test.
+      liquidationLiveness: "1000",
+      collateralRequirement: { rawValue: toWei("1.5") },
+      disputeBondPct: { rawValue: toWei("0.1") },
+      sponsorDisputeRewardPct: { rawValue: toWei("0.1") },
+      disputerDisputeRewardPct: { rawValue: toWei("0.1") },
+      minSponsorTokens: { rawValue: toWei("1") },
+      timerAddress: timer.address,
+      excessTokenBeneficiary: store.address,
+      financialProductLibraryAddress: ZERO_ADDRESS
+    };
+
+    const financialContract = await ExpiringMultiParty.new(constructorParams);
+
+    const curveFeed = await createTokenPriceFeedForFinancialContract(
+      logger,
+      web3,
+      networker,
+      getTime,
+      financialContract.address,
+      { type: "curve", curveAddress: curveMock.address }
+    );
+    assert.isTrue(curveFeed instanceof CurvePriceFeed);
+    assert.equal(curveFeed.inputIndex, 2);
+    assert.equal(curveFeed.outputIndex, 0);
+  });
+
+  it("Create token price feed for Uniswap v3", async function() {
+    const collateralTokenAddress = "0x0000000000000000000000000000000000000001";
+    const syntheticTokenAddress = "0x0000000000000000000000000000000000000002";
+
+    // The synthetic token is token1 in this pool, so the price should be inverted.
+    const uniswapV3Mock = await UniswapV3Mock.new();
+    await uniswapV3Mock.setTokens(collateralTokenAddress, syntheticTokenAddress);
+
+    const constructorParams = {
+      expirationTimestamp: ((await web3.eth.getBlock("latest")).timestamp + 1000).toString(),
+      withdrawalLiveness: "1000",
+      collateralAddress: collateralTokenAddress,
+      tokenAddress: syntheticTokenAddress,
+      finderAddress: finder.address,
+      priceFeedIdentifier: padRight(utf8ToHex("ETH/BTC"), 64), // Note: an identifier which is part of the default config is required for this test.
+      liquidationLiveness: "1000",
+      collateralRequirement: { rawValue: toWei("1.5") },
+      disputeBondPct: { rawValue: toWei("0.1") },
+      sponsorDisputeRewardPct: { rawValue: toWei("0.1") },
+      disputerDisputeRewardPct: { rawValue: toWei("0.1") },
+      minSponsorTokens: { rawValue: toWei("1") },
+      timerAddress: timer.address,
+      excessTokenBeneficiary: store.address,
+      financialProductLibraryAddress: ZERO_ADDRESS
+    };
+
+    const financialContract = await ExpiringMultiParty.new(constructorParams);
+
+    const uniswapV3Feed = await createTokenPriceFeedForFinancialContract(
+      logger,
+      web3,
+      networker,
+      getTime,
+      financialContract.address,
+      { type: "uniswapv3", uniswapAddress: uniswapV3Mock.address, twapLength }
+    );
+    assert.isTrue(uniswapV3Feed instanceof UniswapV3PriceFeed);
+    assert.isTrue(uniswapV3Feed.invertPrice);
+    assert.equal(uniswapV3Feed.twapLength, twapLength);
+
+    // A pool that does not contain the synthetic token is rejected.
+    await uniswapV3Mock.setTokens(collateralTokenAddress, ZERO_ADDRESS);
+    assert.isTrue(
+      await createTokenPriceFeedForFinancialContract(logger, web3, networker, getTime, financialContract.address, {
+        type: "uniswapv3",
+        uniswapAddress: uniswapV3Mock.address
+      }).catch(() => true)
+    );
+  });
+
   it("Create token price feed defaults to Medianizer", async function() {
     const collateralTokenAddress = "0x0000000000000000000000000000000000000001";
     const syntheticTokenAddress = "0x0000000000000000000000000000000000000002";
@@ -725,6 +919,42 @@ contract("CreatePriceFeed.js", function(accounts) {
     assert.equal(validMedianizerFeed.priceFeeds[0].lookback, lookbackOverride);
   });
 
+  it("Valid Medianizer minSources config", async function() {
+    const config = {
+      type: "medianizer",
+      apiKey,
+      lookback,
+      minTimeBetweenUpdates,
+      minSources: 2,
+      medianizedFeeds: [
+        { type: "cryptowatch", exchange: "binance", pair },
+        { type: "cryptowatch", exchange: "coinbase-pro", pair },
+        { type: "cryptowatch", exchange: "kraken", pair }
+      ]
+    };
+
+    const validMedianizerFeed = await createPriceFeed(logger, web3, networker, getTime, config);
+    assert.equal(validMedianizerFeed.minSources, 2);
+
+    // minSources must be an integer.
+    assert.equal(await createPriceFeed(logger, web3, networker, getTime, { ...config, minSources: "2" }), null);
+
+    // minSources cannot exceed the number of feeds. This is logged as a validation error rather than thrown.
+    assert.equal(await createPriceFeed(logger, web3, networker, getTime, { ...config, minSources: 4 }), null);
+    assert.equal(spy.getCall(-1).lastArg.validationErrors[0].field, "minSources");
+
+    // Nested medianizers don't inherit the parent's minSources.
+    const nestedMedianizerFeed = await createPriceFeed(logger, web3, networker, getTime, {
+      ...config,
+      medianizedFeeds: [
+        ...config.medianizedFeeds.slice(1),
+        { type: "medianizer", medianizedFeeds: [config.medianizedFeeds[0]] }
+      ]
+    });
+    assert.equal(nestedMedianizerFeed.minSources, 2);
+    assert.equal(nestedMedianizerFeed.priceFeeds[2].minSources, 1);
+  });
+
   it("Medianizer feed cannot have 0 nested feeds to medianize", async function() {
     const config = {
       type: "medianizer",
@@ -765,6 +995,45 @@ contract("CreatePriceFeed.js", function(accounts) {
     assert.equal(medianizerFeed, null);
   });
 
+  it("Valid Chainlink config", async function() {
+    const config = {
+      type: "chainlink",
+      aggregatorAddress: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419",
+      lookback: 7200,
+      invertPrice: true
+    };
+
+    const validChainlinkFeed = await createPriceFeed(logger, web3, networker, getTime, config);
+
+    assert.isTrue(validChainlinkFeed instanceof ChainlinkPriceFeed);
+    assert.equal(validChainlinkFeed.aggregator.options.address, config.aggregatorAddress);
+    assert.equal(validChainlinkFeed.lookback, config.lookback);
+    assert.isTrue(validChainlinkFeed.invertPrice);
+
+    // The aggregator address and lookback are required.
+    assert.equal(
+      await createPriceFeed(logger, web3, networker, getTime, { ...config, aggregatorAddress: undefined }),
+      null
+    );
+    assert.equal(await createPriceFeed(logger, web3, networker, getTime, { ...config, lookback: undefined }), null);
+  });
+
+  it("Default configs fall back to Chainlink only on networks with an aggregator", async function() {
+    const mainnetConfig = getDefaultPriceFeedConfig("USDBTC", 1);
+    assert.equal(mainnetConfig.type, "fallback");
+    assert.equal(mainnetConfig.invertPrice, true);
+    assert.deepEqual(mainnetConfig.orderedFeeds[0].medianizedFeeds, defaultConfigs.USDBTC.medianizedFeeds);
+    assert.deepEqual(mainnetConfig.orderedFeeds[1], {
+      type: "chainlink",
+      aggregatorAddress: "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c"
+    });
+
+    // Other networks and identifiers keep the default config as is.
+    assert.deepEqual(getDefaultPriceFeedConfig("USDBTC", 42), defaultConfigs.USDBTC);
+    assert.deepEqual(getDefaultPriceFeedConfig("ETH/BTC", 1), defaultConfigs["ETH/BTC"]);
+    assert.isUndefined(getDefaultPriceFeedConfig("UNKNOWN", 1));
+  });
+
   it("Valid Fallback inherited config", async function() {
     const config = {
       type: "fallback",
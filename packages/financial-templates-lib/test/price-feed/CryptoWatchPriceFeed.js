@@ -1,5 +1,6 @@
 const { CryptoWatchPriceFeed } = require("../../src/price-feed/CryptoWatchPriceFeed");
 const { NetworkerMock } = require("../../src/price-feed/NetworkerMock");
+const { InMemoryPriceHistoryCache } = require("../../src/price-feed/PriceHistoryCache");
 const winston = require("winston");
 
 contract("CryptoWatchPriceFeed.js", function() {
@@ -295,4 +296,84 @@ contract("CryptoWatchPriceFeed.js", function() {
       "https://api.cryptowat.ch/markets/test-exchange/test-pair/ohlc?before=1588376607&after=1588376460&periods=60"
     ]);
   });
+
+  it("Price history cache only requests new periods", async function() {
+    const priceHistoryCache = new InMemoryPriceHistoryCache();
+    const dummyLogger = winston.createLogger({ level: "info", transports: [new winston.transports.Console()] });
+    let cachedFeedTime = 1588376548;
+    const constructCachedFeed = (priceFeedDecimals = 18) =>
+      new CryptoWatchPriceFeed(
+        dummyLogger,
+        web3,
+        apiKey,
+        exchange,
+        pair,
+        lookback,
+        networker,
+        () => cachedFeedTime,
+        minTimeBetweenUpdates,
+        false,
+        priceFeedDecimals,
+        60,
+        priceHistoryCache
+      );
+
+    networker.getJsonReturns = [
+      {
+        result: {
+          "60": [
+            [1588376400, 1.1, 1.7, 0.5, 1.2, 281.73395575, 2705497.370853147],
+            [1588376460, 1.2, 1.8, 0.6, 1.3, 281.73395575, 2705497.370853147],
+            [1588376520, 1.3, 1.9, 0.7, 1.4, 888.92215493, 8601704.133826157]
+          ]
+        }
+      },
+      { result: { price: 1.5 } }
+    ];
+    await constructCachedFeed().update();
+    assert.isTrue(networker.getJsonInputs[1].includes("&after=1588376400"));
+    assert.equal((await priceHistoryCache.get(`CryptoWatch-${exchange}-${pair}-60-18`)).length, 3);
+
+    // A fresh feed (as after a restart) only requests the periods from the last cached period onwards.
+    cachedFeedTime += 60;
+    networker.getJsonReturns = [
+      {
+        result: {
+          "60": [
+            [1588376520, 1.3, 1.9, 0.7, 1.45, 888.92215493, 8601704.133826157],
+            [1588376580, 1.45, 1.9, 0.7, 1.5, 888.92215493, 8601704.133826157]
+          ]
+        }
+      },
+      { result: { price: 1.5 } }
+    ];
+    const restartedFeed = constructCachedFeed();
+    await restartedFeed.update();
+    assert.isTrue(networker.getJsonInputs[1].includes("&after=1588376520"));
+
+    // The period that fell out of the lookback window is dropped and the re-requested period is replaced.
+    assert.deepEqual(
+      restartedFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]),
+      [
+        [1588376460, toWei("1.3")],
+        [1588376520, toWei("1.45")],
+        [1588376580, toWei("1.5")]
+      ]
+    );
+    assert.equal((await restartedFeed.getHistoricalPrice(1588376430)).toString(), toWei("1.2"));
+
+    // A feed with different decimals does not read the prices cached at 18 decimals.
+    networker.getJsonReturns = [
+      {
+        result: {
+          "60": [[1588376580, 1.45, 1.9, 0.7, 1.5, 888.92215493, 8601704.133826157]]
+        }
+      },
+      { result: { price: 1.5 } }
+    ];
+    const sixDecimalFeed = constructCachedFeed(6);
+    await sixDecimalFeed.update();
+    assert.isTrue(networker.getJsonInputs[1].includes("&after=1588376460"));
+    assert.equal((await sixDecimalFeed.getHistoricalPrice(1588376530)).toString(), "1450000");
+  });
 });
@@ -0,0 +1,168 @@
+const winston = require("winston");
+
+const { CurvePriceFeed } = require("../../src/price-feed/CurvePriceFeed");
+const { advanceBlockAndSetTime, parseFixed } = require("@uma/common");
+const { BlockFinder } = require("../../src/price-feed/utils");
+const { getTruffleContract } = require("@uma/core");
+
+const CONTRACT_VERSION = "latest";
+
+const CurveMock = getTruffleContract("CurveMock", web3, CONTRACT_VERSION);
+const Curve = getTruffleContract("Curve", web3, CONTRACT_VERSION);
+const ERC20Interface = getTruffleContract("IERC20Standard", web3, CONTRACT_VERSION);
+const ERC20 = getTruffleContract("ExpandedERC20", web3, CONTRACT_VERSION);
+
+contract("CurvePriceFeed.js", function(accounts) {
+  const owner = accounts[0];
+
+  let curveMock;
+  let curvePriceFeed;
+  let mockTime = 0;
+  let dummyLogger;
+  let priceFeedDecimals = 8;
+  let inputDecimals = 18;
+  let outputDecimals = 6;
+
+  // The mock's exchange rates are in raw output units per raw input unit, scaled by 1e18.
+  const toRate = price => parseFixed(price, 18 + outputDecimals - inputDecimals);
+
+  const createPriceFeed = (props = {}) =>
+    new CurvePriceFeed({
+      logger: dummyLogger,
+      web3,
+      getTime: () => mockTime,
+      curveAbi: Curve.abi,
+      erc20Abi: ERC20Interface.abi,
+      curveAddress: curveMock.address,
+      inputIndex: 0,
+      outputIndex: 1,
+      priceFeedDecimals,
+      ...props
+    });
+
+  beforeEach(async function() {
+    const inputToken = await ERC20.new("Synthetic Token", "SYN", inputDecimals, { from: owner });
+    const outputToken = await ERC20.new("Collateral Token", "COL", outputDecimals, { from: owner });
+    curveMock = await CurveMock.new({ from: owner });
+    await curveMock.setCoins([inputToken.address, outputToken.address]);
+
+    dummyLogger = winston.createLogger({
+      level: "info",
+      transports: [new winston.transports.Console()]
+    });
+
+    curvePriceFeed = createPriceFeed();
+  });
+
+  it("Basic current price", async function() {
+    await curveMock.setExchangeRate(0, 1, toRate("1.05"));
+    await curvePriceFeed.update();
+
+    // The decimals of both coins are read from the pool.
+    assert.equal(curvePriceFeed.getCurrentPrice().toString(), parseFixed("1.05", priceFeedDecimals).toString());
+    assert.equal(curvePriceFeed.getLastUpdateTime(), mockTime);
+    assert.deepEqual(
+      curvePriceFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]),
+      [[mockTime, parseFixed("1.05", priceFeedDecimals).toString()]]
+    );
+  });
+
+  it("Underlying coins", async function() {
+    // Decimals are not read from the pool for underlying coins, so they are passed in.
+    curvePriceFeed = createPriceFeed({
+      underlying: true,
+      inputIndex: 0,
+      outputIndex: 2,
+      inputDecimals,
+      outputDecimals
+    });
+    await curveMock.setExchangeRate(0, 2, toRate("2"));
+    await curveMock.setUnderlyingExchangeRate(0, 2, toRate("0.98"));
+    await curvePriceFeed.update();
+
+    assert.equal(curvePriceFeed.getCurrentPrice().toString(), parseFixed("0.98", priceFeedDecimals).toString());
+  });
+
+  it("Virtual price", async function() {
+    curvePriceFeed = createPriceFeed({ useVirtualPrice: true, inputIndex: undefined, outputIndex: undefined });
+    await curveMock.setVirtualPrice(parseFixed("1.02", 18));
+    await curvePriceFeed.update();
+
+    assert.equal(curvePriceFeed.getCurrentPrice().toString(), parseFixed("1.02", priceFeedDecimals).toString());
+  });
+
+  it("Historical Price", async function() {
+    await curvePriceFeed.update();
+
+    await curveMock.setExchangeRate(0, 1, toRate("1.05"));
+
+    // Ensure that the next block is mined at a later time.
+    const { timestamp: firstPriceTimestamp } = await web3.eth.getBlock("latest");
+    await advanceBlockAndSetTime(web3, firstPriceTimestamp + 10);
+
+    await curveMock.setExchangeRate(0, 1, toRate("0.95"));
+
+    const { timestamp: secondPriceTimestamp } = await web3.eth.getBlock("latest");
+
+    assert.equal(
+      (await curvePriceFeed.getHistoricalPrice(firstPriceTimestamp + 5)).toString(),
+      parseFixed("1.05", priceFeedDecimals).toString()
+    );
+    assert.equal(
+      (await curvePriceFeed.getHistoricalPrice(secondPriceTimestamp)).toString(),
+      parseFixed("0.95", priceFeedDecimals).toString()
+    );
+  });
+
+  it("Update Frequency", async function() {
+    await curveMock.setExchangeRate(0, 1, toRate("1.05"));
+    await curvePriceFeed.update();
+    const initialTime = mockTime;
+
+    // Increment time to just under the 1 minute default threshold and push a new price.
+    mockTime += 59;
+    await curveMock.setExchangeRate(0, 1, toRate("0.95"));
+    await curvePriceFeed.update();
+    assert.equal(curvePriceFeed.getLastUpdateTime(), initialTime);
+    assert.equal(curvePriceFeed.getCurrentPrice().toString(), parseFixed("1.05", priceFeedDecimals).toString());
+
+    // An increment of one more second + update should trigger the feed to pull in the new price.
+    mockTime += 1;
+    await curvePriceFeed.update();
+    assert.equal(curvePriceFeed.getCurrentPrice().toString(), parseFixed("0.95", priceFeedDecimals).toString());
+    assert.equal(curvePriceFeed.getLastUpdateTime(), mockTime);
+  });
+
+  it("Historical price periods are pruned to the lookback", async function() {
+    curvePriceFeed = createPriceFeed({ lookback: 120 });
+    await curveMock.setExchangeRate(0, 1, toRate("1.05"));
+
+    const initialTime = mockTime;
+    for (let i = 0; i < 4; i++) {
+      await curvePriceFeed.update();
+      mockTime += 60;
+    }
+
+    // The first update is more than 120 seconds before the last one.
+    assert.deepEqual(
+      curvePriceFeed.getHistoricalPricePeriods().map(([time]) => time),
+      [initialTime + 60, initialTime + 120, initialTime + 180]
+    );
+  });
+
+  it("Invalid coin indices", async function() {
+    assert.throws(() => createPriceFeed({ inputIndex: undefined }));
+    assert.throws(() => createPriceFeed({ outputIndex: 0 }));
+  });
+
+  it("BlockFinder correctly passed in", async function() {
+    const blockFinder = BlockFinder(() => {
+      throw "err";
+    }); // BlockFinder should throw immediately.
+    curvePriceFeed = createPriceFeed({ blockFinder });
+
+    await curvePriceFeed.update();
+    // Blockfinder is used to grab a historical price. Should throw.
+    assert.isTrue(await curvePriceFeed.getHistoricalPrice(100).catch(() => true));
+  });
+});
@@ -1,6 +1,7 @@
 const { toWei, toBN } = web3.utils;
 const { ExpressionPriceFeed, escapeSpecialCharacters, math } = require("../../src/price-feed/ExpressionPriceFeed");
 const { PriceFeedMock } = require("../../src/price-feed/PriceFeedMock");
+const { MedianizerPriceFeed } = require("../../src/price-feed/MedianizerPriceFeed");
 
 contract("ExpressionPriceFeed.js", function() {
   it("Update", async function() {
@@ -46,6 +47,58 @@ contract("ExpressionPriceFeed.js", function() {
     assert.equal(expressionPriceFeed.getLookback(), 500);
   });
 
+  it("Price with metadata", async function() {
+    const priceFeedMap = {
+      ETHUSD: new MedianizerPriceFeed([
+        new PriceFeedMock(toBN(toWei("100")), null, 100),
+        new PriceFeedMock(toBN(toWei("110")), null, 100)
+      ]),
+      USDBTC: new PriceFeedMock(toBN(toWei("0.1")), null, 200)
+    };
+    const expressionPriceFeed = new ExpressionPriceFeed(priceFeedMap, "ETHUSD * USDBTC");
+
+    const metadata = expressionPriceFeed.getPriceWithMetadata();
+    assert.equal(metadata.price.toString(), toWei("10.5"));
+    assert.isFalse(metadata.isStale);
+    // The constituents price different assets, so the dispersion is the largest constituent dispersion: 10 / 105.
+    assert.closeTo(metadata.dispersion, 10 / 105, 1e-12);
+    assert.equal(metadata.sources.length, 3);
+  });
+
+  it("Historical price periods", async function() {
+    const priceFeedMap = {
+      ETHUSD: new PriceFeedMock(),
+      USDBTC: new PriceFeedMock()
+    };
+    priceFeedMap.ETHUSD.setHistoricalPrices([
+      { timestamp: 100, price: toWei("100") },
+      { timestamp: 160, price: toWei("110") },
+      { timestamp: 220, price: toWei("120") },
+      { timestamp: 280, price: toWei("130") }
+    ]);
+    priceFeedMap.USDBTC.setHistoricalPrices([
+      { timestamp: 150, price: toWei("0.1") },
+      { timestamp: 250, price: toWei("0.2") }
+    ]);
+    const expressionPriceFeed = new ExpressionPriceFeed(priceFeedMap, "ETHUSD * USDBTC");
+
+    // Evaluated at the timestamps of USDBTC, which has fewer periods, using the latest ETHUSD price at or before them.
+    assert.deepEqual(
+      expressionPriceFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]),
+      [
+        [150, toWei("10")],
+        [250, toWei("24")]
+      ]
+    );
+
+    // Timestamps before a constituent's first price are skipped.
+    priceFeedMap.ETHUSD.setHistoricalPrices([{ timestamp: 100, price: null }]);
+    assert.deepEqual(
+      expressionPriceFeed.getHistoricalPricePeriods().map(([time]) => time),
+      [250]
+    );
+  });
+
   it("Complex expression", async function() {
     const priceFeedMap = {
       //                        currentPrice      historicalPrice    lastUpdatedTime   decimals
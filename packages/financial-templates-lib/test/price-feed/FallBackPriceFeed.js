@@ -43,6 +43,23 @@ contract("FallBackPriceFeed.js", function() {
       const historicalPrice = await fallBackPriceFeed.getHistoricalPrice(arbitraryHistoricalTimestamp);
       assert.equal(historicalPrice.toString(), toWei("25"));
     });
+    it("(getHistoricalPricePeriods)", async function() {
+      priceFeeds[0].setHistoricalPrices([
+        { timestamp: 200, price: toWei("1.1") },
+        { timestamp: 100, price: toWei("1") }
+      ]);
+      priceFeeds[1].setHistoricalPrices([{ timestamp: 100, price: toWei("2") }]);
+
+      // Returns the first feed's history, sorted from oldest to newest.
+      const pricePeriods = fallBackPriceFeed.getHistoricalPricePeriods();
+      assert.deepEqual(
+        pricePeriods.map(([time, price]) => [time, price.toString()]),
+        [
+          [100, toWei("1")],
+          [200, toWei("1.1")]
+        ]
+      );
+    });
   });
   describe("First pricefeed is invalid", function() {
     let priceFeeds, fallBackPriceFeed;
@@ -78,6 +95,17 @@ contract("FallBackPriceFeed.js", function() {
       const historicalPrice = await fallBackPriceFeed.getHistoricalPrice(arbitraryHistoricalTimestamp);
       assert.equal(historicalPrice.toString(), toWei("57"));
     });
+    it("(getHistoricalPricePeriods)", async function() {
+      priceFeeds[1].setHistoricalPrices([{ timestamp: 100, price: toWei("2") }]);
+      priceFeeds[2].setHistoricalPrices([{ timestamp: 100, price: toWei("1") }]);
+
+      // The invalid feed has no history, so the next feed's history is returned.
+      const pricePeriods = fallBackPriceFeed.getHistoricalPricePeriods();
+      assert.deepEqual(
+        pricePeriods.map(([time, price]) => [time, price.toString()]),
+        [[100, toWei("2")]]
+      );
+    });
   });
   describe("All pricefeeds are invalid", function() {
     let priceFeeds;
@@ -147,4 +175,29 @@ contract("FallBackPriceFeed.js", function() {
     }
     assert.isTrue(didThrow);
   });
+
+  it("Price with metadata", async function() {
+    const priceFeeds = [
+      //                currentPrice       historicalPrice    lastUpdatedTime
+      new PriceFeedMock(null, toBN(toWei("25")), 100),
+      new PriceFeedMock(toBN(toWei("2")), toBN(toWei("57")), 200),
+      new PriceFeedMock(toBN(toWei("2.2")), toBN(toWei("10")), 300)
+    ];
+    fallBackPriceFeed = new FallBackPriceFeed(priceFeeds);
+
+    // The first feed has no price, so the second feed's price is used.
+    let metadata = fallBackPriceFeed.getPriceWithMetadata(400, 250);
+    assert.equal(metadata.price.toString(), toWei("2"));
+    assert.isFalse(metadata.isStale);
+    // (2.2 - 2) / 2, ignoring the feed without a price.
+    assert.closeTo(metadata.dispersion, 0.1, 1e-12);
+    assert.deepEqual(
+      metadata.sources.map(source => source.isStale),
+      [true, false, false]
+    );
+
+    // Staleness is taken from the feed whose price is used.
+    metadata = fallBackPriceFeed.getPriceWithMetadata(400, 150);
+    assert.isTrue(metadata.isStale);
+  });
 });
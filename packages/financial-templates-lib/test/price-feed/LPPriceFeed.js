@@ -125,6 +125,31 @@ contract("LPPriceFeed.js", function(accounts) {
     assert.equal(lpPriceFeed.getLastUpdateTime(), mockTime); // Update time should have no incremented.
   });
 
+  it("Historical price periods are pruned to the lookback", async function() {
+    lpPriceFeed = new LPPriceFeed({
+      logger: dummyLogger,
+      web3,
+      getTime: () => mockTime,
+      erc20Abi: ERC20Interface.abi,
+      tokenAddress: token.address,
+      poolAddress: pool.address,
+      priceFeedDecimals,
+      lookback: 120
+    });
+
+    const initialTime = mockTime;
+    for (let i = 0; i < 4; i++) {
+      await lpPriceFeed.update();
+      mockTime += 60;
+    }
+
+    // The first update is more than 120 seconds before the last one.
+    assert.deepEqual(
+      lpPriceFeed.getHistoricalPricePeriods().map(([time]) => time),
+      [initialTime + 60, initialTime + 120, initialTime + 180]
+    );
+  });
+
   it("PriceFeedDecimals", async function() {
     assert.equal(lpPriceFeed.getPriceFeedDecimals(), priceFeedDecimals);
   });
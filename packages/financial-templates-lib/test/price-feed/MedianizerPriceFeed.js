@@ -2,6 +2,7 @@ const { toWei, toBN } = web3.utils;
 
 const { MedianizerPriceFeed } = require("../../src/price-feed/MedianizerPriceFeed");
 const { PriceFeedMock } = require("../../src/price-feed/PriceFeedMock");
+const { InvalidPriceFeedMock } = require("../../src/price-feed/InvalidPriceFeedMock");
 
 contract("MedianizerPriceFeed.js", function() {
   it("Update", async function() {
@@ -141,6 +142,132 @@ contract("MedianizerPriceFeed.js", function() {
     // Should return null since there was an undefined output.
     assert.equal(medianizerPriceFeed.getLastUpdateTime(), null);
   });
+  it("Historical price periods", async function() {
+    const priceFeeds = [new PriceFeedMock(), new PriceFeedMock(), new PriceFeedMock()];
+    priceFeeds[0].setHistoricalPrices([
+      { timestamp: 100, price: toWei("1") },
+      { timestamp: 200, price: toWei("2") }
+    ]);
+    priceFeeds[1].setHistoricalPrices([
+      { timestamp: 90, price: toWei("3") },
+      { timestamp: 190, price: toWei("4") }
+    ]);
+    // The third feed has no price at or before the first timestamp.
+    priceFeeds[2].setHistoricalPrices([{ timestamp: 150, price: toWei("6") }]);
+
+    // Periods are built at every timestamp of any feed. Only the timestamps from 150 on have a price from every feed.
+    const medianizerPriceFeed = new MedianizerPriceFeed(priceFeeds);
+    assert.deepEqual(
+      medianizerPriceFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]),
+      [
+        [150, toWei("3")],
+        [190, toWei("4")],
+        [200, toWei("4")]
+      ]
+    );
+
+    // With a quorum of 2, earlier timestamps are medianized over the feeds that have a price.
+    const quorumMedianizerPriceFeed = new MedianizerPriceFeed(priceFeeds, false, 2);
+    assert.deepEqual(
+      quorumMedianizerPriceFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]),
+      [
+        [100, toWei("2")],
+        [150, toWei("3")],
+        [190, toWei("4")],
+        [200, toWei("4")]
+      ]
+    );
+
+    // A first feed without any data does not prevent the other feeds from meeting the quorum.
+    const emptyFirstMedianizerPriceFeed = new MedianizerPriceFeed(
+      [new PriceFeedMock(), priceFeeds[1], priceFeeds[2]],
+      false,
+      2
+    );
+    assert.deepEqual(
+      emptyFirstMedianizerPriceFeed.getHistoricalPricePeriods().map(([time, price]) => [time, price.toString()]),
+      [
+        [150, toWei("4.5")],
+        [190, toWei("5")]
+      ]
+    );
+  });
+
+  it("Quorum of sources", async function() {
+    const priceFeeds = [
+      //                currentPrice      historicalPrice    lastUpdatedTime
+      new PriceFeedMock(toBN(toWei("1")), toBN(toWei("17")), 100),
+      new PriceFeedMock(null, null, null),
+      new PriceFeedMock(toBN(toWei("2")), toBN(toWei("25")), 200)
+    ];
+    priceFeeds[1].uuid = "FlakyPriceFeedMock";
+
+    // Requires 2 of the 3 feeds to return a price.
+    const medianizerPriceFeed = new MedianizerPriceFeed(priceFeeds, false, 2);
+
+    // The median is taken over the two feeds that returned a price.
+    assert.equal(medianizerPriceFeed.getCurrentPrice(), toWei("1.5"));
+    assert.equal(medianizerPriceFeed.getLastUpdateTime(), 200);
+    const arbitraryHistoricalTimestamp = 1000;
+    assert.equal(await medianizerPriceFeed.getHistoricalPrice(arbitraryHistoricalTimestamp), toWei("21"));
+
+    // The failed feed is reported.
+    const { failedSources } = await medianizerPriceFeed.getHistoricalPriceWithMetadata(arbitraryHistoricalTimestamp);
+    assert.equal(failedSources.length, 1);
+    assert.equal(failedSources[0].uuid, "FlakyPriceFeedMock");
+    assert.equal(failedSources[0].error.message, "PriceFeedMock expected error thrown");
+    const metadata = medianizerPriceFeed.getPriceWithMetadata();
+    assert.deepEqual(metadata.failedSources, ["FlakyPriceFeedMock"]);
+    assert.isFalse(metadata.isStale);
+
+    // Once the quorum is no longer met, the medianizer fails like it would without a quorum.
+    priceFeeds[2].setCurrentPrice(null);
+    priceFeeds[2].setHistoricalPrice(null);
+    priceFeeds[2].setLastUpdateTime(null);
+    assert.equal(medianizerPriceFeed.getCurrentPrice(), null);
+    assert.equal(medianizerPriceFeed.getLastUpdateTime(), null);
+    await medianizerPriceFeed.getHistoricalPrice(arbitraryHistoricalTimestamp).then(
+      () => assert.fail(),
+      err => assert.equal(err.length, 2)
+    );
+  });
+
+  it("Update tolerates failing feeds down to the quorum", async function() {
+    const priceFeeds = [new PriceFeedMock(), new InvalidPriceFeedMock(null, null, null, true), new PriceFeedMock()];
+
+    // With a quorum of 2 the failed update is ignored.
+    await new MedianizerPriceFeed(priceFeeds, false, 2).update();
+    assert.equal(priceFeeds[0].updateCalled, 1);
+    assert.equal(priceFeeds[2].updateCalled, 1);
+
+    // Requiring every feed throws the failed update's error as is.
+    await new MedianizerPriceFeed(priceFeeds).update().then(
+      () => assert.fail(),
+      error => assert.equal(error.message, "InvalidPriceFeedMock: expected update failure")
+    );
+
+    // Losing the quorum throws the original errors of every failed update.
+    const failingPriceFeeds = [
+      new PriceFeedMock(),
+      new InvalidPriceFeedMock(null, null, null, true),
+      new InvalidPriceFeedMock(null, null, null, true)
+    ];
+    await new MedianizerPriceFeed(failingPriceFeeds, false, 2).update().then(
+      () => assert.fail(),
+      errors => {
+        assert.equal(errors.length, 2);
+        errors.forEach(error => assert.equal(error.message, "InvalidPriceFeedMock: expected update failure"));
+      }
+    );
+  });
+
+  it("Invalid quorum", async function() {
+    const priceFeeds = [new PriceFeedMock(), new PriceFeedMock()];
+    assert.throws(() => new MedianizerPriceFeed(priceFeeds, false, 0));
+    assert.throws(() => new MedianizerPriceFeed(priceFeeds, false, 3));
+    assert.throws(() => new MedianizerPriceFeed(priceFeeds, false, 1.5));
+  });
+
   it("Validates feeds decimals correctly", async function() {
     // Create three feeds, one with a diffrent number of decimals. Medianizer should reject this when checking the decimals.
     const validDecimalsPriceFeeds = [
@@ -177,4 +304,40 @@ contract("MedianizerPriceFeed.js", function() {
     }
     assert.isTrue(didThrow);
   });
+
+  it("Price with metadata", async function() {
+    const priceFeeds = [
+      //                currentPrice        historicalPrice    lastUpdatedTime
+      new PriceFeedMock(toBN(toWei("1")), toBN(toWei("25")), 100),
+      new PriceFeedMock(toBN(toWei("1.1")), toBN(toWei("57")), 200),
+      new PriceFeedMock(toBN(toWei("1.05")), toBN(toWei("10")), 300)
+    ];
+    const medianizerPriceFeed = new MedianizerPriceFeed(priceFeeds);
+
+    let metadata = medianizerPriceFeed.getPriceWithMetadata();
+    assert.equal(metadata.price.toString(), toWei("1.05"));
+    assert.equal(metadata.lastUpdateTime, 300);
+    assert.isFalse(metadata.isStale);
+    // (1.1 - 1) / 1.05
+    assert.closeTo(metadata.dispersion, 0.1 / 1.05, 1e-12);
+    assert.equal(metadata.sources.length, 3);
+    assert.equal(metadata.sources[1].price.toString(), toWei("1.1"));
+    assert.equal(metadata.sources[1].lastUpdateTime, 200);
+
+    // The first source was last updated 250 seconds before the current time, which is more than the max age of 200.
+    metadata = medianizerPriceFeed.getPriceWithMetadata(350, 200);
+    assert.isTrue(metadata.isStale);
+    assert.deepEqual(
+      metadata.sources.map(source => source.isStale),
+      [true, false, false]
+    );
+
+    // A missing constituent price makes the median stale and its dispersion unknown.
+    priceFeeds[0].setCurrentPrice(null);
+    metadata = medianizerPriceFeed.getPriceWithMetadata();
+    assert.isNull(metadata.price);
+    assert.isTrue(metadata.isStale);
+    assert.isNull(metadata.dispersion);
+    assert.isTrue(metadata.sources[0].isStale);
+  });
 });
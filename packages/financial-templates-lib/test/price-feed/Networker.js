@@ -0,0 +1,131 @@
+const { Networker } = require("../../src/price-feed/Networker");
+const { SpyTransport } = require("../../src/logger/SpyTransport");
+const winston = require("winston");
+const sinon = require("sinon");
+
+contract("Networker.js", function() {
+  let spy;
+  let logger;
+  let fetchCalls;
+
+  // Returns a fake fetch that replies with each of `responses` in order. A response can be an Error to simulate a
+  // network failure, or `{ status, json, retryAfter }`.
+  const createFetch = responses => async (url, options) => {
+    fetchCalls.push({ url, options });
+    const response = responses.shift();
+    if (response instanceof Error) throw response;
+    return {
+      status: response.status || 200,
+      headers: { get: name => (name === "retry-after" ? response.retryAfter : null) },
+      json: async () => response.json
+    };
+  };
+
+  const createNetworker = (responses, config = {}) =>
+    new Networker(logger, { retryDelay: 0.01, fetch: createFetch(responses), ...config });
+
+  beforeEach(async function() {
+    spy = sinon.spy();
+    logger = winston.createLogger({
+      level: "debug",
+      transports: [new SpyTransport({ level: "debug" }, { spy })]
+    });
+    fetchCalls = [];
+  });
+
+  it("Returns json", async function() {
+    const networker = createNetworker([{ json: { price: 1 } }], { requestTimeout: 5 });
+
+    assert.deepEqual(await networker.getJson("https://api.test.com/price"), { price: 1 });
+
+    // The request timeout is passed to fetch in milliseconds.
+    assert.equal(fetchCalls[0].options.timeout, 5000);
+    assert.equal(networker.getMetrics()["api.test.com"].requests, 1);
+  });
+
+  it("Retries 429 and 5xx responses", async function() {
+    const networker = createNetworker([{ status: 429 }, { status: 503 }, { json: { price: 1 } }]);
+
+    assert.deepEqual(await networker.getJson("https://api.test.com/price"), { price: 1 });
+    assert.equal(fetchCalls.length, 3);
+
+    const metrics = networker.getMetrics()["api.test.com"];
+    assert.equal(metrics.requests, 3);
+    assert.equal(metrics.errors, 2);
+    assert.equal(metrics.retries, 2);
+  });
+
+  it("Retries network errors", async function() {
+    const networker = createNetworker([new Error("network timeout"), { json: { price: 1 } }]);
+
+    assert.deepEqual(await networker.getJson("https://api.test.com/price"), { price: 1 });
+    assert.equal(fetchCalls.length, 2);
+  });
+
+  it("Gives up after maxRetries", async function() {
+    const networker = createNetworker([{ status: 500 }, { status: 500 }, { status: 500 }], { maxRetries: 2 });
+
+    assert.isTrue(await networker.getJson("https://api.test.com/price").catch(() => true));
+    assert.equal(fetchCalls.length, 3);
+  });
+
+  it("Does not retry other errors", async function() {
+    // Some APIs describe errors in a json body, which callers can inspect.
+    const networker = createNetworker([{ status: 404, json: { error: "not found" } }]);
+
+    assert.deepEqual(await networker.getJson("https://api.test.com/price"), { error: "not found" });
+    assert.equal(fetchCalls.length, 1);
+  });
+
+  it("Rate limits per host", async function() {
+    const networker = createNetworker([{ json: 1 }, { json: 2 }, { json: 3 }, { json: 4 }], {
+      rateLimits: { "api.test.com": { requestsPerSecond: 10 } }
+    });
+
+    // Three requests at 10 per second with no burst take at least 0.2 seconds.
+    const startTime = Date.now();
+    await Promise.all([1, 2, 3].map(() => networker.getJson("https://api.test.com/price")));
+    assert.isAtLeast(Date.now() - startTime, 190);
+
+    // Other hosts are not limited.
+    const otherStartTime = Date.now();
+    await networker.getJson("https://api.other.com/price");
+    assert.isBelow(Date.now() - otherStartTime, 50);
+  });
+
+  it("Caches responses", async function() {
+    const networker = createNetworker([{ json: { price: 1 } }, { json: { price: 2 } }], { cacheTtl: 60 });
+
+    assert.deepEqual(await networker.getJson("https://api.test.com/price"), { price: 1 });
+    assert.deepEqual(await networker.getJson("https://api.test.com/price"), { price: 1 });
+    assert.equal(fetchCalls.length, 1);
+
+    // Responses are not cached by default.
+    const uncachedNetworker = createNetworker([{ json: { price: 1 } }, { json: { price: 2 } }]);
+    await uncachedNetworker.getJson("https://api.test.com/price");
+    assert.deepEqual(await uncachedNetworker.getJson("https://api.test.com/price"), { price: 2 });
+  });
+
+  it("Logs latency without query strings", async function() {
+    const networker = createNetworker([{ status: 500 }, { json: { price: 1 } }]);
+    await networker.getJson("https://api.test.com/price?apikey=secret");
+
+    const lastLog = spy.getCall(-1).lastArg;
+    assert.equal(lastLog.host, "api.test.com");
+    assert.equal(lastLog.path, "/price");
+    assert.equal(lastLog.errorCount, 1);
+    assert.isNumber(lastLog.latencyMs);
+    assert.isFalse(JSON.stringify(spy.args).includes("secret"));
+  });
+
+  it("Strips query strings from network error messages", async function() {
+    const url = "https://api.test.com/price?apikey=secret";
+    const fetchError = new Error(`request to ${url} failed, reason: connect ECONNREFUSED`);
+    const networker = createNetworker([fetchError], { maxRetries: 0 });
+
+    const error = await networker.getJson(url).catch(error => error);
+    assert.equal(error.message, "request to https://api.test.com/price failed, reason: connect ECONNREFUSED");
+    assert.equal(spy.getCall(-1).lastArg.error, error.message);
+    assert.isFalse(JSON.stringify(spy.args).includes("secret"));
+  });
+});
@@ -0,0 +1,86 @@
+const { PriceFeedRegistry, validateConfig } = require("../../src/price-feed/PriceFeedRegistry");
+const { PriceFeedMock } = require("../../src/price-feed/PriceFeedMock");
+
+contract("PriceFeedRegistry.js", function() {
+  let registry;
+
+  beforeEach(async function() {
+    registry = new PriceFeedRegistry();
+  });
+
+  it("Reports all validation errors at once", async function() {
+    const schema = {
+      required: ["exchange", "pair", "lookback"],
+      properties: {
+        lookback: { type: "number" },
+        feeds: { type: "array", minItems: 1 },
+        mode: { enum: ["median", "mean"] }
+      }
+    };
+
+    assert.deepEqual(validateConfig(schema, { exchange: "binance", pair: "ethusd", lookback: 100 }), []);
+
+    const errors = validateConfig(schema, { exchange: "binance", lookback: "100", feeds: [], mode: "max" });
+    assert.deepEqual(
+      errors.map(error => error.field),
+      ["pair", "lookback", "feeds", "mode"]
+    );
+  });
+
+  it("Multiple types can be accepted", async function() {
+    const schema = { properties: { price: { type: ["string", "number"] } } };
+    assert.deepEqual(validateConfig(schema, { price: "1" }), []);
+    assert.deepEqual(validateConfig(schema, { price: 1 }), []);
+    assert.equal(validateConfig(schema, { price: true }).length, 1);
+  });
+
+  it("Register and create", async function() {
+    const priceFeed = new PriceFeedMock();
+    registry.register("custom", {
+      schema: { required: ["customField"] },
+      create: async (config, context) => {
+        assert.equal(config.customField, "value");
+        assert.equal(context.getTime(), 10);
+        return priceFeed;
+      }
+    });
+
+    assert.isTrue(registry.has("custom"));
+    assert.deepEqual(registry.getTypes(), ["custom"]);
+    assert.equal(registry.validate("custom", {}).length, 1);
+    assert.equal(await registry.create("custom", { customField: "value" }, { getTime: () => 10 }), priceFeed);
+
+    registry.unregister("custom");
+    assert.isFalse(registry.has("custom"));
+  });
+
+  it("Custom validation runs after the schema passes", async function() {
+    registry.register("custom", {
+      schema: { required: ["min", "max"], properties: { min: { type: "number" }, max: { type: "number" } } },
+      validate: config => (config.min > config.max ? [{ field: "min", message: "must not exceed max" }] : []),
+      create: async () => new PriceFeedMock()
+    });
+
+    assert.deepEqual(registry.validate("custom", { min: 1, max: 2 }), []);
+    assert.deepEqual(registry.validate("custom", { min: 3, max: 2 }), [
+      { field: "min", message: "must not exceed max" }
+    ]);
+    assert.deepEqual(
+      registry.validate("custom", { min: 3 }).map(error => error.field),
+      ["max"]
+    );
+  });
+
+  it("Cannot register a type twice unless overwriting", async function() {
+    const create = async () => new PriceFeedMock();
+    registry.register("custom", { create });
+    assert.throws(() => registry.register("custom", { create }));
+    registry.register("custom", { create }, true);
+  });
+
+  it("Invalid definitions", async function() {
+    assert.throws(() => registry.register("", { create: async () => null }));
+    assert.throws(() => registry.register("custom", {}));
+    assert.throws(() => registry.validate("unknown", {}));
+  });
+});
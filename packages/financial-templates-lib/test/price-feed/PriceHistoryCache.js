@@ -0,0 +1,70 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  FilesystemPriceHistoryCache,
+  InMemoryPriceHistoryCache,
+  mergePricePeriods
+} = require("../../src/price-feed/PriceHistoryCache");
+
+contract("PriceHistoryCache.js", function() {
+  const { toBN, toWei } = web3.utils;
+
+  const pricePeriods = [
+    { openTime: 100, closeTime: 160, openPrice: toBN(toWei("1.1")), closePrice: toBN(toWei("1.2")) },
+    { openTime: 160, closeTime: 220, openPrice: toBN(toWei("1.2")), closePrice: toBN(toWei("1.3")) }
+  ];
+
+  let directory;
+
+  beforeEach(async function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "price-history-cache-"));
+  });
+
+  afterEach(async function() {
+    fs.rmdirSync(directory, { recursive: true });
+  });
+
+  it("Filesystem cache round trips BN values", async function() {
+    const cache = new FilesystemPriceHistoryCache(directory);
+    assert.isUndefined(await cache.get("CryptoWatch-binance-ethusd-60"));
+
+    await cache.set("CryptoWatch-binance-ethusd-60", pricePeriods);
+
+    // A new instance pointing at the same directory should see the same data, as it would after a restart.
+    const cachedPricePeriods = await new FilesystemPriceHistoryCache(directory).get("CryptoWatch-binance-ethusd-60");
+    assert.equal(cachedPricePeriods.length, 2);
+    assert.equal(cachedPricePeriods[1].closeTime, 220);
+    assert.isTrue(web3.utils.isBN(cachedPricePeriods[1].closePrice));
+    assert.equal(cachedPricePeriods[1].closePrice.toString(), toWei("1.3"));
+  });
+
+  it("Filesystem cache creates its directory", async function() {
+    const cache = new FilesystemPriceHistoryCache(path.join(directory, "nested", "dir"));
+    await cache.set("key", pricePeriods);
+    assert.equal((await cache.get("key")).length, 2);
+  });
+
+  it("In memory cache", async function() {
+    const cache = new InMemoryPriceHistoryCache();
+    assert.isUndefined(await cache.get("key"));
+    await cache.set("key", pricePeriods);
+    assert.equal(await cache.get("key"), pricePeriods);
+  });
+
+  it("Merging replaces duplicate periods and drops expired ones", async function() {
+    const newPricePeriods = [
+      { openTime: 160, closeTime: 220, openPrice: toBN(toWei("1.2")), closePrice: toBN(toWei("1.4")) },
+      { openTime: 220, closeTime: 280, openPrice: toBN(toWei("1.4")), closePrice: toBN(toWei("1.5")) }
+    ];
+
+    const merged = mergePricePeriods(pricePeriods, newPricePeriods, 200);
+    assert.deepEqual(
+      merged.map(pricePeriod => pricePeriod.closeTime),
+      [220, 280]
+    );
+    // The freshly fetched period wins over the cached one.
+    assert.equal(merged[0].closePrice.toString(), toWei("1.4"));
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { RecordingNetworker, ReplayNetworker } = require("../../src/price-feed/RecordingNetworker");
+const { NetworkerMock } = require("../../src/price-feed/NetworkerMock");
+
+contract("RecordingNetworker.js", function() {
+  let directory;
+  let networkerMock;
+  let recordingNetworker;
+
+  beforeEach(async function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "networker-fixtures-"));
+    networkerMock = new NetworkerMock();
+    recordingNetworker = new RecordingNetworker(networkerMock, directory);
+  });
+
+  afterEach(async function() {
+    fs.rmdirSync(directory, { recursive: true });
+  });
+
+  it("Replays recorded responses", async function() {
+    networkerMock.getJsonReturns = [{ price: 1 }, { price: 2 }];
+
+    // Recording passes responses through unchanged.
+    assert.deepEqual(await recordingNetworker.getJson("https://api.test.com/price?market=ethusd"), { price: 1 });
+    assert.deepEqual(await recordingNetworker.getJson("https://api.test.com/price?market=btcusd"), { price: 2 });
+
+    // A new instance pointing at the same directory serves the responses by URL, in any order.
+    const replayNetworker = new ReplayNetworker(directory);
+    assert.deepEqual(await replayNetworker.getJson("https://api.test.com/price?market=btcusd"), { price: 2 });
+    assert.deepEqual(await replayNetworker.getJson("https://api.test.com/price?market=ethusd"), { price: 1 });
+    assert.deepEqual(await replayNetworker.getJson("https://api.test.com/price?market=ethusd"), { price: 1 });
+  });
+
+  it("Throws on missing fixtures", async function() {
+    const replayNetworker = new ReplayNetworker(directory);
+    assert.isTrue(await replayNetworker.getJson("https://api.test.com/price").catch(() => true));
+  });
+
+  it("Does not record failed requests", async function() {
+    recordingNetworker = new RecordingNetworker(
+      {
+        getJson: async () => {
+          throw new Error("request failed");
+        }
+      },
+      directory
+    );
+
+    assert.isTrue(await recordingNetworker.getJson("https://api.test.com/price").catch(() => true));
+    assert.equal(fs.readdirSync(directory).length, 0);
+  });
+
+  it("Redacts API keys", async function() {
+    networkerMock.getJsonReturns = [{ price: 1 }];
+    await recordingNetworker.getJson("https://api.test.com/price?market=ethusd&apikey=secret");
+
+    const [fileName] = fs.readdirSync(directory);
+    const contents = fs.readFileSync(path.join(directory, fileName), "utf8");
+    assert.isFalse(contents.includes("secret"));
+
+    // Replays match regardless of the key, so they can run without one.
+    const replayNetworker = new ReplayNetworker(directory);
+    assert.deepEqual(await replayNetworker.getJson("https://api.test.com/price?market=ethusd&apikey=other"), {
+      price: 1
+    });
+  });
+});
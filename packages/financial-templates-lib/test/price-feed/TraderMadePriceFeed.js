@@ -133,24 +133,13 @@ contract("TraderMadePriceFeed.js", function() {
       toWei("0.1553")
     );
 
-    const expectOhlcHourlyPrices = [
-      {
-        closeTime: 1611608400,
-        openTime: 1611604800
-      },
-      {
-        closeTime: 1611612000,
-        openTime: 1611608400
-      },
-      {
-        closeTime: 1611615600,
-        openTime: 1611612000
-      }
-    ];
+    // Hourly prices are returned as [closeTime, closePrice].
+    const expectOhlcHourlyCloseTimes = [1611608400, 1611612000, 1611615600];
     const actualOhlcHourlyPrices = traderMadePriceFeed.getHistoricalPricePeriods();
-    for (let i = 0; i < expectOhlcHourlyPrices.length; i++) {
-      assert.equal(expectOhlcHourlyPrices[i].closeTime - timezeoneOffsetSeconds, actualOhlcHourlyPrices[i].closeTime);
-      assert.equal(expectOhlcHourlyPrices[i].openTime - timezeoneOffsetSeconds, actualOhlcHourlyPrices[i].openTime);
+    assert.equal(actualOhlcHourlyPrices.length, expectOhlcHourlyCloseTimes.length);
+    for (let i = 0; i < expectOhlcHourlyCloseTimes.length; i++) {
+      assert.equal(expectOhlcHourlyCloseTimes[i] - timezeoneOffsetSeconds, actualOhlcHourlyPrices[i][0]);
+      assert.isTrue(web3.utils.isBN(actualOhlcHourlyPrices[i][1]));
     }
   });
 
@@ -303,7 +292,7 @@ contract("TraderMadePriceFeed.js", function() {
       assert.isTrue(
         await traderMadePriceFeed.getHistoricalPrice(1611608300 - timezeoneOffsetSeconds).catch(() => true)
       );
-      assert.equal(traderMadePriceFeed.getHistoricalPricePeriods(), undefined);
+      assert.deepEqual(traderMadePriceFeed.getHistoricalPricePeriods(), []);
     });
     it("Fallback to hourly interval ENABLED, latest, minute and hourly intervals all fail to respond", async function() {
       // Bad current price response causes update() to throw regardless of historical data.
@@ -356,7 +345,7 @@ contract("TraderMadePriceFeed.js", function() {
       assert.isTrue(
         await traderMadePriceFeed.getHistoricalPrice(1614319100 - timezeoneOffsetSeconds).catch(() => true)
       );
-      assert.equal(traderMadePriceFeed.getHistoricalPricePeriods(), undefined);
+      assert.deepEqual(traderMadePriceFeed.getHistoricalPricePeriods(), []);
 
       // Missing minute and hourly interval historical ohlc response. Minute interval and subsequent
       // fallback to hourly interval fail.
@@ -410,7 +399,7 @@ contract("TraderMadePriceFeed.js", function() {
       assert.isTrue(
         await traderMadePriceFeed.getHistoricalPrice(1614319100 - timezeoneOffsetSeconds).catch(() => true)
       );
-      assert.equal(traderMadePriceFeed.getHistoricalPricePeriods(), undefined);
+      assert.deepEqual(traderMadePriceFeed.getHistoricalPricePeriods(), []);
     });
     it("minuteLookback is undefined, only need to fetch hourly interval data", async function() {
       // Missing minute interval historical ohlc response is not a problem if minuteLookback is not set.
@@ -469,7 +458,7 @@ contract("TraderMadePriceFeed.js", function() {
       assert.isTrue(
         await traderMadePriceFeed.getHistoricalPrice(1611608300 - timezeoneOffsetSeconds).catch(() => true)
       );
-      assert.equal(traderMadePriceFeed.getHistoricalPricePeriods(), undefined);
+      assert.deepEqual(traderMadePriceFeed.getHistoricalPricePeriods(), []);
     });
   });
 
@@ -0,0 +1,153 @@
+const winston = require("winston");
+
+const { UniswapV3PriceFeed } = require("../../src/price-feed/UniswapV3PriceFeed");
+const { BlockFinder } = require("../../src/price-feed/utils");
+const { parseFixed } = require("@uma/common");
+const { getTruffleContract } = require("@uma/core");
+
+const CONTRACT_VERSION = "latest";
+
+const UniswapV3Mock = getTruffleContract("UniswapV3Mock", web3, CONTRACT_VERSION);
+const UniswapV3 = getTruffleContract("UniswapV3", web3, CONTRACT_VERSION);
+const Token = getTruffleContract("ExpandedERC20", web3, CONTRACT_VERSION);
+
+contract("UniswapV3PriceFeed.js", function(accounts) {
+  const owner = accounts[0];
+
+  let uniswapMock;
+  let uniswapPriceFeed;
+  let mockTime;
+  let startTime;
+  let dummyLogger;
+  const twapLength = 100;
+  const lookback = 3600;
+  const historicalPeriodLength = 1800;
+
+  // Prices at the ticks used below with 18 decimal tokens. 1.0001^6932 is just above 2.
+  const priceAtTick6932 = "2000036323830947322";
+  const priceAtTickMinus6932 = "499990919207187760";
+
+  const createPriceFeed = (props = {}) =>
+    new UniswapV3PriceFeed({
+      logger: dummyLogger,
+      web3,
+      getTime: () => mockTime,
+      uniswapAbi: UniswapV3.abi,
+      erc20Abi: Token.abi,
+      uniswapAddress: uniswapMock.address,
+      twapLength,
+      lookback,
+      historicalPeriodLength,
+      ...props
+    });
+
+  const setTokens = async (token0Decimals, token1Decimals) => {
+    const token0 = await Token.new("Uni Token0", "U0", token0Decimals, { from: owner });
+    const token1 = await Token.new("Uni Token1", "U1", token1Decimals, { from: owner });
+    await uniswapMock.setTokens(token0.address, token1.address);
+  };
+
+  beforeEach(async function() {
+    uniswapMock = await UniswapV3Mock.new({ from: owner });
+    await setTokens(18, 18);
+
+    // The pool's ticks are set relative to the current block time. Each tick is held for at least 4000 seconds, so
+    // every TWAP window below falls entirely within a single tick no matter how many blocks are mined in between.
+    startTime = Number((await web3.eth.getBlock("latest")).timestamp);
+    await uniswapMock.setTickAt(0, startTime - 10000);
+    await uniswapMock.setTickAt(6932, startTime - 5000);
+    await uniswapMock.setTickAt(-6932, startTime - 1000);
+    mockTime = startTime;
+
+    dummyLogger = winston.createLogger({
+      level: "info",
+      transports: [new winston.transports.Console()]
+    });
+
+    uniswapPriceFeed = createPriceFeed();
+  });
+
+  it("Basic current price", async function() {
+    assert.equal(uniswapPriceFeed.getCurrentPrice(), undefined);
+    await uniswapPriceFeed.update();
+
+    assert.equal(uniswapPriceFeed.getCurrentPrice().toString(), priceAtTickMinus6932);
+    assert.equal(uniswapPriceFeed.getLastUpdateTime(), mockTime);
+    assert.equal(uniswapPriceFeed.getLookback(), lookback);
+    assert.equal(uniswapPriceFeed.getPriceFeedDecimals(), 18);
+  });
+
+  it("Historical price", async function() {
+    assert.isTrue(await uniswapPriceFeed.getHistoricalPrice(startTime - 3000).catch(() => true));
+    await uniswapPriceFeed.update();
+
+    assert.equal((await uniswapPriceFeed.getHistoricalPrice(startTime - 3000)).toString(), priceAtTick6932);
+    assert.equal(
+      (await uniswapPriceFeed.getHistoricalPrice(startTime - 6000)).toString(),
+      parseFixed("1", 18).toString()
+    );
+  });
+
+  it("Historical price periods", async function() {
+    await uniswapPriceFeed.update();
+
+    // One TWAP every `historicalPeriodLength` seconds over the lookback, ending at the block of the update.
+    const periods = uniswapPriceFeed.getHistoricalPricePeriods();
+    const blockTime = periods[periods.length - 1][0];
+    assert.deepEqual(
+      periods.map(([time, price]) => [time, price.toString()]),
+      [
+        [blockTime - 3600, priceAtTick6932],
+        [blockTime - 1800, priceAtTick6932],
+        [blockTime, priceAtTickMinus6932]
+      ]
+    );
+  });
+
+  it("Lookback older than the pool's observations", async function() {
+    const blockFinder = BlockFinder(() => {
+      throw "err";
+    }); // BlockFinder should throw immediately.
+    uniswapPriceFeed = createPriceFeed({ lookback: 20000, blockFinder });
+    await uniswapPriceFeed.update();
+
+    // The current TWAP is still computed, but the history could not be.
+    assert.equal(uniswapPriceFeed.getCurrentPrice().toString(), priceAtTickMinus6932);
+    assert.equal(uniswapPriceFeed.getHistoricalPricePeriods().length, 1);
+
+    // Prices before the first observation fall back to the blockFinder, which throws.
+    assert.isTrue(await uniswapPriceFeed.getHistoricalPrice(startTime - 15000).catch(() => true));
+  });
+
+  it("Inverted price with mismatched decimals", async function() {
+    // Use a new pool that has been at tick 0 for its whole history.
+    uniswapMock = await UniswapV3Mock.new({ from: owner });
+    await setTokens(6, 18);
+    await uniswapMock.setTickAt(0, startTime - 10000);
+    uniswapPriceFeed = createPriceFeed();
+
+    // At tick 0, one raw unit of token0 is worth one raw unit of token1, so a whole token0 is worth 10^-12 token1.
+    await uniswapPriceFeed.update();
+    assert.equal(uniswapPriceFeed.getCurrentPrice().toString(), parseFixed("0.000000000001", 18).toString());
+
+    uniswapPriceFeed = createPriceFeed({ invertPrice: true });
+    await uniswapPriceFeed.update();
+    assert.equal(uniswapPriceFeed.getCurrentPrice().toString(), parseFixed("1000000000000", 18).toString());
+  });
+
+  it("Update frequency", async function() {
+    uniswapPriceFeed = createPriceFeed({ minTimeBetweenUpdates: 60 });
+    await uniswapPriceFeed.update();
+    const initialTime = mockTime;
+
+    // Increment time to just under the 1 minute threshold.
+    mockTime += 59;
+    await uniswapPriceFeed.update();
+    assert.equal(uniswapPriceFeed.getLastUpdateTime(), initialTime);
+
+    // An increment of one more second + update should trigger the feed to update.
+    mockTime += 1;
+    await uniswapPriceFeed.update();
+    assert.equal(uniswapPriceFeed.getLastUpdateTime(), mockTime);
+  });
+});
@@ -113,6 +113,32 @@ contract("VaultPriceFeed.js", function(accounts) {
     assert.equal(vaultPriceFeed.getLastUpdateTime(), mockTime); // Update time should have no incremented.
   });
 
+  it("Historical price periods are pruned to the lookback", async function() {
+    vaultPriceFeed = new VaultPriceFeed({
+      logger: dummyLogger,
+      web3,
+      getTime: () => mockTime,
+      vaultAbi: VaultInterface.abi,
+      erc20Abi: ERC20Interface.abi,
+      vaultAddress: vaultMock.address,
+      priceFeedDecimals,
+      lookback: 120
+    });
+    await vaultMock.setPricePerFullShare(parseFixed("50", tokenDecimals));
+
+    const initialTime = mockTime;
+    for (let i = 0; i < 4; i++) {
+      await vaultPriceFeed.update();
+      mockTime += 60;
+    }
+
+    // The first update is more than 120 seconds before the last one.
+    assert.deepEqual(
+      vaultPriceFeed.getHistoricalPricePeriods().map(([time]) => time),
+      [initialTime + 60, initialTime + 120, initialTime + 180]
+    );
+  });
+
   it("PriceFeedDecimals", async function() {
     assert.equal(vaultPriceFeed.getPriceFeedDecimals(), priceFeedDecimals);
   });
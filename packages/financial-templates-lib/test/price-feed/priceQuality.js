@@ -0,0 +1,70 @@
+const { toWei, toBN } = web3.utils;
+
+const { createPriceQualityConfig, checkPriceQuality } = require("../../src/price-feed/priceQuality");
+const { MedianizerPriceFeed } = require("../../src/price-feed/MedianizerPriceFeed");
+const { PriceFeedMock } = require("../../src/price-feed/PriceFeedMock");
+
+contract("priceQuality.js", function() {
+  it("Config defaults disable both checks", async function() {
+    const config = createPriceQualityConfig();
+    assert.equal(config.maxPriceDispersion.value, undefined);
+    assert.equal(config.maxPriceAge.value, undefined);
+    assert.isTrue(config.maxPriceDispersion.isValid(undefined));
+    assert.isTrue(config.maxPriceDispersion.isValid("0.05"));
+    assert.isFalse(config.maxPriceDispersion.isValid(-1));
+    assert.isTrue(config.maxPriceAge.isValid(undefined));
+    assert.isTrue(config.maxPriceAge.isValid(600));
+    assert.isFalse(config.maxPriceAge.isValid(0));
+  });
+
+  it("No limits set", async function() {
+    // Even a feed without a price passes if neither limit is set.
+    const priceFeed = new PriceFeedMock(null, null, null);
+    assert.isNull(checkPriceQuality(priceFeed, 1000, {}));
+  });
+
+  it("Stale price", async function() {
+    const priceFeed = new PriceFeedMock(toBN(toWei("1")), null, 100);
+
+    assert.isNull(checkPriceQuality(priceFeed, 600, { maxPriceAge: 500 }));
+
+    const priceQualityError = checkPriceQuality(priceFeed, 601, { maxPriceAge: 500 });
+    assert.equal(priceQualityError.reason, "price feed has not updated recently enough");
+    assert.equal(priceQualityError.maxPriceAge, 500);
+    assert.deepEqual(priceQualityError.sources, [
+      { uuid: "PriceFeedMock", price: toWei("1"), lastUpdateTime: 100, isStale: true }
+    ]);
+  });
+
+  it("Dispersed sources", async function() {
+    const priceFeeds = [
+      new PriceFeedMock(toBN(toWei("0.9")), null, 100),
+      new PriceFeedMock(toBN(toWei("1")), null, 100),
+      new PriceFeedMock(toBN(toWei("1.1")), null, 100)
+    ];
+    const medianizerPriceFeed = new MedianizerPriceFeed(priceFeeds);
+
+    // The sources are 20% apart from the median.
+    assert.isNull(checkPriceQuality(medianizerPriceFeed, 100, { maxPriceDispersion: 0.2 }));
+
+    const priceQualityError = checkPriceQuality(medianizerPriceFeed, 100, { maxPriceDispersion: 0.1 });
+    assert.equal(priceQualityError.reason, "price feed sources disagree by more than the allowed dispersion");
+    assert.equal(priceQualityError.dispersion, 0.2);
+    assert.equal(priceQualityError.maxPriceDispersion, 0.1);
+    assert.deepEqual(
+      priceQualityError.sources.map(source => source.price),
+      [toWei("0.9"), toWei("1"), toWei("1.1")]
+    );
+  });
+
+  it("Missing price fails the dispersion check", async function() {
+    const priceFeed = new PriceFeedMock(null, null, 100);
+
+    const priceQualityError = checkPriceQuality(priceFeed, 100, { maxPriceDispersion: 0.1 });
+    assert.equal(priceQualityError.reason, "price feed sources disagree by more than the allowed dispersion");
+    assert.isNull(priceQualityError.dispersion);
+    assert.deepEqual(priceQualityError.sources, [
+      { uuid: "PriceFeedMock", price: null, lastUpdateTime: 100, isStale: true }
+    ]);
+  });
+});
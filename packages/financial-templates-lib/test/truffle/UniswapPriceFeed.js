@@ -293,6 +293,66 @@ contract("UniswapPriceFeed.js", function(accounts) {
     assert.isTrue(await uniswapPriceFeed.getHistoricalPrice(currentTime - 3601).catch(() => true));
   });
 
+  it("Historical time earlier than TWAP window with a BlockFinder", async function() {
+    const currentTime = Math.round(new Date().getTime() / 1000);
+    mockTime = currentTime;
+
+    // Set the price to 100 at the start of the historical TWAP window and to 90 halfway through it.
+    const [receipt1] = await mineTransactionsAtTime(
+      web3,
+      [uniswapMock.contract.methods.setPrice(toWei("1"), toWei("100"))],
+      currentTime - 7201,
+      owner
+    );
+    const [receipt2] = await mineTransactionsAtTime(
+      web3,
+      [uniswapMock.contract.methods.setPrice(toWei("1"), toWei("90"))],
+      currentTime - 5401,
+      owner
+    );
+    const startBlock = await web3.eth.getBlock(receipt1.blockNumber);
+    const midBlock = await web3.eth.getBlock(receipt2.blockNumber);
+
+    // Block times in this test suite do not always increase, so the blocks at each time are set explicitly.
+    const blockFinder = {
+      getBlockForTimestamp: async time => (time < Number(midBlock.timestamp) ? startBlock : midBlock)
+    };
+    uniswapPriceFeed = new UniswapPriceFeed(
+      dummyLogger,
+      Uniswap.abi,
+      Token.abi,
+      web3,
+      uniswapMock.address,
+      3600,
+      3600,
+      () => mockTime,
+      false,
+      18,
+      {},
+      blockFinder
+    );
+    await uniswapPriceFeed.update();
+
+    // The TWAP from 2 hours ago to 1 hour ago is before the lookback, so it is computed from the reserves at the start
+    // block and the Sync event after it: 100 for the first half and 90 for the second half -> 95.
+    assert.equal((await uniswapPriceFeed.getHistoricalPrice(currentTime - 3601)).toString(), toWei("95"));
+  });
+
+  it("Historical volume", async function() {
+    await uniswapMock.setPrice(toWei("1000"), toWei("1000"));
+    // Swaps 100 token0 in, adds liquidity to both reserves, which is not counted, and swaps 200 token0 out.
+    await uniswapMock.setPrice(toWei("1100"), toWei("910"));
+    await uniswapMock.setPrice(toWei("2200"), toWei("1820"));
+    const result = await uniswapMock.setPrice(toWei("2000"), toWei("2002"));
+    mockTime = (await web3.eth.getBlock(result.receipt.blockNumber)).timestamp;
+    await uniswapPriceFeed.update();
+
+    assert.equal(uniswapPriceFeed.getHistoricalVolume(mockTime - 3600, mockTime).toString(), toWei("300"));
+
+    // Volumes before the cached events are unknown.
+    assert.throws(() => uniswapPriceFeed.getHistoricalVolume(mockTime - 7201, mockTime));
+  });
+
   it("Invert price", async function() {
     uniswapPriceFeed = new UniswapPriceFeed(
       dummyLogger,
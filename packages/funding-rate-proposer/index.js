@@ -8,7 +8,8 @@ const {
   waitForLogger,
   delay,
   FinancialContractFactoryClient,
-  GasEstimator
+  GasEstimator,
+  TransactionManager
 } = require("@uma/financial-templates-lib");
 const { FundingRateProposer } = require("./src/proposer");
 
@@ -26,6 +27,9 @@ const { getWeb3 } = require("@uma/common");
  * @param {Number} errorRetriesTimeout The amount of milliseconds to wait between re-try iterations on failed loops.
  * @param {Object} [commonPriceFeedConfig] Common configuration to pass to all PriceFeeds constructed by proposer.
  * @param {Object} [perpetualProposerConfig] Configuration to construct the Perpetual funding rate proposer.
+ * @param {Object} [gasEstimatorConfig] Configuration to construct the GasEstimator, e.g. a `strategy` of "node" to
+ *     estimate gas prices from the connected node only. See `GasEstimator`.
+ * @param {Boolean} [dryRun] If true, transactions are simulated and logged but never sent, and no approvals are set.
  * @param {Boolean} [isTest] If set to true, then proposer bot will use the pricefeed's `lastUpdateTime` as the
  *     request timestamp instead of `web3.eth.getBlock('latest').timestamp`.
  * @return None or throws an Error.
@@ -38,6 +42,8 @@ async function run({
   errorRetriesTimeout,
   commonPriceFeedConfig,
   perpetualProposerConfig,
+  gasEstimatorConfig,
+  dryRun = false,
   isTest = false
 }) {
   try {
@@ -51,7 +57,9 @@ async function run({
       errorRetries,
       errorRetriesTimeout,
       commonPriceFeedConfig,
-      perpetualProposerConfig
+      perpetualProposerConfig,
+      gasEstimatorConfig,
+      dryRun
     });
 
     // Create the FinancialContractFactoryClient to query on-chain information,
@@ -65,7 +73,10 @@ async function run({
       0 // Force startingBlock=0 so we can get ALL deployed contracts.
       // Leave endingBlock=null so that we can get all events up to latest block.
     );
-    const gasEstimator = new GasEstimator(logger);
+    const gasEstimator = new GasEstimator(logger, /* updateThreshold */ 60, /* defaultFastPriceGwei */ 50, web3, {
+      networkId,
+      ...gasEstimatorConfig
+    });
 
     // The proposer needs to query prices for any identifier approved to use the Optimistic Oracle,
     // so a new pricefeed is constructed for each identifier. This `commonPriceFeedConfig` contains
@@ -76,7 +87,14 @@ async function run({
       gasEstimator,
       account: accounts[0],
       commonPriceFeedConfig,
-      perpetualProposerConfig
+      perpetualProposerConfig,
+      transactionManager: new TransactionManager({
+        logger,
+        web3,
+        gasEstimator,
+        account: accounts[0],
+        transactionManagerConfig: { dryRun }
+      })
     });
 
     // Create a execution loop that will run indefinitely (or yield early if in serverless mode)
@@ -148,7 +166,19 @@ async function Poll(callback) {
       //  }
       perpetualProposerConfig: process.env.PERPETUAL_PROPOSER_CONFIG
         ? JSON.parse(process.env.PERPETUAL_PROPOSER_CONFIG)
-        : {}
+        : {},
+      // If there is a gas estimator config, add it. Else, gas prices are estimated with the network's default strategy.
+      // Example config:
+      // { "strategy":"node", -> "legacy" for gas price APIs only, "london" to also send EIP-1559 transactions with fees
+      //                         from the node's fee history, or "node" for EIP-1559 fees without any external API.
+      //   "feeHistoryBlocks":10, -> Number of recent blocks whose priority fees are sampled.
+      //   "priorityFeePercentile":50, -> Percentile of each block's priority fees that is sampled.
+      //   "baseFeeMultiplier":2, -> maxFeePerGas is the next block's base fee times this plus the priority fee.
+      //   "gasSources":[{"type":"blockSample","blocks":10,"percentile":60},{"type":"node"}]} -> Gas price sources, tried
+      //                  in order. Types are "etherchain", "etherscan", "blockSample" and "node".
+      gasEstimatorConfig: process.env.GAS_ESTIMATOR_CONFIG ? JSON.parse(process.env.GAS_ESTIMATOR_CONFIG) : {},
+      // If DRY_RUN is "true", the bot runs its full logic but only simulates and logs the transactions it would send.
+      dryRun: process.env.DRY_RUN === "true"
     };
 
     await run({ logger: Logger, web3: getWeb3(), ...executionParameters });
@@ -2,9 +2,10 @@ const {
   Networker,
   createReferencePriceFeedForFinancialContract,
   setAllowance,
-  isDeviationOutsideErrorMargin
+  isDeviationOutsideErrorMargin,
+  TransactionManager
 } = require("@uma/financial-templates-lib");
-const { createObjectFromDefaultProps, runTransaction } = require("@uma/common");
+const { createObjectFromDefaultProps } = require("@uma/common");
 const { getAbi } = require("@uma/core");
 const Promise = require("bluebird");
 
@@ -17,6 +18,7 @@ class FundingRateProposer {
    * @param {String} account Ethereum account from which to send txns.
    * @param {Object} commonPriceFeedConfig Default configuration to construct all price feed objects.
    * @param {Object} [perpetualProposerConfig] Contains fields with which constructor will attempt to override defaults.
+   * @param {Object} [transactionManager] Module used to send txns from `account`. A new one is created if not provided.
    */
   constructor({
     logger,
@@ -24,7 +26,8 @@ class FundingRateProposer {
     gasEstimator,
     account,
     commonPriceFeedConfig,
-    perpetualProposerConfig
+    perpetualProposerConfig,
+    transactionManager
   }) {
     this.logger = logger;
     this.account = account;
@@ -42,6 +45,10 @@ class FundingRateProposer {
     // Gas Estimator to calculate the current Fast gas rate.
     this.gasEstimator = gasEstimator;
 
+    // Sends transactions and bumps their gas price while they are pending.
+    this.transactionManager =
+      transactionManager || new TransactionManager({ logger, web3: this.web3, gasEstimator, account });
+
     // Cached mapping of identifiers to pricefeed classes.
     this.priceFeedCache = {};
 
@@ -216,14 +223,11 @@ class FundingRateProposer {
       });
       try {
         // Get successful transaction receipt and return value or error.
-        const transactionResult = await runTransaction({
-          transaction: proposal,
-          config: {
-            gasPrice: this.gasEstimator.getCurrentFastPrice(),
-            from: this.account
-          }
+        const transactionResult = await this.transactionManager.sendTransaction({
+          transaction: proposal
         });
         let receipt = transactionResult.receipt;
+        if (transactionResult.dryRun) return;
         let returnValue = transactionResult.returnValue.toString();
 
         const logResult = {
@@ -268,13 +272,14 @@ class FundingRateProposer {
   }
   // Sets allowances for all collateral currencies used live perpetual contracts.
   async _setAllowances() {
+    if (this.transactionManager.dryRun) return;
+
     await Promise.map(Object.keys(this.contractCache), async contractAddress => {
       // The Perpetual requires approval to transfer the contract's collateral currency in order to post a bond.
       // We'll set this once to the max value and top up whenever the bot's allowance drops below MAX_INT / 2.
       const receipt = await setAllowance(
         this.web3,
-        this.gasEstimator,
-        this.account,
+        this.transactionManager,
         contractAddress,
         this.contractCache[contractAddress].collateralAddress
       );
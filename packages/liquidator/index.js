@@ -10,32 +10,262 @@ const { Liquidator } = require("./src/liquidator");
 const {
   GasEstimator,
   FinancialContractClient,
+  DSProxyManager,
   Networker,
   Logger,
   createReferencePriceFeedForFinancialContract,
+  createPriceFeed,
   waitForLogger,
   delay,
   setAllowance,
-  multicallAddressMap
+  multicallAddressMap,
+  TransactionManager,
+  createFinancialContractFactoryClients,
+  discoverFinancialContracts
 } = require("@uma/financial-templates-lib");
 
 // Contract ABIs and network Addresses.
-const { getAbi } = require("@uma/core");
+const { getAbi, getAddress } = require("@uma/core");
+
+// Uniswap v2 router used by DSProxy liquidations, by network. It has the same address on mainnet and the testnets.
+const uniswapRouterAddresses = {
+  1: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
+  3: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
+  4: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
+  42: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D"
+};
 
 /**
- * @notice Continuously attempts to liquidate positions in the Financial Contract contract.
+ * @notice Sets up a Liquidator for one Financial Contract and approves the contract to spend the bot's tokens.
  * @param {Object} logger Module responsible for sending logs.
  * @param {Object} web3 web3.js instance with unlocked wallets used for all on-chain connections.
  * @param {String} financialContractAddress Contract address of the Financial Contract.
+ * @param {String} account Ethereum account from which to send txns.
+ * @param {String} networkName Name of the public network, used to look up its multicall contract. Null otherwise.
+ * @param {Object} gasEstimator Module used to estimate gas prices. Can be shared across contracts.
+ * @param {Object} priceFeedConfig Configuration to construct the price feed object.
+ * @param {Object} liquidatorConfig Configuration to construct the liquidator. Not modified.
+ * @param {Object} [dsProxyManager] Module used to liquidate through the bot's DSProxy.
+ * @param {Object} [transactionManager] Module used to send txns from `account`. Shared by all Liquidators.
+ * @return {Object} { liquidator, syntheticToken, checkIsExpiredOrShutdown } or throws an Error.
+ */
+async function createLiquidator({
+  logger,
+  web3,
+  financialContractAddress,
+  account,
+  networkName,
+  gasEstimator,
+  priceFeedConfig,
+  liquidatorConfig,
+  dsProxyManager,
+  transactionManager
+}) {
+  const getTime = () => Math.round(new Date().getTime() / 1000);
+
+  // Append the contract version and type to the liquidatorConfig, if the liquidatorConfig does not already contain one.
+  const detectedContract = await findContractVersion(financialContractAddress, web3);
+  liquidatorConfig = { ...liquidatorConfig };
+  if (!liquidatorConfig.contractVersion) liquidatorConfig.contractVersion = detectedContract?.contractVersion;
+  if (!liquidatorConfig.contractType) liquidatorConfig.contractType = detectedContract?.contractType;
+
+  // Check that the version and type is supported. Note if either is null this check will also catch it.
+  if (
+    SUPPORTED_CONTRACT_VERSIONS.filter(
+      vo => vo.contractType == liquidatorConfig.contractType && vo.contractVersion == liquidatorConfig.contractVersion
+    ).length == 0
+  )
+    throw new Error(
+      `Contract version specified or inferred is not supported by this bot. Liquidator config:${JSON.stringify(
+        liquidatorConfig
+      )} & detectedContractVersion:${JSON.stringify(detectedContract)} is not part of ${JSON.stringify(
+        SUPPORTED_CONTRACT_VERSIONS
+      )}`
+    );
+
+  // Setup contract instances. This uses the contract version pulled in from previous step.
+  const financialContract = new web3.eth.Contract(
+    getAbi(liquidatorConfig.contractType, liquidatorConfig.contractVersion),
+    financialContractAddress
+  );
+
+  // Returns whether the Financial Contract has expired yet
+  const checkIsExpiredOrShutdown = async () => {
+    const [expirationOrShutdownTimestamp, contractTimestamp] = await Promise.all([
+      liquidatorConfig.contractType === "ExpiringMultiParty"
+        ? financialContract.methods.expirationTimestamp().call()
+        : financialContract.methods.emergencyShutdownTimestamp().call(),
+      financialContract.methods.getCurrentTime().call()
+    ]);
+    // Check if Financial Contract is expired.
+    if (
+      Number(contractTimestamp) >= Number(expirationOrShutdownTimestamp) &&
+      Number(expirationOrShutdownTimestamp) > 0
+    ) {
+      logger.info({
+        at: "Liquidator#index",
+        message: `Financial Contract is ${
+          liquidatorConfig.contractType === "ExpiringMultiParty" ? "expired" : "shutdown"
+        }, can only withdraw liquidator dispute rewards 🕰`,
+        financialContractAddress,
+        expirationOrShutdownTimestamp,
+        contractTimestamp
+      });
+      return true;
+    } else {
+      return false;
+    }
+  };
+
+  // Generate Financial Contract properties to inform bot of important on-chain state values that we only want to query once.
+  const [
+    collateralRequirement,
+    priceIdentifier,
+    minSponsorTokens,
+    collateralTokenAddress,
+    syntheticTokenAddress,
+    withdrawLiveness
+  ] = await Promise.all([
+    financialContract.methods.collateralRequirement().call(),
+    financialContract.methods.priceIdentifier().call(),
+    financialContract.methods.minSponsorTokens().call(),
+    financialContract.methods.collateralCurrency().call(),
+    financialContract.methods.tokenCurrency().call(),
+    financialContract.methods.withdrawalLiveness().call()
+  ]);
+
+  const collateralToken = new web3.eth.Contract(getAbi("ExpandedERC20"), collateralTokenAddress);
+  const syntheticToken = new web3.eth.Contract(getAbi("ExpandedERC20"), syntheticTokenAddress);
+  const [collateralDecimals, syntheticDecimals] = await Promise.all([
+    collateralToken.methods.decimals().call(),
+    syntheticToken.methods.decimals().call()
+  ]);
+
+  const financialContractProps = {
+    crRatio: collateralRequirement,
+    priceIdentifier: priceIdentifier,
+    minSponsorSize: minSponsorTokens,
+    withdrawLiveness
+  };
+
+  // Load unlocked web3 accounts, get the networkId and set up price feed.
+  const priceFeed = await createReferencePriceFeedForFinancialContract(
+    logger,
+    web3,
+    new Networker(logger),
+    getTime,
+    financialContractAddress,
+    priceFeedConfig
+  );
+
+  if (!priceFeed) {
+    throw new Error("Price feed config is invalid");
+  }
+
+  // Prices gas in collateral for `minProfit`, unless a static `ethPriceInCollateral` is configured instead.
+  let ethPriceFeed;
+  if (liquidatorConfig.ethPriceFeedConfig) {
+    ethPriceFeed = await createPriceFeed(
+      logger,
+      web3,
+      new Networker(logger),
+      getTime,
+      liquidatorConfig.ethPriceFeedConfig
+    );
+    if (!ethPriceFeed) throw new Error("ETH price feed config is invalid");
+  }
+
+  // Create the financialContractClient to query on-chain information, update the GasEstimator to get latest gas prices
+  // and create an instance of Liquidator to preform liquidations.
+  const financialContractClient = new FinancialContractClient(
+    logger,
+    getAbi(liquidatorConfig.contractType, liquidatorConfig.contractVersion),
+    web3,
+    financialContractAddress,
+    networkName ? multicallAddressMap[networkName].multicall : null,
+    collateralDecimals,
+    syntheticDecimals,
+    priceFeed.getPriceFeedDecimals(),
+    liquidatorConfig.contractType
+  );
+
+  await gasEstimator.update();
+
+  const liquidator = new Liquidator({
+    logger,
+    financialContractClient,
+    gasEstimator,
+    syntheticToken,
+    priceFeed,
+    account,
+    financialContractProps,
+    liquidatorConfig,
+    dsProxyManager,
+    transactionManager,
+    ethPriceFeed
+  });
+
+  logger.debug({
+    at: "Liquidator#index",
+    message: "Liquidator initialized",
+    financialContractAddress,
+    collateralDecimals: Number(collateralDecimals),
+    syntheticDecimals: Number(syntheticDecimals),
+    priceFeedDecimals: Number(priceFeed.getPriceFeedDecimals()),
+    priceFeedConfig,
+    liquidatorConfig
+  });
+
+  if (liquidator.transactionManager.dryRun) return { liquidator, syntheticToken, checkIsExpiredOrShutdown };
+
+  // The Financial Contract requires approval to transfer the liquidator's collateral and synthetic tokens in order to liquidate
+  // a position. We'll set this once to the max value and top up whenever the bot's allowance drops below MAX_INT / 2.
+  const [collateralApproval, syntheticApproval] = await Promise.all([
+    setAllowance(web3, liquidator.transactionManager, financialContractAddress, collateralTokenAddress),
+    setAllowance(web3, liquidator.transactionManager, financialContractAddress, syntheticTokenAddress)
+  ]);
+  if (collateralApproval) {
+    logger.info({
+      at: "Liquidator#index",
+      message: "Approved Financial Contract to transfer unlimited collateral tokens 💰",
+      financialContractAddress,
+      collateralApprovalTx: collateralApproval.tx.transactionHash
+    });
+  }
+  if (syntheticApproval) {
+    logger.info({
+      at: "Liquidator#index",
+      message: "Approved Financial Contract to transfer unlimited synthetic tokens 💰",
+      financialContractAddress,
+      syntheticApprovalTx: syntheticApproval.tx.transactionHash
+    });
+  }
+
+  return { liquidator, syntheticToken, checkIsExpiredOrShutdown };
+}
+
+/**
+ * @notice Continuously attempts to liquidate positions in the Financial Contract contract.
+ * @param {Object} logger Module responsible for sending logs.
+ * @param {Object} web3 web3.js instance with unlocked wallets used for all on-chain connections.
+ * @param {String} financialContractAddress Contract address of the Financial Contract. Ignored if `multiContractConfig`
+ *     is set.
  * @param {Number} pollingDelay The amount of seconds to wait between iterations. If set to 0 then running in serverless
  *     mode which will exit after the loop.
  * @param {Number} errorRetries The number of times the execution loop will re-try before throwing if an error occurs.
  * @param {Number} errorRetriesTimeout The amount of milliseconds to wait between re-try iterations on failed loops.
- * @param {Object} priceFeedConfig Configuration to construct the price feed object.
+ * @param {Object} priceFeedConfig Configuration to construct the price feed object. In multi-contract mode it is
+ *     combined with each contract's default price feed config.
  * @param {Object} [liquidatorConfig] Configuration to construct the liquidator.
  * @param {String} [liquidatorOverridePrice] Optional String representing a Wei number to override the liquidator price feed.
  * @param {Number} [startingBlock] Earliest block to query for contract events that the bot will log about.
  * @param {Number} [endingBlock] Latest block to query for contract events that the bot will log about.
+ * @param {Object} [multiContractConfig] If set, liquidates on every contract created by the ExpiringMultiPartyCreator
+ *     and PerpetualCreator instead of `financialContractAddress`. Can contain an `allowList` and `denyList` of addresses
+ *     and `creators` to query instead of the latest deployed ones. See `createFinancialContractFactoryClients`.
+ * @param {Object} [gasEstimatorConfig] Configuration to construct the GasEstimator, e.g. a `strategy` of "node" to
+ *     estimate gas prices from the connected node only. See `GasEstimator`.
+ * @param {Boolean} [dryRun] If true, transactions are simulated and logged but never sent, and no approvals are set.
  * @return None or throws an Error.
  */
 async function run({
@@ -49,11 +279,12 @@ async function run({
   liquidatorConfig,
   liquidatorOverridePrice,
   startingBlock,
-  endingBlock
+  endingBlock,
+  multiContractConfig,
+  gasEstimatorConfig,
+  dryRun = false
 }) {
   try {
-    const getTime = () => Math.round(new Date().getTime() / 1000);
-
     // If pollingDelay === 0 then the bot is running in serverless mode and should send a `debug` level log.
     // Else, if running in loop mode (pollingDelay != 0), then it should send a `info` level log.
     logger[pollingDelay === 0 ? "debug" : "info"]({
@@ -65,98 +296,15 @@ async function run({
       errorRetriesTimeout,
       priceFeedConfig,
       liquidatorConfig,
-      liquidatorOverridePrice
+      liquidatorOverridePrice,
+      multiContractConfig,
+      gasEstimatorConfig,
+      dryRun
     });
 
     // Load unlocked web3 accounts and get the networkId.
-    const [detectedContract, accounts, networkId] = await Promise.all([
-      findContractVersion(financialContractAddress, web3),
-      web3.eth.getAccounts(),
-      web3.eth.net.getId()
-    ]);
+    const [accounts, networkId] = await Promise.all([web3.eth.getAccounts(), web3.eth.net.getId()]);
     const networkName = PublicNetworks[Number(networkId)] ? PublicNetworks[Number(networkId)].name : null;
-    // Append the contract version and type to the liquidatorConfig, if the liquidatorConfig does not already contain one.
-    if (!liquidatorConfig) liquidatorConfig = {};
-    if (!liquidatorConfig.contractVersion) liquidatorConfig.contractVersion = detectedContract?.contractVersion;
-    if (!liquidatorConfig.contractType) liquidatorConfig.contractType = detectedContract?.contractType;
-
-    // Check that the version and type is supported. Note if either is null this check will also catch it.
-    if (
-      SUPPORTED_CONTRACT_VERSIONS.filter(
-        vo => vo.contractType == liquidatorConfig.contractType && vo.contractVersion == liquidatorConfig.contractVersion
-      ).length == 0
-    )
-      throw new Error(
-        `Contract version specified or inferred is not supported by this bot. Liquidator config:${JSON.stringify(
-          liquidatorConfig
-        )} & detectedContractVersion:${JSON.stringify(detectedContract)} is not part of ${JSON.stringify(
-          SUPPORTED_CONTRACT_VERSIONS
-        )}`
-      );
-
-    // Setup contract instances. This uses the contract version pulled in from previous step.
-    const financialContract = new web3.eth.Contract(
-      getAbi(liquidatorConfig.contractType, liquidatorConfig.contractVersion),
-      financialContractAddress
-    );
-
-    // Returns whether the Financial Contract has expired yet
-    const checkIsExpiredOrShutdownPromise = async () => {
-      const [expirationOrShutdownTimestamp, contractTimestamp] = await Promise.all([
-        liquidatorConfig.contractType === "ExpiringMultiParty"
-          ? financialContract.methods.expirationTimestamp().call()
-          : financialContract.methods.emergencyShutdownTimestamp().call(),
-        financialContract.methods.getCurrentTime().call()
-      ]);
-      // Check if Financial Contract is expired.
-      if (
-        Number(contractTimestamp) >= Number(expirationOrShutdownTimestamp) &&
-        Number(expirationOrShutdownTimestamp) > 0
-      ) {
-        logger.info({
-          at: "Liquidator#index",
-          message: `Financial Contract is ${
-            liquidatorConfig.contractType === "ExpiringMultiParty" ? "expired" : "shutdown"
-          }, can only withdraw liquidator dispute rewards 🕰`,
-          expirationOrShutdownTimestamp,
-          contractTimestamp
-        });
-        return true;
-      } else {
-        return false;
-      }
-    };
-
-    // Generate Financial Contract properties to inform bot of important on-chain state values that we only want to query once.
-    const [
-      collateralRequirement,
-      priceIdentifier,
-      minSponsorTokens,
-      collateralTokenAddress,
-      syntheticTokenAddress,
-      withdrawLiveness
-    ] = await Promise.all([
-      financialContract.methods.collateralRequirement().call(),
-      financialContract.methods.priceIdentifier().call(),
-      financialContract.methods.minSponsorTokens().call(),
-      financialContract.methods.collateralCurrency().call(),
-      financialContract.methods.tokenCurrency().call(),
-      financialContract.methods.withdrawalLiveness().call()
-    ]);
-
-    const collateralToken = new web3.eth.Contract(getAbi("ExpandedERC20"), collateralTokenAddress);
-    const syntheticToken = new web3.eth.Contract(getAbi("ExpandedERC20"), syntheticTokenAddress);
-    const [collateralDecimals, syntheticDecimals] = await Promise.all([
-      collateralToken.methods.decimals().call(),
-      syntheticToken.methods.decimals().call()
-    ]);
-
-    const financialContractProps = {
-      crRatio: collateralRequirement,
-      priceIdentifier: priceIdentifier,
-      minSponsorSize: minSponsorTokens,
-      withdrawLiveness
-    };
 
     // Add block window into `liquidatorConfig`
     liquidatorConfig = {
@@ -165,83 +313,82 @@ async function run({
       endingBlock
     };
 
-    // Load unlocked web3 accounts, get the networkId and set up price feed.
-    const priceFeed = await createReferencePriceFeedForFinancialContract(
+    // The GasEstimator gets the latest gas prices. It is shared by the liquidators of all contracts.
+    const gasEstimator = new GasEstimator(logger, /* updateThreshold */ 60, /* defaultFastPriceGwei */ 50, web3, {
+      networkId,
+      ...gasEstimatorConfig
+    });
+
+    // All liquidators send through one TransactionManager as they all send from the same account.
+    const transactionManager = new TransactionManager({
       logger,
       web3,
-      new Networker(logger),
-      getTime,
-      financialContractAddress,
-      priceFeedConfig
-    );
+      gasEstimator,
+      account: accounts[0],
+      transactionManagerConfig: { dryRun }
+    });
 
-    if (!priceFeed) {
-      throw new Error("Price feed config is invalid");
+    // If liquidating through a DSProxy, load the account's DSProxy or deploy one if it does not have one yet. Dry runs
+    // only load an existing DSProxy.
+    let dsProxyManager;
+    if (liquidatorConfig.useDsProxyToLiquidate) {
+      // The router and reserve currency default to Uniswap v2 and WETH on public networks. Elsewhere they must be set.
+      liquidatorConfig = {
+        uniswapRouterAddress: uniswapRouterAddresses[networkId],
+        reserveCurrencyAddress: PublicNetworks[networkId] && PublicNetworks[networkId].wethAddress,
+        ...liquidatorConfig
+      };
+      await gasEstimator.update();
+      dsProxyManager = new DSProxyManager({
+        logger,
+        web3,
+        gasEstimator,
+        account: accounts[0],
+        dsProxyFactoryAddress: liquidatorConfig.dsProxyFactoryAddress || getAddress("DSProxyFactory", networkId),
+        dsProxyFactoryAbi: getAbi("DSProxyFactory"),
+        dsProxyAbi: getAbi("DSProxy"),
+        transactionManager
+      });
+      await dsProxyManager.initializeDSProxy(liquidatorConfig.dsProxyAddress, !dryRun);
+      if (!dsProxyManager.getDSProxyAddress()) {
+        throw new Error("Dry runs cannot deploy a DSProxy. Set `dsProxyAddress` or deploy one before the dry run");
+      }
     }
 
-    // Create the financialContractClient to query on-chain information, GasEstimator to get latest gas prices and an
-    // instance of Liquidator to preform liquidations.
-    const financialContractClient = new FinancialContractClient(
+    const botParams = {
       logger,
-      getAbi(liquidatorConfig.contractType, liquidatorConfig.contractVersion),
       web3,
-      financialContractAddress,
-      networkName ? multicallAddressMap[networkName].multicall : null,
-      collateralDecimals,
-      syntheticDecimals,
-      priceFeed.getPriceFeedDecimals(),
-      liquidatorConfig.contractType
-    );
-
-    const gasEstimator = new GasEstimator(logger);
-    await gasEstimator.update();
-
-    const liquidator = new Liquidator({
-      logger,
-      financialContractClient,
-      gasEstimator,
-      syntheticToken,
-      priceFeed,
       account: accounts[0],
-      financialContractProps,
-      liquidatorConfig
-    });
-
-    logger.debug({
-      at: "Liquidator#index",
-      message: "Liquidator initialized",
-      collateralDecimals: Number(collateralDecimals),
-      syntheticDecimals: Number(syntheticDecimals),
-      priceFeedDecimals: Number(priceFeed.getPriceFeedDecimals()),
+      networkName,
+      gasEstimator,
       priceFeedConfig,
-      liquidatorConfig
-    });
+      liquidatorConfig,
+      dsProxyManager,
+      transactionManager
+    };
 
-    // The Financial Contract requires approval to transfer the liquidator's collateral and synthetic tokens in order to liquidate
-    // a position. We'll set this once to the max value and top up whenever the bot's allowance drops below MAX_INT / 2.
-    const [collateralApproval, syntheticApproval] = await Promise.all([
-      setAllowance(web3, gasEstimator, accounts[0], financialContractAddress, collateralTokenAddress),
-      setAllowance(web3, gasEstimator, accounts[0], financialContractAddress, syntheticTokenAddress)
-    ]);
-    if (collateralApproval) {
-      logger.info({
-        at: "Liquidator#index",
-        message: "Approved Financial Contract to transfer unlimited collateral tokens 💰",
-        collateralApprovalTx: collateralApproval.tx.transactionHash
-      });
-    }
-    if (syntheticApproval) {
-      logger.info({
-        at: "Liquidator#index",
-        message: "Approved Financial Contract to transfer unlimited synthetic tokens 💰",
-        syntheticApprovalTx: syntheticApproval.tx.transactionHash
-      });
+    // Liquidators by contract address. In multi-contract mode, contracts are added as the factories create them.
+    const bots = {};
+    let factoryClients;
+    if (multiContractConfig) {
+      factoryClients = createFinancialContractFactoryClients(
+        logger,
+        web3,
+        networkId,
+        multiContractConfig.creators,
+        multiContractConfig.startingBlock
+      );
+    } else {
+      bots[financialContractAddress] = await createLiquidator({ ...botParams, financialContractAddress });
     }
+    // Contracts that could not be set up, e.g. because there is no default price feed for their identifier or an RPC
+    // call failed. Setup is retried on every discovery pass, but only the first failure is logged as a warning.
+    const failedContracts = new Set();
 
-    // Create a execution loop that will run indefinitely (or yield early if in serverless mode)
-    for (;;) {
+    // Runs one iteration of the bot against a single contract.
+    const runLiquidator = async ({ liquidator, syntheticToken, checkIsExpiredOrShutdown }) => {
       // Check if Financial Contract expired before running current iteration.
-      let isExpiredOrShutdown = await checkIsExpiredOrShutdownPromise();
+      let isExpiredOrShutdown = await checkIsExpiredOrShutdown();
 
       await retry(
         async () => {
@@ -249,12 +396,17 @@ async function run({
           await liquidator.update();
           if (!isExpiredOrShutdown) {
             // Check for liquidatable positions and submit liquidations. Bounded by current synthetic balance and
-            // considers override price if the user has specified one.
-            const currentSyntheticBalance = await syntheticToken.methods.balanceOf(accounts[0]).call();
+            // considers override price if the user has specified one. DSProxy liquidations mint their synthetics, so
+            // they are bounded by the DSProxy's reserve currency instead.
+            const currentSyntheticBalance = liquidatorConfig.useDsProxyToLiquidate
+              ? undefined
+              : await syntheticToken.methods.balanceOf(accounts[0]).call();
             await liquidator.liquidatePositions(currentSyntheticBalance, liquidatorOverridePrice);
           }
           // Check for any finished liquidations that can be withdrawn.
           await liquidator.withdrawRewards();
+          // Send withdrawn rewards held by the DSProxy to the bot and redeem the DSProxy's position where possible.
+          await liquidator.unwindDsProxyPosition(isExpiredOrShutdown);
         },
         {
           retries: errorRetries,
@@ -264,11 +416,60 @@ async function run({
             logger.debug({
               at: "Liquidator#index",
               message: "An error was thrown in the execution loop - retrying",
+              financialContractAddress: liquidator.financialContract.options.address,
               error: typeof error === "string" ? new Error(error) : error
             });
           }
         }
       );
+    };
+
+    // Create a execution loop that will run indefinitely (or yield early if in serverless mode)
+    for (;;) {
+      if (multiContractConfig) {
+        const contracts = await discoverFinancialContracts(
+          factoryClients,
+          multiContractConfig.allowList,
+          multiContractConfig.denyList
+        );
+        for (const { contractAddress, contractType } of contracts) {
+          if (bots[contractAddress]) continue;
+          try {
+            bots[contractAddress] = await createLiquidator({
+              ...botParams,
+              financialContractAddress: contractAddress,
+              liquidatorConfig: { ...liquidatorConfig, contractType }
+            });
+          } catch (error) {
+            logger[failedContracts.has(contractAddress) ? "debug" : "warn"]({
+              at: "Liquidator#index",
+              message: "Skipping Financial Contract that the liquidator could not be set up for",
+              financialContractAddress: contractAddress,
+              error: typeof error === "string" ? new Error(error) : error
+            });
+            failedContracts.add(contractAddress);
+          }
+        }
+      }
+
+      for (const [contractAddress, bot] of Object.entries(bots)) {
+        // A single contract failing should not stop the liquidators of the other contracts.
+        if (multiContractConfig) {
+          try {
+            await runLiquidator(bot);
+          } catch (error) {
+            logger.error({
+              at: "Liquidator#index",
+              message: "Liquidator execution error for Financial Contract🚨",
+              financialContractAddress: contractAddress,
+              error: typeof error === "string" ? new Error(error) : error
+            });
+          }
+        } else {
+          await runLiquidator(bot);
+        }
+      }
+
       // If the polling delay is set to 0 then the script will terminate the bot after one full run.
       if (pollingDelay === 0) {
         logger.debug({
@@ -294,9 +495,9 @@ async function run({
 
 async function Poll(callback) {
   try {
-    if (!process.env.EMP_ADDRESS && !process.env.FINANCIAL_CONTRACT_ADDRESS) {
+    if (!process.env.EMP_ADDRESS && !process.env.FINANCIAL_CONTRACT_ADDRESS && !process.env.MULTI_CONTRACT_CONFIG) {
       throw new Error(
-        "Bad environment variables! Specify an EMP_ADDRESS or FINANCIAL_CONTRACT_ADDRESS for the location of the financial contract the bot is expected to interact with."
+        "Bad environment variables! Specify an EMP_ADDRESS or FINANCIAL_CONTRACT_ADDRESS for the location of the financial contract the bot is expected to interact with, or a MULTI_CONTRACT_CONFIG to interact with every financial contract."
       );
     }
 
@@ -326,6 +527,19 @@ async function Poll(callback) {
       //   "defenseActivationPercent": undefined -> Set to > 0 to turn on "Whale Defense" strategy.
       //                               Specifies how far along a withdraw must be in % before defense strategy kicks in.
       //   "logOverrides":{"positionLiquidated":"warn"}, -> override specific events log levels.
+      //   "minProfit":"10", -> Skip liquidations expected to earn less than this much collateral, net of gas.
+      //   "ethPriceFeedConfig":{"type":"medianizer",..}, -> Price feed for collateral per ETH, used to price gas.
+      //   "ethPriceInCollateral":"1", -> Static collateral per ETH, used to price gas if there is no ethPriceFeedConfig.
+      //                                  One of the two is required with minProfit.
+      //   "skipUnprofitable":true, -> If false, unprofitable liquidations are logged but still sent.
+      //   "useDsProxyToLiquidate":false, -> Liquidate through a DSProxy that swaps reserve currency for collateral,
+      //                                     mints synthetics and liquidates in one transaction. Also set:
+      //   "reserveCurrencyAddress":"0x..", -> Token held by the DSProxy. Defaults to WETH on public networks.
+      //   "uniswapRouterAddress":"0x..", -> Uniswap v2 router to trade on. Defaults to the router on public networks.
+      //   "liquidatorReserveCurrencyAddress":"0x..", -> Deployed ReserveCurrencyLiquidator. Deployed per tx if unset.
+      //   "maxReserveTokenSpent":"1000000000000000000", -> Max reserve currency, in wei, to spend per liquidation.
+      //   "dsProxyFactoryAddress":"0x..", -> DSProxyFactory used to find or deploy the account's DSProxy.
+      //   "dsProxyAddress":"0x..", -> Use this DSProxy instead of looking one up through the factory.
       //   "contractType":"ExpiringMultiParty", -> override the kind of contract the liquidator is pointing at.
       //   "contractVersion":"1.2.2"} -> override the contract version the liquidator is pointing at.
       liquidatorConfig: process.env.LIQUIDATOR_CONFIG ? JSON.parse(process.env.LIQUIDATOR_CONFIG) : {},
@@ -337,7 +551,28 @@ async function Poll(callback) {
       startingBlock: process.env.STARTING_BLOCK_NUMBER,
       // Block number to search for events to. If set, acts to limit from where the monitor bot will search for events up
       // until. If either startingBlock or endingBlock is not sent, then the bot will search for event.
-      endingBlock: process.env.ENDING_BLOCK_NUMBER
+      endingBlock: process.env.ENDING_BLOCK_NUMBER,
+      // If there is a multi contract config, liquidate on every ExpiringMultiParty and Perpetual created by UMA's
+      // factories instead of the single financial contract. Each contract's price feed is inferred from its identifier
+      // and combined with PRICE_FEED_CONFIG, if set. Example config:
+      // { "allowList":["0x.."], -> Only liquidate on these contracts. Defaults to all contracts.
+      //   "denyList":["0x.."], -> Never liquidate on these contracts.
+      //   "creators":[{"contractType":"ExpiringMultiPartyCreator","address":"0x.."}], -> Factories to query instead
+      //                                                                                  of the latest deployed ones.
+      //   "startingBlock":0} -> Block to search for created contracts from.
+      multiContractConfig: process.env.MULTI_CONTRACT_CONFIG ? JSON.parse(process.env.MULTI_CONTRACT_CONFIG) : null,
+      // If there is a gas estimator config, add it. Else, gas prices are estimated with the network's default strategy.
+      // Example config:
+      // { "strategy":"node", -> "legacy" for gas price APIs only, "london" to also send EIP-1559 transactions with fees
+      //                         from the node's fee history, or "node" for EIP-1559 fees without any external API.
+      //   "feeHistoryBlocks":10, -> Number of recent blocks whose priority fees are sampled.
+      //   "priorityFeePercentile":50, -> Percentile of each block's priority fees that is sampled.
+      //   "baseFeeMultiplier":2, -> maxFeePerGas is the next block's base fee times this plus the priority fee.
+      //   "gasSources":[{"type":"blockSample","blocks":10,"percentile":60},{"type":"node"}]} -> Gas price sources, tried
+      //                  in order. Types are "etherchain", "etherscan", "blockSample" and "node".
+      gasEstimatorConfig: process.env.GAS_ESTIMATOR_CONFIG ? JSON.parse(process.env.GAS_ESTIMATOR_CONFIG) : {},
+      // If DRY_RUN is "true", the bot runs its full logic but only simulates and logs the transactions it would send.
+      dryRun: process.env.DRY_RUN === "true"
     };
 
     await run({ logger: Logger, web3: getWeb3(), ...executionParameters });
@@ -0,0 +1,159 @@
+// This script replays a historical block range of a Financial Contract and reports the liquidations and disputes that
+// the liquidator and disputer bots would have sent, along with their theoretical P&L. Use it to tune `crThreshold`,
+// `defenseActivationPercent` and `disputeDelay` against real history. Nothing is sent on-chain.
+// Example usage: yarn backtest --financialContractAddress 0x... --fromBlock 11900000 --toBlock 11950000 \
+// --blockStep 100 --backtestConfig '{"crThreshold":0.02,"syntheticTokenBalance":"100000000000000000000000",
+// "ethPriceInCollateral":"1"}' --network mainnet_mnemonic
+// `backtestConfig` accepts the settings described in src/backtester.js. `priceFeedConfig` can optionally override the
+// contract's default price feed. By default, its lookback is extended to cover the whole block range.
+
+// Reading historical contract state requires an archive node. Set it using: export CUSTOM_NODE_URL=<your node here>
+require("dotenv").config();
+const { getWeb3, findContractVersion } = require("@uma/common");
+const { getAbi } = require("@uma/core");
+const {
+  FinancialContractClient,
+  Networker,
+  Logger,
+  createReferencePriceFeedForFinancialContract
+} = require("@uma/financial-templates-lib");
+const { Backtester } = require("../src/backtester");
+
+const argv = require("minimist")(process.argv.slice(), {
+  string: ["financialContractAddress", "backtestConfig", "priceFeedConfig"],
+  integer: ["fromBlock", "toBlock", "blockStep"]
+});
+
+async function backtest({
+  web3,
+  financialContractAddress,
+  fromBlock,
+  toBlock,
+  blockStep = 100,
+  backtestConfig,
+  priceFeedConfig
+}) {
+  if (!web3.utils.isAddress(financialContractAddress) || !fromBlock || !toBlock || fromBlock > toBlock) {
+    throw new Error("Missing or invalid parameter! Provide financialContractAddress, fromBlock & toBlock");
+  }
+
+  const detectedContract = await findContractVersion(financialContractAddress, web3);
+  if (!detectedContract) throw new Error(`No supported financial contract at ${financialContractAddress}`);
+  const { contractType, contractVersion } = detectedContract;
+  const financialContract = new web3.eth.Contract(getAbi(contractType, contractVersion), financialContractAddress);
+  const { methods } = financialContract;
+
+  // Contract version 1.2.2 and below abbreviate "Percentage" to "Pct".
+  const isLegacyEmpVersion = ["1.2.0", "1.2.1", "1.2.2"].includes(contractVersion);
+  const [
+    collateralRequirement,
+    minSponsorTokens,
+    withdrawLiveness,
+    disputeBondPercentage,
+    disputerDisputeRewardPercentage,
+    collateralTokenAddress,
+    syntheticTokenAddress,
+    finderAddress
+  ] = await Promise.all([
+    methods.collateralRequirement().call(),
+    methods.minSponsorTokens().call(),
+    methods.withdrawalLiveness().call(),
+    (isLegacyEmpVersion ? methods.disputeBondPct() : methods.disputeBondPercentage()).call(),
+    (isLegacyEmpVersion ? methods.disputerDisputeRewardPct() : methods.disputerDisputeRewardPercentage()).call(),
+    methods.collateralCurrency().call(),
+    methods.tokenCurrency().call(),
+    methods.finder().call()
+  ]);
+  const finder = new web3.eth.Contract(getAbi("Finder"), finderAddress);
+  const store = new web3.eth.Contract(
+    getAbi("Store"),
+    await finder.methods.getImplementationAddress(web3.utils.utf8ToHex("Store")).call()
+  );
+  // Final fees can change over time, so use the one at the end of the range.
+  const finalFee = await store.methods.computeFinalFee(collateralTokenAddress).call(undefined, toBlock);
+
+  const [collateralDecimals, syntheticDecimals] = await Promise.all([
+    new web3.eth.Contract(getAbi("ExpandedERC20"), collateralTokenAddress).methods.decimals().call(),
+    new web3.eth.Contract(getAbi("ExpandedERC20"), syntheticTokenAddress).methods.decimals().call()
+  ]);
+
+  // The price feed must be able to return historical prices for the whole range.
+  const getTime = () => Math.round(new Date().getTime() / 1000);
+  const fromBlockTimestamp = Number((await web3.eth.getBlock(fromBlock)).timestamp);
+  const priceFeed = await createReferencePriceFeedForFinancialContract(
+    Logger,
+    web3,
+    new Networker(Logger),
+    getTime,
+    financialContractAddress,
+    { lookback: getTime() - fromBlockTimestamp + 3600, ...priceFeedConfig }
+  );
+  if (!priceFeed) throw new Error("Price feed config is invalid");
+
+  const financialContractClient = new FinancialContractClient(
+    Logger,
+    getAbi(contractType, contractVersion),
+    web3,
+    financialContractAddress,
+    null, // Historical updates read the funding rate directly, so the Multicall contract is not needed.
+    collateralDecimals,
+    syntheticDecimals,
+    priceFeed.getPriceFeedDecimals(),
+    contractType
+  );
+
+  const backtester = new Backtester({
+    logger: Logger,
+    financialContractClient,
+    priceFeed,
+    financialContractProps: {
+      crRatio: collateralRequirement,
+      minSponsorSize: minSponsorTokens,
+      withdrawLiveness,
+      disputeBondPercentage: disputeBondPercentage.toString(),
+      disputerDisputeRewardPercentage: disputerDisputeRewardPercentage.toString(),
+      finalFee: finalFee.rawValue
+    },
+    backtestConfig
+  });
+
+  console.log(`🔙 Backtesting ${financialContractAddress} from block ${fromBlock} to ${toBlock}`);
+  const report = await backtester.run({ fromBlock, toBlock, blockStep });
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+// Implement async callback to enable the script to be run by truffle or node.
+async function Main(callback) {
+  try {
+    await backtest({
+      web3: getWeb3(),
+      financialContractAddress: argv.financialContractAddress,
+      fromBlock: Number(argv.fromBlock),
+      toBlock: Number(argv.toBlock),
+      blockStep: argv.blockStep ? Number(argv.blockStep) : undefined,
+      backtestConfig: argv.backtestConfig ? JSON.parse(argv.backtestConfig) : {},
+      priceFeedConfig: argv.priceFeedConfig ? JSON.parse(argv.priceFeedConfig) : {}
+    });
+  } catch (error) {
+    return callback(error);
+  }
+  callback();
+}
+
+function nodeCallback(err) {
+  if (err) {
+    console.error(err);
+    process.exit(1);
+  } else process.exit(0);
+}
+
+// If called directly by node, execute the Main Function. This lets the script be run as a node process.
+if (require.main === module) {
+  Main(nodeCallback)
+    .then(() => {})
+    .catch(nodeCallback);
+}
+
+Main.backtest = backtest;
+module.exports = Main;
@@ -0,0 +1,299 @@
+const { createObjectFromDefaultProps } = require("@uma/common");
+const { createProfitabilityModel } = require("@uma/financial-templates-lib");
+
+const LiquidationStrategy = require("./liquidationStrategy");
+
+class Backtester {
+  /**
+   * @notice Constructs new Backtester, which replays a historical block range of a Financial Contract and reports the
+   * liquidations and disputes that the liquidator and disputer bots would have sent, along with their theoretical P&L.
+   * Nothing is sent on-chain. Reading historical contract state requires an archive node.
+   * @param {Object} logger Module used to send logs.
+   * @param {Object} financialContractClient Module used to query Financial Contract information at historical blocks.
+   * @param {Object} priceFeed Module used to query historical token prices. Its lookback must cover the block range.
+   * @param {Object} financialContractProps Contains Financial Contract contract state data. Expected:
+   *      { crRatio: 1.5e18,
+   *        minSponsorSize: 10e18,
+   *        withdrawLiveness: 7200,
+   *        disputeBondPercentage: 0.1e18,
+   *        disputerDisputeRewardPercentage: 0.2e18,
+   *        finalFee: 1e18 }
+   * @param {Object} backtestConfig Contains the bot settings to evaluate and the assumptions used to compute P&L.
+   */
+  constructor({ logger, financialContractClient, priceFeed, financialContractProps, backtestConfig }) {
+    this.logger = logger;
+    this.financialContractClient = financialContractClient;
+    this.priceFeed = priceFeed;
+    this.financialContractProps = financialContractProps;
+    this.web3 = this.financialContractClient.web3;
+
+    // Helper functions from web3.
+    this.toBN = this.web3.utils.toBN;
+    this.toWei = this.web3.utils.toWei;
+    this.fromWei = this.web3.utils.fromWei;
+
+    const defaultConfig = {
+      crThreshold: {
+        // `crThreshold`: Same as the liquidator's `crThreshold`.
+        value: 0.02,
+        isValid: x => {
+          return x < 1 && x >= 0;
+        }
+      },
+      defenseActivationPercent: {
+        // `defenseActivationPercent`: Same as the liquidator's `defenseActivationPercent`.
+        value: undefined,
+        isValid: x => {
+          if (x === undefined) return true;
+          return parseFloat(x) >= 0 && parseFloat(x) <= 100;
+        }
+      },
+      liquidationDeadline: {
+        // `liquidationDeadline`: Same as the liquidator's `liquidationDeadline`.
+        value: 300,
+        isValid: x => {
+          return x >= 0;
+        }
+      },
+      disputeDelay: {
+        // `disputeDelay`: Same as the disputer's `disputeDelay`.
+        value: 60,
+        isValid: x => {
+          return x >= 0;
+        }
+      },
+      syntheticTokenBalance: {
+        // `syntheticTokenBalance`: Synthetic tokens, in wei, that the liquidator is assumed to hold at every step. The
+        // balance is not reduced by simulated liquidations, so that each decision is evaluated on its own.
+        value: undefined,
+        isValid: x => {
+          return x !== undefined && this.toBN(x).gt(this.toBN("0"));
+        }
+      },
+      ethPriceInCollateral: {
+        // `ethPriceInCollateral`: Collateral per ETH, in whole units, used to convert gas costs into collateral.
+        value: undefined,
+        isValid: x => {
+          return parseFloat(x) > 0;
+        }
+      },
+      gasPriceGwei: {
+        // `gasPriceGwei`: Gas price assumed for every transaction. Historical transactions can't be estimated, so this
+        // and the gas estimates below are fixed.
+        value: 50,
+        isValid: x => {
+          return x >= 0;
+        }
+      },
+      liquidationGasEstimate: {
+        value: 500000,
+        isValid: x => {
+          return x >= 0;
+        }
+      },
+      disputeGasEstimate: {
+        value: 300000,
+        isValid: x => {
+          return x >= 0;
+        }
+      }
+    };
+
+    // Validate and set config settings to class state.
+    const configWithDefaults = createObjectFromDefaultProps(backtestConfig, defaultConfig);
+    Object.assign(this, configWithDefaults);
+
+    this.profitabilityModel = createProfitabilityModel(
+      { ethPriceInCollateral: this.ethPriceInCollateral },
+      this.web3.utils
+    );
+
+    // Uses the liquidator's own sizing logic. Its logs are only of interest while debugging the backtest.
+    this.liquidationStrategy = LiquidationStrategy(
+      { ...configWithDefaults, ...financialContractProps },
+      this.web3.utils,
+      (severity, data) => this.logger.debug({ at: "Backtester", ...data })
+    );
+
+    this._resetReport();
+  }
+
+  // Replays blocks `fromBlock` to `toBlock`, every `blockStep` blocks, and returns the report.
+  async run({ fromBlock, toBlock, blockStep = 1 }) {
+    if (!(blockStep > 0)) throw new Error("blockStep must be positive");
+    this._resetReport();
+    await this.priceFeed.update();
+
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber += blockStep) {
+      await this.processBlock(blockNumber);
+    }
+    return this.getReport();
+  }
+
+  // Updates the client to `blockNumber` and records the decisions that the bots would have made at it.
+  async processBlock(blockNumber) {
+    await this.financialContractClient.update(blockNumber);
+    const currentTime = Number(this.financialContractClient.getLastUpdateTime());
+
+    let price;
+    try {
+      price = await this.priceFeed.getHistoricalPrice(currentTime);
+    } catch (error) {
+      price = null;
+    }
+    if (!price) {
+      this.logger.warn({
+        at: "Backtester",
+        message: "Skipping block: price feed returned invalid value",
+        blockNumber,
+        currentTime
+      });
+      this.report.skippedBlocks.push(blockNumber);
+      return;
+    }
+
+    this._simulateLiquidations(blockNumber, currentTime, price);
+    await this._simulateDisputes(blockNumber, currentTime);
+  }
+
+  // Returns the decisions recorded so far, with totals in whole units of collateral.
+  getReport() {
+    const sum = actions => actions.reduce((total, action) => total.add(action.profitWei), this.toBN("0"));
+    const format = ({ profitWei, ...action }) => ({ ...action, profit: this.fromWei(profitWei) });
+    return {
+      liquidations: this.report.liquidations.map(format),
+      disputes: this.report.disputes.map(format),
+      skippedBlocks: this.report.skippedBlocks,
+      totalLiquidationProfit: this.fromWei(sum(this.report.liquidations)),
+      totalDisputeProfit: this.fromWei(sum(this.report.disputes))
+    };
+  }
+
+  // Mirrors `Liquidator.liquidatePositions`.
+  _simulateLiquidations(blockNumber, currentTime, price) {
+    const {
+      normalizeCollateralDecimals,
+      normalizeSyntheticDecimals,
+      normalizePriceFeedDecimals
+    } = this.financialContractClient;
+    const fixedPointAdjustment = this.toBN(this.toWei("1"));
+    const cumulativeFundingRateMultiplier = this.financialContractClient.getLatestCumulativeFundingRateMultiplier();
+
+    const scaledPrice = price
+      .mul(fixedPointAdjustment.sub(this.toBN(this.toWei(this.crThreshold.toString()))))
+      .div(fixedPointAdjustment);
+    const maxCollateralPerToken = scaledPrice
+      .mul(this.toBN(this.financialContractProps.crRatio.toString()))
+      .mul(cumulativeFundingRateMultiplier)
+      .div(fixedPointAdjustment.mul(fixedPointAdjustment));
+
+    for (const position of this.financialContractClient.getUnderCollateralizedPositions(scaledPrice)) {
+      // Historical state doesn't reflect simulated liquidations, so a position is only liquidated again once it changes.
+      const positionKey = [
+        position.numTokens,
+        position.amountCollateral,
+        position.withdrawalRequestPassTimestamp
+      ].join();
+      if (this.liquidatedPositions[position.sponsor] === positionKey) continue;
+
+      const liquidationArgs = this.liquidationStrategy.processPosition({
+        position,
+        syntheticTokenBalance: this.toBN(this.syntheticTokenBalance),
+        currentBlockTime: currentTime,
+        maxCollateralPerToken,
+        inputPrice: scaledPrice.toString()
+      });
+      if (!liquidationArgs) continue;
+      this.liquidatedPositions[position.sponsor] = positionKey;
+
+      const tokensToLiquidate = liquidationArgs[3].rawValue;
+      const estimate = this.profitabilityModel.calculateLiquidationProfit({
+        tokensToLiquidate: normalizeSyntheticDecimals(tokensToLiquidate),
+        positionTokens: normalizeSyntheticDecimals(position.numTokens),
+        positionCollateral: normalizeCollateralDecimals(
+          this.toBN(position.amountCollateral).sub(this.toBN(position.withdrawalRequestAmount))
+        ),
+        // Perpetual debt grows with the funding rate, so the synthetics are worth the price times the multiplier.
+        price: normalizePriceFeedDecimals(price)
+          .mul(cumulativeFundingRateMultiplier)
+          .div(fixedPointAdjustment),
+        finalFee: normalizeCollateralDecimals(this.financialContractProps.finalFee),
+        gasEstimate: this.liquidationGasEstimate,
+        gasPrice: this.toWei(this.gasPriceGwei.toString(), "gwei")
+      });
+
+      this.report.liquidations.push({
+        blockNumber,
+        time: currentTime,
+        sponsor: position.sponsor,
+        price: price.toString(),
+        scaledPrice: scaledPrice.toString(),
+        positionTokens: position.numTokens,
+        tokensToLiquidate: tokensToLiquidate.toString(),
+        isPartial: this.toBN(tokensToLiquidate).lt(this.toBN(position.numTokens)),
+        profitWei: estimate.profit,
+        gasCost: this.fromWei(estimate.gasCost),
+        capitalRequired: this.fromWei(estimate.capitalRequired)
+      });
+    }
+  }
+
+  // Mirrors `Disputer.dispute`.
+  async _simulateDisputes(blockNumber, currentTime) {
+    const {
+      normalizeCollateralDecimals,
+      normalizeSyntheticDecimals,
+      normalizePriceFeedDecimals
+    } = this.financialContractClient;
+
+    for (const liquidation of this.financialContractClient.getUndisputedLiquidations()) {
+      const liquidationKey = `${liquidation.sponsor}-${liquidation.id}`;
+      if (this.disputedLiquidations.has(liquidationKey)) continue;
+      if (currentTime < Number(liquidation.liquidationTime) + this.disputeDelay) continue;
+
+      let price;
+      try {
+        price = await this.priceFeed.getHistoricalPrice(Number(liquidation.liquidationTime));
+      } catch (error) {
+        continue;
+      }
+      if (!price || !this.financialContractClient.isDisputable(liquidation, price)) continue;
+      this.disputedLiquidations.add(liquidationKey);
+
+      const estimate = this.profitabilityModel.calculateDisputeProfit({
+        liquidatedTokens: normalizeSyntheticDecimals(liquidation.numTokens),
+        lockedCollateral: normalizeCollateralDecimals(liquidation.lockedCollateral),
+        price: normalizePriceFeedDecimals(price),
+        disputeBondPercentage: this.financialContractProps.disputeBondPercentage,
+        disputerDisputeRewardPercentage: this.financialContractProps.disputerDisputeRewardPercentage,
+        finalFee: normalizeCollateralDecimals(this.financialContractProps.finalFee),
+        gasEstimate: this.disputeGasEstimate,
+        gasPrice: this.toWei(this.gasPriceGwei.toString(), "gwei")
+      });
+
+      this.report.disputes.push({
+        blockNumber,
+        time: currentTime,
+        sponsor: liquidation.sponsor,
+        liquidationId: liquidation.id,
+        liquidator: liquidation.liquidator,
+        liquidationTime: liquidation.liquidationTime,
+        price: price.toString(),
+        profitWei: estimate.profit,
+        gasCost: this.fromWei(estimate.gasCost),
+        capitalRequired: this.fromWei(estimate.capitalRequired)
+      });
+    }
+  }
+
+  _resetReport() {
+    this.report = { liquidations: [], disputes: [], skippedBlocks: [] };
+    // Sponsor => position state at the last simulated liquidation.
+    this.liquidatedPositions = {};
+    this.disputedLiquidations = new Set();
+  }
+}
+
+module.exports = {
+  Backtester
+};
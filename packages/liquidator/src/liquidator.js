@@ -1,10 +1,18 @@
-const ynatm = require("@umaprotocol/ynatm");
-
 const {
   PostWithdrawLiquidationRewardsStatusTranslations,
   createObjectFromDefaultProps,
-  revertWrapper
+  revertWrapper,
+  ConvertDecimals
 } = require("@uma/common");
+const { getAbi, getTruffleContract } = require("@uma/core");
+const {
+  createProfitabilityModel,
+  createPriceQualityConfig,
+  checkPriceQuality,
+  TransactionManager
+} = require("@uma/financial-templates-lib");
+
+const UniswapV2Router02 = require("@uniswap/v2-periphery/build/UniswapV2Router02.json");
 
 const LiquidationStrategy = require("./liquidationStrategy");
 
@@ -22,6 +30,12 @@ class Liquidator {
             minSponsorSize: 10e18,
             priceIdentifier: hex("ETH/BTC") }
    * @param {Object} [liquidatorConfig] Contains fields with which constructor will attempt to override defaults.
+   * @param {Object} [dsProxyManager] Module used to send transactions through the bot's DSProxy. Required if
+   *      `useDsProxyToLiquidate` is set in the `liquidatorConfig`. Its DSProxy must already be initialized.
+   * @param {Object} [transactionManager] Module used to send txns from `account`. Should be shared with other bots in
+   *      the process that send from `account`. A new one is created if not provided.
+   * @param {Object} [ethPriceFeed] Module used to query the price of ETH in collateral currency, used to convert gas
+   *      costs into collateral for `minProfit`. Takes precedence over `ethPriceInCollateral`.
    */
   constructor({
     logger,
@@ -31,7 +45,10 @@ class Liquidator {
     priceFeed,
     account,
     financialContractProps,
-    liquidatorConfig
+    liquidatorConfig,
+    dsProxyManager,
+    transactionManager,
+    ethPriceFeed
   }) {
     this.logger = logger;
     this.account = account;
@@ -43,12 +60,17 @@ class Liquidator {
     // Gas Estimator to calculate the current Fast gas rate.
     this.gasEstimator = gasEstimator;
 
+    // Sends transactions and bumps their gas price while they are pending.
+    this.transactionManager =
+      transactionManager || new TransactionManager({ logger, web3: this.web3, gasEstimator, account });
+
     // Instance of the expiring multiparty to perform on-chain liquidations.
     this.financialContract = this.financialContractClient.financialContract;
     this.syntheticToken = syntheticToken;
 
     // Instance of the price feed to get the realtime token price.
     this.priceFeed = priceFeed;
+    this.ethPriceFeed = ethPriceFeed;
 
     // The Financial Contract contract collateralization Ratio is needed to calculate minCollateralPerToken.
     this.financialContractCRRatio = financialContractProps.crRatio;
@@ -65,9 +87,6 @@ class Liquidator {
     this.fromWei = this.web3.utils.fromWei;
     this.utf8ToHex = this.web3.utils.utf8ToHex;
 
-    // Multiplier applied to Truffle's estimated gas limit for a transaction to send.
-    this.GAS_LIMIT_BUFFER = 1.25;
-
     // Default config settings. Liquidator deployer can override these settings by passing in new
     // values via the `liquidatorConfig` input object. The `isValid` property is a function that should be called
     // before resetting any config settings. `isValid` must return a Boolean.
@@ -97,9 +116,35 @@ class Liquidator {
         isValid: x => {
           return this.toBN(x).gte(this.toBN("0"));
         }
-        // TODO: We should specify as a percentage of the token price so that no valid
-        // liquidation would ever lose money.
+        // Note: set `minProfit` to skip liquidations that would lose money.
+      },
+      minProfit: {
+        // `minProfit`: Skips liquidations whose expected P&L, in whole units of collateral, is below this value. The
+        // P&L is the liquidated collateral minus the value of the synthetics spent and the gas cost. Requires an
+        // `ethPriceFeed` or `ethPriceInCollateral`. Undefined disables the check.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || !isNaN(parseFloat(x));
+        }
+      },
+      ethPriceInCollateral: {
+        // `ethPriceInCollateral`: Collateral per ETH, in whole units, used to convert gas costs into collateral for
+        // `minProfit` if there is no `ethPriceFeed`. E.g. "1" for WETH collateral.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || parseFloat(x) > 0;
+        }
+      },
+      skipUnprofitable: {
+        // `skipUnprofitable`: If false, liquidations below `minProfit` are still sent, but logged.
+        value: true,
+        isValid: x => {
+          return typeof x === "boolean";
+        }
       },
+      // `maxPriceDispersion` and `maxPriceAge`: Aborts liquidations while the price feed's sources disagree too much or
+      // its price is stale. See `createPriceQualityConfig` in financial-templates-lib.
+      ...createPriceQualityConfig(),
       txnGasLimit: {
         // `txnGasLimit`: Gas limit to set for sending on-chain transactions.
         value: 9000000, // Can see recent averages here: https://etherscan.io/chart/gaslimit
@@ -136,6 +181,50 @@ class Liquidator {
           return x === "1.2.0" || x === "1.2.1" || x === "1.2.2" || x === "latest";
         }
       },
+      useDsProxyToLiquidate: {
+        // `useDsProxyToLiquidate`: If set, liquidations are sent through the bot's DSProxy, which calls the
+        // ReserveCurrencyLiquidator to buy collateral with its reserve currency on Uniswap, mint synthetics and
+        // liquidate in one transaction. The bot then needs no synthetic inventory, but the DSProxy is left with an
+        // open position. `unwindDsProxyPosition` redeems it with synthetics sent to the DSProxy and sends the
+        // DSProxy's collateral to the bot.
+        value: false,
+        isValid: x => {
+          return typeof x === "boolean";
+        }
+      },
+      uniswapRouterAddress: {
+        // `uniswapRouterAddress`: Uniswap v2 router used to buy collateral in DSProxy liquidations. Required with
+        // `useDsProxyToLiquidate`.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || this.web3.utils.isAddress(x);
+        }
+      },
+      reserveCurrencyAddress: {
+        // `reserveCurrencyAddress`: Token held by the DSProxy that is swapped for collateral. Must differ from the
+        // collateral currency, since DSProxy liquidations always trade on Uniswap. Required with
+        // `useDsProxyToLiquidate`.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || this.web3.utils.isAddress(x);
+        }
+      },
+      liquidatorReserveCurrencyAddress: {
+        // `liquidatorReserveCurrencyAddress`: Deployed ReserveCurrencyLiquidator library. If undefined, the library is
+        // deployed within each liquidation transaction, which costs more gas.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || this.web3.utils.isAddress(x);
+        }
+      },
+      maxReserveTokenSpent: {
+        // `maxReserveTokenSpent`: Maximum amount of reserve currency, in wei, to spend on a single liquidation. Bounds
+        // the slippage of the Uniswap trade. If undefined, the DSProxy can spend its whole reserve balance.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || this.toBN(x).gt(this.toBN("0"));
+        }
+      },
       // Start and end block define a window used to filter for contract events.
       startingBlock: {
         value: undefined,
@@ -162,6 +251,27 @@ class Liquidator {
       this.contractVersion === "1.2.0" || this.contractVersion === "1.2.1" || this.contractVersion === "1.2.2"
     );
 
+    if (this.useDsProxyToLiquidate) {
+      if (!dsProxyManager) throw new Error("A dsProxyManager is required to liquidate through a DSProxy");
+      // Legacy contracts only let the liquidator itself withdraw rewards, which the bot can't do on the DSProxy's
+      // behalf.
+      if (this.isLegacyEmpVersion) throw new Error("DSProxy liquidations are not supported for this contract version");
+      if (!this.uniswapRouterAddress || !this.reserveCurrencyAddress) {
+        throw new Error("DSProxy liquidations require a `uniswapRouterAddress` and a `reserveCurrencyAddress`");
+      }
+    }
+    this.dsProxyManager = dsProxyManager;
+
+    if (this.minProfit !== undefined) {
+      if (!this.ethPriceFeed && this.ethPriceInCollateral === undefined) {
+        throw new Error("`minProfit` requires an `ethPriceFeed` or `ethPriceInCollateral`");
+      }
+      this.profitabilityModel = createProfitabilityModel(
+        { minProfit: this.minProfit, ethPriceInCollateral: this.ethPriceInCollateral },
+        this.web3.utils
+      );
+    }
+
     // generalize log emitter, use it to attach default data to all logs
     const log = (severity = "info", data = {}) => {
       // would rather just throw here and let index.js capture and log, but
@@ -197,7 +307,12 @@ class Liquidator {
 
   // Update the financialContractClient, gasEstimator and price feed. If a client has recently updated then it will do nothing.
   async update() {
-    await Promise.all([this.financialContractClient.update(), this.gasEstimator.update(), this.priceFeed.update()]);
+    await Promise.all([
+      this.financialContractClient.update(),
+      this.gasEstimator.update(),
+      this.priceFeed.update(),
+      this.ethPriceFeed && this.ethPriceFeed.update()
+    ]);
   }
   // Queries underCollateralized positions and performs liquidations against any under collateralized positions.
   // If `maxTokensToLiquidateWei` is not passed in, then the bot will attempt to liquidate the full position.
@@ -216,6 +331,17 @@ class Liquidator {
       throw new Error("Cannot liquidate: price feed returned invalid value");
     }
 
+    // Refuse to act on a price that is stale or whose sources disagree too much, since the aggregate could be derived
+    // from bad data.
+    const priceQualityError =
+      !liquidatorOverridePrice &&
+      checkPriceQuality(this.priceFeed, this.financialContractClient.getLastUpdateTime(), this);
+    if (priceQualityError) {
+      const { reason, ...details } = priceQualityError;
+      this.logger.warn({ at: "Liquidator", message: `Cannot liquidate: ${reason}✋`, ...details });
+      return;
+    }
+
     // The `price` is a BN that is used to determine if a position is liquidatable. The higher the
     // `price` value, the more collateral that the position is required to have to be correctly collateralized.
     // Therefore, we add a buffer by deriving scaledPrice = price * (1 - crThreshold)
@@ -269,7 +395,11 @@ class Liquidator {
 
       // Note: query the time again during each iteration to ensure the deadline is set reasonably.
       const currentBlockTime = this.financialContractClient.getLastUpdateTime();
-      const syntheticTokenBalance = this.toBN(await this.syntheticToken.methods.balanceOf(this.account).call());
+      // When liquidating through the DSProxy, the synthetics are minted in the liquidation transaction, so the
+      // balance is however many tokens its reserve currency can buy.
+      const syntheticTokenBalance = this.useDsProxyToLiquidate
+        ? await this._getDsProxyLiquidationCapacity()
+        : this.toBN(await this.syntheticToken.methods.balanceOf(this.account).call());
 
       // run strategy based on configs and current state
       // will return liquidation arguments or nothing
@@ -311,30 +441,20 @@ class Liquidator {
         });
       }
 
+      if (this.useDsProxyToLiquidate) {
+        await this._liquidateWithDsProxy({ position, liquidationArgs, price, scaledPrice, maxCollateralPerToken });
+        continue;
+      }
+
       // liquidation strategy will control how much to liquidate
       const liquidation = this.financialContract.methods.createLiquidation(...liquidationArgs);
 
       // Send the transaction or report failure.
-      let receipt;
-      let txnConfig;
+      let receipt, nonce, fees;
       try {
-        // Configure tx config object
         const gasEstimation = await liquidation.estimateGas({ from: this.account });
-        txnConfig = {
-          from: this.account,
-          gas: Math.min(Math.floor(gasEstimation * this.GAS_LIMIT_BUFFER), this.txnGasLimit),
-          gasPrice: this.gasEstimator.getCurrentFastPrice()
-        };
-
-        // Make sure to keep trying with this nonce
-        const nonce = await this.web3.eth.getTransactionCount(this.account);
-
-        // Min Gas Price, with a max gasPrice of x4
-        const minGasPrice = parseInt(this.gasEstimator.getCurrentFastPrice(), 10);
-        const maxGasPrice = 2 * 3 * minGasPrice;
-
-        // Doubles gasPrice every iteration
-        const gasPriceScalingFunction = ynatm.DOUBLES;
+        if (!(await this._isLiquidationWorthSending({ position, tokensToLiquidate, price, gasEstimation }))) continue;
+        fees = this.gasEstimator.getCurrentFees();
 
         this.logger.debug({
           at: "Liquidator",
@@ -344,17 +464,19 @@ class Liquidator {
           minLiquidationPrice: this.liquidationMinPrice,
           maxLiquidationPrice: maxCollateralPerToken.toString(),
           tokensToLiquidate: tokensToLiquidate.toString(),
-          txnConfig
+          gasEstimation,
+          fees
         });
 
-        // Receipt without events
-        receipt = await ynatm.send({
-          sendTransactionFunction: gasPrice => liquidation.send({ ...txnConfig, nonce, gasPrice }),
-          minGasPrice,
-          maxGasPrice,
-          gasPriceScalingFunction,
-          delay: 60000 // Tries and doubles gasPrice every minute if tx hasn't gone through
+        // The TransactionManager keeps raising the gas price while the transaction is pending.
+        const transactionResult = await this.transactionManager.sendTransaction({
+          transaction: liquidation,
+          gasEstimate: gasEstimation,
+          maxGas: this.txnGasLimit,
+          fees
         });
+        ({ receipt, nonce, fees } = transactionResult);
+        if (transactionResult.dryRun) continue;
       } catch (error) {
         this.logger.error({
           at: "Liquidator",
@@ -380,7 +502,8 @@ class Liquidator {
         message: "Position has been liquidated!🔫",
         position: position,
         inputPrice: scaledPrice.toString(),
-        txnConfig,
+        nonce,
+        fees,
         liquidationResult: logResult
       });
     }
@@ -397,9 +520,10 @@ class Liquidator {
     // expired and disputed liquidations.
     const expiredLiquidations = this.financialContractClient.getExpiredLiquidations();
     const disputedLiquidations = this.financialContractClient.getDisputedLiquidations();
+    const liquidatorAddress = this.useDsProxyToLiquidate ? this.dsProxyManager.getDSProxyAddress() : this.account;
     const potentialWithdrawableLiquidations = expiredLiquidations
       .concat(disputedLiquidations)
-      .filter(liquidation => liquidation.liquidator === this.account);
+      .filter(liquidation => liquidation.liquidator === liquidatorAddress);
 
     if (potentialWithdrawableLiquidations.length === 0) {
       this.logger.debug({
@@ -447,41 +571,25 @@ class Liquidator {
         ? withdrawalCallResponse.rawValue.toString()
         : withdrawalCallResponse.payToLiquidator.rawValue.toString();
 
-      const txnConfig = {
-        from: this.account,
-        gas: Math.min(Math.floor(gasEstimation * this.GAS_LIMIT_BUFFER), this.txnGasLimit),
-        gasPrice: this.gasEstimator.getCurrentFastPrice()
-      };
-      // In contract version 1.2.2 and below this function returns one value: the amount withdrawn by the function caller.
-      // In later versions it returns an object containing all payouts.
+      let fees = this.gasEstimator.getCurrentFees();
       this.logger.debug({
         at: "Liquidator",
         message: "Withdrawing liquidation",
         liquidation: liquidation,
         amountWithdrawn,
-        txnConfig
+        gasEstimation,
+        fees
       });
 
       // Send the transaction or report failure.
-      let receipt;
+      let receipt, dryRun;
       try {
-        const nonce = await this.web3.eth.getTransactionCount(this.account);
-
-        // Min Gas Price, with a max gasPrice of x6 (3 re-tries)
-        const minGasPrice = parseInt(this.gasEstimator.getCurrentFastPrice(), 10);
-        const maxGasPrice = 2 * 3 * minGasPrice;
-
-        // Doubles gasPrice every iteration
-        const gasPriceScalingFunction = ynatm.DOUBLES;
-
-        // Receipt without events
-        receipt = await ynatm.send({
-          sendTransactionFunction: gasPrice => withdraw.send({ ...txnConfig, nonce, gasPrice }),
-          minGasPrice,
-          maxGasPrice,
-          gasPriceScalingFunction,
-          delay: 60000 // Tries and doubles gasPrice every minute if tx hasn't gone through
-        });
+        ({ receipt, dryRun, fees } = await this.transactionManager.sendTransaction({
+          transaction: withdraw,
+          gasEstimate: gasEstimation,
+          maxGas: this.txnGasLimit,
+          fees
+        }));
       } catch (error) {
         this.logger.error({
           at: "Liquidator",
@@ -490,6 +598,7 @@ class Liquidator {
         });
         continue;
       }
+      if (dryRun) continue;
 
       let logResult = {
         tx: receipt.transactionHash,
@@ -516,10 +625,343 @@ class Liquidator {
         at: "Liquidator",
         message: "Liquidation withdrawn🤑",
         liquidation: liquidation,
+        fees,
         liquidationResult: logResult
       });
     }
   }
+
+  // Unwinds the position the DSProxy minted to liquidate. Redeems against it with any synthetics sent to the DSProxy and
+  // sends the DSProxy's collateral, i.e. its withdrawn liquidation rewards, to the bot's account. Redemptions are
+  // skipped once the contract has expired or shut down, but the collateral is still withdrawn.
+  async unwindDsProxyPosition(isExpiredOrShutdown = false) {
+    if (!this.useDsProxyToLiquidate) return;
+
+    const { collateralToken } = await this._getDsProxyContracts();
+    const dsProxyAddress = this.dsProxyManager.getDSProxyAddress();
+    const [position, syntheticBalance, collateralBalance] = await Promise.all([
+      this.financialContract.methods.positions(dsProxyAddress).call(),
+      this.syntheticToken.methods.balanceOf(dsProxyAddress).call(),
+      collateralToken.methods.balanceOf(dsProxyAddress).call()
+    ]);
+
+    // Redeem the full position if possible. Otherwise the position must be left with at least the minimum sponsor size.
+    const tokensOutstanding = this.toBN(position.tokensOutstanding.rawValue);
+    let tokensToRedeem = this.toBN("0");
+    if (!isExpiredOrShutdown && this.toBN(syntheticBalance).gte(tokensOutstanding)) {
+      tokensToRedeem = tokensOutstanding;
+    } else if (!isExpiredOrShutdown) {
+      const maxPartialRedemption = tokensOutstanding.sub(this.toBN(this.financialContractMinSponsorSize));
+      if (maxPartialRedemption.gt(this.toBN("0"))) {
+        tokensToRedeem = this.BN.min(this.toBN(syntheticBalance), maxPartialRedemption);
+      }
+    }
+    if (tokensToRedeem.isZero() && this.toBN(collateralBalance).isZero()) return;
+
+    const callData = new this.web3.eth.Contract(getAbi("ReserveCurrencyLiquidator")).methods
+      .redeemAndWithdraw(this.financialContract.options.address, { rawValue: tokensToRedeem.toString() }, this.account)
+      .encodeABI();
+    this.logger.debug({
+      at: "Liquidator",
+      message: "Unwinding DSProxy position",
+      dsProxyAddress,
+      tokensOutstanding: tokensOutstanding.toString(),
+      tokensToRedeem: tokensToRedeem.toString(),
+      collateralBalance
+    });
+
+    let receipt;
+    try {
+      receipt = await this._sendThroughDsProxy(callData);
+    } catch (error) {
+      this.logger.error({
+        at: "Liquidator",
+        message: "Failed to unwind DSProxy position🚨",
+        dsProxyAddress,
+        error
+      });
+      return;
+    }
+    if (!receipt) return;
+
+    this.logger.info({
+      at: "Liquidator",
+      message: "DSProxy position unwound🧹",
+      tx: receipt.transactionHash,
+      dsProxyAddress,
+      tokensRedeemed: tokensToRedeem.toString(),
+      tokensOutstanding: tokensOutstanding.sub(tokensToRedeem).toString()
+    });
+  }
+
+  // Estimates the liquidation's P&L if `minProfit` is set. Returns false if the liquidation is expected to earn less than
+  // `minProfit` and should be skipped.
+  async _isLiquidationWorthSending({ position, tokensToLiquidate, price, gasEstimation }) {
+    if (!this.profitabilityModel) return true;
+
+    const ethPrice = this._getEthPriceInCollateral();
+    if (ethPrice === null) {
+      this.logger.warn({
+        at: "Liquidator",
+        message: this.skipUnprofitable
+          ? "Skipping liquidation: ETH price feed has no price to estimate its profit✋"
+          : "Liquidating position without estimating its profit: ETH price feed has no price⚠️",
+        sponsor: position.sponsor,
+        tokensToLiquidate: tokensToLiquidate.toString()
+      });
+      return !this.skipUnprofitable;
+    }
+
+    const {
+      normalizeCollateralDecimals,
+      normalizeSyntheticDecimals,
+      normalizePriceFeedDecimals
+    } = this.financialContractClient;
+    const collateralCurrency = await this._getCollateralCurrency();
+    const finalFee = await (await this._getStore()).methods.computeFinalFee(collateralCurrency).call();
+
+    // Perpetual debt grows with the funding rate, so the synthetics are worth the price times the funding multiplier.
+    const syntheticPrice = normalizePriceFeedDecimals(price)
+      .mul(this.financialContractClient.getLatestCumulativeFundingRateMultiplier())
+      .div(this.toBN(this.toWei("1")));
+
+    // The DSProxy mints the synthetics it liquidates at the GCR, so it locks up collateral instead of spending tokens.
+    let collateralToMint;
+    if (this.useDsProxyToLiquidate) {
+      const [pfc, totalTokensOutstanding] = await Promise.all([
+        this.financialContract.methods.pfc().call(),
+        this.financialContract.methods.totalTokensOutstanding().call()
+      ]);
+      collateralToMint = normalizeCollateralDecimals(
+        this.toBN(tokensToLiquidate)
+          .mul(this.toBN(pfc.rawValue))
+          .div(this.toBN(totalTokensOutstanding))
+      );
+    }
+    const estimate = this.profitabilityModel.calculateLiquidationProfit({
+      tokensToLiquidate: normalizeSyntheticDecimals(tokensToLiquidate),
+      positionTokens: normalizeSyntheticDecimals(position.numTokens),
+      positionCollateral: normalizeCollateralDecimals(
+        this.toBN(position.amountCollateral).sub(this.toBN(position.withdrawalRequestAmount))
+      ),
+      price: syntheticPrice,
+      finalFee: normalizeCollateralDecimals(finalFee.rawValue),
+      gasEstimate: gasEstimation,
+      gasPrice: this.gasEstimator.getCurrentFastPrice(),
+      ethPrice,
+      collateralToMint
+    });
+    if (estimate.isProfitable) return true;
+
+    this.logger.warn({
+      at: "Liquidator",
+      message: this.skipUnprofitable
+        ? "Skipping unprofitable liquidation✋"
+        : "Liquidating position below the minimum profit⚠️",
+      sponsor: position.sponsor,
+      position,
+      inputPrice: price.toString(),
+      tokensToLiquidate: tokensToLiquidate.toString(),
+      minProfit: this.minProfit,
+      expectedProfit: this.fromWei(estimate.profit),
+      collateralReceived: this.fromWei(estimate.collateralReceived),
+      syntheticCost: this.fromWei(estimate.syntheticCost),
+      gasCost: this.fromWei(estimate.gasCost),
+      capitalRequired: this.fromWei(estimate.capitalRequired)
+    });
+    return !this.skipUnprofitable;
+  }
+
+  // Returns the collateral per ETH, scaled to 18 decimals, from the ETH price feed. Returns undefined if there is no ETH
+  // price feed, so that `ethPriceInCollateral` is used, or null if the feed has no price.
+  _getEthPriceInCollateral() {
+    if (!this.ethPriceFeed) return undefined;
+    const ethPrice = this.ethPriceFeed.getCurrentPrice();
+    if (!ethPrice) return null;
+    return ConvertDecimals(this.ethPriceFeed.getPriceFeedDecimals(), 18, this.web3)(ethPrice);
+  }
+
+  // The collateral currency and Store don't change, so they are only looked up once.
+  async _getCollateralCurrency() {
+    if (!this.collateralCurrency)
+      this.collateralCurrency = await this.financialContract.methods.collateralCurrency().call();
+    return this.collateralCurrency;
+  }
+
+  async _getStore() {
+    if (this.store) return this.store;
+    const finderAddress = await this.financialContract.methods.finder().call();
+    const finder = new this.web3.eth.Contract(getAbi("Finder"), finderAddress);
+    const storeAddress = await finder.methods.getImplementationAddress(this.utf8ToHex("Store")).call();
+    this.store = new this.web3.eth.Contract(getAbi("Store"), storeAddress);
+    return this.store;
+  }
+
+  // Returns the number of synthetics that the DSProxy could mint and liquidate with its reserve currency. This mirrors
+  // ReserveCurrencyLiquidator, which buys enough collateral to mint at the GCR and pay the final fee.
+  async _getDsProxyLiquidationCapacity() {
+    const { reserveToken, store, collateralCurrency, router } = await this._getDsProxyContracts();
+    const [reserveBalance, finalFee, pfc, totalTokensOutstanding] = await Promise.all([
+      reserveToken.methods.balanceOf(this.dsProxyManager.getDSProxyAddress()).call(),
+      store.methods.computeFinalFee(collateralCurrency).call(),
+      this.financialContract.methods.pfc().call(),
+      this.financialContract.methods.totalTokensOutstanding().call()
+    ]);
+
+    const reserveToSpend = this.maxReserveTokenSpent
+      ? this.BN.min(this.toBN(reserveBalance), this.toBN(this.maxReserveTokenSpent))
+      : this.toBN(reserveBalance);
+    if (reserveToSpend.isZero() || this.toBN(pfc.rawValue).isZero()) return this.toBN("0");
+
+    // Reverts if the pool can't take the trade, e.g. if it does not exist.
+    let collateralBought;
+    try {
+      const amounts = await router.methods
+        .getAmountsOut(reserveToSpend.toString(), [this.reserveCurrencyAddress, collateralCurrency])
+        .call();
+      collateralBought = this.toBN(amounts[1]);
+    } catch (error) {
+      this.logger.error({
+        at: "Liquidator",
+        message: "Failed to price the reserve currency on Uniswap🚨",
+        reserveCurrencyAddress: this.reserveCurrencyAddress,
+        uniswapRouterAddress: this.uniswapRouterAddress,
+        error
+      });
+      return this.toBN("0");
+    }
+
+    const collateralToMint = collateralBought.sub(this.toBN(finalFee.rawValue));
+    if (collateralToMint.lte(this.toBN("0"))) return this.toBN("0");
+    return collateralToMint.mul(this.toBN(totalTokensOutstanding)).div(this.toBN(pfc.rawValue));
+  }
+
+  // Contracts used for DSProxy liquidations. These don't change either.
+  async _getDsProxyContracts() {
+    if (this.dsProxyContracts) return this.dsProxyContracts;
+
+    const collateralCurrency = await this._getCollateralCurrency();
+    if (collateralCurrency.toLowerCase() === this.reserveCurrencyAddress.toLowerCase()) {
+      throw new Error("DSProxy liquidations require a reserve currency that differs from the collateral currency");
+    }
+
+    this.dsProxyContracts = {
+      collateralCurrency,
+      collateralToken: new this.web3.eth.Contract(getAbi("ExpandedERC20"), collateralCurrency),
+      store: await this._getStore(),
+      reserveToken: new this.web3.eth.Contract(getAbi("ExpandedERC20"), this.reserveCurrencyAddress),
+      router: new this.web3.eth.Contract(UniswapV2Router02.abi, this.uniswapRouterAddress)
+    };
+    return this.dsProxyContracts;
+  }
+
+  // Returns the DSProxy call that runs `callData` on the ReserveCurrencyLiquidator library. The library is either
+  // already deployed or deployed by the DSProxy within the same transaction.
+  _getDsProxyExecute(callData) {
+    const { methods } = this.dsProxyManager.dsProxy;
+    if (this.liquidatorReserveCurrencyAddress) {
+      return methods["execute(address,bytes)"](this.liquidatorReserveCurrencyAddress, callData);
+    }
+    const { bytecode } = getTruffleContract("ReserveCurrencyLiquidator", this.web3);
+    return methods["execute(bytes,bytes)"](bytecode, callData);
+  }
+
+  // Runs `callData` on the ReserveCurrencyLiquidator library through the DSProxy. Returns the receipt, or null in dry
+  // runs.
+  async _sendThroughDsProxy(callData) {
+    if (this.liquidatorReserveCurrencyAddress) {
+      return await this.dsProxyManager.callFunctionOnExistingLibrary(this.liquidatorReserveCurrencyAddress, callData);
+    }
+    const { bytecode } = getTruffleContract("ReserveCurrencyLiquidator", this.web3);
+    return await this.dsProxyManager.callFunctionOnNewlyDeployedLibrary(bytecode, callData);
+  }
+
+  // Sends `liquidationArgs` through the DSProxy, which buys collateral, mints and liquidates in one transaction.
+  async _liquidateWithDsProxy({ position, liquidationArgs, price, scaledPrice, maxCollateralPerToken }) {
+    const [sponsor, minCollateralPerToken, maxCollateralPerTokenArg, maxTokensToLiquidate, deadline] = liquidationArgs;
+    const { reserveToken } = await this._getDsProxyContracts();
+    const dsProxyAddress = this.dsProxyManager.getDSProxyAddress();
+
+    // The trade buys an exact amount of collateral, so this only bounds how much reserve currency can be spent.
+    const reserveBalance = this.toBN(await reserveToken.methods.balanceOf(dsProxyAddress).call());
+    const maxReserveTokenSpent = this.maxReserveTokenSpent
+      ? this.BN.min(reserveBalance, this.toBN(this.maxReserveTokenSpent))
+      : reserveBalance;
+
+    const reserveCurrencyLiquidator = new this.web3.eth.Contract(getAbi("ReserveCurrencyLiquidator"));
+    const callData = reserveCurrencyLiquidator.methods
+      .swapMintLiquidate(
+        this.uniswapRouterAddress,
+        this.financialContract.options.address,
+        this.reserveCurrencyAddress,
+        sponsor,
+        { rawValue: maxReserveTokenSpent.toString() },
+        minCollateralPerToken,
+        maxCollateralPerTokenArg,
+        maxTokensToLiquidate,
+        deadline
+      )
+      .encodeABI();
+
+    this.logger.debug({
+      at: "Liquidator",
+      message: "Liquidating position through DSProxy",
+      position,
+      inputPrice: scaledPrice.toString(),
+      minLiquidationPrice: this.liquidationMinPrice,
+      maxLiquidationPrice: maxCollateralPerToken.toString(),
+      tokensToLiquidate: maxTokensToLiquidate.rawValue,
+      maxReserveTokenSpent: maxReserveTokenSpent.toString(),
+      dsProxyAddress
+    });
+
+    let receipt;
+    try {
+      if (this.profitabilityModel) {
+        const gasEstimation = await this._getDsProxyExecute(callData).estimateGas({ from: this.account });
+        const tokensToLiquidate = this.toBN(maxTokensToLiquidate.rawValue);
+        if (!(await this._isLiquidationWorthSending({ position, tokensToLiquidate, price, gasEstimation }))) return;
+      }
+      receipt = await this._sendThroughDsProxy(callData);
+    } catch (error) {
+      this.logger.error({
+        at: "Liquidator",
+        message: "Failed to liquidate position🚨",
+        dsProxyAddress,
+        error
+      });
+      return;
+    }
+
+    if (!receipt) return;
+
+    // The DSProxy's receipt only decodes its own events, so look up the financial contract's event separately.
+    const [liquidationEvent] = (
+      await this.financialContract.getPastEvents("LiquidationCreated", {
+        fromBlock: receipt.blockNumber,
+        toBlock: receipt.blockNumber,
+        filter: { sponsor }
+      })
+    ).filter(event => event.transactionHash === receipt.transactionHash);
+
+    const logResult = {
+      tx: receipt.transactionHash,
+      sponsor,
+      liquidator: dsProxyAddress,
+      liquidationId: liquidationEvent && liquidationEvent.returnValues.liquidationId,
+      tokensOutstanding: liquidationEvent && liquidationEvent.returnValues.tokensOutstanding,
+      lockedCollateral: liquidationEvent && liquidationEvent.returnValues.lockedCollateral,
+      liquidatedCollateral: liquidationEvent && liquidationEvent.returnValues.liquidatedCollateral
+    };
+
+    this.logger[this.logOverrides.positionLiquidated || "info"]({
+      at: "Liquidator",
+      message: "Position has been liquidated through DSProxy!🔫",
+      position,
+      inputPrice: scaledPrice.toString(),
+      liquidationResult: logResult
+    });
+  }
 }
 
 module.exports = {
@@ -0,0 +1,137 @@
+const { toWei, toBN } = web3.utils;
+const winston = require("winston");
+
+// Script to test
+const { Backtester } = require("../src/backtester.js");
+
+contract("Backtester.js", function(accounts) {
+  const sponsor = accounts[1];
+  const liquidator = accounts[2];
+  const identity = x => toBN(x);
+
+  let clientState, prices, financialContractClient, priceFeed;
+
+  // Stands in for a FinancialContractClient that replays `clientState[blockNumber]`.
+  const createClient = () => ({
+    web3,
+    normalizeCollateralDecimals: identity,
+    normalizeSyntheticDecimals: identity,
+    normalizePriceFeedDecimals: identity,
+    update: async function(blockNumber) {
+      this.state = clientState[blockNumber];
+    },
+    getLastUpdateTime: function() {
+      return this.state.time;
+    },
+    getLatestCumulativeFundingRateMultiplier: () => toBN(toWei("1")),
+    // 1.2x collateral requirement and 18 decimals everywhere.
+    getUnderCollateralizedPositions: function(price) {
+      return this.state.positions.filter(position =>
+        toBN(position.numTokens)
+          .mul(toBN(price))
+          .mul(toBN(toWei("1.2")))
+          .gt(toBN(position.amountCollateral).mul(toBN(toWei("1")).mul(toBN(toWei("1")))))
+      );
+    },
+    getUndisputedLiquidations: function() {
+      return this.state.liquidations;
+    },
+    isDisputable: (liquidation, price) =>
+      !toBN(liquidation.numTokens)
+        .mul(toBN(price))
+        .mul(toBN(toWei("1.2")))
+        .gt(toBN(liquidation.liquidatedCollateral).mul(toBN(toWei("1")).mul(toBN(toWei("1")))))
+  });
+
+  const createBacktester = backtestConfig =>
+    new Backtester({
+      logger: winston.createLogger({ silent: true }),
+      financialContractClient,
+      priceFeed,
+      financialContractProps: {
+        crRatio: toWei("1.2"),
+        minSponsorSize: toWei("5"),
+        withdrawLiveness: 7200,
+        disputeBondPercentage: toWei("0.1"),
+        disputerDisputeRewardPercentage: toWei("0.2"),
+        finalFee: toWei("1")
+      },
+      backtestConfig: {
+        syntheticTokenBalance: toWei("1000"),
+        ethPriceInCollateral: "1",
+        gasPriceGwei: 0,
+        ...backtestConfig
+      }
+    });
+
+  // 100 tokens backed by 115 collateral: undercollateralized at a price of 1, unless `crThreshold` is above ~4%.
+  const position = {
+    sponsor,
+    numTokens: toWei("100"),
+    amountCollateral: toWei("115"),
+    withdrawalRequestAmount: "0",
+    withdrawalRequestPassTimestamp: "0"
+  };
+
+  beforeEach(async function() {
+    prices = { 1000: toWei("1"), 1100: toWei("1"), 1200: toWei("1") };
+    clientState = {
+      1: { time: 1000, positions: [position], liquidations: [] },
+      2: { time: 1100, positions: [position], liquidations: [] },
+      3: { time: 1200, positions: [position], liquidations: [] }
+    };
+    financialContractClient = createClient();
+    priceFeed = {
+      update: async () => {},
+      getHistoricalPrice: async time => (prices[time] ? toBN(prices[time]) : null)
+    };
+  });
+
+  it("Reports each liquidation once with its P&L", async function() {
+    const report = await createBacktester().run({ fromBlock: 1, toBlock: 3 });
+
+    assert.equal(report.liquidations.length, 1);
+    assert.equal(report.liquidations[0].blockNumber, 1);
+    assert.equal(report.liquidations[0].tokensToLiquidate, toWei("100"));
+    assert.isFalse(report.liquidations[0].isPartial);
+    // 115 collateral received for 100 synthetics worth 1 each.
+    assert.equal(report.liquidations[0].profit, "15");
+    assert.equal(report.totalLiquidationProfit, "15");
+    assert.equal(report.disputes.length, 0);
+  });
+
+  it("Applies the liquidator's crThreshold", async function() {
+    const report = await createBacktester({ crThreshold: 0.05 }).run({ fromBlock: 1, toBlock: 3 });
+    assert.equal(report.liquidations.length, 0);
+  });
+
+  it("Reports disputes after the disputeDelay", async function() {
+    // Liquidated with 130 collateral at time 1000, which is correctly collateralized at a price of 1.
+    const liquidation = {
+      sponsor,
+      id: "0",
+      numTokens: toWei("100"),
+      liquidatedCollateral: toWei("130"),
+      lockedCollateral: toWei("130"),
+      liquidationTime: "1000",
+      liquidator
+    };
+    for (const blockNumber of [1, 2, 3]) {
+      clientState[blockNumber] = { ...clientState[blockNumber], positions: [], liquidations: [liquidation] };
+    }
+
+    const report = await createBacktester({ disputeDelay: 150 }).run({ fromBlock: 1, toBlock: 3 });
+
+    assert.equal(report.disputes.length, 1);
+    assert.equal(report.disputes[0].blockNumber, 3);
+    assert.equal(report.disputes[0].liquidationId, "0");
+    // 20% of the 100 liquidated tokens' value.
+    assert.equal(report.disputes[0].profit, "20");
+  });
+
+  it("Skips blocks without a price", async function() {
+    delete prices[1100];
+    const report = await createBacktester().run({ fromBlock: 1, toBlock: 3 });
+    assert.deepEqual(report.skippedBlocks, [2]);
+  });
+});
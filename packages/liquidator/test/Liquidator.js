@@ -11,11 +11,18 @@ const {
   TESTED_CONTRACT_VERSIONS
 } = require("@uma/common");
 const { getTruffleContract } = require("@uma/core");
+const truffleContract = require("@truffle/contract");
+
+// Uniswap contracts used to buy collateral in DSProxy liquidations.
+const UniswapV2Factory = require("@uniswap/v2-core/build/UniswapV2Factory.json");
+const IUniswapV2Pair = require("@uniswap/v2-core/build/IUniswapV2Pair.json");
+const UniswapV2Router02 = require("@uniswap/v2-periphery/build/UniswapV2Router02.json");
 
 // Helper clients and custom winston transport module to monitor winston log outputs
 const {
   FinancialContractClient,
   GasEstimator,
+  DSProxyManager,
   PriceFeedMock,
   SpyTransport,
   lastSpyLogLevel,
@@ -87,6 +94,13 @@ const versionedIt = function(supportedVersions, shouldBeItOnly = false) {
   return runTestForVersion(supportedVersions, TESTED_CONTRACT_VERSIONS, iterationTestVersion) ? it : () => {};
 };
 
+// Takes in a json object from a compiled contract and returns a truffle contract instance that can be deployed.
+const createContractObjectFromJson = contractJsonObject => {
+  let truffleContractCreator = truffleContract(contractJsonObject);
+  truffleContractCreator.setProvider(web3.currentProvider);
+  return truffleContractCreator;
+};
+
 // allows this to be set to null without throwing.
 const Convert = decimals => number => (number ? parseFixed(number.toString(), decimals).toString() : number);
 
@@ -117,6 +131,8 @@ contract("Liquidator.js", function(accounts) {
     const ConfigStore = getTruffleContract("ConfigStore", web3, "latest");
     const OptimisticOracle = getTruffleContract("OptimisticOracle", web3, "latest");
     const MulticallMock = getTruffleContract("MulticallMock", web3, "latest");
+    const DSProxyFactory = getTruffleContract("DSProxyFactory", web3, "latest");
+    const DSProxy = getTruffleContract("DSProxy", web3, "latest");
 
     for (let testConfig of configs) {
       describe(`${testConfig.collateralDecimals} collateral, ${testConfig.syntheticDecimals} synthetic & ${testConfig.priceFeedDecimals} pricefeed decimals, on for smart contract version ${contractVersion.contractType} @ ${contractVersion.contractVersion}`, function() {
@@ -862,6 +878,198 @@ contract("Liquidator.js", function(accounts) {
             assert.deepStrictEqual(await financialContract.getLiquidations(sponsor2), []);
             assert.equal((await financialContract.getCollateral(sponsor2)).rawValue, convertCollateral("118"));
           });
+          versionedIt([{ contractType: "any", contractVersion: "any" }])(
+            "Sets `maxPriceDispersion` to 5%",
+            async function() {
+              liquidatorConfig = { ...liquidatorConfig, maxPriceDispersion: 0.05 };
+              liquidator = new Liquidator({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                syntheticToken: syntheticToken.contract,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                liquidatorConfig
+              });
+
+              // sponsor1 creates a position with 115 units of collateral, creating 100 synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("115") },
+                { rawValue: convertSynthetic("100") },
+                { from: sponsor1 }
+              );
+
+              // liquidatorBot creates a position to have synthetic tokens to pay off debt upon liquidation.
+              await financialContract.create(
+                { rawValue: convertCollateral("1000") },
+                { rawValue: convertSynthetic("500") },
+                { from: liquidatorBot }
+              );
+
+              // At a price of 1 sponsor1 is undercollateralized, but the price feed's sources disagree by 10%.
+              priceFeedMock.setCurrentPrice(convertPrice("1"));
+              const getPriceWithMetadata = sinon.stub(priceFeedMock, "getPriceWithMetadata").returns({
+                price: convertPrice("1"),
+                lastUpdateTime: priceFeedMock.getLastUpdateTime(),
+                isStale: false,
+                dispersion: 0.1,
+                sources: []
+              });
+              await liquidator.update();
+              await liquidator.liquidatePositions();
+              assert.equal(lastSpyLogLevel(spy), "warn");
+              assert.isTrue(spyLogIncludes(spy, -1, "price feed sources disagree"));
+              assert.deepStrictEqual(await financialContract.getLiquidations(sponsor1), []);
+
+              // Once the sources agree again the position is liquidated.
+              getPriceWithMetadata.restore();
+              await liquidator.liquidatePositions();
+              assert.equal((await financialContract.getLiquidations(sponsor1)).length, 1);
+            }
+          );
+          versionedIt([{ contractType: "any", contractVersion: "any" }])(
+            "Sets `maxPriceAge` to 10 minutes",
+            async function() {
+              liquidatorConfig = { ...liquidatorConfig, maxPriceAge: 600 };
+              liquidator = new Liquidator({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                syntheticToken: syntheticToken.contract,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                liquidatorConfig
+              });
+
+              // sponsor1 creates a position with 115 units of collateral, creating 100 synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("115") },
+                { rawValue: convertSynthetic("100") },
+                { from: sponsor1 }
+              );
+
+              // liquidatorBot creates a position to have synthetic tokens to pay off debt upon liquidation.
+              await financialContract.create(
+                { rawValue: convertCollateral("1000") },
+                { rawValue: convertSynthetic("500") },
+                { from: liquidatorBot }
+              );
+
+              // At a price of 1 sponsor1 is undercollateralized, but the price is older than the contract's time by
+              // more than 10 minutes.
+              priceFeedMock.setCurrentPrice(convertPrice("1"));
+              await liquidator.update();
+              const contractTime = Number(financialContractClient.getLastUpdateTime());
+              priceFeedMock.setLastUpdateTime(contractTime - 601);
+              await liquidator.liquidatePositions();
+              assert.equal(lastSpyLogLevel(spy), "warn");
+              assert.isTrue(spyLogIncludes(spy, -1, "price feed has not updated recently enough"));
+              assert.deepStrictEqual(await financialContract.getLiquidations(sponsor1), []);
+
+              // Once the price feed updates the position is liquidated.
+              priceFeedMock.setLastUpdateTime(contractTime);
+              await liquidator.liquidatePositions();
+              assert.equal((await financialContract.getLiquidations(sponsor1)).length, 1);
+            }
+          );
+          versionedIt([{ contractType: "any", contractVersion: "any" }])(
+            "Sets `minProfit` to skip unprofitable liquidations",
+            async function() {
+              const createProfitCheckingLiquidator = (config, ethPriceFeed) =>
+                new Liquidator({
+                  logger: spyLogger,
+                  financialContractClient: financialContractClient,
+                  gasEstimator,
+                  syntheticToken: syntheticToken.contract,
+                  priceFeed: priceFeedMock,
+                  account: accounts[0],
+                  financialContractProps,
+                  liquidatorConfig: { ...liquidatorConfig, ...config },
+                  ethPriceFeed
+                });
+
+              // Profit checks need a price for ETH in collateral to price gas.
+              assert.throws(() => createProfitCheckingLiquidator({ minProfit: "10" }), /ethPriceInCollateral/);
+
+              // sponsor1 creates a position with 115 units of collateral, creating 100 synthetic tokens.
+              await financialContract.create(
+                { rawValue: convertCollateral("115") },
+                { rawValue: convertSynthetic("100") },
+                { from: sponsor1 }
+              );
+
+              // liquidatorBot creates a position to have synthetic tokens to pay off debt upon liquidation.
+              await financialContract.create(
+                { rawValue: convertCollateral("1000") },
+                { rawValue: convertSynthetic("500") },
+                { from: liquidatorBot }
+              );
+
+              // At a price of 1 the liquidation returns 115 collateral for 100 collateral worth of synthetics, which is
+              // below the minimum profit.
+              priceFeedMock.setCurrentPrice(convertPrice("1"));
+              liquidator = createProfitCheckingLiquidator({ minProfit: "20", ethPriceInCollateral: "1" });
+              await liquidator.update();
+              await liquidator.liquidatePositions();
+              assert.equal(lastSpyLogLevel(spy), "warn");
+              assert.isTrue(spyLogIncludes(spy, -1, "Skipping unprofitable liquidation"));
+              assert.deepStrictEqual(await financialContract.getLiquidations(sponsor1), []);
+
+              // Gas is priced with the ETH price feed if there is one. Without a price, the liquidation is skipped.
+              const ethPriceFeed = new PriceFeedMock(undefined, undefined, undefined, 8);
+              liquidator = createProfitCheckingLiquidator({ minProfit: "10" }, ethPriceFeed);
+              await liquidator.update();
+              await liquidator.liquidatePositions();
+              assert.isTrue(spyLogIncludes(spy, -1, "ETH price feed has no price"));
+              assert.deepStrictEqual(await financialContract.getLiquidations(sponsor1), []);
+
+              // With an ETH price, the expected profit of 15 collateral less gas clears the lower minimum profit.
+              ethPriceFeed.setCurrentPrice(toBN("100000000"));
+              await liquidator.liquidatePositions();
+              assert.equal((await financialContract.getLiquidations(sponsor1)).length, 1);
+            }
+          );
+          versionedIt([{ contractType: "any", contractVersion: "any" }])(
+            "Sets `skipUnprofitable` to false to send unprofitable liquidations",
+            async function() {
+              liquidator = new Liquidator({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                syntheticToken: syntheticToken.contract,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                liquidatorConfig: {
+                  ...liquidatorConfig,
+                  minProfit: "20",
+                  ethPriceInCollateral: "1",
+                  skipUnprofitable: false
+                }
+              });
+
+              await financialContract.create(
+                { rawValue: convertCollateral("115") },
+                { rawValue: convertSynthetic("100") },
+                { from: sponsor1 }
+              );
+              await financialContract.create(
+                { rawValue: convertCollateral("1000") },
+                { rawValue: convertSynthetic("500") },
+                { from: liquidatorBot }
+              );
+
+              // The liquidation is below the minimum profit, so it is flagged but still sent.
+              priceFeedMock.setCurrentPrice(convertPrice("1"));
+              spy.resetHistory();
+              await liquidator.update();
+              await liquidator.liquidatePositions();
+              assert.isTrue(spyLogIncludes(spy, 0, "Liquidating position below the minimum profit"));
+              assert.equal((await financialContract.getLiquidations(sponsor1)).length, 1);
+            }
+          );
           versionedIt([{ contractType: "any", contractVersion: "any" }])(
             "Cannot set invalid alerting overrides",
             async function() {
@@ -1506,6 +1714,174 @@ contract("Liquidator.js", function(accounts) {
             }
           );
         });
+        describe("Liquidating through a DSProxy", () => {
+          let reserveToken;
+          let dsProxyManager;
+
+          // Creates a Uniswap pool that sells collateral at 1000 reserve tokens each and a DSProxy for the bot that only
+          // holds reserve currency. Returns a liquidator that liquidates through the DSProxy.
+          const setupDsProxyLiquidator = async (configOverrides = {}) => {
+            reserveToken = await Token.new("Reserve Token", "RSV", 18, { from: contractCreator });
+            await reserveToken.addMember(1, contractCreator, { from: contractCreator });
+
+            const factory = await createContractObjectFromJson(UniswapV2Factory).new(contractCreator, {
+              from: contractCreator
+            });
+            const router = await createContractObjectFromJson(UniswapV2Router02).new(
+              factory.address,
+              collateralToken.address,
+              { from: contractCreator }
+            );
+            await factory.createPair(reserveToken.address, collateralToken.address, { from: contractCreator });
+            const pairAddress = await factory.getPair(reserveToken.address, collateralToken.address);
+            await reserveToken.mint(pairAddress, toWei("10000000000"), { from: contractCreator });
+            await collateralToken.mint(pairAddress, convertCollateral("10000000"), { from: contractCreator });
+            await (await createContractObjectFromJson(IUniswapV2Pair).at(pairAddress)).sync({ from: contractCreator });
+
+            const dsProxyFactory = await DSProxyFactory.new({ from: contractCreator });
+            dsProxyManager = new DSProxyManager({
+              logger: spyLogger,
+              web3,
+              gasEstimator,
+              account: liquidatorBot,
+              dsProxyFactoryAddress: dsProxyFactory.address,
+              dsProxyFactoryAbi: DSProxyFactory.abi,
+              dsProxyAbi: DSProxy.abi
+            });
+            await dsProxyManager.initializeDSProxy();
+            await reserveToken.mint(dsProxyManager.getDSProxyAddress(), toWei("1000000"), { from: contractCreator });
+
+            return new Liquidator({
+              logger: spyLogger,
+              financialContractClient: financialContractClient,
+              gasEstimator,
+              syntheticToken: syntheticToken.contract,
+              priceFeed: priceFeedMock,
+              account: accounts[0],
+              financialContractProps,
+              liquidatorConfig: {
+                ...liquidatorConfig,
+                useDsProxyToLiquidate: true,
+                uniswapRouterAddress: router.address,
+                reserveCurrencyAddress: reserveToken.address,
+                ...configOverrides
+              },
+              dsProxyManager
+            });
+          };
+
+          beforeEach(async function() {
+            // sponsor1 is undercollateralized at a price of 1.3: 100 * 1.3 * 1.2 > 125. sponsor2 is not. The GCR is 1.5.
+            await financialContract.create(
+              { rawValue: convertCollateral("125") },
+              { rawValue: convertSynthetic("100") },
+              { from: sponsor1 }
+            );
+            await financialContract.create(
+              { rawValue: convertCollateral("175") },
+              { rawValue: convertSynthetic("100") },
+              { from: sponsor2 }
+            );
+            priceFeedMock.setCurrentPrice(convertPrice("1.3"));
+          });
+
+          versionedIt([
+            { contractType: "ExpiringMultiParty", contractVersion: "latest" },
+            { contractType: "Perpetual", contractVersion: "latest" }
+          ])("Buys collateral, mints and liquidates in one transaction", async function() {
+            liquidator = await setupDsProxyLiquidator();
+            await liquidator.update();
+            await liquidator.liquidatePositions();
+
+            // The full position was liquidated by the DSProxy even though the bot holds no synthetics.
+            const dsProxyAddress = dsProxyManager.getDSProxyAddress();
+            const liquidationObject = (await financialContract.getLiquidations(sponsor1))[0];
+            assert.equal(liquidationObject.liquidator, dsProxyAddress);
+            assert.equal(liquidationObject.tokensOutstanding.rawValue, convertSynthetic("100"));
+            assert.deepStrictEqual(await financialContract.getLiquidations(sponsor2), []);
+            assert.equal((await syntheticToken.balanceOf(liquidatorBot)).toString(), "0");
+            assert.isTrue(spyLogIncludes(spy, -1, "Position has been liquidated through DSProxy"));
+
+            // The DSProxy now has the position it minted to liquidate, paid for with its reserve currency.
+            assert.equal(
+              (await financialContract.positions(dsProxyAddress)).tokensOutstanding.rawValue,
+              convertSynthetic("100")
+            );
+            assert.isTrue((await reserveToken.balanceOf(dsProxyAddress)).lt(toBN(toWei("1000000"))));
+          });
+
+          versionedIt([
+            { contractType: "ExpiringMultiParty", contractVersion: "latest" },
+            { contractType: "Perpetual", contractVersion: "latest" }
+          ])("Liquidates partially when the reserve currency can't buy enough collateral", async function() {
+            // 30000 reserve tokens buy just under 30 collateral, which mints just under 20 tokens at the GCR.
+            liquidator = await setupDsProxyLiquidator({ maxReserveTokenSpent: toWei("30000") });
+            await liquidator.update();
+            await liquidator.liquidatePositions();
+
+            const tokensLiquidated = toBN(
+              (await financialContract.getLiquidations(sponsor1))[0].tokensOutstanding.rawValue
+            );
+            assert.isTrue(tokensLiquidated.gt(toBN(convertSynthetic("19"))));
+            assert.isTrue(tokensLiquidated.lte(toBN(convertSynthetic("20"))));
+          });
+
+          versionedIt([
+            { contractType: "ExpiringMultiParty", contractVersion: "latest" },
+            { contractType: "Perpetual", contractVersion: "latest" }
+          ])("Redeems the DSProxy's position and sends its collateral to the bot", async function() {
+            liquidator = await setupDsProxyLiquidator();
+            await liquidator.update();
+            await liquidator.liquidatePositions();
+            const dsProxyAddress = dsProxyManager.getDSProxyAddress();
+
+            // Without synthetics or collateral in the DSProxy there is nothing to unwind.
+            spy.resetHistory();
+            await liquidator.unwindDsProxyPosition();
+            assert.isFalse(spyLogIncludes(spy, -1, "DSProxy position unwound"));
+
+            // Once the DSProxy holds synthetics, its 100 token position minted at the GCR of 1.5 is redeemed in full.
+            await syntheticToken.transfer(dsProxyAddress, convertSynthetic("100"), { from: sponsor2 });
+            const collateralBalanceBefore = await collateralToken.balanceOf(liquidatorBot);
+            await liquidator.unwindDsProxyPosition();
+            assert.equal((await financialContract.positions(dsProxyAddress)).tokensOutstanding.rawValue, "0");
+            assert.equal(
+              (await collateralToken.balanceOf(liquidatorBot)).sub(collateralBalanceBefore).toString(),
+              convertCollateral("150")
+            );
+            assert.isTrue(spyLogIncludes(spy, -1, "DSProxy position unwound"));
+          });
+
+          versionedIt([{ contractType: "any", contractVersion: "any" }])("Requires a DSProxyManager", async function() {
+            assert.throws(() => {
+              new Liquidator({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                syntheticToken: syntheticToken.contract,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                liquidatorConfig: { ...liquidatorConfig, useDsProxyToLiquidate: true }
+              });
+            });
+
+            // The router and reserve currency have no defaults in the liquidator.
+            assert.throws(() => {
+              new Liquidator({
+                logger: spyLogger,
+                financialContractClient: financialContractClient,
+                gasEstimator,
+                syntheticToken: syntheticToken.contract,
+                priceFeed: priceFeedMock,
+                account: accounts[0],
+                financialContractProps,
+                liquidatorConfig: { ...liquidatorConfig, useDsProxyToLiquidate: true },
+                dsProxyManager: {}
+              });
+            }, /uniswapRouterAddress/);
+          });
+        });
         describe("Liquidator correctly deals with funding rates from perpetual contract", () => {
           versionedIt([{ contractType: "Perpetual", contractVersion: "latest" }])(
             "Can correctly detect invalid positions and liquidate them",
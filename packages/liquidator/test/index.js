@@ -1,6 +1,8 @@
 const { toWei, utf8ToHex, padRight } = web3.utils;
 const {
   MAX_UINT_VAL,
+  ZERO_ADDRESS,
+  RegistryRolesEnum,
   interfaceName,
   addGlobalHardhatTestingAddress,
   createConstructorParamsForContractVersion,
@@ -570,4 +572,116 @@ contract("index.js", function(accounts) {
       });
     });
   });
+
+  describe("Running against every financial contract", function() {
+    const ExpiringMultiPartyCreator = getTruffleContract("ExpiringMultiPartyCreator", web3);
+    const ExpiringMultiPartyLib = getTruffleContract("ExpiringMultiPartyLib", web3);
+    const Finder = getTruffleContract("Finder", web3);
+    const IdentifierWhitelist = getTruffleContract("IdentifierWhitelist", web3);
+    const AddressWhitelist = getTruffleContract("AddressWhitelist", web3);
+    const Token = getTruffleContract("ExpandedERC20", web3);
+    const TokenFactory = getTruffleContract("TokenFactory", web3);
+    const Timer = getTruffleContract("Timer", web3);
+    const Registry = getTruffleContract("Registry", web3);
+    const Store = getTruffleContract("Store", web3);
+
+    let empCreator;
+    let testContractAddress;
+    let unsupportedContractAddress;
+
+    before(async function() {
+      finder = await Finder.new();
+      timer = await Timer.new();
+      await ExpiringMultiPartyCreator.link(await ExpiringMultiPartyLib.new());
+      empCreator = await ExpiringMultiPartyCreator.new(
+        finder.address,
+        (await TokenFactory.new()).address,
+        timer.address
+      );
+
+      identifierWhitelist = await IdentifierWhitelist.new();
+      await finder.changeImplementationAddress(
+        utf8ToHex(interfaceName.IdentifierWhitelist),
+        identifierWhitelist.address
+      );
+      collateralWhitelist = await AddressWhitelist.new();
+      await finder.changeImplementationAddress(
+        utf8ToHex(interfaceName.CollateralWhitelist),
+        collateralWhitelist.address
+      );
+      store = await Store.new({ rawValue: "0" }, { rawValue: "0" }, timer.address);
+      await finder.changeImplementationAddress(utf8ToHex(interfaceName.Store), store.address);
+      const registry = await Registry.new();
+      await registry.addMember(RegistryRolesEnum.CONTRACT_CREATOR, empCreator.address);
+      await finder.changeImplementationAddress(utf8ToHex(interfaceName.Registry), registry.address);
+
+      collateralToken = await Token.new("Wrapped Ether", "WETH", 18);
+      await collateralWhitelist.addToWhitelist(collateralToken.address);
+
+      // One contract uses a test identifier, which gets a test price feed. The other has no default price feed.
+      const createContract = async identifier => {
+        const priceFeedIdentifier = padRight(utf8ToHex(identifier), 64);
+        await identifierWhitelist.addSupportedIdentifier(priceFeedIdentifier);
+        const params = {
+          expirationTimestamp: (await timer.getCurrentTime()).addn(100000).toString(),
+          collateralAddress: collateralToken.address,
+          priceFeedIdentifier,
+          syntheticName: "Test Synth",
+          syntheticSymbol: "TEST-SYNTH",
+          collateralRequirement: { rawValue: toWei("1.2") },
+          disputeBondPercentage: { rawValue: toWei("0.1") },
+          sponsorDisputeRewardPercentage: { rawValue: toWei("0.05") },
+          disputerDisputeRewardPercentage: { rawValue: toWei("0.04") },
+          minSponsorTokens: { rawValue: toWei("1") },
+          withdrawalLiveness: "7200",
+          liquidationLiveness: "7300",
+          financialProductLibraryAddress: ZERO_ADDRESS
+        };
+        const address = await empCreator.createExpiringMultiParty.call(params, { from: contractCreator });
+        await empCreator.createExpiringMultiParty(params, { from: contractCreator });
+        return address;
+      };
+      testContractAddress = await createContract(identifier);
+      unsupportedContractAddress = await createContract("UNSUPPORTED_IDENTIFIER");
+    });
+
+    it("Liquidates on every created contract and skips the ones it can't set up", async function() {
+      spy = sinon.spy();
+      spyLogger = winston.createLogger({
+        level: "debug",
+        transports: [new SpyTransport({ level: "debug" }, { spy: spy })]
+      });
+
+      await Poll.run({
+        logger: spyLogger,
+        web3,
+        pollingDelay,
+        errorRetries,
+        errorRetriesTimeout,
+        priceFeedConfig: { currentPrice: "1", historicalPrice: "1" },
+        multiContractConfig: { creators: [{ contractType: "ExpiringMultiPartyCreator", address: empCreator.address }] }
+      });
+
+      const logsFor = (message, financialContractAddress) =>
+        spy
+          .getCalls()
+          .filter(
+            call =>
+              call.lastArg.message === message && call.lastArg.financialContractAddress === financialContractAddress
+          );
+      assert.equal(logsFor("Liquidator initialized", testContractAddress).length, 1);
+      assert.equal(logsFor("Liquidator initialized", unsupportedContractAddress).length, 0);
+      const skipLogs = logsFor(
+        "Skipping Financial Contract that the liquidator could not be set up for",
+        unsupportedContractAddress
+      );
+      assert.equal(skipLogs.length, 1);
+      assert.equal(skipLogs[0].lastArg.level, "warn");
+
+      // The contract that could be set up was run without errors.
+      const messages = spy.getCalls().map(call => call.lastArg.message);
+      assert.include(messages, "Checking for liquidatable positions and preforming liquidations");
+      assert.notInclude(messages, "Liquidator execution error for Financial Contract🚨");
+    });
+  });
 });
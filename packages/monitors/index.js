@@ -24,6 +24,7 @@ const { ContractMonitor } = require("./src/ContractMonitor");
 const { BalanceMonitor } = require("./src/BalanceMonitor");
 const { CRMonitor } = require("./src/CRMonitor");
 const { SyntheticPegMonitor } = require("./src/SyntheticPegMonitor");
+const { AlertRuleEngine } = require("./src/AlertRuleEngine");
 
 // Contract ABIs and network Addresses.
 const { getAbi, getAddress } = require("@uma/core");
@@ -201,6 +202,9 @@ async function run({
         networkId
       };
 
+      // Alert rules are evaluated over the metrics that all of the monitors below compute.
+      const alertRuleEngine = new AlertRuleEngine({ logger, monitorConfig, getTime });
+
       // 1. Contract state monitor.
       const financialContractEventClient = new FinancialContractEventClient(
         logger,
@@ -218,7 +222,8 @@ async function run({
         priceFeed: medianizerPriceFeed,
         monitorConfig,
         financialContractProps,
-        voting
+        voting,
+        alertRuleEngine
       });
 
       // 2. Balance monitor to inform if monitored addresses drop below critical thresholds.
@@ -234,7 +239,8 @@ async function run({
         logger,
         tokenBalanceClient,
         monitorConfig,
-        financialContractProps
+        financialContractProps,
+        alertRuleEngine
       });
 
       // 3. Collateralization Ratio monitor.
@@ -255,7 +261,8 @@ async function run({
         financialContractClient,
         priceFeed: medianizerPriceFeed,
         monitorConfig,
-        financialContractProps
+        financialContractProps,
+        alertRuleEngine
       });
 
       // 4. Synthetic Peg Monitor.
@@ -266,7 +273,8 @@ async function run({
         medianizerPriceFeed,
         denominatorPriceFeed,
         monitorConfig,
-        financialContractProps
+        financialContractProps,
+        alertRuleEngine
       });
 
       logger.debug({
@@ -303,9 +311,7 @@ async function run({
               // 3.  Position Collateralization Ratio monitor. Check if monitored wallets are still safely above CRs.
               crMonitor.checkWalletCrRatio(),
               // 4. Synthetic peg monitor. Check for peg deviation, peg volatility and synthetic volatility.
-              syntheticPegMonitor.checkPriceDeviation(),
-              syntheticPegMonitor.checkPegVolatility(),
-              syntheticPegMonitor.checkSyntheticVolatility()
+              syntheticPegMonitor.checkSyntheticPeg()
             ]);
           })
         );
@@ -444,6 +450,25 @@ async function Poll(callback) {
       //  "volatilityWindow": 600,                           // Length of time (in seconds) to snapshot volatility.
       //  "pegVolatilityAlertThreshold": 0.1,                // Threshold for synthetic peg (identifier) price volatility over `volatilityWindow`.
       //  "syntheticVolatilityAlertThreshold": 0.1,          // Threshold for synthetic token on uniswap price volatility over `volatilityWindow`.
+      //  "proposalPriceFeedConfigs": {                      // OptimisticOracleContractMonitor pricefeeds, by identifier, to check
+      //       "ETHUSD": {"type":"coingecko",...}},          // proposals against. Must set `priceFeedDecimals` to the identifier's.
+      //  "disputePriceErrorPercent": 0.05,                  // Margin of error that OO disputers allow around the pricefeed price.
+      //  "disputeMarginWarningRatio": 0.8,                  // Warn about proposals beyond this fraction of the dispute margin.
+      //  "alertRules": [{ "name": "Low CR",                 // Rules evaluated over the metrics the monitors emit. See AlertRuleEngine.
+      //    "monitor": "CRMonitor",                          // Only evaluate metrics from this monitor. Defaults to all.
+      //    "labels": { "address": "0x1234" },               // Only evaluate metrics with these labels. Defaults to all.
+      //    "conditions": [{ "metric": "positionCR", "operator": "<", "value": 1.3 }], // All conditions must hold.
+      //    "consecutiveChecks": 2,                          // Number of checks in a row the conditions must hold.
+      //    "severity": "error",                             // Log level of the alert. Defaults to "warn".
+      //    "cooldown": 3600,                                // Seconds before the same alert can be sent again.
+      //    "dedupKey": "{address}" },                       // Streaks and cooldowns are tracked per key. Defaults to all labels.
+      //  ...],                                              // Metrics: positionCR (CRMonitor), collateralBalance,
+      //                                                     // syntheticBalance, etherBalance (BalanceMonitor), pegDeviation,
+      //                                                     // pegVolatility, syntheticVolatility, syntheticVolume
+      //                                                     // (SyntheticPegMonitor), sponsorCollateral, sponsorTokens,
+      //                                                     // liquidatedCollateral, liquidatedTokens, liquidationCR
+      //                                                     // (ContractMonitor). Streaks and cooldowns are kept in memory,
+      //                                                     // so they have no effect in serverless mode (POLLING_DELAY=0).
       //  "logOverrides":{                                   // override specific events log levels.
       //       "deviation":"error",                          // SyntheticPegMonitor deviation alert.
       //       "crThreshold":"error",                        // CRMonitor CR threshold alert.
@@ -455,6 +480,7 @@ async function Poll(callback) {
       //       "disputedPrice":"info"                        // OptimisticOracleContractMonitor price disputed
       //       "settledPrice":"warn"                         // OptimisticOracleContractMonitor price settled
       //       "requestedPrice":"info"                       // OptimisticOracleContractMonitor price requested
+      //       "proposalNearDisputeMargin":"error"           // OptimisticOracleContractMonitor proposal near dispute margin
       //   }
       // }
       monitorConfig: process.env.MONITOR_CONFIG ? JSON.parse(process.env.MONITOR_CONFIG) : {},
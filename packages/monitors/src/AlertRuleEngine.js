@@ -0,0 +1,166 @@
+// This module evaluates operator defined alert rules against the metrics that the other monitors compute on each check,
+// e.g. "position CR < 1.3 for 2 consecutive checks" or "collateral balance below 500".
+
+const { createObjectFromDefaultProps } = require("@uma/common");
+
+// Comparison operators that rule conditions can use.
+const OPERATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b
+};
+
+// Maximum number of rule states kept. When exceeded, the least recently checked state is dropped.
+const MAX_RULE_STATES = 10000;
+
+class AlertRuleEngine {
+  /**
+   * @notice Constructs new alert rule engine. Monitors emit metrics into it and it sends an alert for every rule whose
+   * conditions the metrics meet. Streaks and cooldowns are kept in memory, so they reset whenever the bot restarts. In
+   * serverless mode every run is a new process, so `consecutiveChecks` and `cooldown` have no effect there.
+   * @param {Object} logger Winston module used to send logs.
+   * @param {Object} [monitorConfig] Object containing an array of `alertRules`. Each rule's `name` and `conditions` must be
+   * given. Example:
+   *      { alertRules: [{ name: "Low CR",                // Friendly rule name used in alerts.
+   *          monitor: "CRMonitor",                       // Only evaluate metrics from this monitor. Defaults to all.
+   *          labels: { address: "0x1234" },              // Only evaluate metrics with these labels. Defaults to all.
+   *          conditions: [{ metric: "positionCR", operator: "<", value: 1.3 }], // All conditions must hold.
+   *          consecutiveChecks: 2,                       // Number of checks in a row the conditions must hold. Default 1.
+   *          severity: "error",                          // Log level of the alert. Default "warn".
+   *          cooldown: 3600,                             // Seconds before the same alert can be sent again. Default 0.
+   *          dedupKey: "{address}",                      // Streaks and cooldowns are tracked per key. Defaults to the
+   *                                                      // monitor and all labels of the metrics.
+   *          message: "{name} CR is {positionCR}" }      // Alert text. `{x}` is replaced by the metric or label x.
+   *      ..] }
+   * @param {Function} [getTime] Returns the current time in seconds, used for cooldowns.
+   */
+  constructor({ logger, monitorConfig, getTime = () => Math.round(new Date().getTime() / 1000) }) {
+    this.logger = logger;
+    this.getTime = getTime;
+
+    const defaultConfig = {
+      alertRules: {
+        // By default there are no rules, so emitted metrics are ignored.
+        value: [],
+        isValid: x => {
+          return Array.isArray(x) && x.every(rule => this._isValidRule(rule));
+        }
+      }
+    };
+    Object.assign(this, createObjectFromDefaultProps(monitorConfig, defaultConfig));
+
+    // Number of consecutive checks each rule's conditions have held for, and the time each rule last alerted, by
+    // rule index and dedup key. Ordered from the least to the most recently checked.
+    this.ruleState = new Map();
+  }
+
+  // Adds a rule that a monitor derives from its own config, e.g. a wallet's `crAlert` threshold in the CRMonitor. Besides
+  // the operator rule fields, these rules can set the `at` and `title` of their alert logs, and `message` can be a
+  // function of the metric and label values and the `details` emitted with the metrics. An `isMet` function of the same
+  // arguments can replace the comparison of the conditions, e.g. to compare exact token amounts instead of numbers.
+  // This keeps the monitor's alerts as they were without logging them separately from the operator rules.
+  addRule(rule) {
+    if (!this._isValidRule(rule)) throw new Error(`Invalid alert rule: ${rule.name}`);
+    this.alertRules.push(rule);
+  }
+
+  // Evaluates all rules against `metrics`, a mapping of metric names to numbers computed by `monitor` in one check.
+  // `labels` identify what the metrics describe, e.g. { address: "0x1234" }, and can be used in dedup keys and messages.
+  // `details` are only passed to the `message` and `isMet` functions of rules added by monitors.
+  emitMetrics(monitor, metrics, labels = {}, details = {}) {
+    const values = { monitor, ...labels, ...metrics };
+    this.alertRules.forEach((rule, ruleIndex) => {
+      if (rule.monitor && rule.monitor !== monitor) return;
+      if (rule.labels && Object.keys(rule.labels).some(label => labels[label] !== rule.labels[label])) return;
+      // Rules only apply to checks that compute all of their metrics.
+      if (!rule.conditions.every(condition => typeof metrics[condition.metric] === "number")) return;
+
+      const dedupKey = rule.dedupKey
+        ? this._fillTemplate(rule.dedupKey, values)
+        : [monitor, ...Object.keys(labels).map(label => `${label}=${labels[label]}`)].join(":");
+      const stateKey = `${ruleIndex}-${dedupKey}`;
+      const state = this.ruleState.get(stateKey) || { streak: 0, lastAlertTime: null };
+      this.ruleState.delete(stateKey);
+
+      const isMet = rule.isMet
+        ? rule.isMet(values, details)
+        : rule.conditions.every(condition => OPERATORS[condition.operator](metrics[condition.metric], condition.value));
+      state.streak = isMet ? state.streak + 1 : 0;
+      const currentTime = this.getTime();
+      const isCoolingDown = state.lastAlertTime !== null && currentTime - state.lastAlertTime < (rule.cooldown || 0);
+
+      // A state with no streak and no cooldown left is the same as no state, so it is only kept while it matters.
+      if (state.streak > 0 || isCoolingDown) this._setRuleState(stateKey, state);
+      if (state.streak < (rule.consecutiveChecks || 1) || isCoolingDown) return;
+      state.lastAlertTime = currentTime;
+
+      this.logger[rule.severity || "warn"]({
+        at: rule.at || "AlertRuleEngine",
+        message: rule.title || `${rule.name} alert 🔔!`,
+        mrkdwn: this._createMrkdwn(rule, values, labels, details),
+        monitor,
+        dedupKey,
+        metrics,
+        labels
+      });
+    });
+  }
+
+  // Stores `state` as the most recently checked one, dropping the least recently checked states over the limit.
+  _setRuleState(stateKey, state) {
+    this.ruleState.set(stateKey, state);
+    while (this.ruleState.size > MAX_RULE_STATES) {
+      this.ruleState.delete(this.ruleState.keys().next().value);
+    }
+  }
+
+  _isValidRule(rule) {
+    return (
+      typeof rule.name === "string" &&
+      Array.isArray(rule.conditions) &&
+      rule.conditions.length > 0 &&
+      rule.conditions.every(
+        condition =>
+          typeof condition.metric === "string" &&
+          Object.keys(OPERATORS).includes(condition.operator) &&
+          typeof condition.value === "number"
+      ) &&
+      (rule.consecutiveChecks === undefined ||
+        (Number.isInteger(rule.consecutiveChecks) && rule.consecutiveChecks > 0)) &&
+      (rule.severity === undefined || Object.keys(this.logger.levels).includes(rule.severity)) &&
+      (rule.cooldown === undefined || (typeof rule.cooldown === "number" && rule.cooldown >= 0)) &&
+      (rule.labels === undefined || (typeof rule.labels === "object" && rule.labels !== null)) &&
+      (rule.message === undefined || ["string", "function"].includes(typeof rule.message)) &&
+      (rule.isMet === undefined || typeof rule.isMet === "function")
+    );
+  }
+
+  // Replaces each `{key}` in `template` with `values[key]`. Unknown keys are left as is.
+  _fillTemplate(template, values) {
+    return template.replace(/{(\w+)}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+
+  _createMrkdwn(rule, values, labels, details) {
+    if (typeof rule.message === "function") return rule.message(values, details);
+    if (rule.message) return this._fillTemplate(rule.message, values);
+    return this._createDefaultMrkdwn(rule, values, labels);
+  }
+
+  _createDefaultMrkdwn(rule, values, labels) {
+    const conditions = rule.conditions
+      .map(condition => `${condition.metric} (${values[condition.metric]}) ${condition.operator} ${condition.value}`)
+      .join(" and ");
+    const checks = rule.consecutiveChecks > 1 ? ` for ${rule.consecutiveChecks} consecutive checks` : "";
+    const labelList = Object.keys(labels).map(label => `${label}: ${labels[label]}`);
+    return (
+      `${values.monitor} reported ${conditions}${checks}.` + (labelList.length > 0 ? ` ${labelList.join(", ")}.` : "")
+    );
+  }
+}
+
+module.exports = {
+  AlertRuleEngine
+};
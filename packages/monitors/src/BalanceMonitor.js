@@ -6,6 +6,7 @@ const {
   createEtherscanLinkMarkdown,
   createObjectFromDefaultProps
 } = require("@uma/common");
+const { AlertRuleEngine } = require("./AlertRuleEngine");
 
 class BalanceMonitor {
   /**
@@ -30,14 +31,20 @@ class BalanceMonitor {
             collateralDecimals: 18,
             syntheticDecimals: 18,
             networkId:1 }
+   * @param {Object} [alertRuleEngine] AlertRuleEngine that each bot's `collateralBalance`, `syntheticBalance` and
+   * `etherBalance` are emitted into, labelled by bot `name` and `address`. Each bot's thresholds are added to it as
+   * rules. Defaults to an engine without operator defined rules.
    */
-  constructor({ logger, tokenBalanceClient, monitorConfig, financialContractProps }) {
+  constructor({ logger, tokenBalanceClient, monitorConfig, financialContractProps, alertRuleEngine }) {
     this.logger = logger;
 
     // Instance of the tokenBalanceClient to read account balances from last change update.
     this.client = tokenBalanceClient;
     this.web3 = this.client.web3;
 
+    // Evaluates the balance thresholds and operator defined alert rules against the metrics computed by this monitor.
+    this.alertRuleEngine = alertRuleEngine || new AlertRuleEngine({ logger });
+
     // Bot addresses and thresholds to monitor. If none provided then defaults to monitoring nothing. Configuration
     // object must conform to correct structure with the right key valued pairs.
     const defaultConfig = {
@@ -117,6 +124,68 @@ class BalanceMonitor {
 
     // Helper functions from web3.
     this.toBN = this.web3.utils.toBN;
+    this.fromWei = this.web3.utils.fromWei;
+
+    // Alert if a bot's collateral, synthetic or ether balance drops below its threshold.
+    const balances = [
+      {
+        metric: "collateralBalance",
+        threshold: "collateralThreshold",
+        logOverride: "collateralThreshold",
+        title: "Low collateral balance warning ⚠️",
+        tokenSymbol: this.financialContractProps.collateralSymbol,
+        tokenName: "collateral",
+        normalizationFunction: this.normalizeCollateralDecimals
+      },
+      {
+        metric: "syntheticBalance",
+        threshold: "syntheticThreshold",
+        logOverride: "syntheticThreshold",
+        title: "Low synthetic balance warning ⚠️",
+        tokenSymbol: this.financialContractProps.syntheticSymbol,
+        tokenName: "synthetic",
+        normalizationFunction: this.normalizeSyntheticDecimals
+      },
+      {
+        metric: "etherBalance",
+        threshold: "etherThreshold",
+        logOverride: "ethThreshold",
+        title: "Low Ether balance warning ⚠️",
+        tokenSymbol: "ETH",
+        tokenName: "ether",
+        normalizationFunction: num => this.toBN(num)
+      }
+    ];
+    for (let bot of this.botsToMonitor) {
+      for (let balance of balances) {
+        this.alertRuleEngine.addRule({
+          name: `Low ${balance.tokenName} balance`,
+          monitor: "BalanceMonitor",
+          labels: { address: this.web3.utils.toChecksumAddress(bot.address) },
+          conditions: [
+            {
+              metric: balance.metric,
+              operator: "<",
+              value: this._toNumber(bot[balance.threshold], balance.normalizationFunction)
+            }
+          ],
+          // Whole token numbers can round off the smallest units, so the raw balance is compared instead.
+          isMet: (values, details) => this.toBN(details[balance.metric]).lt(this.toBN(bot[balance.threshold])),
+          severity: this.logOverrides[balance.logOverride] || "warn",
+          at: "BalanceMonitor",
+          title: balance.title,
+          message: (values, details) =>
+            this._createLowBalanceMrkdwn(
+              bot,
+              bot[balance.threshold],
+              details[balance.metric],
+              balance.tokenSymbol,
+              balance.tokenName,
+              balance.normalizationFunction
+            )
+        });
+      }
+    }
   }
 
   // Queries all bot ballance for collateral, synthetic and ether against specified thresholds.
@@ -127,56 +196,35 @@ class BalanceMonitor {
     });
 
     // Loop over all the bot objects specified to monitor in the this.botsToMonitor object and for each bot
-    // check if their collateral, synthetic or ether balance is below a given threshold. If it is, then
-    // send a winston event. The message structure is defined with the `_createLowBalanceMrkdwn` formatter.
+    // emit their collateral, synthetic and ether balances. The alert rule engine sends a winston event for each balance
+    // below its threshold. The message structure is defined with the `_createLowBalanceMrkdwn` formatter.
     for (let bot of this.botsToMonitor) {
       const monitoredAddress = this.web3.utils.toChecksumAddress(bot.address);
 
-      if (this.toBN(this.client.getCollateralBalance(monitoredAddress)).lt(this.toBN(bot.collateralThreshold))) {
-        this.logger[this.logOverrides.collateralThreshold || "warn"]({
-          at: "BalanceMonitor",
-          message: "Low collateral balance warning ⚠️",
-          mrkdwn: this._createLowBalanceMrkdwn(
-            bot,
-            bot.collateralThreshold,
-            this.client.getCollateralBalance(monitoredAddress),
-            this.financialContractProps.collateralSymbol,
-            "collateral",
-            this.normalizeCollateralDecimals
-          )
-        });
-      }
-      if (this.toBN(this.client.getSyntheticBalance(monitoredAddress)).lt(this.toBN(bot.syntheticThreshold))) {
-        this.logger[this.logOverrides.syntheticThreshold || "warn"]({
-          at: "BalanceMonitor",
-          message: "Low synthetic balance warning ⚠️",
-          mrkdwn: this._createLowBalanceMrkdwn(
-            bot,
-            bot.syntheticThreshold,
-            this.client.getSyntheticBalance(monitoredAddress),
-            this.financialContractProps.syntheticSymbol,
-            "synthetic",
-            this.normalizeSyntheticDecimals
-          )
-        });
-      }
-      if (this.toBN(this.client.getEtherBalance(monitoredAddress)).lt(this.toBN(bot.etherThreshold))) {
-        this.logger[this.logOverrides.ethThreshold || "warn"]({
-          at: "BalanceMonitor",
-          message: "Low Ether balance warning ⚠️",
-          mrkdwn: this._createLowBalanceMrkdwn(
-            bot,
-            bot.etherThreshold,
-            this.client.getEtherBalance(monitoredAddress),
-            "ETH",
-            "ether",
-            num => this.toBN(num)
-          )
-        });
-      }
+      const collateralBalance = this.client.getCollateralBalance(monitoredAddress);
+      const syntheticBalance = this.client.getSyntheticBalance(monitoredAddress);
+      const etherBalance = this.client.getEtherBalance(monitoredAddress);
+
+      // Balances are emitted in whole tokens, e.g. 1.5 for 1.5 ETH.
+      this.alertRuleEngine.emitMetrics(
+        "BalanceMonitor",
+        {
+          collateralBalance: this._toNumber(collateralBalance, this.normalizeCollateralDecimals),
+          syntheticBalance: this._toNumber(syntheticBalance, this.normalizeSyntheticDecimals),
+          etherBalance: this._toNumber(etherBalance, num => this.toBN(num))
+        },
+        { name: bot.name, address: monitoredAddress },
+        { collateralBalance, syntheticBalance, etherBalance }
+      );
     }
   }
 
+  // Converts a raw token balance to a number of whole tokens, or undefined if the balance is not known yet.
+  _toNumber(balance, normalizationFunction) {
+    if (balance == null) return undefined;
+    return Number(this.fromWei(normalizationFunction(balance).toString()));
+  }
+
   _createLowBalanceMrkdwn(bot, threshold, tokenBalance, tokenSymbol, tokenName, normalizationFunction) {
     return (
       bot.name +
@@ -6,6 +6,8 @@ const {
   createEtherscanLinkMarkdown,
   createObjectFromDefaultProps
 } = require("@uma/common");
+const { calculatePositionCR } = require("@uma/financial-templates-lib");
+const { AlertRuleEngine } = require("./AlertRuleEngine");
 
 class CRMonitor {
   /**
@@ -27,8 +29,11 @@ class CRMonitor {
             priceFeedDecimals: 18,
             priceIdentifier: "ETH/BTC",
             networkId:1 }
+   * @param {Object} [alertRuleEngine] AlertRuleEngine that each position's `positionCR` is emitted into, labelled by
+   * wallet `name` and `address`. Each wallet's `crAlert` is added to it as a rule. Defaults to an engine without
+   * operator defined rules.
    */
-  constructor({ logger, financialContractClient, priceFeed, monitorConfig, financialContractProps }) {
+  constructor({ logger, financialContractClient, priceFeed, monitorConfig, financialContractProps, alertRuleEngine }) {
     this.logger = logger;
 
     this.financialContractClient = financialContractClient;
@@ -37,6 +42,9 @@ class CRMonitor {
     // Offchain price feed to compute the current collateralization ratio for the monitored positions.
     this.priceFeed = priceFeed;
 
+    // Evaluates the `crAlert` thresholds and operator defined alert rules against the metrics computed by this monitor.
+    this.alertRuleEngine = alertRuleEngine || new AlertRuleEngine({ logger });
+
     // Define a set of normalization functions. These Convert a number delimited with given base number of decimals to a
     // number delimited with a given number of decimals (18). For example, consider normalizeCollateralDecimals. 100 BTC
     // is 100*10^8. This function would return 100*10^18, thereby converting collateral decimals to 18 decimal places.
@@ -108,8 +116,24 @@ class CRMonitor {
     // Helper functions from web3.
     this.toBN = this.web3.utils.toBN;
     this.toWei = this.web3.utils.toWei;
+    this.fromWei = this.web3.utils.fromWei;
 
     this.fixedPointAdjustment = this.toBN(this.toWei("1"));
+
+    // Alert if a wallet's collateralization ratio drops below its `crAlert` threshold.
+    for (let wallet of this.walletsToMonitor) {
+      this.alertRuleEngine.addRule({
+        name: "Collateralization ratio",
+        monitor: "CRMonitor",
+        labels: { address: this.web3.utils.toChecksumAddress(wallet.address) },
+        conditions: [{ metric: "positionCR", operator: "<", value: wallet.crAlert }],
+        isMet: (values, details) => this.toBN(details.positionCR).lt(this.toBN(this.toWei(wallet.crAlert.toString()))),
+        severity: this.logOverrides.crThreshold || "warn",
+        at: "CRMonitor",
+        title: "Collateralization ratio alert 🙅‍♂️!",
+        message: (values, details) => this._createCrAlertMrkdwn(wallet, details)
+      });
+    }
   }
 
   // Queries all monitored wallet ballance for collateralization ratio against a given threshold.
@@ -132,8 +156,8 @@ class CRMonitor {
       message: "Checking wallet collateralization ratios",
       price: price.toString()
     });
-    // For each monitored wallet check if the current collaterlization ratio is below the monitored threshold.
-    // If it is, then send an alert of formatted markdown text.
+    // For each monitored wallet emit the current collaterlization ratio. The alert rule engine sends an alert of
+    // formatted markdown text if it is below the monitored threshold.
     for (let wallet of this.walletsToMonitor) {
       const monitoredAddress = this.web3.utils.toChecksumAddress(wallet.address);
 
@@ -165,72 +189,61 @@ class CRMonitor {
         continue;
       }
 
-      // Lastly, if we have gotten a position CR ratio this can be compared against the threshold. If it is below the
-      // threshold then push the notification.
-      if (this._ltThreshold(positionCR, this.toWei(wallet.crAlert.toString()))) {
-        const liquidationPrice = this._calculatePriceForCR(
-          backingCollateral,
-          tokensOutstanding,
-          this.financialContractClient.collateralRequirement
-        );
-
-        // Sample message:
-        // Risk alert: [Tracked wallet name] has fallen below [threshold]%.
-        // Current [name of identifier] value: [current identifier value].
-        const mrkdwn =
-          wallet.name +
-          " (" +
-          createEtherscanLinkMarkdown(monitoredAddress, this.financialContractProps.networkId) +
-          ") collateralization ratio has dropped to " +
-          this.formatDecimalString(positionCR.muln(100)) + // Scale up the CR threshold by 100 to become a percentage
-          "% which is below the " +
-          wallet.crAlert * 100 +
-          "% threshold. Current value of " +
-          this.financialContractProps.priceIdentifier +
-          " is " +
-          this.formatDecimalString(this.normalizePriceFeedDecimals(price)) +
-          ". The collateralization requirement is " +
-          this.formatDecimalString(this.financialContractClient.collateralRequirement.muln(100)) +
-          "%. Liquidation price: " +
-          this.formatDecimalString(liquidationPrice) + // Note that this does NOT use normalizePriceFeedDecimals as the value has been normalized from the _calculatePriceForCR equation.
-          ". The latest cumulative funding rate multiplier is " +
-          this.formatDecimalString(latestCumulativeFundingRateMultiplier);
-        +".";
-
-        this.logger[this.logOverrides.crThreshold || "warn"]({
-          at: "CRMonitor",
-          message: "Collateralization ratio alert 🙅‍♂️!",
-          mrkdwn: mrkdwn
-        });
-      }
+      this.alertRuleEngine.emitMetrics(
+        "CRMonitor",
+        { positionCR: Number(this.fromWei(positionCR.toString())) },
+        { name: wallet.name, address: monitoredAddress },
+        { positionCR, backingCollateral, tokensOutstanding, price, latestCumulativeFundingRateMultiplier }
+      );
     }
   }
 
-  _getPositionInformation(address) {
-    return this.financialContractClient.getAllPositions().find(position => position.sponsor === address);
+  // Sample message:
+  // Risk alert: [Tracked wallet name] has fallen below [threshold]%.
+  // Current [name of identifier] value: [current identifier value].
+  _createCrAlertMrkdwn(wallet, details) {
+    const liquidationPrice = this._calculatePriceForCR(
+      details.backingCollateral,
+      details.tokensOutstanding,
+      this.financialContractClient.collateralRequirement
+    );
+
+    return (
+      wallet.name +
+      " (" +
+      createEtherscanLinkMarkdown(
+        this.web3.utils.toChecksumAddress(wallet.address),
+        this.financialContractProps.networkId
+      ) +
+      ") collateralization ratio has dropped to " +
+      this.formatDecimalString(details.positionCR.muln(100)) + // Scale up the CR threshold by 100 to become a percentage
+      "% which is below the " +
+      wallet.crAlert * 100 +
+      "% threshold. Current value of " +
+      this.financialContractProps.priceIdentifier +
+      " is " +
+      this.formatDecimalString(this.normalizePriceFeedDecimals(details.price)) +
+      ". The collateralization requirement is " +
+      this.formatDecimalString(this.financialContractClient.collateralRequirement.muln(100)) +
+      "%. Liquidation price: " +
+      this.formatDecimalString(liquidationPrice) + // Note that this does NOT use normalizePriceFeedDecimals as the value has been normalized from the _calculatePriceForCR equation.
+      ". The latest cumulative funding rate multiplier is " +
+      this.formatDecimalString(details.latestCumulativeFundingRateMultiplier)
+    );
   }
 
-  // Checks if a big number value is below a given threshold.
-  _ltThreshold(value, threshold) {
-    // If the price has not resolved yet then return false.
-    if (value == null) {
-      return false;
-    }
-    return this.toBN(value).lt(this.toBN(threshold));
+  _getPositionInformation(address) {
+    return this.financialContractClient.getAllPositions().find(position => position.sponsor === address);
   }
 
   // Calculate the collateralization Ratio from the collateral, token amount and token price
   // This is cr = (collateral - withdrawalRequestAmount) / (tokensOutstanding * price)
   _calculatePositionCR(collateral, tokensOutstanding, tokenPrice) {
-    if (collateral == 0) {
-      return 0;
-    }
-    if (tokensOutstanding == 0) {
-      return null;
-    }
-    return this.normalizeCollateralDecimals(collateral)
-      .mul(this.fixedPointAdjustment.mul(this.fixedPointAdjustment))
-      .div(this.normalizeSyntheticDecimals(tokensOutstanding).mul(this.normalizePriceFeedDecimals(tokenPrice)));
+    return calculatePositionCR(
+      this.normalizeCollateralDecimals(collateral),
+      this.normalizeSyntheticDecimals(tokensOutstanding),
+      this.normalizePriceFeedDecimals(tokenPrice)
+    );
   }
 
   _calculatePriceForCR(collateral, tokensOutstanding, collateralRequirement) {
@@ -27,6 +27,10 @@ class ContractMonitor {
             priceFeedDecimals: 18,
             networkId:1 }
    * @param {Object} votingContract DVM to query price requests.
+   * @param {Object} [alertRuleEngine] AlertRuleEngine that each new position's `sponsorCollateral` and `sponsorTokens`,
+   * and each liquidation's `liquidatedCollateral`, `liquidatedTokens` and, if a historical price is available,
+   * `liquidationCR` are emitted into. Amounts are in whole tokens and CRs are ratios, e.g. 1.2 for 120%. Labelled by
+   * `sponsor` and, for liquidations, `liquidator`.
    */
   constructor({
     logger,
@@ -34,10 +38,14 @@ class ContractMonitor {
     priceFeed,
     monitorConfig,
     financialContractProps,
-    votingContract
+    votingContract,
+    alertRuleEngine
   }) {
     this.logger = logger;
 
+    // Evaluates operator defined alert rules against the metrics computed by this monitor.
+    this.alertRuleEngine = alertRuleEngine;
+
     // Offchain price feed to get the price for liquidations.
     this.priceFeed = priceFeed;
 
@@ -175,6 +183,13 @@ class ContractMonitor {
         message: "New Sponsor Alert 🐣!",
         mrkdwn: mrkdwn
       });
+      this._emitMetrics(
+        {
+          sponsorCollateral: this.normalizeCollateralDecimals(event.collateralAmount),
+          sponsorTokens: this.normalizeSyntheticDecimals(event.tokenAmount)
+        },
+        { sponsor: event.sponsor }
+      );
     }
     this.lastNewSponsorBlockNumber = this._getLastSeenBlockNumber(latestNewSponsorEvents);
   }
@@ -292,6 +307,18 @@ class ContractMonitor {
         message: "Liquidation Alert 🧙‍♂️!",
         mrkdwn: mrkdwn
       });
+      const liquidationMetrics = {
+        liquidatedCollateral: this.normalizeCollateralDecimals(event.liquidatedCollateral),
+        liquidatedTokens: this.normalizeSyntheticDecimals(event.tokensOutstanding)
+      };
+      if (price) {
+        liquidationMetrics.liquidationCR = this._calculatePositionCRPercent(
+          event.liquidatedCollateral,
+          event.tokensOutstanding,
+          price
+        ).divn(100);
+      }
+      this._emitMetrics(liquidationMetrics, { sponsor: event.sponsor, liquidator: event.liquidator });
     }
     this.lastLiquidationBlockNumber = this._getLastSeenBlockNumber(latestLiquidationEvents);
   }
@@ -446,6 +473,14 @@ class ContractMonitor {
     this.lastFundingRateUpdatedBlockNumber = this._getLastSeenBlockNumber(latestFundingRateUpdatedEvents);
   }
 
+  // Emits `metrics`, a mapping of metric names to 18 decimal numbers, into the alert rule engine, if any.
+  _emitMetrics(metrics, labels) {
+    if (!this.alertRuleEngine) return;
+    const numericMetrics = {};
+    for (const [name, value] of Object.entries(metrics)) numericMetrics[name] = Number(this.fromWei(value.toString()));
+    this.alertRuleEngine.emitMetrics("ContractMonitor", numericMetrics, labels);
+  }
+
   // Calculate the collateralization Ratio from the collateral, token amount and token price.
   // This is found using the following equation cr = [collateral / (tokensOutstanding * price)] * 100.
   // The number returned is scaled by 1e18.
@@ -1,4 +1,5 @@
 // This module monitors OptimisticOracle contracts and produce logs when new price requests are submitted, proposed to, disputed, and settled.
+// Proposals for identifiers with a configured pricefeed also produce an early warning if they are close to being disputable.
 
 // TODO: Use pricefeed mapping from proposer bot to fetch approximate prices for each price request to give more log information. This probably means
 // refactoring the pricefeed mapping out of the proposer bot so it can be shared amongst clients.
@@ -10,6 +11,7 @@ const {
   ConvertDecimals
 } = require("@uma/common");
 const { getAbi } = require("@uma/core");
+const { Networker, createPriceFeed, calculateDeviationError } = require("@uma/financial-templates-lib");
 
 class OptimisticOracleContractMonitor {
   /**
@@ -37,6 +39,9 @@ class OptimisticOracleContractMonitor {
     // Formats an 18 decimal point string with a define number of decimals and precision for use in message generation.
     this.formatDecimalString = createFormatFunction(this.web3, 2, 4, false);
 
+    // Cached mapping of identifiers to the pricefeeds that proposals are checked against.
+    this.priceFeedCache = {};
+
     // Bot and ecosystem accounts to monitor, overridden by monitorConfig parameter.
     const defaultConfig = {
       logOverrides: {
@@ -48,6 +53,31 @@ class OptimisticOracleContractMonitor {
           // Override must be one of the default logging levels: ['error','warn','info','http','verbose','debug','silly']
           return Object.values(overrides).every(param => Object.keys(this.logger.levels).includes(param));
         }
+      },
+      proposalPriceFeedConfigs: {
+        // Pricefeed configs, by identifier, to check new proposals against. Each config must set `priceFeedDecimals` to
+        // the identifier's precision. Proposals for other identifiers are not checked. E.g.
+        // { "ETHUSD": { "type": "medianizer", "medianizedFeeds": [...] } }
+        value: {},
+        isValid: x => {
+          return typeof x === "object" && Object.values(x).every(config => typeof config === "object");
+        }
+      },
+      disputePriceErrorPercent: {
+        // The margin of error that disputers allow for proposals, matching the OO bots' `disputePriceErrorPercent`.
+        // e.g. 0.05 implies proposals more than 5% away from the pricefeed's price are disputed.
+        value: 0.05,
+        isValid: x => {
+          return !isNaN(x) && x > 0;
+        }
+      },
+      disputeMarginWarningRatio: {
+        // Proposals that deviate from the pricefeed's price by more than this fraction of `disputePriceErrorPercent`
+        // produce an early warning. e.g. 0.8 with a 5% margin warns about proposals more than 4% away.
+        value: 0.8,
+        isValid: x => {
+          return !isNaN(x) && x >= 0;
+        }
       }
     };
 
@@ -133,6 +163,8 @@ class OptimisticOracleContractMonitor {
         message: "Price Proposal Alert 🧞‍♂️!",
         mrkdwn: mrkdwn
       });
+
+      await this._checkProposalDeviation(event);
     }
     this.lastProposePriceBlockNumber = this._getLastSeenBlockNumber(latestEvents);
   }
@@ -201,6 +233,76 @@ class OptimisticOracleContractMonitor {
     this.lastSettlementBlockNumber = this._getLastSeenBlockNumber(latestEvents);
   }
 
+  // Warns if `event`'s proposed price is close to, or beyond, the dispute margin around the identifier's pricefeed price.
+  async _checkProposalDeviation(event) {
+    let priceFeed, expectedPrice;
+    try {
+      priceFeed = await this._createOrGetCachedPriceFeed(event.identifier);
+      if (!priceFeed) return;
+      await priceFeed.update();
+      expectedPrice = this.toBN((await priceFeed.getHistoricalPrice(Number(event.timestamp))).toString());
+    } catch (error) {
+      this.logger.debug({
+        at: "OptimisticOracleContractMonitor",
+        message: "Failed to query historical price to check proposal against",
+        identifier: event.identifier,
+        timestamp: event.timestamp,
+        error
+      });
+      return;
+    }
+    if (expectedPrice.isZero()) return;
+
+    const fixedPointAdjustment = this.toBN(this.toWei("1"));
+    const deviation = calculateDeviationError(
+      this.toBN(event.proposedPrice),
+      expectedPrice,
+      fixedPointAdjustment
+    ).abs();
+    const disputeMargin = this.toBN(this.toWei(this.disputePriceErrorPercent.toString()));
+    const warningMargin = disputeMargin
+      .mul(this.toBN(this.toWei(this.disputeMarginWarningRatio.toString())))
+      .div(fixedPointAdjustment);
+    if (deviation.lte(warningMargin)) return;
+
+    const convertPriceDecimals = ConvertDecimals(priceFeed.getPriceFeedDecimals(), 18, this.web3);
+    const proposedPrice = this.formatDecimalString(convertPriceDecimals(event.proposedPrice));
+    const pricefeedPrice = this.formatDecimalString(convertPriceDecimals(expectedPrice));
+    const deviationPercent = this.formatDecimalString(deviation.muln(100));
+    const disputeMarginPercent = this.disputePriceErrorPercent * 100;
+    const mrkdwn =
+      `The proposal of ${proposedPrice} for the request made by ${event.requester} at the timestamp ${event.timestamp} for the identifier: ${event.identifier} ` +
+      `is ${deviationPercent}% away from the pricefeed price of ${pricefeedPrice}. ` +
+      `This is ${
+        deviation.gt(disputeMargin) ? "outside of" : "close to"
+      } the ${disputeMarginPercent}% dispute margin. ` +
+      `The proposal will expire at ${event.expirationTimestamp}. ` +
+      `The ancillary data field is ${event.ancillaryData}. ` +
+      `tx: ${createEtherscanLinkMarkdown(event.transactionHash, this.contractProps.networkId)}`;
+
+    this.logger[this.logOverrides.proposalNearDisputeMargin || "warn"]({
+      at: "OptimisticOracleContractMonitor",
+      message: "Proposal Near Dispute Margin Alert ⚠️!",
+      mrkdwn: mrkdwn
+    });
+  }
+
+  async _createOrGetCachedPriceFeed(identifier) {
+    if (this.priceFeedCache[identifier]) return this.priceFeedCache[identifier];
+    const config = this.proposalPriceFeedConfigs[identifier];
+    if (!config) return null;
+
+    const priceFeed = await createPriceFeed(
+      this.logger,
+      this.web3,
+      new Networker(this.logger),
+      () => Math.round(new Date().getTime() / 1000),
+      config
+    );
+    if (priceFeed) this.priceFeedCache[identifier] = priceFeed;
+    return priceFeed;
+  }
+
   // Returns helper method for converting collateral token associated with financial contract to human readable form.
   async _getCollateralDecimalsConverted(financialContractAddress) {
     const financialContract = new this.web3.eth.Contract(getAbi("FeePayer"), financialContractAddress);
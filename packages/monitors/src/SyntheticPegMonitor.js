@@ -3,6 +3,7 @@
 
 const { ConvertDecimals, createFormatFunction, formatHours, createObjectFromDefaultProps } = require("@uma/common");
 const { calculateDeviationError } = require("@uma/financial-templates-lib");
+const { AlertRuleEngine } = require("./AlertRuleEngine");
 
 // TODO: Rename "medianizerPriceFeed" ==> "pegPriceFeed" and "uniswapPriceFeed" ==> "syntheticPriceFeed"
 class SyntheticPegMonitor {
@@ -25,6 +26,11 @@ class SyntheticPegMonitor {
    *      { syntheticSymbol:"ETHBTC",
             priceIdentifier: "ETH/BTC",
             priceFeedDecimals: 18, }
+   * @param {Object} [alertRuleEngine] AlertRuleEngine that the absolute `pegDeviation`, `pegVolatility` and
+   * `syntheticVolatility` fractions are emitted into, e.g. 0.05 for 5%, labelled by `syntheticSymbol` and
+   * `priceIdentifier`. Each is only emitted while its check is enabled. `syntheticVolume` is the number of synthetic
+   * tokens swapped over the `volatilityWindow`, if the synthetic price feed can tell. The alert thresholds are added to
+   * it as rules. Defaults to an engine without operator defined rules.
    */
   constructor({
     logger,
@@ -33,10 +39,14 @@ class SyntheticPegMonitor {
     medianizerPriceFeed,
     denominatorPriceFeed,
     monitorConfig,
-    financialContractProps
+    financialContractProps,
+    alertRuleEngine
   }) {
     this.logger = logger;
 
+    // Evaluates the alert thresholds and operator defined alert rules against the metrics computed by this monitor.
+    this.alertRuleEngine = alertRuleEngine || new AlertRuleEngine({ logger });
+
     // Instance of price feeds used to check for deviation of synthetic token price.
     this.uniswapPriceFeed = uniswapPriceFeed;
     this.medianizerPriceFeed = medianizerPriceFeed;
@@ -117,11 +127,73 @@ class SyntheticPegMonitor {
     // Helper functions from web3.
     this.toBN = this.web3.utils.toBN;
     this.toWei = this.web3.utils.toWei;
+    this.fromWei = this.web3.utils.fromWei;
+
+    // Alert if the synthetic deviates too far from the peg or either price is too volatile. Zero thresholds disable the
+    // check that emits the metric, so they need no rule.
+    if (this.deviationAlertThreshold !== 0) {
+      this.alertRuleEngine.addRule({
+        name: "Synthetic off peg",
+        monitor: "SyntheticPegMonitor",
+        conditions: [{ metric: "pegDeviation", operator: ">", value: this.deviationAlertThreshold }],
+        isMet: (values, details) =>
+          this._gtThreshold(details.pegDeviation.deviationError, this.deviationAlertThreshold),
+        severity: this.logOverrides.deviation || "warn",
+        at: "SyntheticPegMonitor",
+        title: "Synthetic off peg alert 😵",
+        message: (values, details) => this._createDeviationMrkdwn(details.pegDeviation)
+      });
+    }
+    if (this.pegVolatilityAlertThreshold !== 0) {
+      this.alertRuleEngine.addRule({
+        name: "Peg price volatility",
+        monitor: "SyntheticPegMonitor",
+        conditions: [{ metric: "pegVolatility", operator: ">", value: this.pegVolatilityAlertThreshold }],
+        isMet: (values, details) =>
+          this._gtThreshold(details.pegVolatility.pricefeedVolatility, this.pegVolatilityAlertThreshold),
+        at: "SyntheticPegMonitor",
+        title: "Peg price volatility alert 🌋",
+        message: (values, details) =>
+          this._createVolatilityMrkdwn(details.pegVolatility, this.pegVolatilityAlertThreshold)
+      });
+    }
+    if (this.syntheticVolatilityAlertThreshold !== 0) {
+      this.alertRuleEngine.addRule({
+        name: "Synthetic price volatility",
+        monitor: "SyntheticPegMonitor",
+        conditions: [{ metric: "syntheticVolatility", operator: ">", value: this.syntheticVolatilityAlertThreshold }],
+        isMet: (values, details) =>
+          this._gtThreshold(details.syntheticVolatility.pricefeedVolatility, this.syntheticVolatilityAlertThreshold),
+        at: "SyntheticPegMonitor",
+        title: "Synthetic price volatility alert 🌋",
+        message: (values, details) =>
+          this._createVolatilityMrkdwn(details.syntheticVolatility, this.syntheticVolatilityAlertThreshold)
+      });
+    }
+  }
+
+  // Runs the peg deviation, peg volatility and synthetic volatility checks and emits their metrics, along with the
+  // synthetic volume, together. This lets alert rules combine them, e.g. "pegDeviation > 0.05 and syntheticVolume > 1000".
+  async checkSyntheticPeg() {
+    this._emitMetrics(
+      await Promise.all([
+        this._getPriceDeviation(),
+        this._getPegVolatility(),
+        this._getSyntheticVolatility(),
+        this._getSyntheticVolume()
+      ])
+    );
   }
 
   // Compares synthetic price on Uniswap with pegged price on medianizer price feed and fires a message
   // if the synythetic price deviates too far from the peg. If deviationAlertThreshold == 0 then do nothing.
   async checkPriceDeviation() {
+    this._emitMetrics([await this._getPriceDeviation()]);
+  }
+
+  // Returns the `pegDeviation` metric and the prices it is computed from, or nothing if the check is disabled or a price
+  // is missing.
+  async _getPriceDeviation() {
     if (this.deviationAlertThreshold === 0) return; // return early if the threshold is zero.
     // Get the latest prices from the two price feeds.
     let uniswapTokenPrice = this.uniswapPriceFeed.getCurrentPrice();
@@ -163,29 +235,22 @@ class SyntheticPegMonitor {
     });
 
     const deviationError = this._calculateDeviationError(uniswapTokenPrice, cryptoWatchTokenPrice);
-    // If the percentage error is greater than (gt) the threshold send a message.
-    if (deviationError.abs().gt(this.toBN(this.toWei(this.deviationAlertThreshold.toString())))) {
-      this.logger[this.logOverrides.deviation || "warn"]({
-        at: "SyntheticPegMonitor",
-        message: "Synthetic off peg alert 😵",
-        mrkdwn:
-          "Synthetic token " +
-          this.financialContractProps.syntheticSymbol +
-          " is trading at " +
-          this.formatDecimalString(this.normalizePriceFeedDecimals(uniswapTokenPrice)) +
-          " on Uniswap. Target price is " +
-          this.formatDecimalString(this.normalizePriceFeedDecimals(cryptoWatchTokenPrice)) +
-          ". Error of " +
-          this.formatDecimalString(deviationError.muln(100)) + // multiply by 100 to make the error a percentage
-          "%."
-      });
-    }
+    return {
+      metrics: { pegDeviation: this._toNumber(deviationError) },
+      details: { pegDeviation: { uniswapTokenPrice, cryptoWatchTokenPrice, deviationError } }
+    };
   }
 
   // Checks difference between minimum and maximum historical price over `volatilityWindow` amount of time.
   // Fires a message if the difference exceeds the `volatilityAlertThreshold` %. `checkPegVolatility` checks if the
   // reference medianizer price feed has a large % change over the window.
   async checkPegVolatility() {
+    this._emitMetrics([await this._getPegVolatility()]);
+  }
+
+  // Returns the `pegVolatility` metric and the prices it is computed from, or nothing if the check is disabled or the
+  // prices are missing.
+  async _getPegVolatility() {
     if (this.pegVolatilityAlertThreshold === 0) return; // Exit early if not monitoring peg volatility.
     const pricefeed = this.medianizerPriceFeed;
 
@@ -216,30 +281,20 @@ class SyntheticPegMonitor {
       minPrice: min.toString(),
       maxPrice: max.toString()
     });
-
-    // If the volatility percentage is greater than (gt) the threshold send a message.
-    if (pricefeedVolatility.abs().gt(this.toBN(this.toWei(this.pegVolatilityAlertThreshold.toString())))) {
-      this.logger.warn({
-        at: "SyntheticPegMonitor",
-        message: "Peg price volatility alert 🌋",
-        mrkdwn:
-          "Latest updated " +
-          this.financialContractProps.priceIdentifier +
-          " price is " +
-          this.formatDecimalString(this.normalizePriceFeedDecimals(pricefeedLatestPrice)) +
-          ". Price moved " +
-          this.formatDecimalString(pricefeedVolatility.muln(100)) + // Note no normalizePriceFeedDecimals as this is unitless
-          "% over the last " +
-          formatHours(this.volatilityWindow) +
-          " hour(s). Threshold is " +
-          this.pegVolatilityAlertThreshold * 100 +
-          "%."
-      });
-    }
+    return {
+      metrics: { pegVolatility: this._toNumber(pricefeedVolatility) },
+      details: { pegVolatility: volData }
+    };
   }
 
   // `checkSyntheticVolatility` checks if the synthetic uniswap price feed has a large % change over the window.
   async checkSyntheticVolatility() {
+    this._emitMetrics([await this._getSyntheticVolatility()]);
+  }
+
+  // Returns the `syntheticVolatility` metric and the prices it is computed from, or nothing if the check is disabled or
+  // the prices are missing.
+  async _getSyntheticVolatility() {
     if (this.syntheticVolatilityAlertThreshold === 0) return; // Exit early if not monitoring synthetic volatility.
     const pricefeed = this.uniswapPriceFeed;
 
@@ -270,26 +325,39 @@ class SyntheticPegMonitor {
       minPrice: min.toString(),
       maxPrice: max.toString()
     });
+    return {
+      metrics: { syntheticVolatility: this._toNumber(pricefeedVolatility) },
+      details: { syntheticVolatility: volData }
+    };
+  }
 
-    // If the volatility percentage is greater than (gt) the threshold send a message.
-    if (pricefeedVolatility.abs().gt(this.toBN(this.toWei(this.syntheticVolatilityAlertThreshold.toString())))) {
+  // Returns the `syntheticVolume` metric over the `volatilityWindow`, or nothing if the synthetic price feed does not
+  // report volumes, e.g. because it is not a Uniswap price feed.
+  async _getSyntheticVolume() {
+    const pricefeed = this.uniswapPriceFeed;
+    if (!pricefeed || !pricefeed.getHistoricalVolume || this.volatilityWindow === 0) return;
+
+    const latestTime = pricefeed.getLastUpdateTime();
+    let volume;
+    try {
+      volume = pricefeed.getHistoricalVolume(latestTime - this.volatilityWindow, latestTime);
+    } catch (error) {
       this.logger.warn({
         at: "SyntheticPegMonitor",
-        message: "Synthetic price volatility alert 🌋",
-        mrkdwn:
-          "Latest updated " +
-          this.financialContractProps.priceIdentifier +
-          " price is " +
-          this.formatDecimalString(this.normalizePriceFeedDecimals(pricefeedLatestPrice)) +
-          ". Price moved " +
-          this.formatDecimalString(pricefeedVolatility.muln(100)) + // Note no normalizePriceFeedDecimals as this is unitless
-          "% over the last " +
-          formatHours(this.volatilityWindow) +
-          " hour(s). Threshold is " +
-          this.syntheticVolatilityAlertThreshold * 100 +
-          "%."
+        message: "Unable to get synthetic volume",
+        error,
+        lookback: this.volatilityWindow
       });
+      return;
     }
+    if (!volume) return;
+
+    this.logger.debug({
+      at: "SyntheticPegMonitor",
+      message: "Checking synthetic volume",
+      syntheticVolume: volume.toString()
+    });
+    return { metrics: { syntheticVolume: Number(this.fromWei(volume.toString())) }, details: {} };
   }
 
   // Return historical volatility for pricefeed over specified time range and latest price,
@@ -316,6 +384,61 @@ class SyntheticPegMonitor {
     };
   }
 
+  // Emits the metrics of all checks in `results` together. Checks that were skipped return nothing.
+  _emitMetrics(results) {
+    const checks = results.filter(result => result);
+    if (checks.length === 0) return;
+    this.alertRuleEngine.emitMetrics(
+      "SyntheticPegMonitor",
+      Object.assign({}, ...checks.map(check => check.metrics)),
+      {
+        syntheticSymbol: this.financialContractProps.syntheticSymbol,
+        priceIdentifier: this.financialContractProps.priceIdentifier
+      },
+      Object.assign({}, ...checks.map(check => check.details))
+    );
+  }
+
+  // Converts an 18 decimal `fraction` to the number of its absolute value, e.g. 0.05 for 5%.
+  _toNumber(fraction) {
+    return Number(this.fromWei(fraction.abs().toString()));
+  }
+
+  // Checks if the absolute value of an 18 decimal `fraction` is greater than (gt) the `threshold` number.
+  _gtThreshold(fraction, threshold) {
+    return fraction.abs().gt(this.toBN(this.toWei(threshold.toString())));
+  }
+
+  _createDeviationMrkdwn({ uniswapTokenPrice, cryptoWatchTokenPrice, deviationError }) {
+    return (
+      "Synthetic token " +
+      this.financialContractProps.syntheticSymbol +
+      " is trading at " +
+      this.formatDecimalString(this.normalizePriceFeedDecimals(uniswapTokenPrice)) +
+      " on Uniswap. Target price is " +
+      this.formatDecimalString(this.normalizePriceFeedDecimals(cryptoWatchTokenPrice)) +
+      ". Error of " +
+      this.formatDecimalString(deviationError.muln(100)) + // multiply by 100 to make the error a percentage
+      "%."
+    );
+  }
+
+  _createVolatilityMrkdwn({ pricefeedVolatility, pricefeedLatestPrice }, threshold) {
+    return (
+      "Latest updated " +
+      this.financialContractProps.priceIdentifier +
+      " price is " +
+      this.formatDecimalString(this.normalizePriceFeedDecimals(pricefeedLatestPrice)) +
+      ". Price moved " +
+      this.formatDecimalString(pricefeedVolatility.muln(100)) + // Note no normalizePriceFeedDecimals as this is unitless
+      "% over the last " +
+      formatHours(this.volatilityWindow) +
+      " hour(s). Threshold is " +
+      threshold * 100 +
+      "%."
+    );
+  }
+
   _calculateDeviationError(observedValue, expectedValue) {
     return calculateDeviationError(
       this.normalizePriceFeedDecimals(observedValue),
@@ -0,0 +1,203 @@
+const winston = require("winston");
+const sinon = require("sinon");
+
+// Script to test
+const { AlertRuleEngine } = require("../src/AlertRuleEngine");
+
+// Helpers and custom winston transport module to monitor winston log outputs
+const { SpyTransport, lastSpyLogIncludes, lastSpyLogLevel } = require("@uma/financial-templates-lib");
+
+contract("AlertRuleEngine.js", function() {
+  let spy;
+  let spyLogger;
+  let currentTime;
+
+  const lowCRRule = {
+    name: "Low CR",
+    monitor: "CRMonitor",
+    conditions: [{ metric: "positionCR", operator: "<", value: 1.3 }]
+  };
+
+  const createEngine = alertRules =>
+    new AlertRuleEngine({ logger: spyLogger, monitorConfig: { alertRules }, getTime: () => currentTime });
+
+  beforeEach(async function() {
+    currentTime = 1000;
+
+    // Create a sinon spy and give it to the SpyTransport as the winston logger. Use this to check all winston
+    // logs the correct text based on the emitted metrics. Note that only `info` level messages are captured.
+    spy = sinon.spy();
+    spyLogger = winston.createLogger({
+      level: "info",
+      transports: [new SpyTransport({ level: "info" }, { spy: spy })]
+    });
+  });
+
+  it("Rejects invalid rules", async function() {
+    const invalidRules = [
+      [{ conditions: lowCRRule.conditions }], // Missing name.
+      [{ name: "No conditions", conditions: [] }],
+      [{ name: "Bad operator", conditions: [{ metric: "positionCR", operator: "=<", value: 1.3 }] }],
+      [{ name: "Bad value", conditions: [{ metric: "positionCR", operator: "<", value: "1.3" }] }],
+      [{ ...lowCRRule, consecutiveChecks: 0 }],
+      [{ ...lowCRRule, severity: "loud" }],
+      [{ ...lowCRRule, cooldown: -1 }]
+    ];
+    for (const alertRules of invalidRules) {
+      let errorThrown = false;
+      try {
+        createEngine(alertRules);
+      } catch (error) {
+        errorThrown = true;
+      }
+      assert.isTrue(errorThrown, JSON.stringify(alertRules));
+    }
+
+    // No rules is valid and metrics are ignored.
+    const alertRuleEngine = new AlertRuleEngine({ logger: spyLogger });
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1 }, { address: "0x1234" });
+    assert.equal(spy.callCount, 0);
+  });
+
+  it("Alerts once a rule's conditions hold for enough consecutive checks", async function() {
+    const alertRuleEngine = createEngine([{ ...lowCRRule, consecutiveChecks: 2, severity: "error" }]);
+    const labels = { name: "Market Making bot", address: "0x1234" };
+
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, labels);
+    assert.equal(spy.callCount, 0);
+
+    // A healthy check resets the streak.
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.5 }, labels);
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, labels);
+    assert.equal(spy.callCount, 0);
+
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.1 }, labels);
+    assert.equal(spy.callCount, 1);
+    assert.equal(lastSpyLogLevel(spy), "error");
+    assert.isTrue(lastSpyLogIncludes(spy, "Low CR alert"));
+    assert.isTrue(lastSpyLogIncludes(spy, "positionCR (1.1) < 1.3 for 2 consecutive checks"));
+    assert.isTrue(lastSpyLogIncludes(spy, "Market Making bot"));
+
+    // Metrics from other monitors, or without the rule's metrics, are not evaluated.
+    alertRuleEngine.emitMetrics("BalanceMonitor", { positionCR: 1 }, labels);
+    alertRuleEngine.emitMetrics("CRMonitor", { collateralBalance: 1 }, labels);
+    assert.equal(spy.callCount, 1);
+  });
+
+  it("Does not repeat alerts within the cooldown", async function() {
+    const alertRuleEngine = createEngine([{ ...lowCRRule, cooldown: 3600 }]);
+    const labels = { address: "0x1234" };
+
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, labels);
+    assert.equal(spy.callCount, 1);
+    assert.equal(lastSpyLogLevel(spy), "warn");
+
+    currentTime += 3599;
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, labels);
+    assert.equal(spy.callCount, 1);
+
+    currentTime += 1;
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, labels);
+    assert.equal(spy.callCount, 2);
+  });
+
+  it("Tracks streaks and cooldowns per dedup key", async function() {
+    const alertRuleEngine = createEngine([{ ...lowCRRule, cooldown: 3600 }]);
+
+    // Each wallet alerts separately by default.
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, { address: "0x1234" });
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, { address: "0x5678" });
+    assert.equal(spy.callCount, 2);
+
+    // A shared dedup key applies one cooldown to all wallets.
+    spy.resetHistory();
+    const sharedAlertRuleEngine = createEngine([{ ...lowCRRule, cooldown: 3600, dedupKey: "{monitor}" }]);
+    sharedAlertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, { address: "0x1234" });
+    sharedAlertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, { address: "0x5678" });
+    assert.equal(spy.callCount, 1);
+  });
+
+  it("Requires all conditions and fills message templates", async function() {
+    const alertRuleEngine = createEngine([
+      {
+        name: "Low balances",
+        conditions: [
+          { metric: "collateralBalance", operator: "<=", value: 500 },
+          { metric: "etherBalance", operator: "<", value: 0.5 }
+        ],
+        message: "{name} has {collateralBalance} collateral and {etherBalance} ETH"
+      }
+    ]);
+    const labels = { name: "Liquidator Bot", address: "0x1234" };
+
+    alertRuleEngine.emitMetrics("BalanceMonitor", { collateralBalance: 400, etherBalance: 1 }, labels);
+    assert.equal(spy.callCount, 0);
+
+    alertRuleEngine.emitMetrics("BalanceMonitor", { collateralBalance: 500, etherBalance: 0.25 }, labels);
+    assert.equal(spy.callCount, 1);
+    assert.isTrue(lastSpyLogIncludes(spy, "Liquidator Bot has 500 collateral and 0.25 ETH"));
+  });
+
+  it("Evaluates rules added by monitors", async function() {
+    const alertRuleEngine = createEngine([lowCRRule]);
+    alertRuleEngine.addRule({
+      name: "Collateralization ratio",
+      monitor: "CRMonitor",
+      labels: { address: "0x1234" },
+      conditions: [{ metric: "positionCR", operator: "<", value: 1.5 }],
+      isMet: (values, details) => details.exactCR < 1.5,
+      severity: "error",
+      at: "CRMonitor",
+      title: "Collateralization ratio alert 🙅‍♂️!",
+      message: (values, details) => `${values.name} CR is ${details.exactCR}`
+    });
+    assert.throws(() => alertRuleEngine.addRule({ ...lowCRRule, isMet: true }));
+
+    // Only the operator rule applies to other wallets.
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, { name: "Other wallet", address: "0x5678" });
+    assert.equal(spy.callCount, 1);
+    assert.isTrue(lastSpyLogIncludes(spy, "Low CR alert"));
+
+    // The added rule's `isMet` is evaluated instead of its conditions.
+    const labels = { name: "Monitored wallet", address: "0x1234" };
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.4 }, labels, { exactCR: 1.5 });
+    assert.equal(spy.callCount, 1);
+
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.4 }, labels, { exactCR: 1.4 });
+    assert.equal(spy.callCount, 2);
+    const log = spy.getCall(-1).lastArg;
+    assert.equal(log.at, "CRMonitor");
+    assert.equal(log.message, "Collateralization ratio alert 🙅‍♂️!");
+    assert.equal(log.mrkdwn, "Monitored wallet CR is 1.4");
+    assert.equal(lastSpyLogLevel(spy), "error");
+  });
+
+  it("Only keeps the state of streaks and cooldowns in progress", async function() {
+    const alertRuleEngine = createEngine([{ ...lowCRRule, consecutiveChecks: 2, cooldown: 3600 }]);
+    const labels = { address: "0x1234" };
+
+    // Healthy checks keep no state.
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.5 }, labels);
+    assert.equal(alertRuleEngine.ruleState.size, 0);
+
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, labels);
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, labels);
+    assert.equal(spy.callCount, 1);
+    assert.equal(alertRuleEngine.ruleState.size, 1);
+
+    // The state is kept during the cooldown even if the conditions stop holding, and dropped after it.
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.5 }, labels);
+    assert.equal(alertRuleEngine.ruleState.size, 1);
+    currentTime += 3600;
+    alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.5 }, labels);
+    assert.equal(alertRuleEngine.ruleState.size, 0);
+
+    // Beyond the maximum number of states, the least recently checked ones are dropped.
+    for (let i = 0; i <= 10000; i++) {
+      alertRuleEngine.emitMetrics("CRMonitor", { positionCR: 1.2 }, { address: `0x${i}` });
+    }
+    assert.equal(alertRuleEngine.ruleState.size, 10000);
+    assert.isFalse(alertRuleEngine.ruleState.has("0-CRMonitor:address=0x0"));
+    assert.isTrue(alertRuleEngine.ruleState.has("0-CRMonitor:address=0x10000"));
+  });
+});
@@ -5,6 +5,7 @@ const { parseFixed } = require("@uma/common");
 
 // Script to test
 const { BalanceMonitor } = require("../src/BalanceMonitor");
+const { AlertRuleEngine } = require("../src/AlertRuleEngine");
 
 // Note: these unit tests (and the associated BalanceMonitor module) are independent of the financial contract that
 // issued them. This means that they dont need to have any perpetual specific unit tests.
@@ -231,6 +232,53 @@ contract("BalanceMonitor.js", function(accounts) {
           value: amountToTransfer.toString()
         });
       });
+      it("Emits bot balances into the alert rule engine", async function() {
+        const alertRuleEngine = new AlertRuleEngine({
+          logger: spyLogger,
+          monitorConfig: {
+            alertRules: [
+              {
+                name: "Low collateral",
+                monitor: "BalanceMonitor",
+                conditions: [
+                  { metric: "collateralBalance", operator: "<", value: 11500 },
+                  { metric: "syntheticBalance", operator: ">", value: 10000 }
+                ]
+              }
+            ]
+          }
+        });
+        const emitMetricsSpy = sinon.spy(alertRuleEngine, "emitMetrics");
+        balanceMonitor = new BalanceMonitor({
+          logger: spyLogger,
+          tokenBalanceClient,
+          monitorConfig,
+          financialContractProps,
+          alertRuleEngine
+        });
+
+        // Both bots are above their thresholds, so only the rule alerts for the liquidator bot's 11,000 collateral.
+        await tokenBalanceClient.update();
+        await balanceMonitor.checkBotBalances();
+        assert.equal(emitMetricsSpy.callCount, 2);
+        const [monitor, metrics, labels] = emitMetricsSpy.firstCall.args;
+        assert.equal(monitor, "BalanceMonitor");
+        assert.equal(metrics.collateralBalance, 11000);
+        assert.equal(metrics.syntheticBalance, 11000);
+        assert.isTrue(metrics.etherBalance > 10);
+        assert.deepEqual(labels, { name: "Liquidator bot", address: liquidatorBot });
+        assert.equal(spy.callCount, 1);
+        assert.isTrue(lastSpyLogIncludes(spy, "Low collateral alert"));
+        assert.isTrue(lastSpyLogIncludes(spy, "Liquidator bot"));
+
+        // Below the collateral threshold, the monitor's own warning is sent by the same engine after the rule's alert.
+        await collateralToken.transfer(tokenCreator, convertCollateral("2000"), { from: liquidatorBot });
+        await tokenBalanceClient.update();
+        await balanceMonitor.checkBotBalances();
+        assert.equal(spy.callCount, 3);
+        assert.isTrue(spy.getCall(-2).lastArg.message.includes("Low collateral alert"));
+        assert.isTrue(lastSpyLogIncludes(spy, "collateral balance warning"));
+      });
       it("Correctly emit messages if balance moves above and below thresholds", async function() {
         // Update the client. No messages should be sent as above threshold values on all fronts.
         await tokenBalanceClient.update();
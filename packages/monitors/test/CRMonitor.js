@@ -12,6 +12,7 @@ const { getTruffleContract } = require("@uma/core");
 
 // Script to test
 const { CRMonitor } = require("../src/CRMonitor");
+const { AlertRuleEngine } = require("../src/AlertRuleEngine");
 
 // Helpers and custom winston transport module to monitor winston log outputs
 const {
@@ -390,6 +391,58 @@ contract("CRMonitor.js", function(accounts) {
             assert.isTrue(lastSpyLogIncludes(spy, hexToUtf8(await financialContract.priceIdentifier()))); // Synthetic identifier
           }
         );
+        versionedIt([{ contractType: "any", contractVersion: "any" }])(
+          "Emits collateralization ratios into the alert rule engine",
+          async function() {
+            const alertRuleEngine = new AlertRuleEngine({
+              logger: spyLogger,
+              monitorConfig: {
+                alertRules: [
+                  {
+                    name: "Low CR",
+                    monitor: "CRMonitor",
+                    conditions: [{ metric: "positionCR", operator: "<", value: 2.2 }],
+                    consecutiveChecks: 2
+                  }
+                ]
+              }
+            });
+            const emitMetricsSpy = sinon.spy(alertRuleEngine, "emitMetrics");
+            crMonitor = new CRMonitor({
+              logger: spyLogger,
+              financialContractClient: financialContractClient,
+              priceFeed: priceFeedMock,
+              monitorConfig,
+              financialContractProps,
+              alertRuleEngine
+            });
+
+            // At a price of 1.2 monitoredTrader's CR = 250/(100*1.2) = 2.083 and monitoredSponsor's CR = 300/(100*1.2) =
+            // 2.5. Both are above their `crAlert` thresholds and only the trader's CR is below the rule's 2.2.
+            await financialContractClient.update();
+            priceFeedMock.setCurrentPrice(convertPrice("1.2"));
+            await crMonitor.checkWalletCrRatio();
+            assert.equal(emitMetricsSpy.callCount, 2);
+            const [monitor, metrics, labels] = emitMetricsSpy.firstCall.args;
+            assert.equal(monitor, "CRMonitor");
+            assert.equal(metrics.positionCR.toFixed(4), "2.0833");
+            assert.deepEqual(labels, { name: "Monitored trader wallet", address: monitoredTrader });
+            assert.equal(spy.callCount, 0);
+
+            // The rule needs the CR to stay below 2.2 for 2 consecutive checks.
+            await crMonitor.checkWalletCrRatio();
+            assert.equal(spy.callCount, 1);
+            assert.isTrue(lastSpyLogIncludes(spy, "Low CR alert"));
+            assert.isTrue(lastSpyLogIncludes(spy, "Monitored trader wallet"));
+
+            // Below the `crAlert` threshold, the monitor's own alert is sent by the same engine after the rule's.
+            priceFeedMock.setCurrentPrice(convertPrice("1.3"));
+            await crMonitor.checkWalletCrRatio();
+            assert.equal(spy.callCount, 3);
+            assert.isTrue(spy.getCall(-2).lastArg.message.includes("Low CR alert"));
+            assert.isTrue(lastSpyLogIncludes(spy, "Collateralization ratio alert"));
+          }
+        );
         versionedIt([{ contractType: "Perpetual", contractVersion: "latest" }])(
           "Winston correctly emits collateralization ratio message considering perpetual funding rates",
           async function() {
@@ -21,6 +21,7 @@ const {
 
 // Script to test
 const { ContractMonitor } = require("../src/ContractMonitor");
+const { AlertRuleEngine } = require("../src/AlertRuleEngine");
 
 // Run the tests against 3 different kinds of token/synth decimal combinations:
 // 1) matching 18 & 18 for collateral for most token types with normal tokens.
@@ -328,6 +329,48 @@ contract("ContractMonitor.js", function(accounts) {
             assert.isTrue(lastSpyLogIncludes(spy, "10.00")); // Collateral amount
           }
         );
+        versionedIt([{ contractType: "any", contractVersion: "any" }])(
+          "Emits new positions into the alert rule engine",
+          async function() {
+            const alertRuleEngine = new AlertRuleEngine({
+              logger: spyLogger,
+              monitorConfig: {
+                alertRules: [
+                  {
+                    name: "Large position",
+                    monitor: "ContractMonitor",
+                    conditions: [{ metric: "sponsorCollateral", operator: ">", value: 1000 }]
+                  }
+                ]
+              }
+            });
+            const emitMetricsSpy = sinon.spy(alertRuleEngine, "emitMetrics");
+            contractMonitor = new ContractMonitor({
+              logger: spyLogger,
+              financialContractEventClient: eventClient,
+              priceFeed: priceFeedMock,
+              monitorConfig,
+              financialContractProps,
+              votingContract: mockOracle,
+              alertRuleEngine
+            });
+
+            await eventClient.update();
+            await contractMonitor.checkForNewSponsors();
+
+            // One metric emission per new position, of which only the liquidator's 1,500 collateral is above the rule's.
+            assert.equal(emitMetricsSpy.callCount, 3);
+            const [monitor, metrics, labels] = emitMetricsSpy.lastCall.args;
+            assert.equal(monitor, "ContractMonitor");
+            assert.deepEqual(metrics, { sponsorCollateral: 1500, sponsorTokens: 400 });
+            assert.deepEqual(labels, { sponsor: liquidator });
+            assert.isTrue(lastSpyLogIncludes(spy, "Large position alert"));
+            assert.equal(
+              spy.getCalls().filter(call => call.lastArg.message.includes("Large position alert")).length,
+              1
+            );
+          }
+        );
         versionedIt([{ contractType: "any", contractVersion: "any" }])(
           "Winston correctly emits liquidation message",
           async function() {
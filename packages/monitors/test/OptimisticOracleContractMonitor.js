@@ -266,6 +266,41 @@ contract("OptimisticOracleContractMonitor.js", function(accounts) {
     // Check that only one extra event was emitted since we already "checked" the original events.
     assert.equal(spy.callCount, spyCount + 1);
   });
+  it("Winston warns about proposals near the dispute margin", async function() {
+    const createMonitor = historicalPrice =>
+      new OptimisticOracleContractMonitor({
+        logger: spyLogger,
+        optimisticOracleContractEventClient: eventClient,
+        monitorConfig: {
+          proposalPriceFeedConfigs: {
+            [hexToUtf8(identifier)]: { type: "test", currentPrice: historicalPrice, historicalPrice }
+          },
+          disputePriceErrorPercent: 0.05,
+          disputeMarginWarningRatio: 0.8
+        },
+        contractProps
+      });
+    await eventClient.update();
+
+    // The proposal of -17 is 4.29% away from -16.3: inside the 5% margin, but beyond the 4% warning threshold.
+    contractMonitor = createMonitor("-16.3");
+    await contractMonitor.checkForProposals();
+    assert.equal(lastSpyLogLevel(spy), "warn");
+    assert.isTrue(lastSpyLogIncludes(spy, "Proposal Near Dispute Margin Alert"));
+    assert.isTrue(lastSpyLogIncludes(spy, "4.29% away from the pricefeed price of -16.30"));
+    assert.isTrue(lastSpyLogIncludes(spy, "close to the 5% dispute margin"));
+
+    // The proposal is 13.33% away from -15, so it is disputable.
+    contractMonitor = createMonitor("-15");
+    await contractMonitor.checkForProposals();
+    assert.isTrue(lastSpyLogIncludes(spy, "outside of the 5% dispute margin"));
+
+    // A proposal 2.4% away from -16.6 only produces the proposal alert.
+    contractMonitor = createMonitor("-16.6");
+    await contractMonitor.checkForProposals();
+    assert.equal(lastSpyLogLevel(spy), "error");
+    assert.isTrue(lastSpyLogIncludes(spy, "Price Proposal Alert"));
+  });
   it("Winston correctly emits price dispute message", async function() {
     await eventClient.update();
     await contractMonitor.checkForDisputes();
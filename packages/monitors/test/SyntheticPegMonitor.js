@@ -7,6 +7,7 @@ const { parseFixed } = require("@uma/common");
 
 // Tested module
 const { SyntheticPegMonitor } = require("../src/SyntheticPegMonitor");
+const { AlertRuleEngine } = require("../src/AlertRuleEngine");
 
 // Mock and custom winston transport module to monitor winston log outputs
 const {
@@ -472,6 +473,72 @@ contract("SyntheticPegMonitor", function() {
           assert.equal(spy.callCount, 0); // No longs should be sent as monitor threshold set to 0.
         });
       });
+      describe("Alert rules", function() {
+        it("Emits the metrics of all checks together", async function() {
+          const alertRuleEngine = new AlertRuleEngine({
+            logger: spyLogger,
+            monitorConfig: {
+              alertRules: [
+                {
+                  name: "Traded off peg",
+                  monitor: "SyntheticPegMonitor",
+                  conditions: [
+                    { metric: "pegDeviation", operator: ">", value: 0.05 },
+                    { metric: "syntheticVolume", operator: ">", value: 1000 }
+                  ]
+                }
+              ]
+            }
+          });
+          const emitMetricsSpy = sinon.spy(alertRuleEngine, "emitMetrics");
+          syntheticPegMonitor = new SyntheticPegMonitor({
+            logger: spyLogger,
+            web3,
+            uniswapPriceFeed: uniswapPriceFeedMock,
+            medianizerPriceFeed: medianizerPriceFeedMock,
+            monitorConfig: { volatilityWindow: 10 },
+            financialContractProps,
+            alertRuleEngine
+          });
+
+          // A 10% deviation is below the default 20% threshold, and the prices did not move over the volatility window.
+          medianizerPriceFeedMock.setCurrentPrice(convertPrice("1"));
+          uniswapPriceFeedMock.setCurrentPrice(convertPrice("1.1"));
+          medianizerPriceFeedMock.setHistoricalPrice(convertPrice("1"));
+          uniswapPriceFeedMock.setHistoricalPrice(convertPrice("1.1"));
+          medianizerPriceFeedMock.setLastUpdateTime(100);
+          uniswapPriceFeedMock.setLastUpdateTime(100);
+          uniswapPriceFeedMock.getHistoricalVolume = () => toBN(toWei("500"));
+
+          await syntheticPegMonitor.checkSyntheticPeg();
+          assert.equal(emitMetricsSpy.callCount, 1);
+          const [monitor, metrics, labels] = emitMetricsSpy.firstCall.args;
+          assert.equal(monitor, "SyntheticPegMonitor");
+          assert.deepEqual(metrics, {
+            pegDeviation: 0.1,
+            pegVolatility: 0,
+            syntheticVolatility: 0,
+            syntheticVolume: 500
+          });
+          assert.deepEqual(labels, { syntheticSymbol: "SYNTH", priceIdentifier: "TEST_IDENTIFIER" });
+          assert.equal(spy.callCount, 0);
+
+          // The rule alerts once the volume also exceeds 1000 tokens.
+          uniswapPriceFeedMock.getHistoricalVolume = () => toBN(toWei("1500"));
+          await syntheticPegMonitor.checkSyntheticPeg();
+          assert.equal(spy.callCount, 1);
+          assert.isTrue(lastSpyLogIncludes(spy, "Traded off peg alert"));
+          assert.isTrue(lastSpyLogIncludes(spy, "pegDeviation (0.1) > 0.05 and syntheticVolume (1500) > 1000"));
+
+          // Deviations above the threshold are alerted by the same engine in the monitor's own format.
+          uniswapPriceFeedMock.setCurrentPrice(convertPrice("1.25"));
+          await syntheticPegMonitor.checkSyntheticPeg();
+          assert.equal(spy.callCount, 3);
+          assert.isTrue(lastSpyLogIncludes(spy, "off peg alert 😵"));
+          assert.isTrue(lastSpyLogIncludes(spy, "25.00")); // percentage error
+        });
+      });
+
       describe("Overrides the default monitor configuration settings", function() {
         it("Cannot set invalid config", async function() {
           let errorThrown1;
@@ -3,15 +3,26 @@
 require("dotenv").config();
 const retry = require("async-retry");
 
-const { Logger, waitForLogger, delay, OptimisticOracleClient, GasEstimator } = require("@uma/financial-templates-lib");
+const {
+  Logger,
+  waitForLogger,
+  delay,
+  OptimisticOracleClient,
+  GasEstimator,
+  TransactionManager,
+  multicallAddressMap
+} = require("@uma/financial-templates-lib");
 const { OptimisticOracleProposer } = require("./src/proposer");
+const { OptimisticOracleWatchdog } = require("./src/watchdog");
 
 // Contract ABIs and network Addresses.
 const { getAbi, getAddress } = require("@uma/core");
-const { getWeb3 } = require("@uma/common");
+const { getWeb3, PublicNetworks } = require("@uma/common");
 
 /**
  * @notice Runs strategies that propose and dispute prices for any price identifier serviced by the Optimistic Oracle.
+ *     If a `watchdogConfig` is given, runs the dispute-only watchdog instead, which checks proposals against its own
+ *     independent price sources.
  * @param {Object} logger Module responsible for sending logs.
  * @param {Object} web3 web3.js instance with unlocked wallets used for all on-chain connections.
  * @param {Number} pollingDelay The amount of seconds to wait between iterations. If set to 0 then running in serverless
@@ -20,6 +31,10 @@ const { getWeb3 } = require("@uma/common");
  * @param {Number} errorRetriesTimeout The amount of milliseconds to wait between re-try iterations on failed loops.
  * @param {Object} [commonPriceFeedConfig] Common configuration to pass to all PriceFeeds constructed by proposer.
  * @param {Object} [optimisticOracleProposerConfig] Configuration to construct the OptimisticOracle proposer.
+ * @param {Object} [watchdogConfig] Configuration to construct the OptimisticOracle watchdog. See `OptimisticOracleWatchdog`.
+ * @param {Object} [gasEstimatorConfig] Configuration to construct the GasEstimator, e.g. a `strategy` of "node" to
+ *     estimate gas prices from the connected node only. See `GasEstimator`.
+ * @param {Boolean} [dryRun] If true, transactions are simulated and logged but never sent, and no approvals are set.
  * @return None or throws an Error.
  */
 async function run({
@@ -29,7 +44,10 @@ async function run({
   errorRetries,
   errorRetriesTimeout,
   commonPriceFeedConfig,
-  optimisticOracleProposerConfig
+  optimisticOracleProposerConfig,
+  watchdogConfig,
+  gasEstimatorConfig,
+  dryRun = false
 }) {
   try {
     const [accounts, networkId] = await Promise.all([web3.eth.getAccounts(), web3.eth.net.getId()]);
@@ -39,44 +57,83 @@ async function run({
     // Else, if running in loop mode (pollingDelay != 0), then it should send a `info` level log.
     logger[pollingDelay === 0 ? "debug" : "info"]({
       at: "OptimisticOracle#index",
-      message: "OptimisticOracle proposer started 🌊",
+      message: `OptimisticOracle ${watchdogConfig ? "watchdog" : "proposer"} started 🌊`,
       optimisticOracleAddress,
       pollingDelay,
       errorRetries,
       errorRetriesTimeout,
       commonPriceFeedConfig,
-      optimisticOracleProposerConfig
+      optimisticOracleProposerConfig,
+      watchdogConfig,
+      gasEstimatorConfig,
+      dryRun
     });
 
     // Create the OptimisticOracleClient to query on-chain information, GasEstimator to get latest gas prices and an
-    // instance of the OO Proposer to respond to price requests and proposals.
+    // instance of the OO Proposer to respond to price requests and proposals. On public networks, the client batches
+    // its state queries through the network's Multicall contract.
+    const networkName = PublicNetworks[Number(networkId)] ? PublicNetworks[Number(networkId)].name : null;
     const optimisticOracleClient = new OptimisticOracleClient(
       logger,
       getAbi("OptimisticOracle"),
       getAbi("Voting"),
       web3,
       optimisticOracleAddress,
-      votingAddress
+      votingAddress,
+      undefined, // Default lookback
+      networkName && multicallAddressMap[networkName] ? multicallAddressMap[networkName].multicall : null
     );
-    const gasEstimator = new GasEstimator(logger);
+    const gasEstimator = new GasEstimator(logger, /* updateThreshold */ 60, /* defaultFastPriceGwei */ 50, web3, {
+      networkId,
+      ...gasEstimatorConfig
+    });
 
-    // Construct default price feed config passed to all pricefeeds constructed by the proposer.
-    // The proposer needs to query prices for any identifier approved to use the Optimistic Oracle,
-    // so a new pricefeed is constructed for each identifier. This `commonPriceFeedConfig` contains
-    // properties that are shared across all of these new pricefeeds.
-    const optimisticOracleProposer = new OptimisticOracleProposer({
+    const transactionManager = new TransactionManager({
       logger,
-      optimisticOracleClient,
+      web3,
       gasEstimator,
       account: accounts[0],
-      commonPriceFeedConfig,
-      optimisticOracleProposerConfig
+      transactionManagerConfig: { dryRun }
     });
 
+    // In watchdog mode, the bot only disputes, using price sources that are independent of `commonPriceFeedConfig`.
+    const optimisticOracleWatchdog =
+      watchdogConfig &&
+      new OptimisticOracleWatchdog({
+        logger,
+        optimisticOracleClient,
+        gasEstimator,
+        account: accounts[0],
+        watchdogConfig,
+        transactionManager
+      });
+
+    // Construct default price feed config passed to all pricefeeds constructed by the proposer.
+    // The proposer needs to query prices for any identifier approved to use the Optimistic Oracle,
+    // so a new pricefeed is constructed for each identifier. This `commonPriceFeedConfig` contains
+    // properties that are shared across all of these new pricefeeds.
+    const optimisticOracleProposer =
+      !watchdogConfig &&
+      new OptimisticOracleProposer({
+        logger,
+        optimisticOracleClient,
+        gasEstimator,
+        account: accounts[0],
+        commonPriceFeedConfig,
+        optimisticOracleProposerConfig,
+        transactionManager
+      });
+
     // Create a execution loop that will run indefinitely (or yield early if in serverless mode)
     for (;;) {
       await retry(
         async () => {
+          if (optimisticOracleWatchdog) {
+            await optimisticOracleWatchdog.update();
+            await optimisticOracleWatchdog.sendDisputes();
+            await optimisticOracleWatchdog.settleDisputes();
+            return;
+          }
           await optimisticOracleProposer.update();
           await optimisticOracleProposer.sendProposals();
           await optimisticOracleProposer.sendDisputes();
@@ -130,19 +187,55 @@ async function Poll(callback) {
       errorRetries: process.env.ERROR_RETRIES ? Number(process.env.ERROR_RETRIES) : 3,
       // Default to 10 seconds in between error re-tries.
       errorRetriesTimeout: process.env.ERROR_RETRIES_TIMEOUT ? Number(process.env.ERROR_RETRIES_TIMEOUT) : 1,
-      // Common price feed configuration passed along to all those constructed by proposer.
+      // Common price feed configuration passed along to all those constructed by proposer. Example config:
+      // { "ancillaryDataMapping":{"twapLength":"twapLength"} } -> sets config properties from the `key:value` pairs
+      //                                                          in each price request's ancillary data.
       commonPriceFeedConfig: process.env.COMMON_PRICE_FEED_CONFIG
         ? JSON.parse(process.env.COMMON_PRICE_FEED_CONFIG)
         : {},
       // If there is an optimistic oracle config, add it. Else, set to null. Example config:
       // {
-      //   "disputePriceErrorPercent":0.05 -> Proposal prices that do not equal the dispute price
-      //                                      within this error % will be disputed.
-      //                                      e.g. 0.05 implies 5% margin of error.
+      //   "disputePriceErrorPercent":0.05, -> Proposal prices that do not equal the dispute price
+      //                                       within this error % will be disputed.
+      //                                       e.g. 0.05 implies 5% margin of error.
+      //   "minRewardUsd":10, -> Skip price requests whose reward is worth less than this many USD.
+      //   "maxBondUsd":5000, -> Skip price requests whose bond, including the final fee, is worth more than this.
+      //   "maxTotalExposureUsd":20000, -> Maximum USD value of the bonds across the bot's outstanding proposals.
+      //   "currencyPriceFeedConfigs":{"0x..":{"type":"coingecko",...}}, -> USD price feed for each bond currency.
+      //                                                                   Needed by the three USD rules above.
+      //   "requesterAllowList":["0x.."], -> Only propose to requests from these contracts. Defaults to all.
+      //   "requesterDenyList":["0x.."], -> Never propose to requests from these contracts.
+      //   "identifierAllowList":["ETHUSD"], -> Only propose to requests for these identifiers. Defaults to all.
+      //   "identifierDenyList":["TESTID"] -> Never propose to requests for these identifiers.
       //  }
       optimisticOracleProposerConfig: process.env.OPTIMISTIC_ORACLE_PROPOSER_CONFIG
         ? JSON.parse(process.env.OPTIMISTIC_ORACLE_PROPOSER_CONFIG)
-        : {}
+        : {},
+      // If there is a watchdog config, the bot runs in dispute-only watchdog mode and ignores the two configs above.
+      // Example config:
+      // {
+      //   "priceFeedConfigs":{ -> Independent price sources for each identifier to defend. Each source must set
+      //                           `priceFeedDecimals` to the identifier's precision.
+      //     "ETHUSD":[{"type":"cryptowatch","exchange":"coinbase-pro",...},{"type":"coingecko",...},{...}]
+      //   },
+      //   "minAgreeingSources":2, -> Number of sources that must disagree with a proposal before it is disputed.
+      //   "disputePriceErrorPercent":0.05 -> Proposal prices outside this % of a source's price disagree with it.
+      //  }
+      watchdogConfig: process.env.OPTIMISTIC_ORACLE_WATCHDOG_CONFIG
+        ? JSON.parse(process.env.OPTIMISTIC_ORACLE_WATCHDOG_CONFIG)
+        : null,
+      // If there is a gas estimator config, add it. Else, gas prices are estimated with the network's default strategy.
+      // Example config:
+      // { "strategy":"node", -> "legacy" for gas price APIs only, "london" to also send EIP-1559 transactions with fees
+      //                         from the node's fee history, or "node" for EIP-1559 fees without any external API.
+      //   "feeHistoryBlocks":10, -> Number of recent blocks whose priority fees are sampled.
+      //   "priorityFeePercentile":50, -> Percentile of each block's priority fees that is sampled.
+      //   "baseFeeMultiplier":2, -> maxFeePerGas is the next block's base fee times this plus the priority fee.
+      //   "gasSources":[{"type":"blockSample","blocks":10,"percentile":60},{"type":"node"}]} -> Gas price sources, tried
+      //                  in order. Types are "etherchain", "etherscan", "blockSample" and "node".
+      gasEstimatorConfig: process.env.GAS_ESTIMATOR_CONFIG ? JSON.parse(process.env.GAS_ESTIMATOR_CONFIG) : {},
+      // If DRY_RUN is "true", the bot runs its full logic but only simulates and logs the transactions it would send.
+      dryRun: process.env.DRY_RUN === "true"
     };
 
     await run({ logger: Logger, web3: getWeb3(), ...executionParameters });
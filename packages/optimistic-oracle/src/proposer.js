@@ -1,10 +1,14 @@
 const {
   Networker,
+  createPriceFeed,
   createReferencePriceFeedForFinancialContract,
   setAllowance,
-  isDeviationOutsideErrorMargin
+  isDeviationOutsideErrorMargin,
+  TransactionManager
 } = require("@uma/financial-templates-lib");
-const { createObjectFromDefaultProps, runTransaction } = require("@uma/common");
+const { ConvertDecimals, createObjectFromDefaultProps } = require("@uma/common");
+const { getAbi } = require("@uma/core");
+const { sendDispute, settleRequest } = require("./requestTransactions");
 
 class OptimisticOracleProposer {
   /**
@@ -15,6 +19,7 @@ class OptimisticOracleProposer {
    * @param {String} account Ethereum account from which to send txns.
    * @param {Object} commonPriceFeedConfig Default configuration to construct all price feed objects.
    * @param {Object} [optimisticOracleProposerConfig] Contains fields with which constructor will attempt to override defaults.
+   * @param {Object} [transactionManager] Module used to send txns from `account`. A new one is created if not provided.
    */
   constructor({
     logger,
@@ -22,7 +27,8 @@ class OptimisticOracleProposer {
     gasEstimator,
     account,
     commonPriceFeedConfig,
-    optimisticOracleProposerConfig
+    optimisticOracleProposerConfig,
+    transactionManager
   }) {
     this.logger = logger;
     this.account = account;
@@ -33,11 +39,24 @@ class OptimisticOracleProposer {
     // Gas Estimator to calculate the current Fast gas rate.
     this.gasEstimator = gasEstimator;
 
+    // Sends transactions and bumps their gas price while they are pending.
+    this.transactionManager =
+      transactionManager || new TransactionManager({ logger, web3: this.web3, gasEstimator, account });
+
     this.optimisticOracleContract = this.optimisticOracleClient.oracle;
 
-    // Cached mapping of identifiers to pricefeed classes
+    // Cached mapping of identifiers, or identifiers and ancillary data, to pricefeed classes. Pricefeeds of requests that
+    // the client no longer tracks are dropped on each update, see `_prunePriceFeedCache`.
     this.priceFeedCache = {};
 
+    // Cached USD pricefeeds and decimals of the currencies that requests pay rewards and bonds in.
+    this.currencyPriceFeedCache = {};
+    this.currencyDecimalsCache = {};
+
+    // USD prices of the currencies, scaled by 1e18, or null if unavailable. Reset on each `sendProposals` pass, so
+    // that each currency's pricefeed is only updated once per pass.
+    this.currencyUsdPrices = {};
+
     // Helper functions from web3.
     this.BN = this.web3.utils.BN;
     this.toBN = this.web3.utils.toBN;
@@ -61,16 +80,84 @@ class OptimisticOracleProposer {
           // Negative allowed-margins might be useful based on the implementation
           // of `isDeviationOutsideErrorMargin()`
         }
+      },
+      minRewardUsd: {
+        // `minRewardUsd`: Price requests whose reward is worth less than this many USD are not proposed to.
+        value: 0,
+        isValid: x => {
+          return parseFloat(x) >= 0;
+        }
+      },
+      maxBondUsd: {
+        // `maxBondUsd`: Price requests whose proposal bond, including the final fee, is worth more than this many USD
+        // are not proposed to. Unlimited if undefined.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || parseFloat(x) >= 0;
+        }
+      },
+      maxTotalExposureUsd: {
+        // `maxTotalExposureUsd`: Maximum USD value of the bonds across the bot's outstanding proposals. Proposals
+        // that would take the total above this are skipped. Unlimited if undefined.
+        value: undefined,
+        isValid: x => {
+          return x === undefined || parseFloat(x) >= 0;
+        }
+      },
+      currencyPriceFeedConfigs: {
+        // `currencyPriceFeedConfigs`: Price feed configs, by currency address, that return the USD price of each
+        // currency. Required for every currency that is valued by the rules above. Requests paying in other
+        // currencies are skipped by those rules.
+        value: {},
+        isValid: x => {
+          return typeof x === "object" && Object.keys(x).every(address => this.web3.utils.isAddress(address));
+        }
+      },
+      requesterAllowList: {
+        // `requesterAllowList`: If not empty, only price requests from these addresses are proposed to.
+        value: [],
+        isValid: x => {
+          return Array.isArray(x) && x.every(address => this.web3.utils.isAddress(address));
+        }
+      },
+      requesterDenyList: {
+        // `requesterDenyList`: Price requests from these addresses are never proposed to.
+        value: [],
+        isValid: x => {
+          return Array.isArray(x) && x.every(address => this.web3.utils.isAddress(address));
+        }
+      },
+      identifierAllowList: {
+        // `identifierAllowList`: If not empty, only price requests for these identifiers are proposed to.
+        value: [],
+        isValid: x => {
+          return Array.isArray(x) && x.every(identifier => typeof identifier === "string");
+        }
+      },
+      identifierDenyList: {
+        // `identifierDenyList`: Price requests for these identifiers are never proposed to.
+        value: [],
+        isValid: x => {
+          return Array.isArray(x) && x.every(identifier => typeof identifier === "string");
+        }
       }
     };
 
     // Validate and set config settings to class state.
     const configWithDefaults = createObjectFromDefaultProps(optimisticOracleProposerConfig, defaultConfig);
     Object.assign(this, configWithDefaults);
+
+    // Addresses are compared in lower case.
+    this.requesterAllowList = this.requesterAllowList.map(address => address.toLowerCase());
+    this.requesterDenyList = this.requesterDenyList.map(address => address.toLowerCase());
+    this.currencyPriceFeedConfigs = Object.fromEntries(
+      Object.entries(this.currencyPriceFeedConfigs).map(([address, config]) => [address.toLowerCase(), config])
+    );
   }
 
   async update() {
     await Promise.all([this.optimisticOracleClient.update(), this.gasEstimator.update()]);
+    this._prunePriceFeedCache();
 
     // Increase allowances for all relevant collateral currencies.
     // TODO: Consider whether this should happen in a separate function (i.e. `setAllowances`) or within
@@ -85,10 +172,25 @@ class OptimisticOracleProposer {
       message: "Checking for unproposed price requests to send proposals for"
     });
 
-    // TODO: Should allow user to filter out price requests with rewards below a threshold,
-    // allowing the bot to prevent itself from being induced to unprofitably propose.
+    this.currencyUsdPrices = {};
+
+    // USD value of the bonds at risk in the bot's outstanding proposals. Only needed to enforce the exposure cap.
+    let exposureUsd = this.maxTotalExposureUsd !== undefined ? await this._getOutstandingExposureUsd() : null;
+
     for (let priceRequest of this.optimisticOracleClient.getUnproposedPriceRequests()) {
-      await this._sendProposal(priceRequest);
+      const { skipReason, error, bondUsd } = await this._checkProposalRules(priceRequest, exposureUsd);
+      if (skipReason) {
+        this.logger.debug({
+          at: "OptimisticOracleProposer#sendProposals",
+          message: "Skipping price request that does not meet the proposal rules",
+          reason: skipReason,
+          priceRequest,
+          error
+        });
+        continue;
+      }
+      const proposed = await this._sendProposal(priceRequest);
+      if (proposed && exposureUsd) exposureUsd = exposureUsd.add(bondUsd);
     }
   }
 
@@ -124,9 +226,10 @@ class OptimisticOracleProposer {
    *
    ************************************/
 
-  // Construct proposal transaction and send or return early if an error is encountered.
+  // Construct proposal transaction and send or return early if an error is encountered. Returns true if the proposal
+  // was sent, or simulated in a dry run.
   async _sendProposal(priceRequest) {
-    const priceFeed = await this._createOrGetCachedPriceFeed(priceRequest.identifier);
+    const priceFeed = await this._createOrGetCachedPriceFeed(priceRequest.identifier, priceRequest.ancillaryData);
 
     // Pricefeed is either constructed correctly or is null.
     if (!priceFeed) {
@@ -169,14 +272,11 @@ class OptimisticOracleProposer {
       proposer: this.account
     });
     try {
-      const transactionResult = await runTransaction({
-        transaction: proposal,
-        config: {
-          gasPrice: this.gasEstimator.getCurrentFastPrice(),
-          from: this.account
-        }
+      const transactionResult = await this.transactionManager.sendTransaction({
+        transaction: proposal
       });
       let receipt = transactionResult.receipt;
+      if (transactionResult.dryRun) return true;
       let returnValue = transactionResult.returnValue;
 
       const logResult = {
@@ -197,6 +297,7 @@ class OptimisticOracleProposer {
         proposalPrice,
         proposalResult: logResult
       });
+      return true;
     } catch (error) {
       const message =
         error.type === "call"
@@ -217,7 +318,7 @@ class OptimisticOracleProposer {
     let proposalPrice = priceRequest.proposedPrice;
 
     // Create pricefeed for identifier
-    const priceFeed = await this._createOrGetCachedPriceFeed(priceRequest.identifier);
+    const priceFeed = await this._createOrGetCachedPriceFeed(priceRequest.identifier, priceRequest.ancillaryData);
 
     // Pricefeed is either constructed correctly or is null.
     if (!priceFeed) {
@@ -254,13 +355,6 @@ class OptimisticOracleProposer {
       this.toBN(this.toWei(this.disputePriceErrorPercent.toString()))
     );
     if (isPriceDisputable) {
-      // Get successful transaction receipt and return value or error.
-      const dispute = this.optimisticOracleContract.methods.disputePrice(
-        priceRequest.requester,
-        this.utf8ToHex(priceRequest.identifier),
-        priceRequest.timestamp,
-        priceRequest.ancillaryData
-      );
       this.logger.debug({
         at: "OptimisticOracleProposer#sendDisputes",
         message: "Disputing proposal",
@@ -271,34 +365,15 @@ class OptimisticOracleProposer {
         disputer: this.account
       });
       try {
-        const transactionResult = await runTransaction({
-          transaction: dispute,
-          config: {
-            gasPrice: this.gasEstimator.getCurrentFastPrice(),
-            from: this.account
-          }
-        });
-        let receipt = transactionResult.receipt;
-        let returnValue = transactionResult.returnValue;
-
-        const logResult = {
-          tx: receipt.transactionHash,
-          requester: receipt.events.DisputePrice.returnValues.requester,
-          proposer: receipt.events.DisputePrice.returnValues.proposer,
-          disputer: receipt.events.DisputePrice.returnValues.disputer,
-          identifier: this.hexToUtf8(receipt.events.DisputePrice.returnValues.identifier),
-          ancillaryData: receipt.events.DisputePrice.returnValues.ancillaryData,
-          timestamp: receipt.events.DisputePrice.returnValues.timestamp,
-          proposedPrice: receipt.events.DisputePrice.returnValues.proposedPrice
-        };
+        const disputeResult = await sendDispute(this, priceRequest);
+        if (!disputeResult) return;
         this.logger.info({
           at: "OptimisticOracleProposer#sendDisputes",
           message: "Disputed proposal!⛑",
           priceRequest,
           disputePrice,
-          disputeBond: returnValue,
           allowedError: this.disputePriceErrorPercent,
-          disputeResult: logResult
+          ...disputeResult
         });
       } catch (error) {
         const message =
@@ -326,46 +401,19 @@ class OptimisticOracleProposer {
   }
   // Construct settlement transaction and send or return early if an error is encountered.
   async _settleRequest(priceRequest) {
-    // Get successful transaction receipt and return value or error.
-    const settle = this.optimisticOracleContract.methods.settle(
-      priceRequest.requester,
-      this.utf8ToHex(priceRequest.identifier),
-      priceRequest.timestamp,
-      priceRequest.ancillaryData
-    );
     this.logger.debug({
       at: "OptimisticOracleProposer#settleRequests",
       message: "Settling proposal or dispute",
       priceRequest
     });
     try {
-      const transactionResult = await runTransaction({
-        transaction: settle,
-        config: {
-          gasPrice: this.gasEstimator.getCurrentFastPrice(),
-          from: this.account
-        }
-      });
-      let receipt = transactionResult.receipt;
-      let returnValue = transactionResult.returnValue;
-
-      const logResult = {
-        tx: receipt.transactionHash,
-        requester: receipt.events.Settle.returnValues.requester,
-        proposer: receipt.events.Settle.returnValues.proposer,
-        disputer: receipt.events.Settle.returnValues.disputer,
-        identifier: this.hexToUtf8(receipt.events.Settle.returnValues.identifier),
-        ancillaryData: receipt.events.Settle.returnValues.ancillaryData,
-        timestamp: receipt.events.Settle.returnValues.timestamp,
-        price: receipt.events.Settle.returnValues.price,
-        payout: receipt.events.Settle.returnValues.payout
-      };
+      const settleResult = await settleRequest(this, priceRequest);
+      if (!settleResult) return;
       this.logger.info({
         at: "OptimisticOracleProposer#settleRequests",
         message: "Settled proposal or dispute!⛑",
         priceRequest,
-        payout: returnValue,
-        settleResult: logResult
+        ...settleResult
       });
     } catch (error) {
       const message =
@@ -379,8 +427,165 @@ class OptimisticOracleProposer {
       return;
     }
   }
+  // Returns { skipReason } if the bot should not propose to `priceRequest` and { bondUsd } otherwise. `exposureUsd` is
+  // the USD value of the bonds in the bot's outstanding proposals, or null if they could not be valued. If valuing the
+  // request failed, the `error` is returned along with the `skipReason`.
+  async _checkProposalRules(priceRequest, exposureUsd) {
+    const requester = priceRequest.requester.toLowerCase();
+    if (this.requesterAllowList.length > 0 && !this.requesterAllowList.includes(requester)) {
+      return { skipReason: "Requester is not on the requesterAllowList" };
+    }
+    if (this.requesterDenyList.includes(requester)) {
+      return { skipReason: "Requester is on the requesterDenyList" };
+    }
+    if (this.identifierAllowList.length > 0 && !this.identifierAllowList.includes(priceRequest.identifier)) {
+      return { skipReason: "Identifier is not on the identifierAllowList" };
+    }
+    if (this.identifierDenyList.includes(priceRequest.identifier)) {
+      return { skipReason: "Identifier is on the identifierDenyList" };
+    }
+
+    // Valuing the request reads the bond and the currency's decimals from the chain and its price from a pricefeed,
+    // any of which can fail for a single request.
+    try {
+      return await this._checkUsdRules(priceRequest, exposureUsd);
+    } catch (error) {
+      return { skipReason: "Failed to value the price request in USD", error };
+    }
+  }
+
+  // Checks the rules of `_checkProposalRules` that value the request's reward and bond in USD.
+  async _checkUsdRules(priceRequest, exposureUsd) {
+    if (parseFloat(this.minRewardUsd) > 0) {
+      const rewardUsd = await this._getUsdValue(priceRequest.currency, priceRequest.reward);
+      if (!rewardUsd) return { skipReason: "Cannot value the reward in USD" };
+      if (rewardUsd.lt(this.toBN(this.toWei(this.minRewardUsd.toString())))) {
+        return { skipReason: `Reward of ${this.fromWei(rewardUsd)} USD is below the minRewardUsd` };
+      }
+    }
+
+    if (this.maxBondUsd === undefined && this.maxTotalExposureUsd === undefined) return {};
+    const bondUsd = await this._getUsdValue(priceRequest.currency, await this._getTotalBond(priceRequest));
+    if (!bondUsd) return { skipReason: "Cannot value the bond in USD" };
+    if (this.maxBondUsd !== undefined && bondUsd.gt(this.toBN(this.toWei(this.maxBondUsd.toString())))) {
+      return { skipReason: `Bond of ${this.fromWei(bondUsd)} USD is above the maxBondUsd` };
+    }
+    if (this.maxTotalExposureUsd !== undefined) {
+      if (!exposureUsd) return { skipReason: "Cannot value the bonds of outstanding proposals in USD" };
+      const totalExposureUsd = exposureUsd.add(bondUsd);
+      if (totalExposureUsd.gt(this.toBN(this.toWei(this.maxTotalExposureUsd.toString())))) {
+        return {
+          skipReason: `Total exposure of ${this.fromWei(totalExposureUsd)} USD would be above the maxTotalExposureUsd`
+        };
+      }
+    }
+    return { bondUsd };
+  }
+
+  // Returns the USD value of the bonds in the bot's proposals that are not yet settled, including disputed ones, or
+  // null if any can't be valued.
+  async _getOutstandingExposureUsd() {
+    const outstandingProposals = this.optimisticOracleClient
+      .getUndisputedProposals()
+      .filter(proposal => proposal.proposer === this.account)
+      .concat(this.optimisticOracleClient.getSettleableProposals(this.account))
+      .concat(this.optimisticOracleClient.getUnsettledDisputes(this.account));
+
+    let exposureUsd = this.toBN("0");
+    try {
+      for (const proposal of outstandingProposals) {
+        const bondUsd = await this._getUsdValue(proposal.currency, await this._getTotalBond(proposal));
+        if (!bondUsd) return null;
+        exposureUsd = exposureUsd.add(bondUsd);
+      }
+    } catch (error) {
+      this.logger.debug({
+        at: "OptimisticOracleProposer#sendProposals",
+        message: "Failed to value the bonds of outstanding proposals",
+        error
+      });
+      return null;
+    }
+    return exposureUsd;
+  }
+
+  // Returns the bond that a proposer pays for `priceRequest`, i.e. the requester's bond plus the final fee.
+  async _getTotalBond(priceRequest) {
+    const request = await this.optimisticOracleContract.methods
+      .getRequest(
+        priceRequest.requester,
+        this.utf8ToHex(priceRequest.identifier),
+        priceRequest.timestamp,
+        priceRequest.ancillaryData
+      )
+      .call();
+    return this.toBN(request.bond).add(this.toBN(request.finalFee));
+  }
+
+  // Returns the USD value of `amount` of `currency`, scaled by 1e18, or null if the currency is unknown, has no USD
+  // pricefeed or its price is unavailable.
+  async _getUsdValue(currency, amount) {
+    if (!currency) return null;
+    const price = await this._getCurrencyUsdPrice(currency);
+    if (!price) return null;
+
+    const decimals = await this._getCurrencyDecimals(currency);
+    return ConvertDecimals(
+      decimals,
+      18,
+      this.web3
+    )(amount)
+      .mul(price)
+      .div(this.toBN(this.toWei("1")));
+  }
+
+  // Returns the USD price of `currency`, scaled by 1e18, or null if the currency has no USD pricefeed or its price is
+  // unavailable. The pricefeed is only updated the first time in each `sendProposals` pass.
+  async _getCurrencyUsdPrice(currency) {
+    const address = currency.toLowerCase();
+    if (this.currencyUsdPrices[address] !== undefined) return this.currencyUsdPrices[address];
+
+    const priceFeed = await this._createOrGetCachedCurrencyPriceFeed(currency);
+    let price = null;
+    if (priceFeed) {
+      await priceFeed.update();
+      const currentPrice = priceFeed.getCurrentPrice();
+      if (currentPrice) price = ConvertDecimals(priceFeed.getPriceFeedDecimals(), 18, this.web3)(currentPrice);
+    }
+    this.currencyUsdPrices[address] = price;
+    return price;
+  }
+
+  async _createOrGetCachedCurrencyPriceFeed(currency) {
+    const address = currency.toLowerCase();
+    if (this.currencyPriceFeedCache[address]) return this.currencyPriceFeedCache[address];
+    const config = this.currencyPriceFeedConfigs[address];
+    if (!config) return null;
+
+    const priceFeed = await createPriceFeed(
+      this.logger,
+      this.web3,
+      new Networker(this.logger),
+      () => Math.round(new Date().getTime() / 1000),
+      config
+    );
+    if (priceFeed) this.currencyPriceFeedCache[address] = priceFeed;
+    return priceFeed;
+  }
+
+  async _getCurrencyDecimals(currency) {
+    const address = currency.toLowerCase();
+    if (this.currencyDecimalsCache[address] === undefined) {
+      const token = new this.web3.eth.Contract(getAbi("ExpandedERC20"), currency);
+      this.currencyDecimalsCache[address] = Number(await token.methods.decimals().call());
+    }
+    return this.currencyDecimalsCache[address];
+  }
+
   // Sets allowances for all collateral currencies used in unproposed price requests
   async _setAllowances() {
+    if (this.transactionManager.dryRun) return;
+
     const approvalPromises = [];
 
     // The OptimisticOracle requires approval to transfer the proposed price request's collateral currency in order to post a bond.
@@ -389,8 +594,7 @@ class OptimisticOracleProposer {
       approvalPromises.push(
         setAllowance(
           this.web3,
-          this.gasEstimator,
-          this.account,
+          this.transactionManager,
           this.optimisticOracleContract.options.address,
           priceRequest.currency
         )
@@ -402,8 +606,7 @@ class OptimisticOracleProposer {
       approvalPromises.push(
         setAllowance(
           this.web3,
-          this.gasEstimator,
-          this.account,
+          this.transactionManager,
           this.optimisticOracleContract.options.address,
           priceRequest.currency
         )
@@ -425,32 +628,73 @@ class OptimisticOracleProposer {
   }
 
   // Create the pricefeed for a specific identifier and save it to the state, or
-  // return the saved pricefeed if already constructed.
-  async _createOrGetCachedPriceFeed(identifier) {
+  // return the saved pricefeed if already constructed. If the config is parameterised by ancillary data, each
+  // request's `ancillaryData` gets its own pricefeed.
+  async _createOrGetCachedPriceFeed(identifier, ancillaryData) {
+    const usesAncillaryData = this._usesAncillaryData();
+    const cacheKey = this._getPriceFeedCacheKey(identifier, ancillaryData);
+
     // First check for cached pricefeed for this identifier and return it if exists:
-    let priceFeed = this.priceFeedCache[identifier];
+    let priceFeed = this.priceFeedCache[cacheKey];
     if (priceFeed) return priceFeed;
     this.logger.debug({
       at: "OptimisticOracleProposer",
       message: "Created pricefeed configuration for identifier",
       commonPriceFeedConfig: this.commonPriceFeedConfig,
-      identifier
+      identifier,
+      ancillaryData
     });
 
-    // Create a new pricefeed for this identifier. We might consider caching these price requests
-    // for re-use if any requests use the same identifier.
-    let newPriceFeed = await createReferencePriceFeedForFinancialContract(
-      this.logger,
-      this.web3,
-      new Networker(this.logger),
-      () => Math.round(new Date().getTime() / 1000),
-      null, // No EMP Address needed since we're passing identifier explicitly
-      this.commonPriceFeedConfig,
-      identifier
-    );
-    if (newPriceFeed) this.priceFeedCache[identifier] = newPriceFeed;
+    // Create a new pricefeed for this identifier. Ancillary data that can't be parsed is treated like an invalid
+    // config, so that it only skips this request.
+    let newPriceFeed;
+    try {
+      newPriceFeed = await createReferencePriceFeedForFinancialContract(
+        this.logger,
+        this.web3,
+        new Networker(this.logger),
+        () => Math.round(new Date().getTime() / 1000),
+        null, // No EMP Address needed since we're passing identifier explicitly
+        this.commonPriceFeedConfig,
+        identifier,
+        ancillaryData
+      );
+    } catch (error) {
+      if (!usesAncillaryData) throw error;
+      this.logger.debug({
+        at: "OptimisticOracleProposer",
+        message: "Failed to apply ancillary data to pricefeed configuration",
+        identifier,
+        ancillaryData,
+        error
+      });
+      return null;
+    }
+    if (newPriceFeed) this.priceFeedCache[cacheKey] = newPriceFeed;
     return newPriceFeed;
   }
+
+  _usesAncillaryData() {
+    return Boolean(this.commonPriceFeedConfig && this.commonPriceFeedConfig.ancillaryDataMapping);
+  }
+
+  _getPriceFeedCacheKey(identifier, ancillaryData) {
+    return this._usesAncillaryData() ? `${identifier}-${ancillaryData}` : identifier;
+  }
+
+  // Drops the pricefeeds that no unproposed request or undisputed proposal needs. Requesters choose the ancillary data,
+  // so otherwise every request with new ancillary data would add a pricefeed that is kept forever.
+  _prunePriceFeedCache() {
+    const usedCacheKeys = new Set(
+      this.optimisticOracleClient
+        .getUnproposedPriceRequests()
+        .concat(this.optimisticOracleClient.getUndisputedProposals())
+        .map(priceRequest => this._getPriceFeedCacheKey(priceRequest.identifier, priceRequest.ancillaryData))
+    );
+    for (const cacheKey of Object.keys(this.priceFeedCache)) {
+      if (!usedCacheKeys.has(cacheKey)) delete this.priceFeedCache[cacheKey];
+    }
+  }
 }
 
 module.exports = {
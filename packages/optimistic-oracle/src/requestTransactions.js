@@ -0,0 +1,66 @@
+// Transactions for a price request that both the proposer and the watchdog send. `bot` is either of them, i.e. it has a
+// `web3`, an `optimisticOracleContract` and a `transactionManager`. Each function sends its transaction with the
+// bot's TransactionManager and reads the result off the receipt's event. They resolve to null in dry runs and throw the
+// TransactionManager's errors, whose `type` is "call" if the transaction failed its simulation.
+
+// Returns the OptimisticOracle's `method` for `priceRequest`. Every request method takes the same arguments.
+function _getRequestTransaction(bot, method, priceRequest) {
+  return bot.optimisticOracleContract.methods[method](
+    priceRequest.requester,
+    bot.web3.utils.utf8ToHex(priceRequest.identifier),
+    priceRequest.timestamp,
+    priceRequest.ancillaryData
+  );
+}
+
+// Disputes the proposal for `priceRequest`. Resolves to { disputeBond, disputeResult }.
+async function sendDispute(bot, priceRequest) {
+  const { receipt, returnValue, dryRun } = await bot.transactionManager.sendTransaction({
+    transaction: _getRequestTransaction(bot, "disputePrice", priceRequest)
+  });
+  if (dryRun) return null;
+
+  const event = receipt.events.DisputePrice.returnValues;
+  return {
+    disputeBond: returnValue,
+    disputeResult: {
+      tx: receipt.transactionHash,
+      requester: event.requester,
+      proposer: event.proposer,
+      disputer: event.disputer,
+      identifier: bot.web3.utils.hexToUtf8(event.identifier),
+      ancillaryData: event.ancillaryData,
+      timestamp: event.timestamp,
+      proposedPrice: event.proposedPrice
+    }
+  };
+}
+
+// Settles the proposal or dispute for `priceRequest`. Resolves to { payout, settleResult }.
+async function settleRequest(bot, priceRequest) {
+  const { receipt, returnValue, dryRun } = await bot.transactionManager.sendTransaction({
+    transaction: _getRequestTransaction(bot, "settle", priceRequest)
+  });
+  if (dryRun) return null;
+
+  const event = receipt.events.Settle.returnValues;
+  return {
+    payout: returnValue,
+    settleResult: {
+      tx: receipt.transactionHash,
+      requester: event.requester,
+      proposer: event.proposer,
+      disputer: event.disputer,
+      identifier: bot.web3.utils.hexToUtf8(event.identifier),
+      ancillaryData: event.ancillaryData,
+      timestamp: event.timestamp,
+      price: event.price,
+      payout: event.payout
+    }
+  };
+}
+
+module.exports = {
+  sendDispute,
+  settleRequest
+};
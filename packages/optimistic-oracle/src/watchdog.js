@@ -0,0 +1,366 @@
+const {
+  Networker,
+  createPriceFeed,
+  applyAncillaryDataToConfig,
+  setAllowance,
+  isDeviationOutsideErrorMargin,
+  TransactionManager
+} = require("@uma/financial-templates-lib");
+const { createObjectFromDefaultProps } = require("@uma/common");
+const { sendDispute, settleRequest } = require("./requestTransactions");
+
+class OptimisticOracleWatchdog {
+  /**
+   * @notice Constructs new OO Watchdog bot. The watchdog never proposes. It only disputes proposals that enough of its
+   *     own price sources disagree with, and settles those disputes.
+   * @param {Object} logger Module used to send logs.
+   * @param {Object} optimisticOracleClient Module used to query OO information on-chain.
+   * @param {Object} gasEstimator Module used to estimate optimal gas price with which to send txns.
+   * @param {String} account Ethereum account from which to send txns.
+   * @param {Object} watchdogConfig Contains the price sources for each identifier and fields with which constructor will
+   *     attempt to override defaults.
+   * @param {Object} [transactionManager] Module used to send txns from `account`. A new one is created if not provided.
+   */
+  constructor({ logger, optimisticOracleClient, gasEstimator, account, watchdogConfig, transactionManager }) {
+    this.logger = logger;
+    this.account = account;
+    this.optimisticOracleClient = optimisticOracleClient;
+    this.web3 = this.optimisticOracleClient.web3;
+
+    // Gas Estimator to calculate the current Fast gas rate.
+    this.gasEstimator = gasEstimator;
+
+    // Sends transactions and bumps their gas price while they are pending.
+    this.transactionManager =
+      transactionManager || new TransactionManager({ logger, web3: this.web3, gasEstimator, account });
+
+    this.optimisticOracleContract = this.optimisticOracleClient.oracle;
+
+    // Cached mapping of identifiers, source indices and, for sources parameterised by ancillary data, ancillary data to
+    // pricefeed classes.
+    this.priceFeedCache = {};
+
+    // Helper functions from web3.
+    this.toBN = this.web3.utils.toBN;
+    this.toWei = this.web3.utils.toWei;
+
+    // Default config settings. Bot deployer can override these settings by passing in new values via the
+    // `watchdogConfig` input object. The `isValid` property is a function that should be called before resetting any
+    // config settings. `isValid` must return a Boolean.
+    const defaultConfig = {
+      priceFeedConfigs: {
+        // `priceFeedConfigs`: Independent price sources for each identifier that the watchdog defends, e.g.
+        // { "ETHUSD": [{ "type": "cryptowatch", ... }, { "type": "coingecko", ... }] }. Each config is passed to
+        // `createPriceFeed` as is, so it must set `priceFeedDecimals` to the identifier's precision. A config with an
+        // `ancillaryDataMapping` is parameterised by each request's ancillary data. Proposals for other identifiers
+        // are ignored.
+        value: undefined,
+        isValid: x => {
+          return (
+            typeof x === "object" &&
+            Object.values(x).every(sources => Array.isArray(sources) && sources.every(s => typeof s === "object"))
+          );
+        }
+      },
+      minAgreeingSources: {
+        // `minAgreeingSources`: Number of sources that must each put the proposal outside of the margin of error, on
+        // the same side of it and within the margin of error of each other, before it is disputed. Every identifier
+        // needs at least this many sources.
+        value: 2,
+        isValid: x => {
+          return Number.isInteger(x) && x > 0;
+        }
+      },
+      disputePriceErrorPercent: {
+        // `disputePriceErrorPercent`: Proposal prices that differ from a source's price by more than this % error
+        // count as disagreeing with that source. e.g. 0.05 implies 5% margin of error.
+        value: 0.05,
+        isValid: x => {
+          return !isNaN(x);
+        }
+      }
+    };
+
+    // Validate and set config settings to class state.
+    const configWithDefaults = createObjectFromDefaultProps(watchdogConfig, defaultConfig);
+    Object.assign(this, configWithDefaults);
+
+    for (const [identifier, sources] of Object.entries(this.priceFeedConfigs)) {
+      if (sources.length < this.minAgreeingSources) {
+        throw new Error(
+          `Identifier ${identifier} has ${sources.length} price sources but minAgreeingSources is ${this.minAgreeingSources}`
+        );
+      }
+    }
+  }
+
+  async update() {
+    await Promise.all([this.optimisticOracleClient.update(), this.gasEstimator.update()]);
+    this._prunePriceFeedCache();
+
+    // Increase allowances for the collateral currencies that disputes may need to post bonds in.
+    await this._setAllowances();
+  }
+
+  // Submit disputes to proposals that at least `minAgreeingSources` sources disagree with.
+  async sendDisputes() {
+    this.logger.debug({
+      at: "OptimisticOracleWatchdog#sendDisputes",
+      message: "Checking for undisputed price requests to dispute"
+    });
+
+    for (let priceRequest of this.optimisticOracleClient.getUndisputedProposals()) {
+      if (!this.priceFeedConfigs[priceRequest.identifier]) continue;
+      await this._checkProposal(priceRequest);
+    }
+  }
+
+  // Settle disputes where this bot was the disputer.
+  async settleDisputes() {
+    this.logger.debug({
+      at: "OptimisticOracleWatchdog#settleDisputes",
+      message: "Checking for disputes to settle"
+    });
+
+    for (let priceRequest of this.optimisticOracleClient.getSettleableDisputes(this.account)) {
+      await this._settleDispute(priceRequest);
+    }
+  }
+
+  /** **********************************
+   *
+   * INTERNAL METHODS
+   *
+   ************************************/
+
+  // Compare the proposal against every source for its identifier and dispute it if enough of them disagree with it in
+  // the same way, i.e. on the same side of the proposal and within the margin of error of each other.
+  async _checkProposal(priceRequest) {
+    const proposalPrice = this.toBN(priceRequest.proposedPrice.toString());
+    const sourcePrices = await this._getSourcePrices(priceRequest);
+    const availablePrices = sourcePrices.filter(price => price !== null);
+    const disagreeingPrices = availablePrices.filter(price => this._isOutsideErrorMargin(proposalPrice, price));
+    const agreeingDisagreements = [
+      this._getLargestConsistentSet(disagreeingPrices.filter(price => this.toBN(price).gt(proposalPrice))),
+      this._getLargestConsistentSet(disagreeingPrices.filter(price => this.toBN(price).lt(proposalPrice)))
+    ].reduce((a, b) => (b.length > a.length ? b : a));
+    const logDetails = {
+      priceRequest,
+      proposalPrice: priceRequest.proposedPrice,
+      sourcePrices,
+      allowedError: this.disputePriceErrorPercent,
+      minAgreeingSources: this.minAgreeingSources
+    };
+
+    if (agreeingDisagreements.length >= this.minAgreeingSources) {
+      await this._sendDispute(priceRequest, { ...logDetails, disputePrices: agreeingDisagreements });
+    } else if (disagreeingPrices.length > 0) {
+      // Some sources disagree, but not enough of them or not with each other. A human should look at this before the
+      // proposal expires.
+      this.logger.warn({
+        at: "OptimisticOracleWatchdog#sendDisputes",
+        message: "Some price sources disagree with a proposal, but not enough to dispute it⚠️",
+        disagreeingSources: disagreeingPrices.length,
+        agreeingDisagreements: agreeingDisagreements.length,
+        ...logDetails
+      });
+    } else if (availablePrices.length < this.minAgreeingSources) {
+      // Too few sources returned a price to rule out a bad proposal.
+      this.logger.warn({
+        at: "OptimisticOracleWatchdog#sendDisputes",
+        message: "Not enough price sources are available to check a proposal⚠️",
+        availableSources: availablePrices.length,
+        ...logDetails
+      });
+    } else {
+      this.logger.debug({
+        at: "OptimisticOracleWatchdog#sendDisputes",
+        message: "Skipping dispute because price sources agree with the proposal",
+        ...logDetails
+      });
+    }
+  }
+
+  // Whether `price` differs from `expectedPrice` by more than `disputePriceErrorPercent`.
+  _isOutsideErrorMargin(price, expectedPrice) {
+    return isDeviationOutsideErrorMargin(
+      this.toBN(price.toString()), // ObservedValue
+      this.toBN(expectedPrice.toString()), // ExpectedValue
+      this.toBN(this.toWei("1")),
+      this.toBN(this.toWei(this.disputePriceErrorPercent.toString()))
+    );
+  }
+
+  // Returns the largest subset of `prices` whose highest price is within the margin of error of its lowest price, so
+  // that sources that disagree with a proposal also have to agree with each other.
+  _getLargestConsistentSet(prices) {
+    const sortedPrices = [...prices].sort((a, b) => this.toBN(a).cmp(this.toBN(b)));
+    let largestSet = [];
+    let low = 0;
+    for (let high = 0; high < sortedPrices.length; high++) {
+      while (low < high && this._isOutsideErrorMargin(sortedPrices[high], sortedPrices[low])) low++;
+      if (high - low + 1 > largestSet.length) largestSet = sortedPrices.slice(low, high + 1);
+    }
+    return largestSet;
+  }
+
+  // Returns the historical price of each source for `priceRequest`, in config order, or null for sources that failed.
+  async _getSourcePrices(priceRequest) {
+    const sources = this.priceFeedConfigs[priceRequest.identifier];
+    return Promise.all(
+      sources.map(async (config, index) => {
+        try {
+          const priceFeed = await this._createOrGetCachedPriceFeed(priceRequest, index);
+          if (!priceFeed) throw new Error("Invalid price feed config");
+          await priceFeed.update();
+          return (await priceFeed.getHistoricalPrice(priceRequest.timestamp)).toString();
+        } catch (error) {
+          this.logger.debug({
+            at: "OptimisticOracleWatchdog#sendDisputes",
+            message: "Failed to query historical price from source",
+            priceRequest,
+            sourceIndex: index,
+            error
+          });
+          return null;
+        }
+      })
+    );
+  }
+
+  // Construct dispute transaction and send or return early if an error is encountered.
+  async _sendDispute(priceRequest, logDetails) {
+    this.logger.debug({
+      at: "OptimisticOracleWatchdog#sendDisputes",
+      message: "Disputing proposal",
+      disputer: this.account,
+      ...logDetails
+    });
+    try {
+      const disputeResult = await sendDispute(this, priceRequest);
+      if (!disputeResult) return;
+      this.logger.info({
+        at: "OptimisticOracleWatchdog#sendDisputes",
+        message: "Watchdog disputed proposal!🐕",
+        ...disputeResult,
+        ...logDetails
+      });
+    } catch (error) {
+      const message =
+        error.type === "call"
+          ? "Cannot dispute price: not enough collateral (or large enough approval)✋"
+          : "Failed to dispute proposal🚨";
+      this.logger.error({
+        at: "OptimisticOracleWatchdog#sendDisputes",
+        message,
+        priceRequest,
+        error
+      });
+      return;
+    }
+  }
+
+  // Construct settlement transaction and send or return early if an error is encountered.
+  async _settleDispute(priceRequest) {
+    this.logger.debug({
+      at: "OptimisticOracleWatchdog#settleDisputes",
+      message: "Settling dispute",
+      priceRequest
+    });
+    try {
+      const settleResult = await settleRequest(this, priceRequest);
+      if (!settleResult) return;
+      this.logger.info({
+        at: "OptimisticOracleWatchdog#settleDisputes",
+        message: "Settled dispute!⛑",
+        priceRequest,
+        ...settleResult
+      });
+    } catch (error) {
+      const message = error.type === "call" ? "Cannot settle for unknown reason☹️" : "Failed to settle dispute🚨";
+      this.logger.error({
+        at: "OptimisticOracleWatchdog#settleDisputes",
+        message,
+        priceRequest,
+        error
+      });
+      return;
+    }
+  }
+
+  // Sets allowances for all collateral currencies used in proposals that the watchdog may dispute.
+  async _setAllowances() {
+    if (this.transactionManager.dryRun) return;
+
+    const currencies = new Set(
+      this.optimisticOracleClient
+        .getUndisputedProposals()
+        .filter(priceRequest => this.priceFeedConfigs[priceRequest.identifier])
+        .map(priceRequest => priceRequest.currency)
+    );
+
+    // Get new approval receipts or null if approval was unneccessary.
+    const newApprovals = await Promise.all(
+      Array.from(currencies).map(currency =>
+        setAllowance(this.web3, this.transactionManager, this.optimisticOracleContract.options.address, currency)
+      )
+    );
+    newApprovals.forEach(receipt => {
+      if (receipt) {
+        this.logger.info({
+          at: "OptimisticOracleWatchdog",
+          message: "Approved OptimisticOracle to transfer unlimited collateral tokens 💰",
+          currency: receipt.currencyAddress,
+          collateralApprovalTx: receipt.tx.transactionHash
+        });
+      }
+    });
+  }
+
+  // Create the pricefeed for the source at `index` for a request's identifier and save it to the state, or return the
+  // saved pricefeed if already constructed. Sources with an `ancillaryDataMapping` get a pricefeed per ancillary data.
+  async _createOrGetCachedPriceFeed(priceRequest, index) {
+    let config = this.priceFeedConfigs[priceRequest.identifier][index];
+    const cacheKey = this._getPriceFeedCacheKey(priceRequest, index);
+    if (this.priceFeedCache[cacheKey]) return this.priceFeedCache[cacheKey];
+
+    if (config.ancillaryDataMapping) config = applyAncillaryDataToConfig(config, priceRequest.ancillaryData);
+    const priceFeed = await createPriceFeed(
+      this.logger,
+      this.web3,
+      new Networker(this.logger),
+      () => Math.round(new Date().getTime() / 1000),
+      config
+    );
+    if (priceFeed) this.priceFeedCache[cacheKey] = priceFeed;
+    return priceFeed;
+  }
+
+  _getPriceFeedCacheKey(priceRequest, index) {
+    return this.priceFeedConfigs[priceRequest.identifier][index].ancillaryDataMapping
+      ? `${priceRequest.identifier}-${index}-${priceRequest.ancillaryData}`
+      : `${priceRequest.identifier}-${index}`;
+  }
+
+  // Drops the pricefeeds that no undisputed proposal needs, like the proposer does. Requesters choose the ancillary
+  // data, so otherwise every proposal with new ancillary data would add pricefeeds that are kept forever.
+  _prunePriceFeedCache() {
+    const usedCacheKeys = new Set(
+      this.optimisticOracleClient
+        .getUndisputedProposals()
+        .filter(priceRequest => this.priceFeedConfigs[priceRequest.identifier])
+        .flatMap(priceRequest =>
+          this.priceFeedConfigs[priceRequest.identifier].map((config, index) =>
+            this._getPriceFeedCacheKey(priceRequest, index)
+          )
+        )
+    );
+    for (const cacheKey of Object.keys(this.priceFeedCache)) {
+      if (!usedCacheKeys.has(cacheKey)) delete this.priceFeedCache[cacheKey];
+    }
+  }
+}
+
+module.exports = {
+  OptimisticOracleWatchdog
+};
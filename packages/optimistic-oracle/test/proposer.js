@@ -499,6 +499,155 @@ contract("OptimisticOracle: proposer.js", function(accounts) {
     assert.isTrue(spyLogIncludes(spy, -1, "sendDisputes"));
   });
 
+  it("Resolves price requests parameterised by ancillary data", async function() {
+    // Both requests use the same identifier, but the first one sets the price that the mocked feed should return.
+    const identifier = identifiersToTest[2];
+    const ancillaryData = [utf8ToHex('price:3.6,q:"What is the price?"'), utf8ToHex("q:No price given")];
+    for (let i = 0; i < ancillaryData.length; i++) {
+      await optimisticRequester.requestPrice(
+        identifier,
+        requestTime,
+        ancillaryData[i],
+        collateralCurrenciesForIdentifier[2].address,
+        0
+      );
+    }
+
+    proposer = new OptimisticOracleProposer({
+      logger: spyLogger,
+      optimisticOracleClient: client,
+      gasEstimator,
+      account: botRunner,
+      commonPriceFeedConfig: {
+        currentPrice: "1.2",
+        historicalPrice: "2.4",
+        ancillaryDataMapping: { price: "historicalPrice" }
+      }
+    });
+    await proposer.update();
+    await proposer.sendProposals();
+
+    const proposedPrices = {};
+    for (let i = 0; i < ancillaryData.length; i++) {
+      await verifyState(OptimisticOracleRequestStatesEnum.PROPOSED, identifier, ancillaryData[i]);
+      const request = await optimisticOracle.getRequest(
+        optimisticRequester.address,
+        identifier,
+        requestTime,
+        ancillaryData[i]
+      );
+      proposedPrices[i] = request.proposedPrice.toString();
+    }
+    assert.equal(proposedPrices[0], toWei("3.6"));
+    // Requests without the field fall back to the configured price.
+    assert.equal(proposedPrices[1], toWei("2.4"));
+
+    // Each request's ancillary data gets its own price feed.
+    assert.equal(Object.keys(proposer.priceFeedCache).length, 2);
+
+    // Once the proposals expire, their price feeds are no longer needed and are dropped.
+    await optimisticOracle.setCurrentTime((Number(startTime) + liveness).toString());
+    await proposer.update();
+    assert.equal(Object.keys(proposer.priceFeedCache).length, 0);
+  });
+
+  it("Only proposes to price requests that meet the proposal rules", async function() {
+    const identifier = identifiersToTest[2];
+    const currency = collateralCurrenciesForIdentifier[2];
+    for (const ancillaryData of ["0x01", "0x02"]) {
+      await optimisticRequester.requestPrice(identifier, requestTime, ancillaryData, currency.address, 0);
+    }
+
+    // Skipped requests are logged at the debug level.
+    const debugSpy = sinon.spy();
+    const debugSpyLogger = winston.createLogger({
+      level: "debug",
+      transports: [new SpyTransport({ level: "debug" }, { spy: debugSpy })]
+    });
+    const getSkipReasons = () =>
+      debugSpy
+        .getCalls()
+        .map(call => call.lastArg)
+        .filter(log => log.message === "Skipping price request that does not meet the proposal rules")
+        .map(log => log.reason);
+
+    // Each unit of the currency is worth 2 USD, so the total bond of 2 tokens is worth 4 USD.
+    const createProposer = optimisticOracleProposerConfig =>
+      new OptimisticOracleProposer({
+        logger: debugSpyLogger,
+        optimisticOracleClient: client,
+        gasEstimator,
+        account: botRunner,
+        commonPriceFeedConfig: { currentPrice: "1.2", historicalPrice: "2.4" },
+        optimisticOracleProposerConfig: {
+          currencyPriceFeedConfigs: { [currency.address]: { type: "test", currentPrice: "2", historicalPrice: "2" } },
+          ...optimisticOracleProposerConfig
+        }
+      });
+    const verifyRequestStates = async states => {
+      await verifyState(states[0], identifier, "0x01");
+      await verifyState(states[1], identifier, "0x02");
+    };
+    const { REQUESTED, PROPOSED } = OptimisticOracleRequestStatesEnum;
+
+    // The requester is not allowed or denied, the requests pay no reward, the identifier is denied or the bond is too
+    // large.
+    for (const [config, skipReason] of [
+      [{ requesterAllowList: [randoProposer] }, "Requester is not on the requesterAllowList"],
+      [{ requesterDenyList: [optimisticRequester.address] }, "Requester is on the requesterDenyList"],
+      [{ minRewardUsd: 1 }, "Reward of 0 USD is below the minRewardUsd"],
+      [{ identifierDenyList: ["TEST18DECIMALS"] }, "Identifier is on the identifierDenyList"],
+      [{ maxBondUsd: 3 }, "Bond of 4 USD is above the maxBondUsd"]
+    ]) {
+      debugSpy.resetHistory();
+      proposer = createProposer(config);
+      await proposer.update();
+      await proposer.sendProposals();
+      await verifyRequestStates([REQUESTED, REQUESTED]);
+      assert.deepEqual(getSkipReasons(), [skipReason, skipReason]);
+    }
+
+    // Allowed requesters are proposed to as usual, so only the bond cap stops these proposals.
+    debugSpy.resetHistory();
+    proposer = createProposer({ requesterAllowList: [optimisticRequester.address], maxBondUsd: 3 });
+    await proposer.update();
+    await proposer.sendProposals();
+    assert.deepEqual(getSkipReasons(), Array(2).fill("Bond of 4 USD is above the maxBondUsd"));
+
+    // A request that can't be valued is skipped without stopping the others.
+    debugSpy.resetHistory();
+    proposer = createProposer({ maxBondUsd: 5 });
+    sinon.stub(proposer, "_getTotalBond").rejects(new Error("getRequest failed"));
+    await proposer.update();
+    await proposer.sendProposals();
+    await verifyRequestStates([REQUESTED, REQUESTED]);
+    assert.deepEqual(getSkipReasons(), Array(2).fill("Failed to value the price request in USD"));
+
+    // Only one 4 USD bond fits under the exposure cap.
+    proposer = createProposer({ maxBondUsd: 5, maxTotalExposureUsd: 6 });
+    await proposer.update();
+    await proposer.sendProposals();
+    await verifyRequestStates([PROPOSED, REQUESTED]);
+
+    // The outstanding proposal still counts towards the cap on the next run. The currency's price feed is only updated
+    // once, although both bonds are valued.
+    const currencyPriceFeed = proposer.currencyPriceFeedCache[currency.address.toLowerCase()];
+    sinon.spy(currencyPriceFeed, "update");
+    await proposer.update();
+    await proposer.sendProposals();
+    await verifyRequestStates([PROPOSED, REQUESTED]);
+    assert.equal(currencyPriceFeed.update.callCount, 1);
+
+    // The bond of a disputed proposal is still at risk, so it counts as well.
+    await currency.approve(optimisticOracle.address, initialUserBalance, { from: disputer });
+    await optimisticOracle.disputePrice(optimisticRequester.address, identifier, requestTime, "0x01", {
+      from: disputer
+    });
+    await proposer.update();
+    await proposer.sendProposals();
+    await verifyRequestStates([OptimisticOracleRequestStatesEnum.DISPUTED, REQUESTED]);
+  });
+
   it("Skip price requests with historical prices that proposer fails to fetch", async function() {
     // Request a valid identifier that is getting bad data from the data source.
     // Note: "INVALID" maps specifically to the InvalidPriceFeedMock in the DefaultPriceFeedConfig.js file.
@@ -0,0 +1,230 @@
+const winston = require("winston");
+const sinon = require("sinon");
+
+const { toWei, utf8ToHex, padRight } = web3.utils;
+
+const {
+  OptimisticOracleClient,
+  GasEstimator,
+  SpyTransport,
+  lastSpyLogLevel,
+  lastSpyLogIncludes
+} = require("@uma/financial-templates-lib");
+const { OptimisticOracleWatchdog } = require("../src/watchdog");
+const { interfaceName, OptimisticOracleRequestStatesEnum } = require("@uma/common");
+const { getTruffleContract } = require("@uma/core");
+
+const CONTRACT_VERSION = "latest";
+
+const OptimisticOracle = getTruffleContract("OptimisticOracle", web3, CONTRACT_VERSION);
+const OptimisticRequesterTest = getTruffleContract("OptimisticRequesterTest", web3, CONTRACT_VERSION);
+const Finder = getTruffleContract("Finder", web3, CONTRACT_VERSION);
+const IdentifierWhitelist = getTruffleContract("IdentifierWhitelist", web3, CONTRACT_VERSION);
+const Token = getTruffleContract("ExpandedERC20", web3, CONTRACT_VERSION);
+const AddressWhitelist = getTruffleContract("AddressWhitelist", web3, CONTRACT_VERSION);
+const Timer = getTruffleContract("Timer", web3, CONTRACT_VERSION);
+const Store = getTruffleContract("Store", web3, CONTRACT_VERSION);
+const MockOracle = getTruffleContract("MockOracleAncillary", web3, CONTRACT_VERSION);
+
+contract("OptimisticOracle: watchdog.js", function(accounts) {
+  const owner = accounts[0];
+  const randoProposer = accounts[2];
+  const botRunner = accounts[5];
+
+  // Contracts
+  let optimisticRequester;
+  let optimisticOracle;
+  let finder;
+  let timer;
+  let identifierWhitelist;
+  let collateralWhitelist;
+  let store;
+  let mockOracle;
+  let collateral;
+
+  // Offchain infra
+  let client;
+  let gasEstimator;
+  let watchdog;
+  let spyLogger;
+  let spy;
+
+  let requestTime;
+
+  // Default testing values.
+  const liveness = 7200; // 2 hours
+  const initialUserBalance = toWei("100");
+  const finalFee = toWei("1");
+  const identifier = padRight(utf8ToHex("TEST18DECIMALS"), 64);
+  const proposalPrice = toWei("3");
+
+  // Sources return a constant historical price. Sources are disagreeing if they are more than 5% from the proposal.
+  const agreeingSource = { type: "test", currentPrice: "3", historicalPrice: "3.1" };
+  const disagreeingSource = { type: "test", currentPrice: "2.4", historicalPrice: "2.4" };
+  const farDisagreeingSource = { type: "test", currentPrice: "2", historicalPrice: "2" };
+  const highDisagreeingSource = { type: "test", currentPrice: "3.6", historicalPrice: "3.6" };
+  const failingSource = { type: "invalid" };
+
+  const createWatchdog = sources =>
+    new OptimisticOracleWatchdog({
+      logger: spyLogger,
+      optimisticOracleClient: client,
+      gasEstimator,
+      account: botRunner,
+      watchdogConfig: { priceFeedConfigs: { TEST18DECIMALS: sources }, minAgreeingSources: 2 }
+    });
+
+  const verifyState = async state => {
+    assert.equal(
+      (await optimisticOracle.getState(optimisticRequester.address, identifier, requestTime, "0x")).toString(),
+      state
+    );
+  };
+
+  before(async function() {
+    finder = await Finder.new();
+    timer = await Timer.new();
+
+    identifierWhitelist = await IdentifierWhitelist.new();
+    await identifierWhitelist.addSupportedIdentifier(identifier);
+    await finder.changeImplementationAddress(utf8ToHex(interfaceName.IdentifierWhitelist), identifierWhitelist.address);
+
+    collateralWhitelist = await AddressWhitelist.new();
+    await finder.changeImplementationAddress(utf8ToHex(interfaceName.CollateralWhitelist), collateralWhitelist.address);
+
+    store = await Store.new({ rawValue: "0" }, { rawValue: "0" }, timer.address);
+    await finder.changeImplementationAddress(utf8ToHex(interfaceName.Store), store.address);
+
+    mockOracle = await MockOracle.new(finder.address, timer.address);
+    await finder.changeImplementationAddress(utf8ToHex(interfaceName.Oracle), mockOracle.address);
+  });
+
+  beforeEach(async function() {
+    collateral = await Token.new("Wrapped Ether", "WETH", 18);
+    await collateral.addMember(1, owner);
+    await collateral.mint(botRunner, initialUserBalance);
+    await collateral.mint(randoProposer, initialUserBalance);
+    await collateralWhitelist.addToWhitelist(collateral.address);
+    await store.setFinalFee(collateral.address, { rawValue: finalFee });
+
+    optimisticOracle = await OptimisticOracle.new(liveness, finder.address, timer.address);
+    optimisticRequester = await OptimisticRequesterTest.new(optimisticOracle.address);
+
+    requestTime = (await optimisticOracle.getCurrentTime()).toNumber() - 10;
+
+    // Request a price and propose 3 to it.
+    await optimisticRequester.requestPrice(identifier, requestTime, "0x", collateral.address, 0);
+    await collateral.approve(optimisticOracle.address, toWei("2"), { from: randoProposer });
+    await optimisticOracle.proposePrice(optimisticRequester.address, identifier, requestTime, "0x", proposalPrice, {
+      from: randoProposer
+    });
+
+    spy = sinon.spy();
+    spyLogger = winston.createLogger({
+      level: "info",
+      transports: [new SpyTransport({ level: "info" }, { spy: spy })]
+    });
+
+    client = new OptimisticOracleClient(
+      spyLogger,
+      OptimisticOracle.abi,
+      MockOracle.abi,
+      web3,
+      optimisticOracle.address,
+      mockOracle.address
+    );
+
+    gasEstimator = new GasEstimator(spyLogger);
+  });
+
+  it("Requires enough sources for each identifier", async function() {
+    let didThrow = false;
+    try {
+      createWatchdog([disagreeingSource]);
+    } catch (error) {
+      didThrow = true;
+    }
+    assert.isTrue(didThrow);
+  });
+
+  it("Disputes proposals that enough sources disagree with and settles the dispute", async function() {
+    watchdog = createWatchdog([disagreeingSource, agreeingSource, disagreeingSource]);
+    await watchdog.update();
+    await watchdog.sendDisputes();
+
+    await verifyState(OptimisticOracleRequestStatesEnum.DISPUTED);
+    assert.equal(lastSpyLogLevel(spy), "info");
+    assert.isTrue(lastSpyLogIncludes(spy, "Watchdog disputed proposal"));
+    assert.equal(Object.keys(watchdog.priceFeedCache).length, 3);
+
+    // Once the DVM resolves the dispute, the watchdog settles it. The proposal's pricefeeds are no longer needed.
+    const [lastQuery] = (await mockOracle.getPendingQueries()).slice(-1);
+    await mockOracle.pushPrice(lastQuery.identifier, lastQuery.time, lastQuery.ancillaryData, toWei("2.4"));
+    await watchdog.update();
+    assert.deepEqual(watchdog.priceFeedCache, {});
+    await watchdog.settleDisputes();
+
+    await verifyState(OptimisticOracleRequestStatesEnum.SETTLED);
+    assert.isTrue(lastSpyLogIncludes(spy, "Settled dispute"));
+  });
+
+  it("Warns without disputing when too few sources disagree", async function() {
+    watchdog = createWatchdog([disagreeingSource, agreeingSource, agreeingSource]);
+    await watchdog.update();
+    await watchdog.sendDisputes();
+
+    await verifyState(OptimisticOracleRequestStatesEnum.PROPOSED);
+    assert.equal(lastSpyLogLevel(spy), "warn");
+    assert.isTrue(lastSpyLogIncludes(spy, "not enough to dispute it"));
+  });
+
+  it("Warns without disputing when the disagreeing sources disagree with each other", async function() {
+    // The sources disagree in opposite directions or are too far apart from each other.
+    for (const sources of [
+      [disagreeingSource, highDisagreeingSource, agreeingSource],
+      [disagreeingSource, farDisagreeingSource, agreeingSource]
+    ]) {
+      watchdog = createWatchdog(sources);
+      await watchdog.update();
+      await watchdog.sendDisputes();
+
+      await verifyState(OptimisticOracleRequestStatesEnum.PROPOSED);
+      assert.equal(lastSpyLogLevel(spy), "warn");
+      assert.isTrue(lastSpyLogIncludes(spy, "not enough to dispute it"));
+    }
+  });
+
+  it("Warns when too few sources return a price", async function() {
+    watchdog = createWatchdog([agreeingSource, failingSource, failingSource]);
+    await watchdog.update();
+    await watchdog.sendDisputes();
+
+    await verifyState(OptimisticOracleRequestStatesEnum.PROPOSED);
+    assert.equal(lastSpyLogLevel(spy), "warn");
+    assert.isTrue(lastSpyLogIncludes(spy, "Not enough price sources"));
+  });
+
+  it("Does not dispute when the sources agree with the proposal", async function() {
+    watchdog = createWatchdog([agreeingSource, agreeingSource, agreeingSource]);
+    await watchdog.update();
+    const callCount = spy.callCount;
+    await watchdog.sendDisputes();
+
+    await verifyState(OptimisticOracleRequestStatesEnum.PROPOSED);
+    assert.equal(spy.callCount, callCount);
+  });
+
+  it("Ignores proposals for identifiers without sources", async function() {
+    watchdog = new OptimisticOracleWatchdog({
+      logger: spyLogger,
+      optimisticOracleClient: client,
+      gasEstimator,
+      account: botRunner,
+      watchdogConfig: { priceFeedConfigs: { ETHUSD: [disagreeingSource, disagreeingSource] } }
+    });
+    await watchdog.update();
+    await watchdog.sendDisputes();
+
+    await verifyState(OptimisticOracleRequestStatesEnum.PROPOSED);
+  });
+});
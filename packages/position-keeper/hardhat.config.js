@@ -0,0 +1,17 @@
+const { getHardhatConfig } = require("@uma/common");
+
+const path = require("path");
+const coreWkdir = path.dirname(require.resolve("@uma/core/package.json"));
+const packageWkdir = path.dirname(require.resolve("@uma/position-keeper/package.json"));
+
+const configOverride = {
+  paths: {
+    root: coreWkdir,
+    sources: `${coreWkdir}/contracts`,
+    artifacts: `${coreWkdir}/artifacts`,
+    cache: `${coreWkdir}/cache`,
+    tests: `${packageWkdir}/test`
+  }
+};
+
+module.exports = getHardhatConfig(configOverride);
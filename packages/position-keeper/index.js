@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+require("dotenv").config();
+const retry = require("async-retry");
+
+// Helpers
+const { findContractVersion, SUPPORTED_CONTRACT_VERSIONS } = require("@uma/common");
+
+// JS libs
+const { PositionKeeper } = require("./src/positionKeeper");
+const {
+  multicallAddressMap,
+  FinancialContractClient,
+  GasEstimator,
+  Logger,
+  Networker,
+  delay,
+  waitForLogger,
+  createReferencePriceFeedForFinancialContract,
+  setAllowance,
+  TransactionManager,
+  TokenBalanceClient
+} = require("@uma/financial-templates-lib");
+
+// Truffle contracts.
+const { getAbi } = require("@uma/core");
+const { getWeb3, PublicNetworks } = require("@uma/common");
+
+/**
+ * @notice Continuously defends sponsor positions in the Financial Contract against liquidation.
+ * @param {Object} logger Module responsible for sending logs.
+ * @param {Object} web3 web3.js instance with unlocked wallets used for all on-chain connections. Every kept sponsor
+ *     must be one of its accounts.
+ * @param {String} financialContractAddress Contract address of the Financial Contract.
+ * @param {Number} pollingDelay The amount of seconds to wait between iterations. If set to 0 then running in serverless
+ *     mode which will exit after the loop.
+ * @param {Number} errorRetries The number of times the execution loop will re-try before throwing if an error occurs.
+ * @param {Number} errorRetriesTimeout The amount of milliseconds to wait between re-try iterations on failed loops.
+ * @param {Object} priceFeedConfig Configuration to construct the price feed object.
+ * @param {Object} keeperConfig Configuration to construct the position keeper, including the sponsors to keep.
+ * @param {Object} [gasEstimatorConfig] Configuration to construct the GasEstimator, e.g. a `strategy` of "node" to
+ *     estimate gas prices from the connected node only. See `GasEstimator`.
+ * @param {Boolean} [dryRun] If true, transactions are simulated and logged but never sent, and no approvals are set.
+ * @return None or throws an Error.
+ */
+async function run({
+  logger,
+  web3,
+  financialContractAddress,
+  pollingDelay,
+  errorRetries,
+  errorRetriesTimeout,
+  priceFeedConfig,
+  keeperConfig,
+  gasEstimatorConfig,
+  dryRun = false
+}) {
+  try {
+    const getTime = () => Math.round(new Date().getTime() / 1000);
+
+    // If pollingDelay === 0 then the bot is running in serverless mode and should send a `debug` level log.
+    // Else, if running in loop mode (pollingDelay != 0), then it should send a `info` level log.
+    logger[pollingDelay === 0 ? "debug" : "info"]({
+      at: "PositionKeeper#index",
+      message: "Position keeper started🛡",
+      financialContractAddress,
+      pollingDelay,
+      errorRetries,
+      errorRetriesTimeout,
+      priceFeedConfig,
+      keeperConfig,
+      gasEstimatorConfig,
+      dryRun
+    });
+
+    // Append the contract version and type to the keeperConfig, if the keeperConfig does not already contain one.
+    const detectedContract = await findContractVersion(financialContractAddress, web3);
+    keeperConfig = { ...keeperConfig };
+    if (!keeperConfig.contractVersion) keeperConfig.contractVersion = detectedContract.contractVersion;
+    if (!keeperConfig.contractType) keeperConfig.contractType = detectedContract.contractType;
+
+    // Check that the version and type is supported. Note if either is null this check will also catch it.
+    if (
+      SUPPORTED_CONTRACT_VERSIONS.filter(
+        vo => vo.contractType == keeperConfig.contractType && vo.contractVersion == keeperConfig.contractVersion
+      ).length == 0
+    )
+      throw new Error(
+        `Contract version specified or inferred is not supported by this bot. Keeper config:${JSON.stringify(
+          keeperConfig
+        )} & detectedContractVersion:${JSON.stringify(detectedContract)} are not part of ${JSON.stringify(
+          SUPPORTED_CONTRACT_VERSIONS
+        )}`
+      );
+
+    // Load unlocked web3 accounts and get the networkId.
+    const [accounts, networkId] = await Promise.all([web3.eth.getAccounts(), web3.eth.net.getId()]);
+    const networkName = PublicNetworks[Number(networkId)] ? PublicNetworks[Number(networkId)].name : null;
+
+    // The keeper sends deposits, repays and withdrawal cancellations from the sponsors themselves.
+    const sponsors = (keeperConfig.sponsorsToKeep || []).map(sponsor => web3.utils.toChecksumAddress(sponsor.address));
+    const missingSponsors = sponsors.filter(sponsor => !accounts.includes(sponsor));
+    if (missingSponsors.length > 0) {
+      throw new Error(`Sponsors to keep must be unlocked accounts. Missing: ${missingSponsors.join(", ")}`);
+    }
+
+    // The keeper tracks how much of each budget it has spent in memory, so a serverless run, which exits after one
+    // loop, would start every run with the full budget again.
+    const hasBudgets = (keeperConfig.sponsorsToKeep || []).some(
+      sponsor => Number(sponsor.collateralBudget || 0) > 0 || Number(sponsor.syntheticBudget || 0) > 0
+    );
+    if (pollingDelay === 0 && hasBudgets) {
+      throw new Error("Collateral and synthetic budgets can't be enforced in serverless mode. Set a pollingDelay");
+    }
+
+    // Setup contract instances.
+    const financialContract = new web3.eth.Contract(
+      getAbi(keeperConfig.contractType, keeperConfig.contractVersion),
+      financialContractAddress
+    );
+
+    // Generate Financial Contract properties to inform bot of important on-chain state values that we only want to query once.
+    const [collateralTokenAddress, syntheticTokenAddress, minSponsorTokens] = await Promise.all([
+      financialContract.methods.collateralCurrency().call(),
+      financialContract.methods.tokenCurrency().call(),
+      financialContract.methods.minSponsorTokens().call()
+    ]);
+
+    const collateralToken = new web3.eth.Contract(getAbi("ExpandedERC20"), collateralTokenAddress);
+    const syntheticToken = new web3.eth.Contract(getAbi("ExpandedERC20"), syntheticTokenAddress);
+    const [collateralDecimals, syntheticDecimals] = await Promise.all([
+      collateralToken.methods.decimals().call(),
+      syntheticToken.methods.decimals().call()
+    ]);
+
+    const priceFeed = await createReferencePriceFeedForFinancialContract(
+      logger,
+      web3,
+      new Networker(logger),
+      getTime,
+      financialContractAddress,
+      priceFeedConfig
+    );
+
+    if (!priceFeed) {
+      throw new Error("Price feed config is invalid");
+    }
+
+    const financialContractClient = new FinancialContractClient(
+      logger,
+      getAbi(keeperConfig.contractType, keeperConfig.contractVersion),
+      web3,
+      financialContractAddress,
+      networkName ? multicallAddressMap[networkName].multicall : null,
+      collateralDecimals,
+      syntheticDecimals,
+      priceFeed.getPriceFeedDecimals(),
+      keeperConfig.contractType
+    );
+
+    const gasEstimator = new GasEstimator(logger, /* updateThreshold */ 60, /* defaultFastPriceGwei */ 50, web3, {
+      networkId,
+      ...gasEstimatorConfig
+    });
+    await gasEstimator.update();
+
+    const transactionManagers = {};
+    for (const sponsor of sponsors) {
+      transactionManagers[sponsor] = new TransactionManager({
+        logger,
+        web3,
+        gasEstimator,
+        account: sponsor,
+        transactionManagerConfig: { dryRun }
+      });
+    }
+
+    const positionKeeper = new PositionKeeper({
+      logger,
+      financialContractClient,
+      tokenBalanceClient: new TokenBalanceClient(
+        logger,
+        getAbi("ExpandedERC20"),
+        web3,
+        collateralTokenAddress,
+        syntheticTokenAddress
+      ),
+      gasEstimator,
+      priceFeed,
+      financialContractProps: { minSponsorTokens },
+      keeperConfig,
+      transactionManagers
+    });
+
+    logger.debug({
+      at: "PositionKeeper#index",
+      message: "Position keeper initialized",
+      financialContractAddress,
+      collateralDecimals: Number(collateralDecimals),
+      syntheticDecimals: Number(syntheticDecimals),
+      priceFeedDecimals: Number(priceFeed.getPriceFeedDecimals()),
+      priceFeedConfig,
+      keeperConfig
+    });
+
+    // The Financial Contract requires approval to transfer the sponsors' collateral to deposit it and their synthetic
+    // tokens to repay them. We'll set these once to the max value and top up whenever an allowance drops below
+    // MAX_INT / 2.
+    for (const sponsor of dryRun ? [] : sponsors) {
+      const [collateralApproval, syntheticApproval] = await Promise.all([
+        setAllowance(web3, transactionManagers[sponsor], financialContractAddress, collateralTokenAddress),
+        setAllowance(web3, transactionManagers[sponsor], financialContractAddress, syntheticTokenAddress)
+      ]);
+      if (collateralApproval) {
+        logger.info({
+          at: "PositionKeeper#index",
+          message: "Approved Financial Contract to transfer unlimited collateral tokens 💰",
+          sponsor,
+          collateralApprovalTx: collateralApproval.tx.transactionHash
+        });
+      }
+      if (syntheticApproval) {
+        logger.info({
+          at: "PositionKeeper#index",
+          message: "Approved Financial Contract to transfer unlimited synthetic tokens 💰",
+          sponsor,
+          syntheticApprovalTx: syntheticApproval.tx.transactionHash
+        });
+      }
+    }
+
+    // Create a execution loop that will run indefinitely (or yield early if in serverless mode)
+    for (;;) {
+      await retry(
+        async () => {
+          await positionKeeper.update();
+          await positionKeeper.keepPositions();
+        },
+        {
+          retries: errorRetries,
+          minTimeout: errorRetriesTimeout * 1000, // delay between retries in ms
+          randomize: false,
+          onRetry: error => {
+            logger.debug({
+              at: "PositionKeeper#index",
+              message: "An error was thrown in the execution loop - retrying",
+              error: typeof error === "string" ? new Error(error) : error
+            });
+          }
+        }
+      );
+      // If the polling delay is set to 0 then the script will terminate the bot after one full run.
+      if (pollingDelay === 0) {
+        logger.debug({
+          at: "PositionKeeper#index",
+          message: "End of serverless execution loop - terminating process"
+        });
+        await waitForLogger(logger);
+        await delay(2); // waitForLogger does not always work 100% correctly in serverless. add a delay to ensure logs are captured upstream.
+        break;
+      }
+      logger.debug({
+        at: "PositionKeeper#index",
+        message: "End of execution loop - waiting polling delay",
+        pollingDelay: `${pollingDelay} (s)`
+      });
+      await delay(Number(pollingDelay));
+    }
+  } catch (error) {
+    // If any error is thrown, catch it and bubble up to the main try-catch for error processing in the Poll function.
+    throw typeof error === "string" ? new Error(error) : error;
+  }
+}
+
+async function Poll(callback) {
+  try {
+    if (!process.env.EMP_ADDRESS && !process.env.FINANCIAL_CONTRACT_ADDRESS) {
+      throw new Error(
+        "Bad environment variables! Specify an EMP_ADDRESS or FINANCIAL_CONTRACT_ADDRESS for the location of the financial contract the bot is expected to interact with."
+      );
+    }
+    if (!process.env.KEEPER_CONFIG) {
+      throw new Error("Bad environment variables! Specify a KEEPER_CONFIG with the sponsors to keep.");
+    }
+
+    // This object is spread when calling the `run` function below. It relies on the object enumeration order and must
+    // match the order of parameters defined in the`run` function.
+    const executionParameters = {
+      financialContractAddress: process.env.EMP_ADDRESS || process.env.FINANCIAL_CONTRACT_ADDRESS,
+      // Default to 1 minute delay. If set to 0 in env variables then the script will exit after full execution.
+      pollingDelay: process.env.POLLING_DELAY ? Number(process.env.POLLING_DELAY) : 60,
+      // Default to 3 re-tries on error within the execution loop.
+      errorRetries: process.env.ERROR_RETRIES ? Number(process.env.ERROR_RETRIES) : 3,
+      // Default to 1 seconds in between error re-tries.
+      errorRetriesTimeout: process.env.ERROR_RETRIES_TIMEOUT ? Number(process.env.ERROR_RETRIES_TIMEOUT) : 1,
+      // Read price feed configuration from an environment variable. If not provided then the bot will try and infer a
+      // price feed from the EMP_ADDRESS.
+      priceFeedConfig: process.env.PRICE_FEED_CONFIG ? JSON.parse(process.env.PRICE_FEED_CONFIG) : null,
+      // Positions to keep and how to defend them. EG:
+      // {"sponsorsToKeep":[{"address":"0x..", -> sponsor that owns the position. Must be an unlocked account.
+      //                     "targetCR":1.6, -> restore the position to this CR whenever it falls below it.
+      //                     "collateralBudget":"1000000000000000000000", -> max collateral to deposit, in wei.
+      //                     "syntheticBudget":"100000000000000000000"}], -> max synthetic tokens to repay, in wei.
+      // "defenseActions":["deposit","repay"], -> actions used to restore the target CR, in the order they are tried.
+      // "cancelWithdrawals":true, -> cancel pending withdrawals that would make the position liquidatable.
+      // "txnGasLimit":9000000, -> gas limit for sent transactions.
+      // "contractType":"ExpiringMultiParty", -> override the kind of contract the keeper is pointing at.
+      // "contractVersion":"latest"} -> override the contract version the keeper is pointing at.
+      keeperConfig: JSON.parse(process.env.KEEPER_CONFIG),
+      // If there is a gas estimator config, add it. Else, gas prices are estimated with the network's default strategy.
+      // Example config:
+      // { "strategy":"node", -> "legacy" for gas price APIs only, "london" to also send EIP-1559 transactions with fees
+      //                         from the node's fee history, or "node" for EIP-1559 fees without any external API.
+      //   "feeHistoryBlocks":10, -> Number of recent blocks whose priority fees are sampled.
+      //   "priorityFeePercentile":50, -> Percentile of each block's priority fees that is sampled.
+      //   "baseFeeMultiplier":2, -> maxFeePerGas is the next block's base fee times this plus the priority fee.
+      //   "gasSources":[{"type":"blockSample","blocks":10,"percentile":60},{"type":"node"}]} -> Gas price sources, tried
+      //                  in order. Types are "etherchain", "etherscan", "blockSample" and "node".
+      gasEstimatorConfig: process.env.GAS_ESTIMATOR_CONFIG ? JSON.parse(process.env.GAS_ESTIMATOR_CONFIG) : {},
+      // If DRY_RUN is "true", the bot runs its full logic but only simulates and logs the transactions it would send.
+      dryRun: process.env.DRY_RUN === "true"
+    };
+
+    await run({ logger: Logger, web3: getWeb3(), ...executionParameters });
+  } catch (error) {
+    Logger.error({
+      at: "PositionKeeper#index",
+      message: "Position keeper execution error🚨",
+      error: typeof error === "string" ? new Error(error) : error
+    });
+    await waitForLogger(Logger);
+    callback(error);
+  }
+  callback();
+}
+
+function nodeCallback(err) {
+  if (err) {
+    console.error(err);
+    process.exit(1);
+  } else process.exit(0);
+}
+
+// If called directly by node, execute the Poll Function. This lets the script be run as a node process.
+if (require.main === module) {
+  Poll(nodeCallback)
+    .then(() => {})
+    .catch(nodeCallback);
+}
+
+// Attach this function to the exported function in order to allow the script to be executed through both truffle and a test runner.
+Poll.run = run;
+module.exports = Poll;
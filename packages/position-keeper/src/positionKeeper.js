@@ -0,0 +1,362 @@
+const { ConvertDecimals, createObjectFromDefaultProps } = require("@uma/common");
+const { calculatePositionCR, TransactionManager } = require("@uma/financial-templates-lib");
+
+class PositionKeeper {
+  /**
+   * @notice Constructs new PositionKeeper bot, which defends positions owned by the bot's accounts against liquidation.
+   * Each kept position is topped up with collateral or has some of its debt repaid whenever its collateralization
+   * ratio falls below a target, within per-sponsor budgets. Pending withdrawals that would make a position
+   * liquidatable are cancelled.
+   * @param {Object} logger Winston module used to send logs.
+   * @param {Object} financialContractClient Module used to query Financial Contract information on-chain.
+   * @param {Object} tokenBalanceClient Module used to query the sponsors' collateral and synthetic balances.
+   * @param {Object} gasEstimator Module used to estimate optimal gas price with which to send txns.
+   * @param {Object} priceFeed Module used to get the current token price.
+   * @param {Object} financialContractProps Contains Financial Contract contract state data. Expected:
+   *      { minSponsorTokens: 5e18 }
+   * @param {Object} keeperConfig Contains the sponsors to keep and fields with which constructor will attempt to
+   *      override defaults.
+   * @param {Object} [transactionManagers] Modules used to send txns, keyed by sponsor address. Should be shared with
+   *      other bots in the process that send from the same account. New ones are created for missing sponsors.
+   */
+  constructor({
+    logger,
+    financialContractClient,
+    tokenBalanceClient,
+    gasEstimator,
+    priceFeed,
+    financialContractProps,
+    keeperConfig,
+    transactionManagers = {}
+  }) {
+    this.logger = logger;
+
+    this.financialContractClient = financialContractClient;
+    this.financialContract = this.financialContractClient.financialContract;
+    this.web3 = this.financialContractClient.web3;
+    this.tokenBalanceClient = tokenBalanceClient;
+    this.gasEstimator = gasEstimator;
+    this.priceFeed = priceFeed;
+
+    this.minSponsorTokens = financialContractProps.minSponsorTokens;
+
+    // Helper functions from web3.
+    this.BN = this.web3.utils.BN;
+    this.toBN = this.web3.utils.toBN;
+    this.toWei = this.web3.utils.toWei;
+    this.fromWei = this.web3.utils.fromWei;
+    this.toChecksumAddress = this.web3.utils.toChecksumAddress;
+
+    this.fixedPointAdjustment = this.toBN(this.toWei("1"));
+
+    // Amounts are computed with 18 decimals and converted back to the tokens' own decimals before they are sent.
+    this.normalizeCollateralDecimals = this.financialContractClient.normalizeCollateralDecimals;
+    this.normalizeSyntheticDecimals = this.financialContractClient.normalizeSyntheticDecimals;
+    this.normalizePriceFeedDecimals = this.financialContractClient.normalizePriceFeedDecimals;
+    const { collateralDecimals, syntheticDecimals } = this.financialContractClient;
+    this.denormalizeCollateralDecimals = ConvertDecimals(18, collateralDecimals, this.web3);
+    this.denormalizeSyntheticDecimals = ConvertDecimals(18, syntheticDecimals, this.web3);
+
+    // Default config settings. The keeper deployer can override these settings by passing in new values via the
+    // `keeperConfig` input object. The `isValid` property is a function that should be called before resetting any
+    // config settings. `isValid` must return a Boolean.
+    const defaultConfig = {
+      sponsorsToKeep: {
+        // `sponsorsToKeep`: Positions to defend. Each sponsor must be an unlocked account, as the keeper sends from it.
+        // [{ address: "0x..", -> sponsor that owns the position.
+        //    targetCR: 1.6, -> deposit or repay whenever the position's CR falls below this, back up to this CR.
+        //    collateralBudget: "1000000000000000000000", -> collateral, in wei, that the keeper may deposit.
+        //    syntheticBudget: "100000000000000000000" }] -> synthetic tokens, in wei, that the keeper may repay.
+        // Budgets are counted from the start of the process. Both default to 0, which disables that defense. As the
+        // spend is only kept in memory, budgets can't be set in serverless mode.
+        value: undefined,
+        isValid: x => {
+          return (
+            Array.isArray(x) &&
+            x.length > 0 &&
+            x.every(
+              sponsor =>
+                this.web3.utils.isAddress(sponsor.address) &&
+                parseFloat(sponsor.targetCR) > 1 &&
+                [sponsor.collateralBudget, sponsor.syntheticBudget].every(
+                  budget => budget === undefined || this.toBN(budget).gte(this.toBN("0"))
+                )
+            )
+          );
+        }
+      },
+      defenseActions: {
+        // `defenseActions`: Actions used to restore the target CR, in the order they are tried. "deposit" adds
+        // collateral from the sponsor's wallet and "repay" burns synthetic tokens from it to reduce the debt.
+        value: ["deposit", "repay"],
+        isValid: x => {
+          return Array.isArray(x) && x.every(action => ["deposit", "repay"].includes(action));
+        }
+      },
+      cancelWithdrawals: {
+        // `cancelWithdrawals`: If true, pending withdrawal requests that would leave the position below the
+        // contract's collateral requirement are cancelled. Positions with a pending withdrawal can't be topped up.
+        value: true,
+        isValid: x => {
+          return typeof x === "boolean";
+        }
+      },
+      txnGasLimit: {
+        // `txnGasLimit`: Gas limit to set for sending on-chain transactions.
+        value: 9000000, // Can see recent averages here: https://etherscan.io/chart/gaslimit
+        isValid: x => {
+          return x >= 6000000 && x < 15000000;
+        }
+      },
+      contractType: {
+        value: undefined,
+        isValid: x => {
+          return x === "ExpiringMultiParty" || x === "Perpetual";
+        }
+      },
+      contractVersion: {
+        value: undefined,
+        isValid: x => {
+          return x === "1.2.0" || x === "1.2.1" || x === "1.2.2" || x === "latest";
+        }
+      }
+    };
+
+    // Validate and set config settings to class state.
+    const configWithDefaults = createObjectFromDefaultProps(keeperConfig, defaultConfig);
+    Object.assign(this, configWithDefaults);
+
+    this.sponsorsToKeep = this.sponsorsToKeep.map(sponsor => ({
+      address: this.toChecksumAddress(sponsor.address),
+      targetCR: this.toBN(this.toWei(sponsor.targetCR.toString())),
+      collateralBudget: this.toBN(sponsor.collateralBudget || "0"),
+      syntheticBudget: this.toBN(sponsor.syntheticBudget || "0")
+    }));
+
+    // Collateral deposited and synthetic tokens repaid so far, by sponsor. Compared against the budgets.
+    this.spent = {};
+    this.transactionManagers = {};
+    for (const { address } of this.sponsorsToKeep) {
+      this.spent[address] = { collateral: this.toBN("0"), synthetic: this.toBN("0") };
+      this.transactionManagers[address] =
+        transactionManagers[address] ||
+        new TransactionManager({ logger, web3: this.web3, gasEstimator, account: address });
+    }
+  }
+
+  // Update the client and gasEstimator clients.
+  async update() {
+    this.tokenBalanceClient.batchRegisterAddresses(this.sponsorsToKeep.map(sponsor => sponsor.address));
+    await Promise.all([
+      this.financialContractClient.update(),
+      this.tokenBalanceClient.update(),
+      this.gasEstimator.update(),
+      this.priceFeed.update()
+    ]);
+  }
+
+  // Defends every kept position that is below its target CR.
+  async keepPositions() {
+    const price = this.priceFeed.getCurrentPrice();
+    if (!price) {
+      this.logger.warn({
+        at: "PositionKeeper",
+        message: "Cannot keep positions because price feed returned invalid value"
+      });
+      return;
+    }
+
+    for (const sponsor of this.sponsorsToKeep) {
+      const position = this.financialContractClient
+        .getAllPositions()
+        .find(position => position.sponsor === sponsor.address);
+      if (!position) {
+        this.logger.debug({
+          at: "PositionKeeper",
+          message: "Sponsor has no open position to keep",
+          sponsor: sponsor.address
+        });
+        continue;
+      }
+      await this._keepPosition(sponsor, position, price);
+    }
+  }
+
+  async _keepPosition(sponsor, position, price) {
+    // Note the collateral amount below already considers the latestCumulativeFundingRateMultiplier from the client.
+    let collateral = this.normalizeCollateralDecimals(position.amountCollateral);
+    const withdrawalRequestAmount = this.normalizeCollateralDecimals(position.withdrawalRequestAmount);
+    const tokens = this.normalizeSyntheticDecimals(position.adjustedTokens);
+    const normalizedPrice = this.normalizePriceFeedDecimals(price);
+    let hasPendingWithdrawal = position.hasPendingWithdrawal;
+
+    if (
+      hasPendingWithdrawal &&
+      this.cancelWithdrawals &&
+      this._calculateCR(collateral.sub(withdrawalRequestAmount), tokens, normalizedPrice).lt(
+        this.financialContractClient.collateralRequirement
+      )
+    ) {
+      const result = await this._sendTransaction(sponsor, this.financialContract.methods.cancelWithdrawal(), {
+        message: "Cancelled withdrawal request that would make position liquidatable🛑",
+        withdrawalRequestAmount: position.withdrawalRequestAmount
+      });
+      // Dry runs leave the withdrawal pending, so the deposits and repays that follow would fail their simulation.
+      if (!result || result.dryRun) return;
+      hasPendingWithdrawal = false;
+    }
+    if (hasPendingWithdrawal) collateral = collateral.sub(withdrawalRequestAmount);
+
+    const initialCR = this._calculateCR(collateral, tokens, normalizedPrice);
+    if (initialCR.gte(sponsor.targetCR)) return;
+
+    this.logger.debug({
+      at: "PositionKeeper",
+      message: "Position is below its target CR",
+      sponsor: sponsor.address,
+      positionCR: this.fromWei(initialCR),
+      targetCR: this.fromWei(sponsor.targetCR)
+    });
+
+    // The contract rejects deposits and repays while a withdrawal is pending.
+    if (hasPendingWithdrawal) {
+      this.logger.warn({
+        at: "PositionKeeper",
+        message: "Cannot defend position with a pending withdrawal⚠️",
+        sponsor: sponsor.address,
+        positionCR: this.fromWei(initialCR),
+        targetCR: this.fromWei(sponsor.targetCR),
+        withdrawalRequestAmount: position.withdrawalRequestAmount
+      });
+      return;
+    }
+
+    let remainingTokens = tokens;
+    for (const action of this.defenseActions) {
+      if (this._calculateCR(collateral, remainingTokens, normalizedPrice).gte(sponsor.targetCR)) break;
+      if (action === "deposit") {
+        collateral = collateral.add(await this._deposit(sponsor, collateral, remainingTokens, normalizedPrice));
+      } else {
+        const repaidAdjustedTokens = await this._repay(sponsor, position, collateral, remainingTokens, normalizedPrice);
+        remainingTokens = remainingTokens.sub(repaidAdjustedTokens);
+      }
+    }
+
+    const finalCR = this._calculateCR(collateral, remainingTokens, normalizedPrice);
+    if (finalCR.lt(sponsor.targetCR)) {
+      this.logger.warn({
+        at: "PositionKeeper",
+        message: "Position could not be restored to its target CR⚠️",
+        sponsor: sponsor.address,
+        positionCR: this.fromWei(finalCR),
+        targetCR: this.fromWei(sponsor.targetCR),
+        collateralSpent: this.spent[sponsor.address].collateral.toString(),
+        collateralBudget: sponsor.collateralBudget.toString(),
+        syntheticSpent: this.spent[sponsor.address].synthetic.toString(),
+        syntheticBudget: sponsor.syntheticBudget.toString()
+      });
+    }
+  }
+
+  // Deposits the collateral needed to reach the target CR, within the budget and the sponsor's balance. Returns the
+  // normalized amount deposited.
+  async _deposit(sponsor, collateral, tokens, price) {
+    const targetCollateral = tokens
+      .mul(price)
+      .mul(sponsor.targetCR)
+      .div(this.fixedPointAdjustment.mul(this.fixedPointAdjustment));
+    const available = this.BN.min(
+      sponsor.collateralBudget.sub(this.spent[sponsor.address].collateral),
+      this.toBN(this.tokenBalanceClient.getCollateralBalance(sponsor.address))
+    );
+    const amount = this.BN.min(this.denormalizeCollateralDecimals(targetCollateral.sub(collateral)), available);
+    if (amount.lten(0)) return this.toBN("0");
+
+    const result = await this._sendTransaction(
+      sponsor,
+      this.financialContract.methods.deposit({ rawValue: amount.toString() }),
+      { message: "Deposited collateral to keep position above its target CR🛡", amount: amount.toString() }
+    );
+    if (!result) return this.toBN("0");
+    if (!result.dryRun) this.spent[sponsor.address].collateral = this.spent[sponsor.address].collateral.add(amount);
+    return this.normalizeCollateralDecimals(amount);
+  }
+
+  // Repays the tokens needed to reach the target CR, within the budget, the sponsor's balance and the contract's
+  // minimum position size. Returns the normalized amount of funding rate adjusted tokens repaid.
+  async _repay(sponsor, position, collateral, tokens, price) {
+    // Contract version 1.2.2 and below can't repay debt without withdrawing collateral.
+    if (!this.financialContract.methods.repay) return this.toBN("0");
+
+    const targetTokens = collateral
+      .mul(this.fixedPointAdjustment.mul(this.fixedPointAdjustment))
+      .div(price.mul(sponsor.targetCR));
+    // Repaying `numTokens` reduces the debt by `numTokens` times the cumulative funding rate multiplier.
+    const cumulativeFundingRateMultiplier = this.financialContractClient.getLatestCumulativeFundingRateMultiplier();
+    const tokensToRepay = this.denormalizeSyntheticDecimals(
+      tokens
+        .sub(targetTokens)
+        .mul(this.fixedPointAdjustment)
+        .div(cumulativeFundingRateMultiplier)
+    );
+    const available = this.BN.min(
+      this.BN.min(
+        sponsor.syntheticBudget.sub(this.spent[sponsor.address].synthetic),
+        this.toBN(this.tokenBalanceClient.getSyntheticBalance(sponsor.address))
+      ),
+      this.toBN(position.numTokens).sub(this.toBN(this.minSponsorTokens.toString()))
+    );
+    const amount = this.BN.min(tokensToRepay, available);
+    if (amount.lten(0)) return this.toBN("0");
+
+    const result = await this._sendTransaction(
+      sponsor,
+      this.financialContract.methods.repay({ rawValue: amount.toString() }),
+      { message: "Repaid tokens to keep position above its target CR🛡", amount: amount.toString() }
+    );
+    if (!result) return this.toBN("0");
+    if (!result.dryRun) this.spent[sponsor.address].synthetic = this.spent[sponsor.address].synthetic.add(amount);
+    return this.normalizeSyntheticDecimals(amount)
+      .mul(cumulativeFundingRateMultiplier)
+      .div(this.fixedPointAdjustment);
+  }
+
+  // Sends `transaction` from the sponsor and logs `logInfo` on success. Returns undefined if the transaction failed.
+  async _sendTransaction(sponsor, transaction, { message, ...logInfo }) {
+    let result;
+    try {
+      result = await this.transactionManagers[sponsor.address].sendTransaction({
+        transaction,
+        maxGas: this.txnGasLimit
+      });
+    } catch (error) {
+      this.logger.error({
+        at: "PositionKeeper",
+        message: "Failed to send position keeper transaction🚨",
+        sponsor: sponsor.address,
+        error
+      });
+      return;
+    }
+    if (!result.dryRun) {
+      this.logger.info({
+        at: "PositionKeeper",
+        message,
+        sponsor: sponsor.address,
+        ...logInfo,
+        tx: result.receipt.transactionHash
+      });
+    }
+    return result;
+  }
+
+  // Computes the CR from normalized values. Positions without debt are treated as fully safe.
+  _calculateCR(collateral, tokens, price) {
+    const positionCR = calculatePositionCR(collateral, tokens, price);
+    return positionCR === null ? this.toBN(this.toWei("1000000")) : positionCR;
+  }
+}
+
+module.exports = {
+  PositionKeeper
+};
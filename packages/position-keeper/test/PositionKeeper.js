@@ -0,0 +1,195 @@
+const { toWei, toBN, utf8ToHex } = web3.utils;
+const winston = require("winston");
+const sinon = require("sinon");
+const { interfaceName, createConstructorParamsForContractVersion } = require("@uma/common");
+const { getTruffleContract } = require("@uma/core");
+
+// Script to test
+const { PositionKeeper } = require("../src/positionKeeper.js");
+
+// Helper clients and custom winston transport module to monitor winston log outputs
+const {
+  FinancialContractClient,
+  GasEstimator,
+  PriceFeedMock,
+  SpyTransport,
+  TokenBalanceClient,
+  lastSpyLogLevel,
+  spyLogIncludes
+} = require("@uma/financial-templates-lib");
+
+const contractVersion = { contractType: "ExpiringMultiParty", contractVersion: "latest" };
+const FinancialContract = getTruffleContract("ExpiringMultiParty", web3);
+const Finder = getTruffleContract("Finder", web3);
+const IdentifierWhitelist = getTruffleContract("IdentifierWhitelist", web3);
+const AddressWhitelist = getTruffleContract("AddressWhitelist", web3);
+const MockOracle = getTruffleContract("MockOracle", web3);
+const Token = getTruffleContract("ExpandedERC20", web3);
+const SyntheticToken = getTruffleContract("SyntheticToken", web3);
+const Timer = getTruffleContract("Timer", web3);
+const Store = getTruffleContract("Store", web3);
+
+contract("PositionKeeper.js", function(accounts) {
+  const contractCreator = accounts[0];
+  const sponsor = accounts[1];
+
+  let collateralToken, syntheticToken, financialContract, finder, timer, store, identifierWhitelist;
+  let spy, spyLogger, priceFeedMock, financialContractClient, tokenBalanceClient, gasEstimator;
+
+  const createKeeper = sponsorConfig =>
+    new PositionKeeper({
+      logger: spyLogger,
+      financialContractClient,
+      tokenBalanceClient,
+      gasEstimator,
+      priceFeed: priceFeedMock,
+      financialContractProps: { minSponsorTokens: toWei("5") },
+      keeperConfig: {
+        sponsorsToKeep: [{ address: sponsor, targetCR: 1.5, ...sponsorConfig }],
+        ...contractVersion
+      }
+    });
+
+  const keep = async keeper => {
+    await keeper.update();
+    await keeper.keepPositions();
+  };
+
+  before(async function() {
+    collateralToken = await Token.new("Wrapped Ether", "WETH", 18, { from: contractCreator });
+    await collateralToken.addMember(1, contractCreator, { from: contractCreator });
+    await collateralToken.mint(sponsor, toWei("100000"), { from: contractCreator });
+
+    identifierWhitelist = await IdentifierWhitelist.new();
+    finder = await Finder.new();
+    timer = await Timer.new();
+    store = await Store.new({ rawValue: "0" }, { rawValue: "0" }, timer.address);
+    await finder.changeImplementationAddress(utf8ToHex(interfaceName.Store), store.address);
+    await finder.changeImplementationAddress(utf8ToHex(interfaceName.IdentifierWhitelist), identifierWhitelist.address);
+
+    const collateralWhitelist = await AddressWhitelist.new();
+    await finder.changeImplementationAddress(utf8ToHex(interfaceName.CollateralWhitelist), collateralWhitelist.address);
+    await collateralWhitelist.addToWhitelist(collateralToken.address);
+
+    const mockOracle = await MockOracle.new(finder.address, timer.address, { from: contractCreator });
+    await finder.changeImplementationAddress(utf8ToHex(interfaceName.Oracle), mockOracle.address);
+  });
+
+  beforeEach(async function() {
+    syntheticToken = await SyntheticToken.new("Test Synthetic Token", "SYNTH", 18);
+
+    const constructorParams = await createConstructorParamsForContractVersion(contractVersion, {
+      convertSynthetic: x => toWei(x),
+      finder,
+      collateralToken,
+      syntheticToken,
+      identifier: "ETHUSD",
+      fundingRateIdentifier: "ETHUSD_FUNDING_IDENTIFIER",
+      timer,
+      store,
+      configStore: {}
+    });
+    await identifierWhitelist.addSupportedIdentifier(constructorParams.priceFeedIdentifier);
+
+    // 1.2x collateral requirement and a minimum position of 5 tokens.
+    financialContract = await FinancialContract.new(constructorParams);
+    await syntheticToken.addMinter(financialContract.address);
+    await syntheticToken.addBurner(financialContract.address);
+
+    await collateralToken.approve(financialContract.address, toWei("100000000"), { from: sponsor });
+    await syntheticToken.approve(financialContract.address, toWei("100000000"), { from: sponsor });
+
+    spy = sinon.spy();
+    spyLogger = winston.createLogger({
+      level: "info",
+      transports: [new SpyTransport({ level: "info" }, { spy: spy })]
+    });
+
+    financialContractClient = new FinancialContractClient(
+      spyLogger,
+      FinancialContract.abi,
+      web3,
+      financialContract.address,
+      null
+    );
+    tokenBalanceClient = new TokenBalanceClient(
+      spyLogger,
+      Token.abi,
+      web3,
+      collateralToken.address,
+      syntheticToken.address
+    );
+    gasEstimator = new GasEstimator(spyLogger);
+    priceFeedMock = new PriceFeedMock();
+    priceFeedMock.setCurrentPrice(toWei("1"));
+
+    // 130 collateral backing 100 tokens: a CR of 1.3 at a price of 1.
+    await financialContract.create({ rawValue: toWei("130") }, { rawValue: toWei("100") }, { from: sponsor });
+  });
+
+  it("Deposits collateral to restore the target CR", async function() {
+    await keep(createKeeper({ collateralBudget: toWei("1000") }));
+
+    const position = await financialContract.positions(sponsor);
+    assert.equal(position.rawCollateral.toString(), toWei("150"));
+    assert.equal(position.tokensOutstanding.toString(), toWei("100"));
+    assert.equal(lastSpyLogLevel(spy), "info");
+    assert.isTrue(spyLogIncludes(spy, -1, "Deposited collateral"));
+
+    // The position is back at its target, so nothing else is sent.
+    const callCount = spy.callCount;
+    await keep(createKeeper({ collateralBudget: toWei("1000") }));
+    assert.equal(spy.callCount, callCount);
+  });
+
+  it("Repays tokens once the collateral budget is spent", async function() {
+    await keep(createKeeper({ collateralBudget: toWei("10"), syntheticBudget: toWei("100") }));
+
+    // 140 collateral backs 93.33 tokens at a CR of 1.5.
+    const position = await financialContract.positions(sponsor);
+    assert.equal(position.rawCollateral.toString(), toWei("140"));
+    assert.equal(position.tokensOutstanding.toString(), "93333333333333333333");
+    assert.isTrue(spyLogIncludes(spy, -2, "Deposited collateral"));
+    assert.isTrue(spyLogIncludes(spy, -1, "Repaid tokens"));
+  });
+
+  it("Warns when the budgets can't restore the target CR", async function() {
+    const keeper = createKeeper({ collateralBudget: toWei("5") });
+    await keep(keeper);
+
+    const position = await financialContract.positions(sponsor);
+    assert.equal(position.rawCollateral.toString(), toWei("135"));
+    assert.equal(lastSpyLogLevel(spy), "warn");
+    assert.isTrue(spyLogIncludes(spy, -1, "could not be restored"));
+
+    // The budget is spent, so the next run only warns again.
+    await keep(keeper);
+    assert.equal((await financialContract.positions(sponsor)).rawCollateral.toString(), toWei("135"));
+    assert.equal(lastSpyLogLevel(spy), "warn");
+  });
+
+  it("Cancels withdrawals that would make the position liquidatable", async function() {
+    // Withdrawing 20 would leave 110 collateral, below the 1.2x requirement.
+    await financialContract.requestWithdrawal({ rawValue: toWei("20") }, { from: sponsor });
+    await keep(createKeeper({ collateralBudget: toWei("1000") }));
+
+    const position = await financialContract.positions(sponsor);
+    assert.equal(position.withdrawalRequestPassTimestamp.toString(), "0");
+    assert.isTrue(spyLogIncludes(spy, -2, "Cancelled withdrawal request"));
+    // With the withdrawal cancelled, the position can be topped up.
+    assert.equal(position.rawCollateral.toString(), toWei("150"));
+    assert.isTrue(spyLogIncludes(spy, -1, "Deposited collateral"));
+  });
+
+  it("Leaves safe withdrawals pending", async function() {
+    // Withdrawing 5 leaves 125 collateral, above the 1.2x requirement but below the 1.5x target.
+    await financialContract.requestWithdrawal({ rawValue: toWei("5") }, { from: sponsor });
+    await keep(createKeeper({ collateralBudget: toWei("1000") }));
+
+    const position = await financialContract.positions(sponsor);
+    assert.isTrue(toBN(position.withdrawalRequestPassTimestamp.toString()).gtn(0));
+    assert.equal(position.rawCollateral.toString(), toWei("130"));
+    assert.equal(lastSpyLogLevel(spy), "warn");
+    assert.isTrue(spyLogIncludes(spy, -1, "pending withdrawal"));
+  });
+});